@@ -4,9 +4,16 @@ require("dotenv").config({ path: __dirname + "/.env" });
 
 const app = express();
 
-app.use(cors());
+app.use(cors({ exposedHeaders: ["Content-Disposition"] })); // Download file names
 app.use(express.json());
 
+// Lot photos saved by the local storage adapter (services/storage)
+const localStorage = require("./services/storage/localStorage");
+app.use(
+  localStorage.URL_PREFIX,
+  express.static(localStorage.ROOT_DIR, { maxAge: "7d", fallthrough: false })
+);
+
 // Routes
 const authRoutes = require("./routes/authRoutes");
 app.use("/api/auth", authRoutes);
@@ -17,6 +24,36 @@ app.use("/api/parkinglots", parkingLotRoutes);
 const bookingsRoutes = require("./routes/bookingsRoutes");
 app.use("/api/bookings", bookingsRoutes);
 
+const gateRoutes = require("./routes/gateRoutes");
+app.use("/api/gate", gateRoutes);
+
+const paymentRoutes = require("./routes/paymentRoutes");
+app.use("/api/payments", paymentRoutes);
+
+const walletRoutes = require("./routes/walletRoutes");
+app.use("/api/wallet", walletRoutes);
+
+const settlementRoutes = require("./routes/settlementRoutes");
+app.use("/api/settlements", settlementRoutes);
+
+const promoRoutes = require("./routes/promoRoutes");
+app.use("/api/promos", promoRoutes);
+
+const passRoutes = require("./routes/passRoutes");
+app.use("/api/passes", passRoutes);
+
+const seriesRoutes = require("./routes/seriesRoutes");
+app.use("/api/booking-series", seriesRoutes);
+
+const waitlistRoutes = require("./routes/waitlistRoutes");
+app.use("/api/waitlist", waitlistRoutes);
+
+const notificationRoutes = require("./routes/notificationRoutes");
+app.use("/api/notifications", notificationRoutes);
+
+const reviewRoutes = require("./routes/reviewRoutes");
+app.use("/api/reviews", reviewRoutes);
+
 app.get("/", (req, res) => {
   res.send("🎉 ParkEasy API is running!");
 });
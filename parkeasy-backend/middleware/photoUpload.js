@@ -0,0 +1,37 @@
+// Middleware to receive lot photos sent as multipart/form-data
+const multer = require("multer");
+const {
+  MAX_PHOTOS_PER_LOT,
+  MAX_PHOTO_BYTES,
+} = require("../services/photosService");
+
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp"];
+
+// Files stay in memory until photosService has resized them
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_PHOTO_BYTES, files: MAX_PHOTOS_PER_LOT },
+  fileFilter: (req, file, cb) => {
+    if (IMAGE_TYPES.includes(file.mimetype)) return cb(null, true);
+    cb(new Error("Photos must be JPEG, PNG or WebP images"));
+  },
+}).array("photos", MAX_PHOTOS_PER_LOT);
+
+// Puts the uploaded "photos" files on req.files; a bad upload is a 400
+module.exports = (req, res, next) => {
+  upload(req, res, (err) => {
+    if (!err) return next();
+    let message = err.message;
+    if (err.code === "LIMIT_FILE_SIZE") {
+      message = `Each photo must be under ${
+        MAX_PHOTO_BYTES / (1024 * 1024)
+      } MB`;
+    } else if (
+      err.code === "LIMIT_FILE_COUNT" ||
+      err.code === "LIMIT_UNEXPECTED_FILE"
+    ) {
+      message = `Upload up to ${MAX_PHOTOS_PER_LOT} photos, as "photos"`;
+    }
+    res.status(400).json({ message, code: "INVALID_UPLOAD" });
+  });
+};
@@ -1,19 +1,126 @@
 const mongoose = require("mongoose");
 
+// One line of a booking's itemized price (see services/pricingService.js)
+const priceLineSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true }, // time | free_minutes | daily_cap | long_stay | promo | pass | extension | early_checkout
+    label: { type: String, required: true },
+    hours: { type: Number },
+    rate: { type: Number },
+    amount: { type: Number, required: true }, // Negative for discounts
+  },
+  { _id: false }
+);
+
+// A price change made after booking (extension, early checkout)
+const adjustmentSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["extension", "early_checkout"],
+      required: true,
+    },
+    amount: { type: Number, required: true }, // Added to totalPrice (negative = credit)
+    previousEndTime: { type: Date, required: true },
+    newEndTime: { type: Date, required: true },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// A fee charged on top of totalPrice (e.g. for overstaying)
+const extraChargeSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ["overstay"], required: true },
+    label: { type: String, required: true },
+    hours: { type: Number },
+    rate: { type: Number },
+    amount: { type: Number, required: true },
+    updatedAt: { type: Date, default: Date.now }, // Overstay fees grow until checkout
+  },
+  { _id: false }
+);
+
+// How a cancellation was refunded under the lot's policy at the time
+const cancellationSchema = new mongoose.Schema(
+  {
+    cancelledAt: { type: Date, required: true },
+    tier: { type: String, enum: ["full", "partial", "none"], required: true },
+    refundPercent: { type: Number, required: true },
+    refundAmount: { type: Number, required: true }, // Of the amount paid
+    label: { type: String, required: true },
+    refundStatus: {
+      type: String,
+      enum: ["none", "pending", "refunded", "failed"],
+      default: "none",
+    },
+  },
+  { _id: false }
+);
+
+// A numbered invoice as issued; later changes to the lot don't alter it
+const invoiceSchema = new mongoose.Schema(
+  {
+    number: { type: String, required: true }, // e.g. "PE/2025-26/000042"
+    issuedAt: { type: Date, required: true },
+    documentType: {
+      type: String,
+      enum: ["tax_invoice", "bill_of_supply"], // bill_of_supply = seller has no GSTIN
+      required: true,
+    },
+    seller: {
+      name: { type: String, required: true },
+      gstin: { type: String },
+      address: { type: String },
+    },
+    customer: {
+      name: { type: String },
+      email: { type: String },
+      phone: { type: String },
+    },
+    lines: { type: [priceLineSchema], default: [] },
+    total: { type: Number, required: true }, // Tax included
+    gstRate: { type: Number, default: 0 },
+    taxableValue: { type: Number, required: true },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+// The promo code a booking was made with (see services/promoService.js)
+const bookingPromoSchema = new mongoose.Schema(
+  {
+    promoId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PromoCode",
+      required: true,
+    },
+    code: { type: String, required: true },
+    discount: { type: Number, required: true }, // Rupees taken off totalPrice
+    released: { type: Boolean, default: false }, // Use given back (never paid)
+  },
+  { _id: false }
+);
+
+function isAppBooking() {
+  return this.source !== "walkin";
+}
+
 const bookingSchema = new mongoose.Schema(
   {
     userId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+      required: isAppBooking, // Walk-ins have no customer account
     },
     userName: {
       type: String,
-      required: true,
+      required: isAppBooking,
     },
     userEmail: {
       type: String,
-      required: true,
+      required: isAppBooking,
     },
     userPhone: {
       type: String,
@@ -37,13 +144,21 @@ const bookingSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    slotCode: {
+      type: String, // Bay assigned at booking time (lots with bays only)
+      required: false,
+    },
+    slotLevel: {
+      type: String,
+      required: false,
+    },
     startTime: {
       type: Date,
       required: true,
     },
     endTime: {
       type: Date,
-      required: true,
+      required: isAppBooking, // Set at exit for walk-ins
     },
     duration: {
       type: Number, // in hours
@@ -57,9 +172,99 @@ const bookingSchema = new mongoose.Schema(
       type: Number,
       required: true,
     },
+    priceBreakdown: {
+      type: [priceLineSchema], // Itemized lines that add up to totalPrice
+      default: undefined,
+    },
+    promo: {
+      type: bookingPromoSchema,
+      required: false,
+    },
+    adjustments: {
+      type: [adjustmentSchema],
+      default: undefined,
+    },
+    extraCharges: {
+      type: [extraChargeSchema], // Not part of totalPrice
+      default: undefined,
+    },
+    paymentStatus: {
+      type: String,
+      enum: [
+        "pending",
+        "paid",
+        "due", // Was paid, but an extension or overstay fee added since is still owed
+        "refunded",
+        "expired", // Not paid within the payment window; the slot was released
+      ],
+      required: false, // Bookings made before payments existed have none
+    },
+    paymentDueAt: {
+      type: Date, // Unpaid bookings are released after this (see services/paymentService.js)
+      required: false,
+    },
+    amountPaid: {
+      type: Number, // Net of refunds
+      default: 0,
+    },
+    paidAt: {
+      type: Date,
+      required: false,
+    },
+    arrivedAt: {
+      type: Date, // Entry gate scan (see services/checkinService.js)
+      required: false,
+    },
+    departedAt: {
+      type: Date, // Exit gate scan
+      required: false,
+    },
+    source: {
+      type: String,
+      enum: ["app", "walkin", "pass"], // walkin = drive-up session started at the gate; pass = one day of a Pass
+      default: "app",
+    },
+    passId: {
+      type: mongoose.Schema.Types.ObjectId, // The pass this day belongs to
+      ref: "Pass",
+      required: false,
+    },
+    seriesId: {
+      type: mongoose.Schema.Types.ObjectId, // Recurring booking it was made by
+      ref: "BookingSeries",
+      required: false,
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId, // Gate staff who started a walk-in
+      ref: "User",
+      required: false,
+    },
+    cancellation: {
+      type: cancellationSchema, // Set when the driver cancels
+      required: false,
+    },
+    invoice: {
+      type: invoiceSchema, // Issued on first download once the booking is settled
+      required: false,
+    },
+    invoiceClaimedAt: {
+      type: Date, // Set while a request is numbering the invoice
+      required: false,
+    },
+    checkedOutAt: {
+      type: Date, // Set when the driver checks out (early or after overstaying)
+      required: false,
+    },
     status: {
       type: String,
-      enum: ["active", "completed", "cancelled", "expired", "upcoming"],
+      enum: [
+        "active",
+        "completed",
+        "cancelled",
+        "expired",
+        "upcoming",
+        "overstay", // Past endTime but not checked out; still holds its slot
+      ],
       default: "active",
     },
   },
@@ -73,5 +278,12 @@ bookingSchema.index({ userId: 1, createdAt: -1 });
 bookingSchema.index({ parkingLotId: 1, status: 1 });
 bookingSchema.index({ status: 1 });
 bookingSchema.index({ status: 1, endTime: 1 }); // Optimizes expired booking queries
+bookingSchema.index({ status: 1, startTime: 1 }); // Optimizes upcoming -> active transitions
+bookingSchema.index({ parkingLotId: 1, status: 1, startTime: 1, endTime: 1 }); // Window overlap checks
+bookingSchema.index({ paymentStatus: 1, paymentDueAt: 1 }); // Releasing unpaid bookings
+bookingSchema.index({ "invoice.number": 1 }, { unique: true, sparse: true });
+bookingSchema.index({ "promo.promoId": 1, userId: 1 }, { sparse: true }); // Per-user promo caps
+bookingSchema.index({ passId: 1, startTime: 1 }, { sparse: true });
+bookingSchema.index({ seriesId: 1, startTime: 1 }, { sparse: true });
 
 module.exports = mongoose.model("Booking", bookingSchema);
@@ -0,0 +1,83 @@
+const mongoose = require("mongoose");
+
+// An occurrence of a series that couldn't be booked
+const skippedOccurrenceSchema = new mongoose.Schema(
+  {
+    date: { type: String, required: true }, // "YYYY-MM-DD" in the lot's timezone
+    startTime: { type: Date, required: true },
+    endTime: { type: Date, required: true },
+    reason: { type: String, required: true },
+  },
+  { _id: false }
+);
+
+// A recurring booking: the same window on chosen weekdays between two dates.
+// Every occurrence is an ordinary booking with its own availability check and
+// payment (see services/seriesService.js).
+const bookingSeriesSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    parkingLotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ParkingLot",
+      required: true,
+    },
+    parkingLotName: {
+      type: String,
+      required: true,
+    },
+    vehicleType: {
+      type: String,
+      required: true,
+      enum: ["car", "bike", "truck", "van"],
+    },
+    vehicleNumber: {
+      type: String,
+      required: true,
+    },
+    days: {
+      type: [Number], // Weekdays it repeats on, 0 = Sunday
+      required: true,
+    },
+    startClock: {
+      type: String, // "HH:mm" in the lot's timezone
+      required: true,
+    },
+    endClock: {
+      type: String, // Same day, after startClock
+      required: true,
+    },
+    timeZone: {
+      type: String,
+      required: true,
+    },
+    startDate: {
+      type: String, // "YYYY-MM-DD", first day of the series
+      required: true,
+    },
+    endDate: {
+      type: String, // "YYYY-MM-DD", last day of the series (inclusive)
+      required: true,
+    },
+    skipped: {
+      type: [skippedOccurrenceSchema],
+      default: [],
+    },
+    status: {
+      type: String,
+      enum: ["active", "cancelled"],
+      default: "active",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+bookingSeriesSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("BookingSeries", bookingSeriesSchema);
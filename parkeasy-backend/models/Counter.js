@@ -0,0 +1,15 @@
+const mongoose = require("mongoose");
+
+// A named, ever-increasing sequence (e.g. invoice numbers per financial year)
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String, // Sequence name, e.g. "invoice:2025-26"
+    required: true,
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+});
+
+module.exports = mongoose.model("Counter", counterSchema);
@@ -0,0 +1,95 @@
+const mongoose = require("mongoose");
+
+// One movement of money on a lot owner's account: a booking payment, a refund
+// of one, a pass bought or renewed, or cash a walk-in paid at the gate. Unsettled entries are rolled up
+// into the owner's next payout statement (see services/settlementService.js).
+const earningSchema = new mongoose.Schema(
+  {
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    parkingLotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ParkingLot",
+      required: true,
+    },
+    parkingLotName: {
+      type: String,
+      required: true,
+    },
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      required: function () {
+        return this.type !== "pass";
+      },
+    },
+    passId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Pass",
+      required: false,
+    },
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+      required: false,
+    },
+    type: {
+      type: String,
+      enum: [
+        "payment", // Paid through the platform (gateway or wallet)
+        "refund", // Given back to the driver; reverses its share of commission
+        "pass", // A pass period paid from the wallet
+        "walkin_cash", // Collected by the lot at the gate; only the commission is owed
+      ],
+      required: true,
+    },
+    description: {
+      type: String,
+      required: true,
+    },
+    gross: {
+      type: Number, // What the driver paid (negative for refunds)
+      required: true,
+    },
+    commissionPercent: {
+      type: Number,
+      required: true,
+    },
+    commission: {
+      type: Number, // Platform fee (negative when a refund gives it back)
+      required: true,
+    },
+    net: {
+      type: Number, // Owed to the owner (negative = owed to the platform)
+      required: true,
+    },
+    occurredAt: {
+      type: Date,
+      required: true,
+    },
+    statementId: {
+      type: mongoose.Schema.Types.ObjectId, // Set once included in a payout statement
+      ref: "PayoutStatement",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+earningSchema.index({ ownerId: 1, statementId: 1, occurredAt: 1 });
+// A payment or a walk-in is only ever accrued once
+earningSchema.index(
+  { paymentId: 1 },
+  { unique: true, partialFilterExpression: { type: "payment" } }
+);
+earningSchema.index(
+  { bookingId: 1 },
+  { unique: true, partialFilterExpression: { type: "walkin_cash" } }
+);
+
+module.exports = mongoose.model("Earning", earningSchema);
@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+// An in-app message for a user (waitlist holds, lot changes affecting them,
+// replies to and moderation of their reviews)
+const notificationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: [
+        "waitlist_hold",
+        "waitlist_lapsed",
+        "lot_closed",
+        "review_reply",
+        "review_hidden",
+      ],
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    link: {
+      type: String, // Frontend path to act on it, e.g. /payment?bookingId=...
+      required: false,
+    },
+    readAt: {
+      type: Date,
+      required: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Notification", notificationSchema);
@@ -1,10 +1,190 @@
 // Import mongoose for MongoDB object modeling
 const mongoose = require("mongoose");
 
+// Vehicle types a bay (and a booking) can be for
+const VEHICLE_TYPES = ["car", "bike", "truck", "van"];
+
+// Kinds of lot (the `type` column of the imported CSV data)
+const LOT_TYPES = [
+  "surface",
+  "multi-storey",
+  "underground",
+  "on-street",
+  "campus",
+  "hostel",
+];
+
+// Amenities a lot can advertise; drivers can filter lots by them
+const AMENITIES = [
+  "covered",
+  "evCharging",
+  "cctv",
+  "wheelchairAccessible",
+  "valet",
+  "security24x7",
+];
+
+// Define the schema for a single bay inside a lot
+const SlotSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true }, // Bay code shown to drivers, e.g. "L1-014"
+    level: { type: String, default: "G" }, // Floor / level the bay is on
+    vehicleTypes: {
+      type: [{ type: String, enum: VEHICLE_TYPES }],
+      default: VEHICLE_TYPES,
+    }, // Vehicle types that fit in this bay
+    enabled: { type: Boolean, default: true }, // false = out of service
+  },
+  { _id: false }
+);
+
+// Define the schema for a per-vehicle-type capacity and rate
+const VehicleRateSchema = new mongoose.Schema(
+  {
+    vehicleType: { type: String, enum: VEHICLE_TYPES, required: true },
+    capacity: { type: Number, min: 0, required: true }, // Slots this vehicle type may hold at once
+    pricePerHour: { type: Number, min: 0, required: true }, // Rate charged for this vehicle type
+  },
+  { _id: false }
+);
+
+// Define the schema for a peak-hour window, e.g. weekdays 08:00-11:00 at 1.5x
+const PeakPeriodSchema = new mongoose.Schema(
+  {
+    label: { type: String, default: "Peak" },
+    days: { type: [{ type: Number, min: 0, max: 6 }], default: [] }, // 0 = Sunday; empty = every day
+    start: { type: String, required: true }, // "HH:mm" lot-local time
+    end: { type: String, required: true }, // "HH:mm"; earlier than start = wraps past midnight
+    multiplier: { type: Number, min: 0, default: 1.5 }, // Applied to the vehicle type's hourly rate
+  },
+  { _id: false }
+);
+
+// Define the schema for a long-stay discount tier
+const LongStayTierSchema = new mongoose.Schema(
+  {
+    minHours: { type: Number, min: 0, required: true }, // Stays at least this long get the discount
+    discountPercent: { type: Number, min: 0, max: 100, required: true },
+  },
+  { _id: false }
+);
+
+// Define the schema for a lot's pricing rules (see services/pricingService.js)
+const PricingRulesSchema = new mongoose.Schema(
+  {
+    timezone: { type: String, default: "Asia/Kolkata" }, // Peak hours and weekends are in lot-local time
+    peakPeriods: { type: [PeakPeriodSchema], default: [] },
+    weekendMultiplier: { type: Number, min: 0, default: 1 }, // Saturday/Sunday multiplier
+    dailyCap: { type: Number, min: 0, default: null }, // Max charge per 24h of a stay (null = no cap)
+    freeMinutes: { type: Number, min: 0, default: 0 }, // First N minutes of every stay are free
+    longStayTiers: { type: [LongStayTierSchema], default: [] },
+  },
+  { _id: false }
+);
+
+// Define the schema for owner-configured demand (surge) pricing
+const DemandPricingSchema = new mongoose.Schema(
+  {
+    enabled: { type: Boolean, default: false },
+    minMultiplier: { type: Number, min: 0, default: 0.8 }, // Floor when the lot is quiet
+    maxMultiplier: { type: Number, min: 0, default: 1.5 }, // Ceiling when the lot is nearly full
+    lowOccupancy: { type: Number, min: 0, max: 1, default: 0.3 }, // Below this the rate drops towards the floor
+    highOccupancy: { type: Number, min: 0, max: 1, default: 0.8 }, // Above this the rate rises towards the ceiling
+    forecastHours: { type: Number, min: 0, default: 2 }, // How far ahead booked demand is looked at
+  },
+  { _id: false }
+);
+
+// Define the schema for what happens when a vehicle stays past its booking
+const OverstayPolicySchema = new mongoose.Schema(
+  {
+    graceMinutes: { type: Number, min: 0, default: 15 }, // No fee for this long after endTime
+    ratePerHour: { type: Number, min: 0, default: null }, // Fee per started hour (null = the vehicle type's hourly rate)
+    maxHours: { type: Number, min: 0, default: 24 }, // Overstays are closed (and the bay released) after this long
+  },
+  { _id: false }
+);
+
+// What a driver gets back when cancelling (see services/cancellationService.js)
+const CancellationPolicySchema = new mongoose.Schema(
+  {
+    freeUntilMinutes: { type: Number, min: 0, default: 60 }, // Full refund when cancelled at least this long before start
+    partialRefundPercent: { type: Number, min: 0, max: 100, default: 50 }, // Refund for later cancellations before start (none after)
+  },
+  { _id: false }
+);
+
+// Seller details printed on the lot's invoices (see services/invoiceService.js)
+const InvoiceDetailsSchema = new mongoose.Schema(
+  {
+    legalName: { type: String, default: null }, // Business name on invoices (null = the lot's name)
+    gstin: { type: String, default: null }, // GST registration; without one invoices are bills of supply
+    gstRate: { type: Number, min: 0, max: 28, default: 18 }, // Percent, included in the prices charged
+  },
+  { _id: false }
+);
+
+// Define the schema for one opening window on a weekday
+const OpeningWindowSchema = new mongoose.Schema(
+  {
+    day: { type: Number, min: 0, max: 6, required: true }, // 0 = Sunday
+    open: { type: String, required: true }, // "HH:mm" lot-local time
+    close: { type: String, required: true }, // "HH:mm" or "24:00"; not after open = closes past midnight
+  },
+  { _id: false }
+);
+
+// Define the schema for a dated closure, e.g. a festival holiday
+const ClosureSchema = new mongoose.Schema(
+  {
+    from: { type: String, required: true }, // "YYYY-MM-DD" lot-local, first closed day
+    to: { type: String, required: true }, // "YYYY-MM-DD", last closed day (inclusive)
+    reason: { type: String, default: "" }, // Shown to drivers
+  },
+  { _id: false }
+);
+
+// When a lot takes cars (see services/hoursService.js)
+const OpeningHoursSchema = new mongoose.Schema(
+  {
+    alwaysOpen: { type: Boolean, default: true }, // 24x7; weekly windows are ignored
+    weekly: { type: [OpeningWindowSchema], default: [] }, // Days without a window are closed
+    closures: { type: [ClosureSchema], default: [] }, // Apply to 24x7 lots too
+  },
+  { _id: false }
+);
+
+// Define the schema for a lot's amenities (see services/lotFeaturesService.js)
+const AmenitiesSchema = new mongoose.Schema(
+  {
+    covered: { type: Boolean, default: false }, // Roof over the bays
+    evCharging: { type: Boolean, default: false }, // EV charging points
+    cctv: { type: Boolean, default: false }, // Camera surveillance
+    wheelchairAccessible: { type: Boolean, default: false }, // Wheelchair-accessible bays
+    valet: { type: Boolean, default: false }, // Valet parking offered
+    security24x7: { type: Boolean, default: false }, // Guards on site round the clock
+  },
+  { _id: false }
+);
+
+// Define the schema for a photo of the lot (see services/photosService.js)
+const PhotoSchema = new mongoose.Schema({
+  storage: { type: String, default: "local" }, // Storage adapter the files were saved with
+  key: { type: String, required: true }, // Resized photo, e.g. "lots/<lotId>/<photoId>.webp"
+  thumbKey: { type: String, required: true }, // Cropped thumbnail
+  url: { type: String, required: true }, // Public URLs; relative ones are served by the API
+  thumbUrl: { type: String, required: true },
+  width: Number,
+  height: Number,
+  caption: { type: String, default: "" }, // e.g. "Entrance from the service road"
+  uploadedAt: { type: Date, default: Date.now },
+});
+
 // Define the schema for a Parking Lot
 const ParkingLotSchema = new mongoose.Schema({
   name: String, // Name of the parking lot
   owner: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // Owner user id
+  attendants: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }], // Gate staff who may scan passes at this lot
   pricePerHour: { type: Number, required: true, default: 50 }, // Pricing for bookings
   location: {
     type: {
@@ -25,9 +205,27 @@ const ParkingLotSchema = new mongoose.Schema({
     state: { type: String },
     pincode: { type: String },
   },
+  lotType: { type: String, enum: LOT_TYPES, default: null }, // Surface, multi-storey, ... (null = not given)
+  amenities: { type: AmenitiesSchema, default: () => ({}) }, // Covered, EV charging, CCTV, ...
+  photos: { type: [PhotoSchema], default: [] }, // The first one is the cover shown to drivers
+  ratingAverage: { type: Number, default: 0 }, // Of published reviews, to one decimal (kept up to date by reviewsService)
+  ratingCount: { type: Number, default: 0 }, // Number of published reviews
   totalSlots: Number, // Total number of parking slots
   availableSlots: Number, // Number of currently available slots
   carsParked: { type: Number, default: 0 }, // Number of cars currently parked
+  isActive: { type: Boolean, default: true }, // false = closed by the owner: hidden from drivers, no new bookings
+  closedReason: String, // Shown to drivers while the lot is closed
+  closedAt: Date,
+  pricingRules: { type: PricingRulesSchema, default: () => ({}) }, // Time-of-day, weekend and long-stay pricing
+  demandPricing: { type: DemandPricingSchema, default: () => ({}) }, // Occupancy-based surge pricing settings
+  demandMultiplier: { type: Number, default: 1 }, // Current surge multiplier (kept up to date by the demand pricing cron)
+  overstayPolicy: { type: OverstayPolicySchema, default: () => ({}) }, // Grace period and fees for vehicles parked past endTime
+  cancellationPolicy: { type: CancellationPolicySchema, default: () => ({}) }, // Refund tiers for cancelled bookings
+  invoiceDetails: { type: InvoiceDetailsSchema, default: () => ({}) }, // GSTIN and business name for invoices
+  openingHours: { type: OpeningHoursSchema, default: () => ({}) }, // Weekly hours and holiday closures; bookings must fit inside them
+  vehicleRates: { type: [VehicleRateSchema], default: [] }, // Per-type capacity/rates (empty = every type shares the lot at pricePerHour)
+  slots: { type: [SlotSchema], default: [] }, // Individual bays (optional; empty = unassigned capacity)
+  reservationVersion: { type: Number, default: 0 }, // Bumped on every reservation so concurrent bookings can detect each other
 });
 
 // 🌍 Create a 2dsphere index to enable geospatial queries on location
@@ -35,3 +233,6 @@ ParkingLotSchema.index({ location: "2dsphere" });
 
 // Export the ParkingLot model
 module.exports = mongoose.model("ParkingLot", ParkingLotSchema);
+module.exports.VEHICLE_TYPES = VEHICLE_TYPES;
+module.exports.LOT_TYPES = LOT_TYPES;
+module.exports.AMENITIES = AMENITIES;
@@ -0,0 +1,105 @@
+const mongoose = require("mongoose");
+
+// One paid period of a pass
+const passPeriodSchema = new mongoose.Schema(
+  {
+    start: { type: Date, required: true },
+    end: { type: Date, required: true }, // Exclusive
+    amount: { type: Number, required: true },
+    days: { type: Number, required: true }, // Days booked in the period
+    paidAt: { type: Date, required: true },
+    walletEntryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WalletEntry",
+    },
+  },
+  { _id: false }
+);
+
+// A weekly or monthly pass: the same lot, vehicle and daily time window on
+// chosen weekdays, reserved as one booking per day (see services/passService.js)
+const passSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    parkingLotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ParkingLot",
+      required: true,
+    },
+    parkingLotName: {
+      type: String,
+      required: true,
+    },
+    vehicleType: {
+      type: String,
+      required: true,
+      enum: ["car", "bike", "truck", "van"],
+    },
+    vehicleNumber: {
+      type: String,
+      required: true,
+    },
+    plan: {
+      type: String,
+      enum: ["weekly", "monthly"],
+      required: true,
+    },
+    days: {
+      type: [Number], // Weekdays covered, 0 = Sunday
+      required: true,
+    },
+    startClock: {
+      type: String, // "HH:mm" in the lot's timezone
+      required: true,
+    },
+    endClock: {
+      type: String, // Same day, after startClock
+      required: true,
+    },
+    timeZone: {
+      type: String,
+      required: true,
+    },
+    discountPercent: {
+      type: Number, // Off the lot's regular price for the same days
+      required: true,
+    },
+    periodStart: {
+      type: Date, // Local midnight the current period starts
+      required: true,
+    },
+    periodEnd: {
+      type: Date, // Exclusive; renewal starts the next period here
+      required: true,
+    },
+    periods: {
+      type: [passPeriodSchema],
+      default: [],
+    },
+    autoRenew: {
+      type: Boolean,
+      default: true,
+    },
+    renewalError: {
+      type: String, // Why the last renewal attempt failed
+      required: false,
+    },
+    status: {
+      type: String,
+      enum: ["active", "expired"],
+      default: "active",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+passSchema.index({ userId: 1, createdAt: -1 });
+passSchema.index({ status: 1, periodEnd: 1 }); // Renewals and expiry
+
+module.exports = mongoose.model("Pass", passSchema);
@@ -0,0 +1,83 @@
+const mongoose = require("mongoose");
+
+// A refund issued against a payment through its gateway
+const refundSchema = new mongoose.Schema(
+  {
+    gatewayRef: { type: String, required: true },
+    amount: { type: Number, required: true },
+    reason: { type: String },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// One attempt to pay (part of) a booking or a wallet top-up through a
+// payment gateway, or a booking paid from the wallet
+const paymentSchema = new mongoose.Schema(
+  {
+    purpose: {
+      type: String,
+      enum: ["booking", "wallet_topup"],
+      default: "booking",
+    },
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      required: function () {
+        return this.purpose !== "wallet_topup";
+      },
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+      default: "INR",
+    },
+    gateway: {
+      type: String, // Adapter that handled it (see services/paymentGateways), or "wallet"
+      required: true,
+    },
+    gatewayRef: {
+      type: String, // The gateway's id for the payment intent
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["created", "processing", "succeeded", "failed", "cancelled"],
+      default: "created",
+    },
+    method: {
+      type: String, // e.g. "card •••• 4242", as reported by the gateway
+    },
+    failureReason: {
+      type: String,
+    },
+    paidAt: {
+      type: Date,
+    },
+    refunds: {
+      type: [refundSchema],
+      default: undefined,
+    },
+    refundedAmount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+paymentSchema.index({ bookingId: 1, createdAt: -1 });
+paymentSchema.index({ userId: 1, createdAt: -1 });
+paymentSchema.index({ gateway: 1, gatewayRef: 1 }, { unique: true });
+
+module.exports = mongoose.model("Payment", paymentSchema);
@@ -0,0 +1,83 @@
+const mongoose = require("mongoose");
+
+// Totals of one kind of money movement, in rupees
+const statementTotalsSchema = new mongoose.Schema(
+  {
+    payments: { type: Number, default: 0 }, // Paid through the platform
+    refunds: { type: Number, default: 0 }, // Given back (negative)
+    walkinCash: { type: Number, default: 0 }, // Collected at the gate by the lot
+    commission: { type: Number, default: 0 }, // Platform fees
+    net: { type: Number, default: 0 }, // Payout to the owner (negative = owed to the platform)
+    entries: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+const statementLotSchema = new mongoose.Schema(
+  {
+    parkingLotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ParkingLot",
+      required: true,
+    },
+    parkingLotName: { type: String, required: true },
+    totals: { type: statementTotalsSchema, default: () => ({}) },
+  },
+  { _id: false }
+);
+
+// A lot owner's payout for one day or week (see services/settlementService.js)
+const payoutStatementSchema = new mongoose.Schema(
+  {
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    period: {
+      type: String,
+      enum: ["daily", "weekly"],
+      required: true,
+    },
+    periodStart: {
+      type: Date,
+      required: true,
+    },
+    periodEnd: {
+      type: Date, // Exclusive; earlier unsettled entries are carried in too
+      required: true,
+    },
+    lots: {
+      type: [statementLotSchema],
+      default: [],
+    },
+    totals: {
+      type: statementTotalsSchema,
+      default: () => ({}),
+    },
+    status: {
+      type: String,
+      enum: ["pending", "paid"],
+      default: "pending",
+    },
+    paidAt: {
+      type: Date,
+      required: false,
+    },
+    payoutReference: {
+      type: String, // Bank transfer reference recorded by an admin
+      required: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+payoutStatementSchema.index(
+  { ownerId: 1, period: 1, periodStart: 1 },
+  { unique: true }
+);
+payoutStatementSchema.index({ ownerId: 1, periodStart: -1 });
+
+module.exports = mongoose.model("PayoutStatement", payoutStatementSchema);
@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+// One change of a lot's demand (surge) multiplier, kept for the owner's price history
+const priceChangeSchema = new mongoose.Schema(
+  {
+    parkingLotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ParkingLot",
+      required: true,
+    },
+    previousMultiplier: {
+      type: Number,
+      required: true,
+    },
+    multiplier: {
+      type: Number,
+      required: true,
+    },
+    occupancy: {
+      type: Number, // Live occupancy ratio (0-1) when the change was made
+    },
+    forecastOccupancy: {
+      type: Number, // Peak booked occupancy ratio over the forecast window
+    },
+    reason: {
+      type: String,
+      enum: ["demand", "settings"],
+      default: "demand",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+priceChangeSchema.index({ parkingLotId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("PriceChange", priceChangeSchema);
@@ -0,0 +1,93 @@
+const mongoose = require("mongoose");
+
+// Where a code can be used; an empty list doesn't restrict on that field
+const promoScopeSchema = new mongoose.Schema(
+  {
+    parkingLotIds: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "ParkingLot" }],
+      default: [],
+    },
+    cities: { type: [String], default: [] }, // Matched against lot address.city
+    vehicleTypes: {
+      type: [{ type: String, enum: ["car", "bike", "truck", "van"] }],
+      default: [],
+    },
+  },
+  { _id: false }
+);
+
+// A discount drivers enter when booking (see services/promoService.js)
+const promoCodeSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String, // Stored uppercase, e.g. "KARNAVATI20"
+      required: true,
+      unique: true,
+      trim: true,
+      uppercase: true,
+    },
+    description: {
+      type: String,
+      required: false,
+    },
+    discountType: {
+      type: String,
+      enum: ["percent", "flat"],
+      required: true,
+    },
+    discountValue: {
+      type: Number, // Percent off, or rupees off
+      required: true,
+      min: 0,
+    },
+    maxDiscount: {
+      type: Number, // Caps a percent discount, in rupees
+      required: false,
+    },
+    minAmount: {
+      type: Number, // Smallest booking price the code applies to
+      default: 0,
+    },
+    validFrom: {
+      type: Date,
+      required: true,
+    },
+    validUntil: {
+      type: Date,
+      required: true,
+    },
+    maxUses: {
+      type: Number, // Across all drivers; unset = unlimited
+      required: false,
+    },
+    maxUsesPerUser: {
+      type: Number,
+      default: 1,
+    },
+    usedCount: {
+      type: Number, // Bookings holding a use (released if never paid)
+      default: 0,
+    },
+    scope: {
+      type: promoScopeSchema,
+      default: () => ({}),
+    },
+    active: {
+      type: Boolean, // Switched off by its creator
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+promoCodeSchema.index({ createdBy: 1, createdAt: -1 });
+promoCodeSchema.index({ "scope.parkingLotIds": 1 });
+
+module.exports = mongoose.model("PromoCode", promoCodeSchema);
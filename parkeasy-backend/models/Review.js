@@ -0,0 +1,82 @@
+const mongoose = require("mongoose");
+
+// A driver's rating (1-5) and review of a lot after a finished booking; at
+// most one per booking. Owners reply, admins hide or remove (see
+// services/reviewsService.js)
+const reviewSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    userName: {
+      type: String, // Shown with the review
+      required: true,
+    },
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      required: true,
+      unique: true, // One review per booking
+    },
+    parkingLotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ParkingLot",
+      required: true,
+    },
+    parkingLotName: {
+      type: String,
+      required: true,
+    },
+    rating: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 5,
+    },
+    comment: {
+      type: String,
+      default: "",
+    },
+    // published -> hidden by an admin (and back); hidden reviews don't count
+    // towards the lot's rating
+    status: {
+      type: String,
+      enum: ["published", "hidden"],
+      default: "published",
+    },
+    moderation: {
+      reason: { type: String, required: false }, // Told to the reviewer
+      by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      at: { type: Date, required: false },
+    },
+    reply: {
+      text: { type: String, required: false },
+      by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      at: { type: Date, required: false },
+    },
+    // Users who flagged the review for an admin to look at
+    reports: [
+      {
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        reason: { type: String, default: "" },
+        at: { type: Date, default: Date.now },
+        _id: false,
+      },
+    ],
+    reportCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+reviewSchema.index({ parkingLotId: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ userId: 1, createdAt: -1 });
+reviewSchema.index({ reportCount: -1, createdAt: -1 }); // Moderation queue
+
+module.exports = mongoose.model("Review", reviewSchema);
@@ -8,7 +8,17 @@ const userSchema = new mongoose.Schema(
     email: { type: String, required: true, unique: true }, // User's email (must be unique)
     phone: { type: String }, // User's phone number (optional)
     password: { type: String, required: true }, // Hashed password
-    role: { type: String, enum: ["user", "owner", "admin"], default: "user" }, // Role of the user
+    role: {
+      type: String,
+      enum: ["user", "owner", "admin", "attendant"], // attendant = gate staff assigned to lots by their owner
+      default: "user",
+    }, // Role of the user
+    walletBalance: { type: Number, default: 0 }, // Kept in step with the WalletEntry ledger (see services/walletService.js)
+    payoutSchedule: {
+      type: String,
+      enum: ["daily", "weekly"],
+      default: "weekly",
+    }, // How often a lot owner's payout statements are closed
     // Fields for password reset functionality
     resetPasswordToken: { type: String },
     resetPasswordExpires: { type: Date },
@@ -0,0 +1,69 @@
+const mongoose = require("mongoose");
+
+// A driver waiting for room at a full lot for a time window. When room frees
+// up the driver gets a hold: a pending booking they must pay for before its
+// paymentDueAt, or it passes to the next in line (see services/waitlistService.js)
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    parkingLotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ParkingLot",
+      required: true,
+    },
+    parkingLotName: {
+      type: String,
+      required: true,
+    },
+    vehicleType: {
+      type: String,
+      required: true,
+      enum: ["car", "bike", "truck", "van"],
+    },
+    vehicleNumber: {
+      type: String,
+      required: true,
+    },
+    startTime: {
+      type: Date,
+      required: true,
+    },
+    endTime: {
+      type: Date,
+      required: true,
+    },
+    // waiting -> held -> claimed (paid) or lapsed (hold ran out);
+    // waiting -> expired (window over) or cancelled (driver left the line)
+    status: {
+      type: String,
+      enum: ["waiting", "held", "claimed", "lapsed", "expired", "cancelled"],
+      default: "waiting",
+    },
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId, // The hold
+      ref: "Booking",
+      required: false,
+    },
+    heldAt: {
+      type: Date,
+      required: false,
+    },
+    holdExpiresAt: {
+      type: Date,
+      required: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+waitlistEntrySchema.index({ parkingLotId: 1, status: 1, createdAt: 1 }); // Queue order
+waitlistEntrySchema.index({ userId: 1, createdAt: -1 });
+waitlistEntrySchema.index({ bookingId: 1 }, { sparse: true });
+
+module.exports = mongoose.model("WaitlistEntry", waitlistEntrySchema);
@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+// One line of a user's wallet ledger. Entries are only ever appended; the
+// running balance is cached on User.walletBalance.
+const walletEntrySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["topup", "booking_debit", "pass_debit", "refund", "penalty"],
+      required: true,
+    },
+    amount: {
+      type: Number, // Positive for credits, negative for debits
+      required: true,
+    },
+    balanceAfter: {
+      type: Number,
+      required: true,
+    },
+    description: {
+      type: String,
+      required: true,
+    },
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      required: false,
+    },
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+      required: false,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+walletEntrySchema.index({ userId: 1, createdAt: -1 });
+
+// Corrections are new entries, never edits of old ones
+["updateOne", "updateMany", "findOneAndUpdate", "replaceOne"].forEach((op) =>
+  walletEntrySchema.pre(op, function (next) {
+    next(new Error("Wallet entries are append-only"));
+  })
+);
+
+module.exports = mongoose.model("WalletEntry", walletEntrySchema);
@@ -1,5 +1,6 @@
 // Booking History API routes
-// Handles: fetch user's booking history, create new bookings, cancel bookings
+// Handles: fetch user's booking history, create new bookings, cancel bookings,
+// PDF invoices
 const express = require("express");
 const router = express.Router();
 const requireAuth = require("../middleware/authMiddleware");
@@ -11,19 +12,33 @@ const {
   getBookingsForLots,
   getBookingById,
   updateBookingStatus,
+  getCancellationQuote,
   cancelBooking,
+  extendBooking,
+  checkoutBooking,
   getOwnerStats,
 } = require("../services/bookingsService");
+const { getOverstaysForLots } = require("../services/overstayService");
+const { signCheckinToken } = require("../services/checkinService");
+const { payBookingFromWallet } = require("../services/paymentService");
+const invoiceService = require("../services/invoiceService");
+const Booking = require("../models/Booking");
 const ParkingLot = require("../models/ParkingLot");
 const User = require("../models/User");
 
 // GET /api/bookings
-// Returns booking history for the authenticated user
+// Returns booking history for the authenticated user, each with its signed
+// gate pass (checkinToken) to show as a QR code
 router.get("/", requireAuth, async (req, res) => {
   try {
     const { status } = req.query;
     const bookings = await getBookingsByUser(req.user.id, status);
-    res.json({ bookings });
+    res.json({
+      bookings: bookings.map((b) => ({
+        ...b.toObject(),
+        checkinToken: signCheckinToken(b),
+      })),
+    });
   } catch (err) {
     console.error("Error fetching bookings:", err);
     res
@@ -98,6 +113,80 @@ router.get("/owner-stats", requireAuth, async (req, res) => {
   }
 });
 
+// GET /api/bookings/overstays
+// Returns vehicles still parked past their booking at the owner's lots, with the fee so far
+router.get("/overstays", requireAuth, async (req, res) => {
+  try {
+    if (req.user.role !== "owner" && req.user.role !== "admin") {
+      return res
+        .status(403)
+        .json({ message: "Owner or admin access required" });
+    }
+
+    const lots = await ParkingLot.find({ owner: req.user.id }).select("_id");
+    const lotIds = lots.map((lot) => lot._id);
+
+    const overstays = await getOverstaysForLots(lotIds);
+    res.json({ overstays });
+  } catch (err) {
+    console.error("Error fetching overstays:", err);
+    res
+      .status(500)
+      .json({ message: "Error fetching overstays", error: err.message });
+  }
+});
+
+// GET /api/bookings/owner-invoices?from=YYYY-MM-DD&to=YYYY-MM-DD&lotId=...
+// One PDF with the invoices of bookings at the owner's lots that started in
+// the range (India dates, both included); missing invoices are issued
+router.get("/owner-invoices", requireAuth, async (req, res) => {
+  try {
+    if (req.user.role !== "owner" && req.user.role !== "admin") {
+      return res
+        .status(403)
+        .json({ message: "Owner or admin access required" });
+    }
+
+    const { from, to } = invoiceService.parseInvoiceRange(
+      req.query.from,
+      req.query.to
+    );
+    const lotQuery = { owner: req.user.id };
+    if (req.query.lotId) lotQuery._id = req.query.lotId;
+    const lots = await ParkingLot.find(lotQuery).select("_id");
+    const lotIds = lots.map((lot) => lot._id);
+
+    const bookings = await invoiceService.getInvoiceableBookings(
+      lotIds,
+      from,
+      to
+    );
+    if (!bookings.length) {
+      return res
+        .status(404)
+        .json({ message: "No invoices for these dates", code: "NO_INVOICE" });
+    }
+    const invoices = await invoiceService.issueInvoices(bookings);
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="invoices-${req.query.from}-to-${req.query.to}.pdf"`
+    );
+    invoiceService.writeInvoicesPdf(invoices, res);
+  } catch (err) {
+    console.error("Error exporting invoices:", err);
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
+    res
+      .status(500)
+      .json({ message: "Error exporting invoices", error: err.message });
+  }
+});
+
 // GET /api/bookings/lot/:lotId
 // Returns bookings for a specific parking lot
 router.get("/lot/:lotId", requireAuth, async (req, res) => {
@@ -138,12 +227,17 @@ router.get("/:id", requireAuth, async (req, res) => {
     // Check authorization
     if (
       req.user.role !== "admin" &&
-      booking.userId.toString() !== req.user.id
+      String(booking.userId?._id || booking.userId) !== req.user.id
     ) {
       return res.status(403).json({ message: "Not authorized" });
     }
 
-    res.json({ booking });
+    res.json({
+      booking: {
+        ...booking.toObject(),
+        checkinToken: signCheckinToken(booking),
+      },
+    });
   } catch (err) {
     console.error("Error fetching booking:", err);
     res
@@ -162,7 +256,9 @@ router.post("/", requireAuth, async (req, res) => {
       vehicleNumber,
       startTime,
       endTime,
-      duration,
+      quoteToken,
+      promoCode,
+      payWith,
     } = req.body;
 
     // Validate required fields
@@ -176,29 +272,41 @@ router.post("/", requireAuth, async (req, res) => {
       return res.status(400).json({ message: "Missing required fields" });
     }
 
+    // Validate the requested window
+    const start = new Date(startTime);
+    const end = new Date(endTime);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      return res.status(400).json({ message: "Invalid start or end time" });
+    }
+    if (end <= start) {
+      return res
+        .status(400)
+        .json({ message: "End time must be after start time" });
+    }
+    // Allow a little clock skew for "start now" bookings from the client
+    if (start.getTime() < Date.now() - 5 * 60 * 1000) {
+      return res
+        .status(400)
+        .json({ message: "Start time cannot be in the past" });
+    }
+
     // Get parking lot details
     const parkingLot = await ParkingLot.findById(parkingLotId);
     if (!parkingLot) {
       return res.status(404).json({ message: "Parking lot not found" });
     }
 
-    // Check availability
-    if (parkingLot.availableSlots <= 0) {
-      return res.status(400).json({ message: "No slots available" });
-    }
-
     // Get user details
     const user = await User.findById(req.user.id);
     if (!user) {
       return res.status(404).json({ message: "User not found" });
     }
 
-    // Calculate duration and price
-    const start = new Date(startTime);
-    const end = new Date(endTime);
-    const hours = duration || Math.ceil((end - start) / (1000 * 60 * 60));
-    const totalPrice = hours * parkingLot.pricePerHour;
+    // Duration comes from the window itself
+    const hours = Math.round(((end - start) / (1000 * 60 * 60)) * 100) / 100;
 
+    // Status (upcoming/active), window capacity and the price (from the lot's
+    // pricing rules) are decided by createBooking
     const bookingData = {
       userId: req.user.id,
       userName: user.name,
@@ -211,15 +319,39 @@ router.post("/", requireAuth, async (req, res) => {
       startTime: start,
       endTime: end,
       duration: hours,
-      pricePerHour: parkingLot.pricePerHour,
-      totalPrice,
-      status: "active",
+      quoteToken, // Locks in the price shown by GET /api/parkinglots/:id/quote
+      promoCode,
     };
 
     const booking = await createBooking(bookingData);
-    res.status(201).json({ message: "Booking created successfully", booking });
+    if (payWith !== "wallet" || booking.paymentStatus !== "pending") {
+      return res
+        .status(201)
+        .json({ message: "Booking created successfully", booking });
+    }
+
+    // Paying from the wallet right away; if that fails the booking still
+    // waits for payment like any other
+    try {
+      const paid = await payBookingFromWallet(booking._id, req.user.id);
+      res.status(201).json({
+        message: "Booking created and paid from wallet",
+        booking: paid.booking,
+      });
+    } catch (walletErr) {
+      res.status(201).json({
+        message: "Booking created successfully",
+        booking,
+        walletError: walletErr.message,
+      });
+    }
   } catch (err) {
     console.error("Error creating booking:", err);
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
     res
       .status(500)
       .json({ message: "Error creating booking", error: err.message });
@@ -227,7 +359,9 @@ router.post("/", requireAuth, async (req, res) => {
 });
 
 // PATCH /api/bookings/:id/status
-// Update booking status
+// Update booking status. Drivers can only complete an active booking;
+// "cancelled" from a driver is a cancellation under the lot's refund policy.
+// Cancelled and expired bookings can't be moved out of (admins included).
 router.patch("/:id/status", requireAuth, async (req, res) => {
   try {
     const { status } = req.body;
@@ -236,6 +370,11 @@ router.patch("/:id/status", requireAuth, async (req, res) => {
       return res.status(400).json({ message: "Invalid status" });
     }
 
+    if (req.user.role !== "admin" && status === "cancelled") {
+      const cancelled = await cancelBooking(req.params.id, req.user.id);
+      return res.json({ message: "Booking cancelled", booking: cancelled });
+    }
+
     const booking = await updateBookingStatus(
       req.params.id,
       status,
@@ -251,14 +390,153 @@ router.patch("/:id/status", requireAuth, async (req, res) => {
     res.json({ message: "Booking status updated", booking });
   } catch (err) {
     console.error("Error updating booking:", err);
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
     res
       .status(500)
       .json({ message: "Error updating booking", error: err.message });
   }
 });
 
+// POST /api/bookings/:id/extend
+// Extend a booking to a later endTime (body: { endTime } or { hours })
+router.post("/:id/extend", requireAuth, async (req, res) => {
+  try {
+    const { endTime, hours } = req.body || {};
+    const booking = await extendBooking(
+      req.params.id,
+      req.user.role === "admin" ? null : req.user.id,
+      { endTime, hours }
+    );
+    if (!booking) {
+      return res
+        .status(404)
+        .json({ message: "Booking not found or not authorized" });
+    }
+
+    res.json({ message: "Booking extended", booking });
+  } catch (err) {
+    console.error("Error extending booking:", err);
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
+    res
+      .status(500)
+      .json({ message: "Error extending booking", error: err.message });
+  }
+});
+
+// POST /api/bookings/:id/checkout
+// Check out now; leaving early credits the unused time, leaving late settles
+// the overstay fee. Lot owners can check out vehicles that left their lot.
+router.post("/:id/checkout", requireAuth, async (req, res) => {
+  try {
+    let userId = req.user.role === "admin" ? null : req.user.id;
+    if (req.user.role === "owner") {
+      const current = await getBookingById(req.params.id);
+      const ownsLot =
+        current &&
+        (await ParkingLot.exists({
+          _id: current.parkingLotId?._id || current.parkingLotId,
+          owner: req.user.id,
+        }));
+      if (ownsLot) userId = null;
+    }
+
+    const booking = await checkoutBooking(req.params.id, userId);
+    if (!booking) {
+      return res
+        .status(404)
+        .json({ message: "Booking not found or not authorized" });
+    }
+
+    res.json({ message: "Checked out", booking });
+  } catch (err) {
+    console.error("Error checking out booking:", err);
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
+    res
+      .status(500)
+      .json({ message: "Error checking out booking", error: err.message });
+  }
+});
+
+// GET /api/bookings/:id/invoice
+// PDF invoice of a settled booking (its driver, the lot's owner or an admin);
+// numbered and frozen the first time it is downloaded
+router.get("/:id/invoice", requireAuth, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      return res.status(404).json({ message: "Booking not found" });
+    }
+    const isDriver = String(booking.userId) === req.user.id;
+    const isLotOwner =
+      req.user.role === "owner" &&
+      (await ParkingLot.exists({
+        _id: booking.parkingLotId,
+        owner: req.user.id,
+      }));
+    if (req.user.role !== "admin" && !isDriver && !isLotOwner) {
+      return res.status(403).json({ message: "Not authorized" });
+    }
+
+    const invoices = await invoiceService.issueInvoices([booking]);
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${invoiceService.invoiceFileName(
+        invoices[0].invoice
+      )}"`
+    );
+    invoiceService.writeInvoicesPdf(invoices, res);
+  } catch (err) {
+    console.error("Error fetching invoice:", err);
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
+    res
+      .status(500)
+      .json({ message: "Error fetching invoice", error: err.message });
+  }
+});
+
+// GET /api/bookings/:id/cancellation-quote
+// What cancelling now would refund under the lot's cancellation policy
+router.get("/:id/cancellation-quote", requireAuth, async (req, res) => {
+  try {
+    const quote = await getCancellationQuote(req.params.id, req.user.id);
+    if (!quote) {
+      return res
+        .status(404)
+        .json({ message: "Booking not found or not authorized" });
+    }
+    res.json({ quote });
+  } catch (err) {
+    console.error("Error quoting cancellation:", err);
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
+    res
+      .status(500)
+      .json({ message: "Error quoting cancellation", error: err.message });
+  }
+});
+
 // DELETE /api/bookings/:id
-// Cancel a booking
+// Cancel a booking (refunding what the lot's cancellation policy allows)
 router.delete("/:id", requireAuth, async (req, res) => {
   try {
     const booking = await cancelBooking(req.params.id, req.user.id);
@@ -272,6 +550,11 @@ router.delete("/:id", requireAuth, async (req, res) => {
     res.json({ message: "Booking cancelled successfully", booking });
   } catch (err) {
     console.error("Error cancelling booking:", err);
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
     res
       .status(500)
       .json({ message: "Error cancelling booking", error: err.message });
@@ -0,0 +1,182 @@
+// Gate API routes
+// Handles: entry and exit scans of signed booking passes (QR codes), booking
+// lookup and walk-in sessions for gate staff (owners, their attendants and admins)
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const requireAuth = require("../middleware/authMiddleware");
+const Booking = require("../models/Booking");
+const {
+  signCheckinToken,
+  resolveCheckinToken,
+  canOperateGate,
+  getGateLots,
+  lookupBookings,
+  recordEntry,
+  recordExit,
+} = require("../services/checkinService");
+const { startWalkIn } = require("../services/walkinService");
+
+// Shared by entry and exit: verify the pass (or, for a booking found through
+// the lookup, its id) and that the scanner runs its lot.
+// Sends the error response itself and returns null when the scan is refused.
+async function loadScannedBooking(req, res) {
+  const { token, bookingId, lotId } = req.body || {};
+  if (!token && !bookingId) {
+    res.status(400).json({ message: "Missing pass token or booking id" });
+    return null;
+  }
+  let booking = null;
+  if (token) {
+    booking = await resolveCheckinToken(token);
+    if (!booking) {
+      res
+        .status(400)
+        .json({ message: "Invalid or tampered pass", code: "INVALID_PASS" });
+      return null;
+    }
+  } else {
+    if (mongoose.isValidObjectId(bookingId)) {
+      booking = await Booking.findById(bookingId);
+    }
+    if (!booking) {
+      res.status(404).json({ message: "Booking not found" });
+      return null;
+    }
+  }
+  if (!(await canOperateGate(req.user, booking.parkingLotId))) {
+    res.status(403).json({ message: "You don't run the gates of this lot" });
+    return null;
+  }
+  // A scanner set up for one lot must not let another lot's pass through
+  if (lotId && String(booking.parkingLotId) !== String(lotId)) {
+    res.status(409).json({
+      message: `This pass is for ${booking.parkingLotName}`,
+      code: "WRONG_LOT",
+    });
+    return null;
+  }
+  return booking;
+}
+
+// GET /api/gate/lots
+// Lots whose gates the authenticated user runs
+router.get("/lots", requireAuth, async (req, res) => {
+  try {
+    const lots = await getGateLots(req.user);
+    res.json({ lots });
+  } catch (err) {
+    console.error("Error fetching gate lots:", err);
+    res
+      .status(500)
+      .json({ message: "Error fetching gate lots", error: err.message });
+  }
+});
+
+// GET /api/gate/lookup?q=...&lotId=...
+// Find bookings at the user's gates by scanned pass, booking id or vehicle number
+router.get("/lookup", requireAuth, async (req, res) => {
+  try {
+    const { q, lotId } = req.query;
+    if (lotId && !mongoose.isValidObjectId(lotId)) {
+      return res.status(400).json({ message: "Invalid lot id" });
+    }
+    const bookings = await lookupBookings(req.user, q, lotId || null);
+    res.json({ bookings });
+  } catch (err) {
+    console.error("Error looking up bookings:", err);
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
+    res
+      .status(500)
+      .json({ message: "Error looking up bookings", error: err.message });
+  }
+});
+
+// POST /api/gate/entry
+// Body: { token | bookingId, lotId? } - records arrival (activating an upcoming booking)
+router.post("/entry", requireAuth, async (req, res) => {
+  try {
+    const scanned = await loadScannedBooking(req, res);
+    if (!scanned) return;
+
+    const booking = await recordEntry(scanned);
+    res.json({ message: "Checked in", booking });
+  } catch (err) {
+    console.error("Error at entry scan:", err);
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
+    res
+      .status(500)
+      .json({ message: "Error recording entry", error: err.message });
+  }
+});
+
+// POST /api/gate/exit
+// Body: { token | bookingId, lotId? } - records departure and checks the booking out
+router.post("/exit", requireAuth, async (req, res) => {
+  try {
+    const scanned = await loadScannedBooking(req, res);
+    if (!scanned) return;
+
+    const booking = await recordExit(scanned);
+    res.json({ message: "Checked out", booking });
+  } catch (err) {
+    console.error("Error at exit scan:", err);
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
+    res
+      .status(500)
+      .json({ message: "Error recording exit", error: err.message });
+  }
+});
+
+// POST /api/gate/walkin
+// Body: { lotId, vehicleNumber, vehicleType } - starts a drive-up session without a booking
+router.post("/walkin", requireAuth, async (req, res) => {
+  try {
+    const { lotId, vehicleNumber, vehicleType } = req.body || {};
+    if (!mongoose.isValidObjectId(lotId)) {
+      return res.status(400).json({ message: "Choose the lot first" });
+    }
+    if (!(await canOperateGate(req.user, lotId))) {
+      return res
+        .status(403)
+        .json({ message: "You don't run the gates of this lot" });
+    }
+
+    const booking = await startWalkIn(
+      lotId,
+      { vehicleNumber, vehicleType },
+      req.user
+    );
+    res.status(201).json({
+      message: "Walk-in started",
+      booking: {
+        ...booking.toObject(),
+        checkinToken: signCheckinToken(booking),
+      },
+    });
+  } catch (err) {
+    console.error("Error starting walk-in:", err);
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
+    res
+      .status(500)
+      .json({ message: "Error starting walk-in", error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,37 @@
+// Notification API routes
+// Handles: listing the signed-in user's notifications and marking them read
+const express = require("express");
+const router = express.Router();
+const requireAuth = require("../middleware/authMiddleware");
+const notificationService = require("../services/notificationService");
+
+// GET /api/notifications
+// Newest first, with the number still unread
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    const result = await notificationService.getNotifications(req.user.id);
+    res.json(result);
+  } catch (err) {
+    console.error("Error fetching notifications:", err);
+    res
+      .status(500)
+      .json({ message: "Error fetching notifications", error: err.message });
+  }
+});
+
+// POST /api/notifications/read
+// Mark every notification as read
+router.post("/read", requireAuth, async (req, res) => {
+  try {
+    const updated = await notificationService.markAllRead(req.user.id);
+    res.json({ message: "Notifications marked as read", updated });
+  } catch (err) {
+    console.error("Error marking notifications read:", err);
+    res.status(500).json({
+      message: "Error marking notifications read",
+      error: err.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -4,11 +4,68 @@ const express = require("express");
 const router = express.Router();
 const ParkingLot = require("../models/ParkingLot");
 const requireAuth = require("../middleware/authMiddleware");
+const photoUpload = require("../middleware/photoUpload");
 const bookingsService = require("../services/bookingsService");
+const slotsService = require("../services/slotsService");
+const vehicleRatesService = require("../services/vehicleRatesService");
+const pricingService = require("../services/pricingService");
+const demandPricingService = require("../services/demandPricingService");
+const overstayService = require("../services/overstayService");
+const cancellationService = require("../services/cancellationService");
+const attendantsService = require("../services/attendantsService");
+const invoiceService = require("../services/invoiceService");
+const promoService = require("../services/promoService");
+const lotsService = require("../services/lotsService");
+const hoursService = require("../services/hoursService");
+const lotFeaturesService = require("../services/lotFeaturesService");
+const photosService = require("../services/photosService");
+const nearbyLotsService = require("../services/nearbyLotsService");
 const User = require("../models/User");
+const jwt = require("jsonwebtoken");
 
-// GET /api/parkinglots?lat=...&lng=...
-// Returns all parking lots within 5km of the given coordinates
+// Load a lot the authenticated user may manage (its owner, or any admin)
+async function findManagedLot(req, lotId) {
+  if (!req.user || !["owner", "admin"].includes(req.user.role)) return null;
+  const query = { _id: lotId };
+  if (req.user.role !== "admin") query.owner = req.user.id;
+  return ParkingLot.findOne(query);
+}
+
+// Middleware: 403 unless the user manages lot :id, which is put on req.lot.
+// Runs before body parsers such as photoUpload so nobody else's upload is read.
+async function requireManagedLot(req, res, next) {
+  try {
+    req.lot = await findManagedLot(req, req.params.id);
+  } catch (err) {
+    return res
+      .status(500)
+      .json({ message: "Error loading parking lot", error: err.message });
+  }
+  if (!req.lot)
+    return res
+      .status(403)
+      .json({ message: "You don't manage this parking lot" });
+  next();
+}
+
+// The signed-in user on a public route, if a valid token was sent
+function optionalUserId(req) {
+  const token = req.headers.authorization?.split(" ")[1];
+  if (!token) return null;
+  try {
+    return jwt.verify(token, process.env.JWT_SECRET).id;
+  } catch {
+    return null;
+  }
+}
+
+// GET /api/parkinglots?lat=...&lng=...&radius=...&sort=...&cursor=...
+// (also vehicleType, limit, type and amenities)
+// Returns one page of the parking lots within `radius` meters (default 5km,
+// at most 25km) of the given coordinates, each with its `distance` in meters.
+// sort: distance (default), price (the vehicleType's current rate, cheapest
+// first), availability (most free slots first) or rating (best first).
+// Pass `nextCursor` back as `cursor` for the next page; it is null on the last.
 router.get("/", async (req, res) => {
   const { lat, lng } = req.query;
 
@@ -17,27 +74,30 @@ router.get("/", async (req, res) => {
     return res.status(400).json({ message: "Missing latitude or longitude" });
   }
 
+  let features;
+  let params;
   try {
-    // Allow optional radius in meters but cap strictly to 5000m
-    let radius = parseInt(req.query.radius, 10);
-    if (Number.isNaN(radius) || radius <= 0) radius = 5000;
-    // Enforce hard cap at 5000m (5km)
-    radius = Math.min(radius, 5000);
-    // Use $near query to find lots sorted by distance
-    const lots = await ParkingLot.find({
-      location: {
-        $near: {
-          $geometry: {
-            type: "Point",
-            coordinates: [parseFloat(lng), parseFloat(lat)],
-          },
-          $maxDistance: radius,
-        },
-      },
-    });
+    features = lotFeaturesService.buildFeatureFilter(req.query);
+    params = nearbyLotsService.parseNearbyQuery(req.query);
+  } catch (validationErr) {
+    return res.status(400).json({ message: validationErr.message });
+  }
 
-    // Mongo returns distance in 'dist.calculated' only for $geoNear; calculate approx distance from coordinates if needed in frontend.
-    res.json({ parkingLots: lots });
+  try {
+    const { lots: found, nextCursor } = await nearbyLotsService.findNearbyLots(
+      params,
+      {
+        isActive: { $ne: false }, // Closed lots are hidden from drivers
+        ...features,
+      }
+    );
+    const lots = await bookingsService.attachVehicleAvailability(found);
+    res.json({
+      parkingLots: lots,
+      nextCursor,
+      sort: params.sort,
+      radius: params.radius,
+    });
   } catch (err) {
     res
       .status(500)
@@ -45,11 +105,26 @@ router.get("/", async (req, res) => {
   }
 });
 
-// GET /api/parkinglots/all
-// Returns all parking lots for map display (no location filter)
+// GET /api/parkinglots/all?lat=...&lng=...&type=...&amenities=...
+// Returns all parking lots for map display (no location filter). With lat and
+// lng they come nearest first, each with its `distance` in meters.
 router.get("/all", async (req, res) => {
+  let features;
+  let point = null;
   try {
-    const lots = await ParkingLot.find({}).sort({ name: 1 });
+    features = lotFeaturesService.buildFeatureFilter(req.query);
+    if (req.query.lat && req.query.lng) {
+      point = nearbyLotsService.parseNearbyQuery(req.query).point;
+    }
+  } catch (validationErr) {
+    return res.status(400).json({ message: validationErr.message });
+  }
+  try {
+    const match = { isActive: { $ne: false }, ...features };
+    const found = point
+      ? await nearbyLotsService.findLotsByDistance(point, match)
+      : await ParkingLot.find(match).sort({ name: 1 });
+    const lots = await bookingsService.attachVehicleAvailability(found);
     res.json({ parkingLots: lots });
   } catch (err) {
     res
@@ -58,13 +133,20 @@ router.get("/all", async (req, res) => {
   }
 });
 
-// GET /api/parkinglots/search?q=...
+// GET /api/parkinglots/search?q=...&type=...&amenities=...
 // Text search parking lots by name and address fields (case-insensitive)
 router.get("/search", async (req, res) => {
   try {
     const q = String(req.query.q || "").trim();
     if (!q) return res.json({ parkingLots: [] });
 
+    let features;
+    try {
+      features = lotFeaturesService.buildFeatureFilter(req.query);
+    } catch (validationErr) {
+      return res.status(400).json({ message: validationErr.message });
+    }
+
     // Tokenize query and build prefix/initials-friendly regexes
     const tokens = q
       .split(/\s+/)
@@ -87,7 +169,11 @@ router.get("/search", async (req, res) => {
       ],
     }));
 
-    const query = tokenClauses.length ? { $and: tokenClauses } : {};
+    const query = {
+      isActive: { $ne: false },
+      ...features,
+      ...(tokenClauses.length ? { $and: tokenClauses } : {}),
+    };
 
     const lots = await ParkingLot.find(query, {
       name: 1,
@@ -96,10 +182,22 @@ router.get("/search", async (req, res) => {
       totalSlots: 1,
       availableSlots: 1,
       carsParked: 1,
+      lotType: 1,
+      amenities: 1,
+      ratingAverage: 1,
+      ratingCount: 1,
+      openingHours: 1,
+      "pricingRules.timezone": 1,
     })
       .limit(10)
       .lean();
-    return res.json({ parkingLots: lots || [] });
+    const now = new Date();
+    return res.json({
+      parkingLots: (lots || []).map((lot) => ({
+        ...lot,
+        ...hoursService.getOpenState(lot, now),
+      })),
+    });
   } catch (err) {
     return res
       .status(500)
@@ -107,10 +205,164 @@ router.get("/search", async (req, res) => {
   }
 });
 
+// GET /api/parkinglots/:id/availability?startTime=...&endTime=...&vehicleType=...
+// Returns how many slots are free for the whole requested window
+// (and, with vehicleType, the rate and free slots for that type)
+router.get("/:id/availability", async (req, res) => {
+  try {
+    const start = new Date(req.query.startTime || Date.now());
+    const end = req.query.endTime
+      ? new Date(req.query.endTime)
+      : new Date(start.getTime() + 3600000);
+    if (
+      Number.isNaN(start.getTime()) ||
+      Number.isNaN(end.getTime()) ||
+      end <= start
+    ) {
+      return res.status(400).json({ message: "Invalid time window" });
+    }
+    const lot = await ParkingLot.findById(req.params.id);
+    if (!lot) return res.status(404).json({ message: "Parking lot not found" });
+
+    const availability = await bookingsService.getWindowAvailability(
+      lot,
+      start,
+      end,
+      null,
+      req.query.vehicleType || null
+    );
+    res.json({ startTime: start, endTime: end, ...availability });
+  } catch (err) {
+    res
+      .status(500)
+      .json({ message: "Error checking availability", error: err.message });
+  }
+});
+
+// GET /api/parkinglots/:id/quote?vehicleType=...&startTime=...&endTime=...&promoCode=...
+// Itemized price for a stay, computed exactly as it will be charged. A promo
+// code that can't be used is reported in promoError with the undiscounted price;
+// a window outside the lot's opening hours is reported in hoursError.
+router.get("/:id/quote", async (req, res) => {
+  try {
+    const start = new Date(req.query.startTime || Date.now());
+    const end = req.query.endTime
+      ? new Date(req.query.endTime)
+      : new Date(start.getTime() + 3600000);
+    if (
+      Number.isNaN(start.getTime()) ||
+      Number.isNaN(end.getTime()) ||
+      end <= start
+    ) {
+      return res.status(400).json({ message: "Invalid time window" });
+    }
+    const lot = await ParkingLot.findById(req.params.id);
+    if (!lot) return res.status(404).json({ message: "Parking lot not found" });
+
+    const vehicleType = req.query.vehicleType || "car";
+    const window = { vehicleType, startTime: start, endTime: end };
+    const quote = pricingService.quotePrice(lot, window);
+    let priced = quote;
+    let promoError;
+    if (req.query.promoCode) {
+      try {
+        const promo = await promoService.findApplicablePromo(
+          req.query.promoCode,
+          { lot, vehicleType, userId: optionalUserId(req) }
+        );
+        priced = promoService.applyPromo(quote, promo);
+      } catch (promoErr) {
+        if (!promoErr.status) throw promoErr;
+        promoError = { message: promoErr.message, code: promoErr.code };
+      }
+    }
+    res.json({
+      startTime: start,
+      endTime: end,
+      vehicleType,
+      accepted: vehicleRatesService.acceptsVehicle(lot, vehicleType),
+      ...priced,
+      promoError,
+      hoursError: hoursService.checkOpenWindow(lot, start, end) || undefined,
+      // Send this back with POST /api/bookings to be charged exactly this price
+      // (the promo code is sent alongside and checked again)
+      quoteToken: pricingService.signQuote(lot, window, quote),
+    });
+  } catch (err) {
+    res
+      .status(500)
+      .json({ message: "Error calculating price", error: err.message });
+  }
+});
+
+// GET /api/parkinglots/:id/attendants - gate staff assigned to a lot (owner/admin)
+router.get("/:id/attendants", requireAuth, async (req, res) => {
+  try {
+    const lot = await findManagedLot(req, req.params.id);
+    if (!lot)
+      return res
+        .status(403)
+        .json({ message: "You don't manage this parking lot" });
+    const attendants = await attendantsService.listAttendants(lot);
+    res.json({ attendants });
+  } catch (err) {
+    res
+      .status(500)
+      .json({ message: "Error fetching attendants", error: err.message });
+  }
+});
+
+// POST /api/parkinglots/:id/attendants - assign a registered user as gate staff (owner/admin)
+// Body: { email }
+router.post("/:id/attendants", requireAuth, async (req, res) => {
+  try {
+    const lot = await findManagedLot(req, req.params.id);
+    if (!lot)
+      return res
+        .status(403)
+        .json({ message: "You don't manage this parking lot" });
+    let attendant;
+    try {
+      attendant = await attendantsService.addAttendant(lot, req.body?.email);
+    } catch (validationErr) {
+      return res.status(400).json({ message: validationErr.message });
+    }
+    res.status(201).json({
+      message: "Attendant assigned",
+      attendant: {
+        _id: attendant._id,
+        name: attendant.name,
+        email: attendant.email,
+      },
+    });
+  } catch (err) {
+    res
+      .status(500)
+      .json({ message: "Failed to assign attendant", error: err.message });
+  }
+});
+
+// DELETE /api/parkinglots/:id/attendants/:userId - take staff off a lot (owner/admin)
+router.delete("/:id/attendants/:userId", requireAuth, async (req, res) => {
+  try {
+    const lot = await findManagedLot(req, req.params.id);
+    if (!lot)
+      return res
+        .status(403)
+        .json({ message: "You don't manage this parking lot" });
+    await attendantsService.removeAttendant(lot, req.params.userId);
+    res.json({ message: "Attendant removed" });
+  } catch (err) {
+    res
+      .status(500)
+      .json({ message: "Failed to remove attendant", error: err.message });
+  }
+});
+
 module.exports = router;
 
 // POST /api/parkinglots/:id/book
-// Book a slot at a parking lot (decrements availableSlots, increments carsParked) and record booking
+// Book a slot at a parking lot (atomically decrements availableSlots, increments carsParked) and record booking
 router.post("/:id/book", requireAuth, async (req, res) => {
   const { id } = req.params;
   const { hour, vehicleType = "car", vehicleNumber = "UNKNOWN" } = req.body;
@@ -120,17 +372,14 @@ router.post("/:id/book", requireAuth, async (req, res) => {
   try {
     const lot = await ParkingLot.findById(id);
     if (!lot) return res.status(404).json({ message: "Parking lot not found" });
-    if (lot.availableSlots < 1)
-      return res.status(400).json({ message: "No slots available" });
 
     // Fetch user details for booking metadata
     const user = await User.findById(req.user.id);
     if (!user) return res.status(404).json({ message: "User not found" });
 
+    // Price is worked out by createBooking from the lot's pricing rules
     const now = new Date();
     const endTime = new Date(now.getTime() + duration * 3600000);
-    const pricePerHour = lot.pricePerHour || 50;
-    const totalPrice = pricePerHour * duration;
 
     const bookingData = {
       userId: user._id,
@@ -144,15 +393,17 @@ router.post("/:id/book", requireAuth, async (req, res) => {
       startTime: now,
       endTime,
       duration,
-      pricePerHour,
-      totalPrice,
-      status: "active",
     };
 
     const booking = await bookingsService.createBooking(bookingData);
 
     res.json({ message: "Slot booked!", booking });
   } catch (err) {
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
     res.status(500).json({ message: "Booking failed", error: err.message });
   }
 });
@@ -166,13 +417,35 @@ router.post("/", requireAuth, async (req, res) => {
         .status(403)
         .json({ message: "Only owners can register parking" });
     }
-    const { name, latitude, longitude, totalSlots, address, pricePerHour } =
-      req.body;
+    const {
+      name,
+      latitude,
+      longitude,
+      totalSlots,
+      address,
+      pricePerHour,
+      vehicleRates,
+      lotType,
+      amenities,
+    } = req.body;
     if (!name || latitude == null || longitude == null || !totalSlots) {
       return res.status(400).json({
         message: "name, latitude, longitude, totalSlots are required",
       });
     }
+    let rates = [];
+    let features;
+    try {
+      if (vehicleRates) {
+        rates = vehicleRatesService.normalizeVehicleRates(vehicleRates);
+      }
+      features = {
+        lotType: lotFeaturesService.normalizeLotType(lotType),
+        amenities: lotFeaturesService.normalizeAmenities(amenities),
+      };
+    } catch (validationErr) {
+      return res.status(400).json({ message: validationErr.message });
+    }
     const lot = new ParkingLot({
       name,
       location: {
@@ -184,6 +457,8 @@ router.post("/", requireAuth, async (req, res) => {
       availableSlots: Number(totalSlots),
       owner: req.user.id,
       pricePerHour: pricePerHour != null ? Number(pricePerHour) : undefined,
+      vehicleRates: rates,
+      ...features,
     });
     await lot.save();
     res.status(201).json({ message: "Parking lot registered", lot });
@@ -231,3 +506,474 @@ router.get("/owner", requireAuth, async (req, res) => {
       .json({ message: "Error fetching owner lots", error: err.message });
   }
 });
+
+// GET /api/parkinglots/:id/slots - bay layout with current occupancy (owner/admin)
+router.get("/:id/slots", requireAuth, async (req, res) => {
+  try {
+    const lot = await findManagedLot(req, req.params.id);
+    if (!lot)
+      return res
+        .status(403)
+        .json({ message: "You don't manage this parking lot" });
+    const slots = await slotsService.getSlotOccupancy(lot);
+    res.json({ slots });
+  } catch (err) {
+    res
+      .status(500)
+      .json({ message: "Error fetching bays", error: err.message });
+  }
+});
+
+// PUT /api/parkinglots/:id/slots - replace the bay layout (owner/admin)
+// Body: { slots: [{ code, level, vehicleTypes, enabled }] }
+//    or { generate: { levels: ["G", "L1"], perLevel: 20, vehicleTypes } }
+router.put("/:id/slots", requireAuth, async (req, res) => {
+  try {
+    const lot = await findManagedLot(req, req.params.id);
+    if (!lot)
+      return res
+        .status(403)
+        .json({ message: "You don't manage this parking lot" });
+    const { slots, generate } = req.body || {};
+    const layout = generate
+      ? slotsService.generateSlotLayout({
+          levels: Array.isArray(generate.levels) ? generate.levels : ["G"],
+          perLevel: generate.perLevel,
+          vehicleTypes: generate.vehicleTypes,
+        })
+      : slots;
+    let updated;
+    try {
+      updated = await slotsService.setLotSlots(lot, layout);
+    } catch (validationErr) {
+      // 409 when bays are still booked, 400 for an invalid layout
+      return res
+        .status(validationErr.status || 400)
+        .json({ message: validationErr.message, code: validationErr.code });
+    }
+    res.json({ message: "Bay layout saved", lot: updated });
+  } catch (err) {
+    res
+      .status(500)
+      .json({ message: "Failed to save bay layout", error: err.message });
+  }
+});
+
+// PATCH /api/parkinglots/:id/slots/:code - enable/disable or re-tag one bay
+router.patch("/:id/slots/:code", requireAuth, async (req, res) => {
+  try {
+    const lot = await findManagedLot(req, req.params.id);
+    if (!lot)
+      return res
+        .status(403)
+        .json({ message: "You don't manage this parking lot" });
+    const { slot, lot: updated } = await slotsService.updateLotSlot(
+      lot,
+      req.params.code,
+      req.body || {}
+    );
+    res.json({
+      message: "Bay updated",
+      slot,
+      totalSlots: updated.totalSlots,
+      availableSlots: updated.availableSlots,
+    });
+  } catch (err) {
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
+    res
+      .status(500)
+      .json({ message: "Failed to update bay", error: err.message });
+  }
+});
+
+// PUT /api/parkinglots/:id/vehicle-rates - set per-vehicle-type capacity and rates (owner/admin)
+// Body: { vehicleRates: [{ vehicleType, capacity, pricePerHour }] } ([] = shared pool at pricePerHour)
+router.put("/:id/vehicle-rates", requireAuth, async (req, res) => {
+  try {
+    const lot = await findManagedLot(req, req.params.id);
+    if (!lot)
+      return res
+        .status(403)
+        .json({ message: "You don't manage this parking lot" });
+    let updated;
+    try {
+      updated = await vehicleRatesService.setLotVehicleRates(
+        lot,
+        req.body?.vehicleRates || []
+      );
+    } catch (validationErr) {
+      return res
+        .status(validationErr.status || 400)
+        .json({ message: validationErr.message, code: validationErr.code });
+    }
+    res.json({ message: "Vehicle rates saved", lot: updated });
+  } catch (err) {
+    res
+      .status(500)
+      .json({ message: "Failed to save vehicle rates", error: err.message });
+  }
+});
+
+// PUT /api/parkinglots/:id/pricing-rules - peak hours, weekend multiplier, daily cap,
+// free minutes and long-stay tiers (owner/admin)
+router.put("/:id/pricing-rules", requireAuth, async (req, res) => {
+  try {
+    const lot = await findManagedLot(req, req.params.id);
+    if (!lot)
+      return res
+        .status(403)
+        .json({ message: "You don't manage this parking lot" });
+    try {
+      lot.pricingRules = pricingService.normalizePricingRules(req.body || {});
+    } catch (validationErr) {
+      return res.status(400).json({ message: validationErr.message });
+    }
+    await lot.save();
+    res.json({
+      message: "Pricing rules saved",
+      pricingRules: lot.pricingRules,
+    });
+  } catch (err) {
+    res
+      .status(500)
+      .json({ message: "Failed to save pricing rules", error: err.message });
+  }
+});
+
+// PUT /api/parkinglots/:id/overstay-policy - grace period, fee and cut-off for
+// vehicles parked past their booking (owner/admin)
+// Body: { graceMinutes, ratePerHour (null = vehicle rate), maxHours }
+router.put("/:id/overstay-policy", requireAuth, async (req, res) => {
+  try {
+    const lot = await findManagedLot(req, req.params.id);
+    if (!lot)
+      return res
+        .status(403)
+        .json({ message: "You don't manage this parking lot" });
+    try {
+      lot.overstayPolicy = overstayService.normalizeOverstayPolicy(
+        req.body || {}
+      );
+    } catch (validationErr) {
+      return res.status(400).json({ message: validationErr.message });
+    }
+    await lot.save();
+    res.json({
+      message: "Overstay policy saved",
+      overstayPolicy: lot.overstayPolicy,
+    });
+  } catch (err) {
+    res
+      .status(500)
+      .json({ message: "Failed to save overstay policy", error: err.message });
+  }
+});
+
+// PUT /api/parkinglots/:id/cancellation-policy - refund tiers for cancelled
+// bookings (owner/admin)
+// Body: { freeUntilMinutes, partialRefundPercent }
+router.put("/:id/cancellation-policy", requireAuth, async (req, res) => {
+  try {
+    const lot = await findManagedLot(req, req.params.id);
+    if (!lot)
+      return res
+        .status(403)
+        .json({ message: "You don't manage this parking lot" });
+    try {
+      lot.cancellationPolicy = cancellationService.normalizeCancellationPolicy(
+        req.body || {}
+      );
+    } catch (validationErr) {
+      return res.status(400).json({ message: validationErr.message });
+    }
+    await lot.save();
+    res.json({
+      message: "Cancellation policy saved",
+      cancellationPolicy: lot.cancellationPolicy,
+    });
+  } catch (err) {
+    res.status(500).json({
+      message: "Failed to save cancellation policy",
+      error: err.message,
+    });
+  }
+});
+
+// PUT /api/parkinglots/:id/opening-hours - weekly hours, 24x7 and dated closures (owner/admin)
+// Body: { alwaysOpen, weekly: [{ day, open, close }], closures: [{ from, to, reason }] }
+// Bookings already made are kept; new bookings and extensions must fit the hours
+router.put("/:id/opening-hours", requireAuth, async (req, res) => {
+  try {
+    const lot = await findManagedLot(req, req.params.id);
+    if (!lot)
+      return res
+        .status(403)
+        .json({ message: "You don't manage this parking lot" });
+    try {
+      lot.openingHours = hoursService.normalizeOpeningHours(req.body || {});
+    } catch (validationErr) {
+      return res.status(400).json({ message: validationErr.message });
+    }
+    await lot.save();
+    res.json({
+      message: "Opening hours saved",
+      openingHours: lot.openingHours,
+      ...hoursService.getOpenState(lot),
+    });
+  } catch (err) {
+    res
+      .status(500)
+      .json({ message: "Failed to save opening hours", error: err.message });
+  }
+});
+
+// PUT /api/parkinglots/:id/invoice-details - business name, GSTIN and GST
+// rate printed on the lot's invoices (owner/admin)
+// Body: { legalName, gstin, gstRate }
+router.put("/:id/invoice-details", requireAuth, async (req, res) => {
+  try {
+    const lot = await findManagedLot(req, req.params.id);
+    if (!lot)
+      return res
+        .status(403)
+        .json({ message: "You don't manage this parking lot" });
+    try {
+      lot.invoiceDetails = invoiceService.normalizeInvoiceDetails(
+        req.body || {}
+      );
+    } catch (validationErr) {
+      return res.status(400).json({ message: validationErr.message });
+    }
+    await lot.save();
+    res.json({
+      message: "Invoice details saved",
+      invoiceDetails: lot.invoiceDetails,
+    });
+  } catch (err) {
+    res.status(500).json({
+      message: "Failed to save invoice details",
+      error: err.message,
+    });
+  }
+});
+
+// PUT /api/parkinglots/:id/demand-pricing - occupancy-based pricing bounds (owner/admin)
+// Body: { enabled, minMultiplier, maxMultiplier, lowOccupancy, highOccupancy, forecastHours }
+router.put("/:id/demand-pricing", requireAuth, async (req, res) => {
+  try {
+    const lot = await findManagedLot(req, req.params.id);
+    if (!lot)
+      return res
+        .status(403)
+        .json({ message: "You don't manage this parking lot" });
+    try {
+      await demandPricingService.setLotDemandPricing(lot, req.body || {});
+    } catch (validationErr) {
+      return res.status(400).json({ message: validationErr.message });
+    }
+    res.json({
+      message: "Demand pricing saved",
+      demandPricing: lot.demandPricing,
+      demandMultiplier: lot.demandMultiplier,
+    });
+  } catch (err) {
+    res
+      .status(500)
+      .json({ message: "Failed to save demand pricing", error: err.message });
+  }
+});
+
+// GET /api/parkinglots/:id/price-history - recent demand multiplier changes (owner/admin)
+router.get("/:id/price-history", requireAuth, async (req, res) => {
+  try {
+    const lot = await findManagedLot(req, req.params.id);
+    if (!lot)
+      return res
+        .status(403)
+        .json({ message: "You don't manage this parking lot" });
+    const limit = Math.min(200, parseInt(req.query.limit, 10) || 50);
+    const history = await demandPricingService.getPriceHistory(lot._id, limit);
+    res.json({
+      demandPricing: lot.demandPricing,
+      demandMultiplier: lot.demandMultiplier,
+      history,
+    });
+  } catch (err) {
+    res
+      .status(500)
+      .json({ message: "Error fetching price history", error: err.message });
+  }
+});
+
+// POST /api/parkinglots/:id/photos - upload photos of the lot (owner/admin)
+// multipart/form-data: "photos" image files (JPEG/PNG/WebP) and optional
+// "captions" fields in the same order. Each is resized and thumbnailed.
+router.post(
+  "/:id/photos",
+  requireAuth,
+  requireManagedLot,
+  photoUpload,
+  async (req, res) => {
+    try {
+      const { lot } = req;
+      const captions = [].concat(req.body?.captions ?? []);
+      const added = await photosService.addLotPhotos(
+        lot,
+        req.files || [],
+        captions
+      );
+      res.status(201).json({
+        message: `${added.length} photo${added.length === 1 ? "" : "s"} added`,
+        photos: lot.photos,
+      });
+    } catch (err) {
+      if (err.status) {
+        return res
+          .status(err.status)
+          .json({ message: err.message, code: err.code });
+      }
+      res
+        .status(500)
+        .json({ message: "Failed to upload photos", error: err.message });
+    }
+  }
+);
+
+// PATCH /api/parkinglots/:id/photos/:photoId - edit a caption or make a photo the cover (owner/admin)
+// Body: { caption?, cover?: true }
+router.patch("/:id/photos/:photoId", requireAuth, async (req, res) => {
+  try {
+    const lot = await findManagedLot(req, req.params.id);
+    if (!lot)
+      return res
+        .status(403)
+        .json({ message: "You don't manage this parking lot" });
+    const photos = await photosService.updateLotPhoto(
+      lot,
+      req.params.photoId,
+      req.body || {}
+    );
+    res.json({ message: "Photo updated", photos });
+  } catch (err) {
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
+    res
+      .status(500)
+      .json({ message: "Failed to update photo", error: err.message });
+  }
+});
+
+// DELETE /api/parkinglots/:id/photos/:photoId - remove a photo and its files (owner/admin)
+router.delete("/:id/photos/:photoId", requireAuth, async (req, res) => {
+  try {
+    const lot = await findManagedLot(req, req.params.id);
+    if (!lot)
+      return res
+        .status(403)
+        .json({ message: "You don't manage this parking lot" });
+    const photos = await photosService.removeLotPhoto(
+      lot,
+      req.params.photoId
+    );
+    res.json({ message: "Photo removed", photos });
+  } catch (err) {
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
+    res
+      .status(500)
+      .json({ message: "Failed to remove photo", error: err.message });
+  }
+});
+
+// PUT /api/parkinglots/:id - edit name, location, address, base rate, capacity,
+// lot type and amenities (owner/admin)
+// Body: { name?, latitude?, longitude?, address?, pricePerHour?, totalSlots?, lotType?, amenities? }
+router.put("/:id", requireAuth, async (req, res) => {
+  try {
+    const lot = await findManagedLot(req, req.params.id);
+    if (!lot)
+      return res
+        .status(403)
+        .json({ message: "You don't manage this parking lot" });
+    const updated = await lotsService.updateLotDetails(lot, req.body || {});
+    res.json({ message: "Parking lot updated", lot: updated });
+  } catch (err) {
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
+    res
+      .status(500)
+      .json({ message: "Failed to update parking lot", error: err.message });
+  }
+});
+
+// PATCH /api/parkinglots/:id/status - close a lot to new bookings or reopen it (owner/admin)
+// Body: { isActive: boolean, reason? } - bookings already made are kept
+router.patch("/:id/status", requireAuth, async (req, res) => {
+  try {
+    const lot = await findManagedLot(req, req.params.id);
+    if (!lot)
+      return res
+        .status(403)
+        .json({ message: "You don't manage this parking lot" });
+    const { isActive, reason } = req.body || {};
+    if (typeof isActive !== "boolean") {
+      return res
+        .status(400)
+        .json({ message: "isActive must be true or false" });
+    }
+    const { lot: updated, upcoming } = await lotsService.setLotActive(
+      lot,
+      isActive,
+      reason
+    );
+    res.json({
+      message: isActive ? "Parking lot reopened" : "Parking lot closed",
+      lot: updated,
+      upcoming,
+    });
+  } catch (err) {
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
+    res
+      .status(500)
+      .json({ message: "Failed to update parking lot", error: err.message });
+  }
+});
+
+// DELETE /api/parkinglots/:id - remove a lot with no unfinished bookings or valid passes (owner/admin)
+router.delete("/:id", requireAuth, async (req, res) => {
+  try {
+    const lot = await findManagedLot(req, req.params.id);
+    if (!lot)
+      return res
+        .status(403)
+        .json({ message: "You don't manage this parking lot" });
+    await lotsService.deleteLot(lot);
+    res.json({ message: "Parking lot deleted" });
+  } catch (err) {
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
+    res
+      .status(500)
+      .json({ message: "Failed to delete parking lot", error: err.message });
+  }
+});
@@ -0,0 +1,110 @@
+// Pass API routes
+// Handles: pricing and buying weekly/monthly passes, listing a driver's
+// passes and switching auto-renewal on or off
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const requireAuth = require("../middleware/authMiddleware");
+const passService = require("../services/passService");
+
+// Query strings carry the weekdays as "1,2,3"
+function parseDays(value) {
+  return String(value || "")
+    .split(",")
+    .filter((d) => d !== "");
+}
+
+// GET /api/passes/quote?parkingLotId=...&plan=...&days=1,2,3,4,5&startClock=09:00&endClock=19:00&startDate=YYYY-MM-DD&vehicleType=...
+// The days a pass would book and what it costs
+router.get("/quote", async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.query.parkingLotId)) {
+      return res.status(404).json({ message: "Parking lot not found" });
+    }
+    const quote = await passService.quotePass(req.query.parkingLotId, {
+      ...req.query,
+      days: parseDays(req.query.days),
+    });
+    res.json(quote);
+  } catch (err) {
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
+    res.status(500).json({ message: "Error pricing pass", error: err.message });
+  }
+});
+
+// GET /api/passes
+// The signed-in driver's passes, newest first
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    const passes = await passService.getPassesForUser(req.user.id);
+    res.json({ passes });
+  } catch (err) {
+    console.error("Error fetching passes:", err);
+    res
+      .status(500)
+      .json({ message: "Error fetching passes", error: err.message });
+  }
+});
+
+// POST /api/passes
+// Body: { parkingLotId, vehicleType, vehicleNumber, plan: "weekly"|"monthly",
+//   days: [0-6], startClock, endClock, startDate, autoRenew? } - paid from the wallet
+router.post("/", requireAuth, async (req, res) => {
+  try {
+    const { parkingLotId } = req.body || {};
+    if (!mongoose.isValidObjectId(parkingLotId)) {
+      return res.status(404).json({ message: "Parking lot not found" });
+    }
+    const pass = await passService.buyPass(req.user.id, parkingLotId, req.body);
+    res.status(201).json({ message: "Pass bought", pass });
+  } catch (err) {
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
+    console.error("Error buying pass:", err);
+    res.status(500).json({ message: "Error buying pass", error: err.message });
+  }
+});
+
+// PATCH /api/passes/:id
+// Body: { autoRenew } - a pass without auto-renewal runs until its period ends
+router.patch("/:id", requireAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: "Active pass not found" });
+    }
+    if (typeof req.body?.autoRenew !== "boolean") {
+      return res
+        .status(400)
+        .json({ message: "autoRenew must be true or false" });
+    }
+    const pass = await passService.setAutoRenew(
+      req.params.id,
+      req.user.id,
+      req.body.autoRenew
+    );
+    res.json({
+      message: pass.autoRenew
+        ? "Auto-renew turned on"
+        : "Auto-renew turned off",
+      pass,
+    });
+  } catch (err) {
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
+    res
+      .status(500)
+      .json({ message: "Failed to update pass", error: err.message });
+  }
+});
+
+module.exports = router;
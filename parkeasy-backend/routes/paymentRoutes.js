@@ -0,0 +1,167 @@
+// Payments API routes
+// Handles: starting and confirming payments for bookings and wallet top-ups,
+// paying bookings from the wallet, payment history of a booking, refunds (admin)
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const requireAuth = require("../middleware/authMiddleware");
+const Booking = require("../models/Booking");
+const {
+  getAmountDue,
+  startPayment,
+  confirmPayment,
+  payBookingFromWallet,
+  refundPayment,
+  getPaymentsForBooking,
+} = require("../services/paymentService");
+
+// GET /api/payments?bookingId=...
+// Payments made for a booking (its driver or an admin)
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    const { bookingId } = req.query;
+    if (!mongoose.isValidObjectId(bookingId)) {
+      return res.status(400).json({ message: "Invalid booking id" });
+    }
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      return res.status(404).json({ message: "Booking not found" });
+    }
+    if (req.user.role !== "admin" && String(booking.userId) !== req.user.id) {
+      return res.status(403).json({ message: "Not authorized" });
+    }
+    const payments = await getPaymentsForBooking(booking._id);
+    res.json({
+      payments,
+      amountDue: getAmountDue(booking),
+      paymentStatus: booking.paymentStatus,
+      paymentDueAt: booking.paymentDueAt,
+    });
+  } catch (err) {
+    console.error("Error fetching payments:", err);
+    res
+      .status(500)
+      .json({ message: "Error fetching payments", error: err.message });
+  }
+});
+
+// POST /api/payments
+// Body: { bookingId } - starts paying what is due on the user's booking
+router.post("/", requireAuth, async (req, res) => {
+  try {
+    const { bookingId } = req.body || {};
+    if (!mongoose.isValidObjectId(bookingId)) {
+      return res.status(400).json({ message: "Invalid booking id" });
+    }
+    const { payment, booking } = await startPayment(bookingId, req.user.id);
+    res.status(201).json({
+      payment,
+      booking: {
+        _id: booking._id,
+        parkingLotName: booking.parkingLotName,
+        vehicleNumber: booking.vehicleNumber,
+        startTime: booking.startTime,
+        endTime: booking.endTime,
+        paymentDueAt: booking.paymentDueAt,
+      },
+    });
+  } catch (err) {
+    console.error("Error starting payment:", err);
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
+    res
+      .status(500)
+      .json({ message: "Error starting payment", error: err.message });
+  }
+});
+
+// POST /api/payments/wallet
+// Body: { bookingId } - pays what is due on the user's booking from their wallet
+router.post("/wallet", requireAuth, async (req, res) => {
+  try {
+    const { bookingId } = req.body || {};
+    if (!mongoose.isValidObjectId(bookingId)) {
+      return res.status(400).json({ message: "Invalid booking id" });
+    }
+    const { payment, booking } = await payBookingFromWallet(
+      bookingId,
+      req.user.id
+    );
+    res.json({ message: "Paid from wallet", payment, booking });
+  } catch (err) {
+    console.error("Error paying from wallet:", err);
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
+    res
+      .status(500)
+      .json({ message: "Error paying from wallet", error: err.message });
+  }
+});
+
+// POST /api/payments/:id/confirm
+// Body: { paymentMethod } - charges the payment (card details in the sandbox);
+// top-ups are credited to the wallet
+router.post("/:id/confirm", requireAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: "Payment not found" });
+    }
+    const { payment, booking } = await confirmPayment(
+      req.params.id,
+      req.user.id,
+      req.body?.paymentMethod
+    );
+    if (payment.status !== "succeeded") {
+      return res.status(402).json({
+        message: payment.failureReason,
+        code: "PAYMENT_FAILED",
+        payment,
+      });
+    }
+    res.json({ message: "Payment successful", payment, booking });
+  } catch (err) {
+    console.error("Error confirming payment:", err);
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
+    res
+      .status(500)
+      .json({ message: "Error confirming payment", error: err.message });
+  }
+});
+
+// POST /api/payments/:id/refund (admin only)
+// Body: { amount?, reason? } - refunds all or part of a payment
+router.post("/:id/refund", requireAuth, async (req, res) => {
+  try {
+    if (req.user.role !== "admin") {
+      return res.status(403).json({ message: "Admin access required" });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: "Payment not found" });
+    }
+    const { amount, reason } = req.body || {};
+    const payment = await refundPayment(req.params.id, amount, reason);
+    res.json({ message: "Refund issued", payment });
+  } catch (err) {
+    console.error("Error refunding payment:", err);
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
+    res
+      .status(500)
+      .json({ message: "Error refunding payment", error: err.message });
+  }
+});
+
+module.exports = router;
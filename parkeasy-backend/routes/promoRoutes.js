@@ -0,0 +1,91 @@
+// Promo code API routes
+// Handles: listing, creating and switching off promo codes (owners for their
+// own lots, admins for any lot, city or vehicle type)
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const requireAuth = require("../middleware/authMiddleware");
+const promoService = require("../services/promoService");
+
+// GET /api/promos
+// Owner: codes they created; admin: every code
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    if (req.user.role !== "owner" && req.user.role !== "admin") {
+      return res
+        .status(403)
+        .json({ message: "Owner or admin access required" });
+    }
+    const promos = await promoService.listPromos(req.user);
+    res.json({ promos });
+  } catch (err) {
+    console.error("Error fetching promo codes:", err);
+    res
+      .status(500)
+      .json({ message: "Error fetching promo codes", error: err.message });
+  }
+});
+
+// POST /api/promos
+// Body: { code, description?, discountType: "percent"|"flat", discountValue,
+//   maxDiscount?, minAmount?, validFrom?, validUntil, maxUses?, maxUsesPerUser?,
+//   parkingLotIds?, cities?, vehicleTypes? }
+router.post("/", requireAuth, async (req, res) => {
+  try {
+    if (req.user.role !== "owner" && req.user.role !== "admin") {
+      return res
+        .status(403)
+        .json({ message: "Owner or admin access required" });
+    }
+    const promo = await promoService.createPromo(req.user, req.body || {});
+    res.status(201).json({ message: "Promo code created", promo });
+  } catch (err) {
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
+    console.error("Error creating promo code:", err);
+    res
+      .status(500)
+      .json({ message: "Failed to create promo code", error: err.message });
+  }
+});
+
+// PATCH /api/promos/:id
+// Body: { active } - switch a code off (or back on)
+router.patch("/:id", requireAuth, async (req, res) => {
+  try {
+    if (req.user.role !== "owner" && req.user.role !== "admin") {
+      return res
+        .status(403)
+        .json({ message: "Owner or admin access required" });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: "Promo code not found" });
+    }
+    if (typeof req.body?.active !== "boolean") {
+      return res.status(400).json({ message: "active must be true or false" });
+    }
+    const promo = await promoService.setPromoActive(
+      req.user,
+      req.params.id,
+      req.body.active
+    );
+    res.json({
+      message: promo.active ? "Promo code enabled" : "Promo code disabled",
+      promo,
+    });
+  } catch (err) {
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
+    res
+      .status(500)
+      .json({ message: "Failed to update promo code", error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,206 @@
+// Review API routes
+// Handles: rating and reviewing a lot after a finished booking, listing a
+// lot's reviews, owner replies, reporting reviews and admin moderation
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const requireAuth = require("../middleware/authMiddleware");
+const reviewsService = require("../services/reviewsService");
+
+// GET /api/reviews/lot/:lotId?limit=&before=
+// A lot's published reviews, newest first, with its average rating and count
+router.get("/lot/:lotId", async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.lotId)) {
+      return res.status(404).json({ message: "Parking lot not found" });
+    }
+    const result = await reviewsService.getLotReviews(
+      req.params.lotId,
+      req.query
+    );
+    res.json(result);
+  } catch (err) {
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
+    console.error("Error fetching reviews:", err);
+    res
+      .status(500)
+      .json({ message: "Error fetching reviews", error: err.message });
+  }
+});
+
+// GET /api/reviews/mine
+// The signed-in driver's reviews, newest first
+router.get("/mine", requireAuth, async (req, res) => {
+  try {
+    const reviews = await reviewsService.getReviewsForUser(req.user.id);
+    res.json({ reviews });
+  } catch (err) {
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
+    console.error("Error fetching your reviews:", err);
+    res
+      .status(500)
+      .json({ message: "Error fetching your reviews", error: err.message });
+  }
+});
+
+// POST /api/reviews
+// Body: { bookingId, rating: 1-5, comment? } - the booking must be completed
+// or expired, and each booking can be reviewed once
+router.post("/", requireAuth, async (req, res) => {
+  try {
+    const result = await reviewsService.createReview(
+      req.user.id,
+      req.body || {}
+    );
+    res.status(201).json({ message: "Thanks for your review", ...result });
+  } catch (err) {
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
+    console.error("Error saving review:", err);
+    res
+      .status(500)
+      .json({ message: "Error saving review", error: err.message });
+  }
+});
+
+// GET /api/reviews/manage?filter=all|unreplied|reported|hidden
+// Reviews of the lots the owner manages (every lot for admins)
+router.get("/manage", requireAuth, async (req, res) => {
+  try {
+    if (!["owner", "admin"].includes(req.user.role)) {
+      return res
+        .status(403)
+        .json({ message: "Only owners and admins can manage reviews" });
+    }
+    const reviews = await reviewsService.getManagedReviews(
+      req.user,
+      req.query.filter || "all"
+    );
+    res.json({ reviews });
+  } catch (err) {
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
+    console.error("Error fetching reviews:", err);
+    res
+      .status(500)
+      .json({ message: "Error fetching reviews", error: err.message });
+  }
+});
+
+// PUT /api/reviews/:id/reply - reply to a review of your lot (owner/admin)
+// Body: { text } - empty text removes the reply
+router.put("/:id/reply", requireAuth, async (req, res) => {
+  try {
+    const review = await reviewsService.replyToReview(
+      req.user,
+      req.params.id,
+      req.body?.text
+    );
+    res.json({
+      message: review.reply?.text ? "Reply posted" : "Reply removed",
+      review,
+    });
+  } catch (err) {
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
+    console.error("Error saving reply:", err);
+    res.status(500).json({ message: "Error saving reply", error: err.message });
+  }
+});
+
+// POST /api/reviews/:id/report - flag a review for moderation
+// Body: { reason? }
+router.post("/:id/report", requireAuth, async (req, res) => {
+  try {
+    await reviewsService.reportReview(
+      req.user.id,
+      req.params.id,
+      req.body?.reason
+    );
+    res.json({ message: "Thanks - a moderator will take a look" });
+  } catch (err) {
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
+    console.error("Error reporting review:", err);
+    res
+      .status(500)
+      .json({ message: "Error reporting review", error: err.message });
+  }
+});
+
+// PATCH /api/reviews/:id/moderation - hide or republish a review (admin)
+// Body: { status: "hidden" | "published", reason? } - clears its reports
+router.patch("/:id/moderation", requireAuth, async (req, res) => {
+  try {
+    if (req.user.role !== "admin") {
+      return res
+        .status(403)
+        .json({ message: "Only admins can moderate reviews" });
+    }
+    const review = await reviewsService.moderateReview(
+      req.user.id,
+      req.params.id,
+      req.body || {}
+    );
+    res.json({
+      message:
+        review.status === "hidden" ? "Review hidden" : "Review published",
+      review,
+    });
+  } catch (err) {
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
+    console.error("Error moderating review:", err);
+    res
+      .status(500)
+      .json({ message: "Error moderating review", error: err.message });
+  }
+});
+
+// DELETE /api/reviews/:id - remove a review for good (admin)
+router.delete("/:id", requireAuth, async (req, res) => {
+  try {
+    if (req.user.role !== "admin") {
+      return res
+        .status(403)
+        .json({ message: "Only admins can delete reviews" });
+    }
+    await reviewsService.deleteReview(req.params.id);
+    res.json({ message: "Review deleted" });
+  } catch (err) {
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
+    console.error("Error deleting review:", err);
+    res
+      .status(500)
+      .json({ message: "Error deleting review", error: err.message });
+  }
+});
+
+module.exports = router;
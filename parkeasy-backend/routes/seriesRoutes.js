@@ -0,0 +1,126 @@
+// Recurring booking API routes
+// Handles: previewing, creating and cancelling a driver's recurring bookings
+// (single occurrences are cancelled like any booking, via DELETE /api/bookings/:id)
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const requireAuth = require("../middleware/authMiddleware");
+const seriesService = require("../services/seriesService");
+
+// Query strings carry the weekdays as "1,2,3"
+function parseDays(value) {
+  return String(value || "")
+    .split(",")
+    .filter((d) => d !== "");
+}
+
+// GET /api/booking-series/quote?parkingLotId=...&days=2,4&startClock=10:00&endClock=13:00&startDate=YYYY-MM-DD&endDate=YYYY-MM-DD&vehicleType=...
+// The occurrences a series would book and their prices today
+router.get("/quote", async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.query.parkingLotId)) {
+      return res.status(404).json({ message: "Parking lot not found" });
+    }
+    const quote = await seriesService.quoteSeries(req.query.parkingLotId, {
+      ...req.query,
+      days: parseDays(req.query.days),
+    });
+    res.json(quote);
+  } catch (err) {
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
+    res
+      .status(500)
+      .json({ message: "Error pricing recurring booking", error: err.message });
+  }
+});
+
+// GET /api/booking-series
+// The signed-in driver's recurring bookings, newest first
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    const series = await seriesService.getSeriesForUser(req.user.id);
+    res.json({ series });
+  } catch (err) {
+    console.error("Error fetching recurring bookings:", err);
+    res.status(500).json({
+      message: "Error fetching recurring bookings",
+      error: err.message,
+    });
+  }
+});
+
+// POST /api/booking-series
+// Body: { parkingLotId, vehicleType, vehicleNumber, days: [0-6], startClock,
+//   endClock, startDate, endDate, quotedAmount } - the wallet pays for every
+//   occurrence booked; the ones that were full come back in `skipped`
+router.post("/", requireAuth, async (req, res) => {
+  try {
+    const { parkingLotId } = req.body || {};
+    if (!mongoose.isValidObjectId(parkingLotId)) {
+      return res.status(404).json({ message: "Parking lot not found" });
+    }
+    const { series, bookings, skipped } = await seriesService.createSeries(
+      req.user.id,
+      parkingLotId,
+      req.body
+    );
+    res.status(201).json({
+      message: skipped.length
+        ? `Booked ${bookings.length} of ${
+            bookings.length + skipped.length
+          } occurrences`
+        : `Booked all ${bookings.length} occurrences`,
+      series,
+      bookings,
+      skipped,
+    });
+  } catch (err) {
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
+    console.error("Error creating recurring booking:", err);
+    res.status(500).json({
+      message: "Error creating recurring booking",
+      error: err.message,
+    });
+  }
+});
+
+// DELETE /api/booking-series/:id
+// Cancel every occurrence that hasn't started yet
+router.delete("/:id", requireAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: "Recurring booking not found" });
+    }
+    const { series, cancelled, failed } = await seriesService.cancelSeries(
+      req.params.id,
+      req.user.id
+    );
+    res.json({
+      message: `Cancelled ${cancelled.length} upcoming occurrences`,
+      series,
+      cancelled,
+      failed,
+    });
+  } catch (err) {
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
+    console.error("Error cancelling recurring booking:", err);
+    res.status(500).json({
+      message: "Error cancelling recurring booking",
+      error: err.message,
+    });
+  }
+});
+
+module.exports = router;
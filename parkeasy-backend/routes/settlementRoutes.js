@@ -0,0 +1,169 @@
+// Settlement API routes
+// Handles: lot owners' unsettled earnings, payout schedule and payout
+// statements (view, CSV download), marking statements paid (admin)
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const requireAuth = require("../middleware/authMiddleware");
+const settlementService = require("../services/settlementService");
+
+// Admins see every owner's statements
+function statementOwner(req) {
+  return req.user.role === "admin" ? null : req.user.id;
+}
+
+// GET /api/settlements/summary
+// Earnings not yet in a statement, per lot, with the commission rate
+router.get("/summary", requireAuth, async (req, res) => {
+  try {
+    if (req.user.role !== "owner" && req.user.role !== "admin") {
+      return res
+        .status(403)
+        .json({ message: "Owner or admin access required" });
+    }
+    const summary = await settlementService.getUnsettledEarnings(req.user.id);
+    const schedule = await settlementService.getPayoutSchedule(req.user.id);
+    res.json({ ...summary, payoutSchedule: schedule });
+  } catch (err) {
+    console.error("Error fetching earnings:", err);
+    res
+      .status(500)
+      .json({ message: "Error fetching earnings", error: err.message });
+  }
+});
+
+// PUT /api/settlements/schedule
+// Body: { payoutSchedule: "daily" | "weekly" }
+router.put("/schedule", requireAuth, async (req, res) => {
+  try {
+    if (req.user.role !== "owner" && req.user.role !== "admin") {
+      return res
+        .status(403)
+        .json({ message: "Owner or admin access required" });
+    }
+    let user;
+    try {
+      user = await settlementService.setPayoutSchedule(
+        req.user.id,
+        req.body?.payoutSchedule
+      );
+    } catch (validationErr) {
+      return res.status(400).json({ message: validationErr.message });
+    }
+    res.json({
+      message: "Payout schedule saved",
+      payoutSchedule: user.payoutSchedule,
+    });
+  } catch (err) {
+    res
+      .status(500)
+      .json({ message: "Failed to save payout schedule", error: err.message });
+  }
+});
+
+// GET /api/settlements/statements?limit=...
+// Payout statements, newest first
+router.get("/statements", requireAuth, async (req, res) => {
+  try {
+    if (req.user.role !== "owner" && req.user.role !== "admin") {
+      return res
+        .status(403)
+        .json({ message: "Owner or admin access required" });
+    }
+    const statements = await settlementService.getStatements(
+      statementOwner(req),
+      { limit: req.query.limit }
+    );
+    res.json({ statements });
+  } catch (err) {
+    console.error("Error fetching statements:", err);
+    res
+      .status(500)
+      .json({ message: "Error fetching statements", error: err.message });
+  }
+});
+
+// GET /api/settlements/statements/:id
+// A statement with the bookings, refunds and fees in it
+router.get("/statements/:id", requireAuth, async (req, res) => {
+  try {
+    if (req.user.role !== "owner" && req.user.role !== "admin") {
+      return res
+        .status(403)
+        .json({ message: "Owner or admin access required" });
+    }
+    const found = mongoose.isValidObjectId(req.params.id)
+      ? await settlementService.getStatement(req.params.id, statementOwner(req))
+      : null;
+    if (!found) {
+      return res.status(404).json({ message: "Statement not found" });
+    }
+    res.json(found);
+  } catch (err) {
+    console.error("Error fetching statement:", err);
+    res
+      .status(500)
+      .json({ message: "Error fetching statement", error: err.message });
+  }
+});
+
+// GET /api/settlements/statements/:id/csv
+// The statement as a spreadsheet download
+router.get("/statements/:id/csv", requireAuth, async (req, res) => {
+  try {
+    if (req.user.role !== "owner" && req.user.role !== "admin") {
+      return res
+        .status(403)
+        .json({ message: "Owner or admin access required" });
+    }
+    const found = mongoose.isValidObjectId(req.params.id)
+      ? await settlementService.getStatement(req.params.id, statementOwner(req))
+      : null;
+    if (!found) {
+      return res.status(404).json({ message: "Statement not found" });
+    }
+    const { statement, entries } = found;
+    const day = statement.periodStart.toISOString().slice(0, 10);
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="payout-${statement.period}-${day}.csv"`
+    );
+    res.send(settlementService.statementToCsv(statement, entries));
+  } catch (err) {
+    console.error("Error exporting statement:", err);
+    res
+      .status(500)
+      .json({ message: "Error exporting statement", error: err.message });
+  }
+});
+
+// POST /api/settlements/statements/:id/paid (admin only)
+// Body: { reference? } - records that the payout was transferred
+router.post("/statements/:id/paid", requireAuth, async (req, res) => {
+  try {
+    if (req.user.role !== "admin") {
+      return res.status(403).json({ message: "Admin access required" });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: "Statement not found" });
+    }
+    const statement = await settlementService.markStatementPaid(
+      req.params.id,
+      req.body?.reference
+    );
+    if (!statement) {
+      return res
+        .status(409)
+        .json({ message: "Statement not found or already paid" });
+    }
+    res.json({ message: "Statement marked as paid", statement });
+  } catch (err) {
+    console.error("Error marking statement paid:", err);
+    res
+      .status(500)
+      .json({ message: "Error marking statement paid", error: err.message });
+  }
+});
+
+module.exports = router;
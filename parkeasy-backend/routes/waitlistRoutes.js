@@ -0,0 +1,81 @@
+// Waitlist API routes
+// Handles: joining the waitlist of a full lot, listing a driver's entries and
+// leaving a waitlist (a held slot is paid for like any booking)
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const requireAuth = require("../middleware/authMiddleware");
+const waitlistService = require("../services/waitlistService");
+
+// GET /api/waitlist
+// The signed-in driver's waitlist entries, newest first, with their place in line
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    const entries = await waitlistService.getWaitlistForUser(req.user.id);
+    res.json({ entries });
+  } catch (err) {
+    console.error("Error fetching waitlist:", err);
+    res
+      .status(500)
+      .json({ message: "Error fetching waitlist", error: err.message });
+  }
+});
+
+// POST /api/waitlist
+// Body: { parkingLotId, vehicleType, vehicleNumber, startTime, endTime } -
+//   only for a window that is full right now
+router.post("/", requireAuth, async (req, res) => {
+  try {
+    const { parkingLotId } = req.body || {};
+    if (!mongoose.isValidObjectId(parkingLotId)) {
+      return res.status(404).json({ message: "Parking lot not found" });
+    }
+    const { entry, position } = await waitlistService.joinWaitlist(
+      req.user.id,
+      parkingLotId,
+      req.body
+    );
+    res.status(201).json({
+      message: `You're number ${position} on the waitlist`,
+      entry,
+      position,
+    });
+  } catch (err) {
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
+    console.error("Error joining waitlist:", err);
+    res
+      .status(500)
+      .json({ message: "Error joining waitlist", error: err.message });
+  }
+});
+
+// DELETE /api/waitlist/:id
+// Leave a waitlist the driver is still waiting on
+router.delete("/:id", requireAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: "Waitlist entry not found" });
+    }
+    const entry = await waitlistService.leaveWaitlist(
+      req.params.id,
+      req.user.id
+    );
+    res.json({ message: "You've left the waitlist", entry });
+  } catch (err) {
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
+    console.error("Error leaving waitlist:", err);
+    res
+      .status(500)
+      .json({ message: "Error leaving waitlist", error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,50 @@
+// Wallet API routes
+// Handles: wallet balance and ledger of the authenticated user, top-ups
+const express = require("express");
+const router = express.Router();
+const requireAuth = require("../middleware/authMiddleware");
+const { getWallet } = require("../services/walletService");
+const { startTopUp } = require("../services/paymentService");
+
+// GET /api/wallet?before=...&limit=...
+// Balance and ledger entries, newest first
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    const wallet = await getWallet(req.user.id, {
+      limit: req.query.limit,
+      before: req.query.before,
+    });
+    res.json(wallet);
+  } catch (err) {
+    console.error("Error fetching wallet:", err);
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
+    res
+      .status(500)
+      .json({ message: "Error fetching wallet", error: err.message });
+  }
+});
+
+// POST /api/wallet/topups
+// Body: { amount } - opens a gateway payment; confirm it via POST /api/payments/:id/confirm
+router.post("/topups", requireAuth, async (req, res) => {
+  try {
+    const payment = await startTopUp(req.user.id, req.body?.amount);
+    res.status(201).json({ payment });
+  } catch (err) {
+    console.error("Error starting top-up:", err);
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
+    res
+      .status(500)
+      .json({ message: "Error starting top-up", error: err.message });
+  }
+});
+
+module.exports = router;
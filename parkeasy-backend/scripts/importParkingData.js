@@ -4,6 +4,10 @@ const mongoose = require("mongoose");
 const fs = require("fs");
 const path = require("path");
 const ParkingLot = require("../models/ParkingLot");
+const {
+  normalizeLotType,
+  normalizeAmenities,
+} = require("../services/lotFeaturesService");
 
 // CSV parsing function
 function parseCSV(csvContent) {
@@ -67,9 +71,23 @@ function csvToParkingLot(csvRow) {
   // Pick a sensible default pincode by city (best-effort)
   const defaultPincode = city === "Gandhinagar" ? "382010" : "380000";
 
+  // Keep the lot type; an unknown one is dropped rather than failing the row
+  let lotType = null;
+  try {
+    lotType = normalizeLotType(csvRow.type);
+  } catch {
+    console.warn(`⚠️  Unknown lot type "${csvRow.type}" for ${csvRow.name}`);
+  }
+  // The CSV has no amenity columns: only what the type implies is set
+  const amenities = normalizeAmenities({
+    covered: lotType === "multi-storey" || lotType === "underground",
+  });
+
   return {
     name: csvRow.name,
     pricePerHour: 50, // Default price per hour
+    lotType: lotType,
+    amenities: amenities,
     location: {
       type: "Point",
       coordinates: [parseFloat(csvRow.lon), parseFloat(csvRow.lat)], // [longitude, latitude]
@@ -129,6 +147,7 @@ async function importParkingData() {
     let importedCount = 0;
     let skippedCount = 0;
     let errorCount = 0;
+    let typedCount = 0;
 
     // Import each parking lot
     for (const csvRow of csvData) {
@@ -152,6 +171,15 @@ async function importParkingData() {
         });
 
         if (existingLot) {
+          // Lots imported before types were kept get theirs filled in
+          if (!existingLot.lotType && parkingLotData.lotType) {
+            existingLot.lotType = parkingLotData.lotType;
+            await existingLot.save();
+            typedCount++;
+            console.log(
+              `🏷️  Set type of ${existingLot.name} to ${parkingLotData.lotType}`
+            );
+          }
           console.log(`⚠️  Skipping nearby duplicate: ${parkingLotData.name}`);
           skippedCount++;
           continue;
@@ -176,6 +204,7 @@ async function importParkingData() {
     console.log(`📊 Summary:`);
     console.log(`   • Imported: ${importedCount} new parking lots`);
     console.log(`   • Skipped (duplicates): ${skippedCount}`);
+    console.log(`   • Existing lots given a type: ${typedCount}`);
     console.log(`   • Errors: ${errorCount}`);
     console.log(`   • Total in database: ${await ParkingLot.countDocuments()}`);
   } catch (error) {
@@ -0,0 +1,101 @@
+const mongoose = require("mongoose");
+require("dotenv").config({ path: __dirname + "/../.env" });
+
+const Booking = require("../models/Booking");
+const ParkingLot = require("../models/ParkingLot");
+const { createBooking } = require("../services/bookingsService");
+
+// Number of parallel requests racing for the single slot (override via argv)
+const PARALLEL_REQUESTS = parseInt(process.argv[2], 10) || 25;
+
+async function testConcurrentBooking() {
+  let testLot = null;
+  let failed = false;
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log("✅ Connected to MongoDB");
+
+    // Create a throwaway lot with exactly one slot
+    testLot = await ParkingLot.create({
+      name: "Concurrency Test Lot",
+      location: { type: "Point", coordinates: [72.5714, 23.0225] },
+      totalSlots: 1,
+      availableSlots: 1,
+      carsParked: 0,
+      pricePerHour: 50,
+    });
+    console.log(`📍 Created test lot ${testLot._id} with 1 slot`);
+
+    // Fire all bookings at once for the same window
+    const start = new Date();
+    const end = new Date(start.getTime() + 60 * 60 * 1000);
+    console.log(`\n🏁 Firing ${PARALLEL_REQUESTS} parallel bookings...`);
+    const results = await Promise.allSettled(
+      Array.from({ length: PARALLEL_REQUESTS }, (_, i) =>
+        createBooking({
+          userId: new mongoose.Types.ObjectId(),
+          userName: `Concurrency User ${i + 1}`,
+          userEmail: `concurrency-${i + 1}@example.com`,
+          parkingLotId: testLot._id,
+          vehicleType: "car",
+          vehicleNumber: `RACE${String(i + 1).padStart(4, "0")}`,
+          startTime: start,
+          endTime: end,
+        })
+      )
+    );
+
+    const succeeded = results.filter((r) => r.status === "fulfilled");
+    const lotFull = results.filter(
+      (r) => r.status === "rejected" && r.reason?.code === "LOT_FULL"
+    );
+    const otherErrors = results.filter(
+      (r) => r.status === "rejected" && r.reason?.code !== "LOT_FULL"
+    );
+
+    const finalLot = await ParkingLot.findById(testLot._id);
+    const storedBookings = await Booking.countDocuments({
+      parkingLotId: testLot._id,
+    });
+
+    console.log(`\n📊 Results:`);
+    console.log(`   Succeeded: ${succeeded.length}`);
+    console.log(`   Rejected as lot full: ${lotFull.length}`);
+    console.log(`   Other errors: ${otherErrors.length}`);
+    otherErrors.forEach((r) => console.log(`     • ${r.reason?.message}`));
+    console.log(`   Bookings stored: ${storedBookings}`);
+    console.log(`   Final available slots: ${finalLot.availableSlots}`);
+    console.log(`   Final cars parked: ${finalLot.carsParked}`);
+
+    // Verify the results
+    if (
+      succeeded.length === 1 &&
+      lotFull.length + otherErrors.length === PARALLEL_REQUESTS - 1 &&
+      storedBookings === 1 &&
+      finalLot.availableSlots === 0 &&
+      finalLot.carsParked === 1
+    ) {
+      console.log("\n✅ Test PASSED - exactly one booking got the last slot!");
+    } else {
+      failed = true;
+      console.log("\n❌ Test FAILED - the lot was overbooked or undercounted");
+    }
+  } catch (error) {
+    failed = true;
+    console.error("❌ Test failed:", error);
+  } finally {
+    // Cleanup - remove test lot and its bookings
+    if (testLot) {
+      await Booking.deleteMany({ parkingLotId: testLot._id });
+      await ParkingLot.findByIdAndDelete(testLot._id);
+      console.log("🧹 Cleaned up test data");
+    }
+    await mongoose.connection.close();
+    console.log("🔒 Database connection closed");
+    if (failed) process.exitCode = 1;
+  }
+}
+
+// Run the test
+testConcurrentBooking();
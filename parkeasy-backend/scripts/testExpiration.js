@@ -68,14 +68,20 @@ async function testBookingExpiration() {
 
     console.log(`\n📊 Results:`);
     console.log(`   Bookings processed: ${result.updated}`);
+    console.log(`   Overstays: ${result.overstays}`);
     console.log(`   Booking status: ${expiredBooking.status}`);
     console.log(`   Final available slots: ${finalLot.availableSlots}`);
     console.log(`   Final cars parked: ${finalLot.carsParked}`);
 
-    // Verify the results
-    if (expiredBooking.status === "expired" && result.updated > 0) {
+    // Verify the results: the car never checked out, so it is overstaying
+    // and keeps its slot
+    if (
+      expiredBooking.status === "overstay" &&
+      result.overstays > 0 &&
+      finalLot.availableSlots === updatedLot.availableSlots
+    ) {
       console.log(
-        "\n✅ Test PASSED - Booking expired and slot freed successfully!"
+        "\n✅ Test PASSED - Booking moved to overstay and slot kept!"
       );
     } else {
       console.log("\n❌ Test FAILED - Something went wrong");
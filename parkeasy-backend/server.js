@@ -2,7 +2,16 @@ require("dotenv").config({ path: __dirname + "/.env" });
 const app = require("./app");
 const mongoose = require("mongoose");
 const cron = require("node-cron");
-const { finalizeExpiredBookings } = require("./services/bookingsService");
+const {
+  activateUpcomingBookings,
+  finalizeExpiredBookings,
+} = require("./services/bookingsService");
+const { updateDemandPricing } = require("./services/demandPricingService");
+const { processOverstays } = require("./services/overstayService");
+const { releaseUnpaidBookings } = require("./services/paymentService");
+const { generateStatements } = require("./services/settlementService");
+const { processPassRenewals } = require("./services/passService");
+const { processWaitlists } = require("./services/waitlistService");
 
 const PORT = process.env.PORT || 8080; // respect .env or fallback to 8080
 const MONGO_URI = process.env.MONGO_URI;
@@ -66,19 +75,52 @@ mongoose
       console.log(`🚀 Server is running on http://localhost:${PORT}`)
     );
 
-    // Kick off a cron job to auto-expire bookings every minute
+    // Kick off a cron job to start reservations and auto-expire bookings every minute
     try {
       cron.schedule("* * * * *", async () => {
         try {
-          const { updated, errors } = await finalizeExpiredBookings();
+          const activated = await activateUpcomingBookings();
+          if (activated.updated > 0) {
+            console.log(
+              `🚗 Activated ${activated.updated} upcoming bookings and took their slots`
+            );
+          }
+          const { updated, overstays, errors } =
+            await finalizeExpiredBookings();
           if (updated > 0) {
+            console.log(`⏱️ Auto-expired ${updated} upcoming bookings`);
+          }
+          if (overstays > 0) {
             console.log(
-              `⏱️ Auto-expired ${updated} bookings and freed up parking slots`
+              `🚨 ${overstays} vehicles stayed past their booking - slots kept`
             );
           }
-          if (errors > 0) {
+          const unpaid = await releaseUnpaidBookings();
+          if (unpaid.released > 0) {
+            console.log(
+              `💸 Released ${unpaid.released} unpaid bookings and their slots`
+            );
+          }
+          const overstay = await processOverstays();
+          if (overstay.closed > 0) {
+            console.log(
+              `⏱️ Closed ${overstay.closed} overstays and freed up parking slots`
+            );
+          }
+          const waitlist = await processWaitlists();
+          if (waitlist.held > 0) {
+            console.log(
+              `⏳ Held ${waitlist.held} freed slots for waitlisted drivers`
+            );
+          }
+          if (waitlist.expired > 0) {
+            console.log(`⏳ Expired ${waitlist.expired} waitlist entries`);
+          }
+          if (errors > 0 || overstay.errors > 0 || unpaid.errors > 0) {
             console.warn(
-              `⚠️ ${errors} errors occurred while processing expired bookings`
+              `⚠️ ${
+                errors + overstay.errors + unpaid.errors
+              } errors occurred while processing expired bookings`
             );
           }
         } catch (error) {
@@ -88,8 +130,70 @@ mongoose
           );
         }
       });
+      // Follow demand: recompute surge multipliers every 5 minutes
+      cron.schedule("*/5 * * * *", async () => {
+        try {
+          const { updated, errors } = await updateDemandPricing();
+          if (updated > 0) {
+            console.log(`💹 Updated demand pricing for ${updated} lots`);
+          }
+          if (errors > 0) {
+            console.warn(`⚠️ ${errors} errors occurred while updating prices`);
+          }
+        } catch (error) {
+          console.error("❌ Error in scheduled demand pricing:", error.message);
+        }
+      });
+      // Close owners' payout statements shortly after midnight (India time):
+      // daily ones every day, weekly ones on Mondays
+      const closeStatements = async (period) => {
+        try {
+          const { created, errors } = await generateStatements(period);
+          if (created > 0) {
+            console.log(`🧾 Closed ${created} ${period} payout statements`);
+          }
+          if (errors > 0) {
+            console.warn(
+              `⚠️ ${errors} errors occurred while closing payout statements`
+            );
+          }
+        } catch (error) {
+          console.error(
+            "❌ Error in scheduled payout statements:",
+            error.message
+          );
+        }
+      };
+      cron.schedule("15 0 * * *", () => closeStatements("daily"), {
+        timezone: "Asia/Kolkata",
+      });
+      cron.schedule("30 0 * * 1", () => closeStatements("weekly"), {
+        timezone: "Asia/Kolkata",
+      });
+      // Renew passes ending soon and expire the ones that ended (India time)
+      const renewPasses = async () => {
+        try {
+          const { renewed, failed, expired } = await processPassRenewals();
+          if (renewed > 0) console.log(`🎫 Renewed ${renewed} passes`);
+          if (expired > 0) console.log(`🎫 Expired ${expired} passes`);
+          if (failed > 0) {
+            console.warn(`⚠️ ${failed} passes could not be renewed`);
+          }
+        } catch (error) {
+          console.error("❌ Error in scheduled pass renewals:", error.message);
+        }
+      };
+      cron.schedule("45 0 * * *", renewPasses, { timezone: "Asia/Kolkata" });
       // Also run once on startup
-      finalizeExpiredBookings().catch(() => {});
+      activateUpcomingBookings()
+        .then(() => finalizeExpiredBookings())
+        .then(() => releaseUnpaidBookings())
+        .then(() => processOverstays())
+        .then(() => processWaitlists())
+        .then(() => closeStatements("daily"))
+        .then(() => closeStatements("weekly"))
+        .then(() => renewPasses())
+        .catch(() => {});
     } catch (e) {
       console.error("Failed to schedule finalizeExpiredBookings", e);
     }
@@ -0,0 +1,68 @@
+// services/attendantsService.js - gate staff that owners assign to their lots
+const ParkingLot = require("../models/ParkingLot");
+const User = require("../models/User");
+
+/**
+ * Attendants assigned to a lot (name/email/phone only)
+ */
+async function listAttendants(lot) {
+  return User.find({ _id: { $in: lot.attendants || [] } }).select(
+    "name email phone role"
+  );
+}
+
+/**
+ * Assign the user with this email to a lot's gates, making a regular user an
+ * attendant. Owners and admins can't be made staff of someone else's lot.
+ */
+async function addAttendant(lot, email) {
+  const trimmed = String(email || "").trim();
+  if (!trimmed) throw new Error("Enter the attendant's email");
+  // Emails are stored as typed at registration, so match case-insensitively
+  const escaped = trimmed.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const user = await User.findOne({ email: new RegExp(`^${escaped}$`, "i") });
+  if (!user) {
+    throw new Error(
+      "No ParkEasy account uses that email - ask them to register first"
+    );
+  }
+  if (!["user", "attendant"].includes(user.role)) {
+    throw new Error(
+      `That account is an ${user.role} and can't be an attendant`
+    );
+  }
+
+  if (user.role !== "attendant") {
+    user.role = "attendant";
+    await user.save();
+  }
+  await ParkingLot.updateOne(
+    { _id: lot._id },
+    { $addToSet: { attendants: user._id } }
+  );
+  return user;
+}
+
+/**
+ * Take a user off a lot's gates; someone left without any lot goes back to
+ * being a regular user
+ */
+async function removeAttendant(lot, userId) {
+  await ParkingLot.updateOne(
+    { _id: lot._id },
+    { $pull: { attendants: userId } }
+  );
+  const stillAssigned = await ParkingLot.exists({ attendants: userId });
+  if (!stillAssigned) {
+    await User.updateOne(
+      { _id: userId, role: "attendant" },
+      { $set: { role: "user" } }
+    );
+  }
+}
+
+module.exports = {
+  listAttendants,
+  addAttendant,
+  removeAttendant,
+};
@@ -1,39 +1,446 @@
 // services/bookingsService.js - MongoDB-based booking storage
 const Booking = require("../models/Booking");
 const ParkingLot = require("../models/ParkingLot");
+const {
+  getVehicleRate,
+  acceptsVehicle,
+  getRatePerHour,
+} = require("./vehicleRatesService");
+const { quotePrice, verifyQuote } = require("./pricingService");
+const {
+  computeOverstayCharge,
+  withOverstayCharge,
+} = require("./overstayService");
+const { quoteCancellation } = require("./cancellationService");
+const { checkOpenWindow, getOpenState } = require("./hoursService");
+const { recordWalkInCash } = require("./settlementService");
+
+// Statuses that hold capacity in a lot for their [startTime, endTime) window
+const RESERVED_STATUSES = ["upcoming", "active"];
+
+// Bookings holding a slot with no known end: overstays (past endTime, not
+// checked out) and walk-in sessions still parked
+const OPEN_ENDED_FILTERS = [
+  { status: "overstay" },
+  { status: "active", source: "walkin" },
+];
+
+function isOpenEnded(booking) {
+  return (
+    booking.status === "overstay" ||
+    (booking.status === "active" && booking.source === "walkin")
+  );
+}
+
+// How often a reservation is retried when another request changed the lot first
+const MAX_RESERVE_ATTEMPTS = 8;
+
+/**
+ * How long a new booking may stay unpaid before its slot is released
+ * (PAYMENT_TIMEOUT_MINUTES, default 15)
+ */
+function getPaymentTimeoutMinutes() {
+  const minutes = Number(process.env.PAYMENT_TIMEOUT_MINUTES);
+  return minutes > 0 ? minutes : 15;
+}
+
+/**
+ * Build an Error carrying an HTTP status (and optional machine-readable code)
+ * so routes can surface it as-is
+ */
+function bookingError(message, status = 400, code = undefined) {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+}
+
+function roundMoney(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function lotFullError(message = "Parking lot is full for the selected time") {
+  return bookingError(message, 409, "LOT_FULL");
+}
+
+// Lots closed by their owner take no new bookings
+function lotClosedError(lot) {
+  return bookingError(
+    lot.closedReason
+      ? `This parking lot is closed: ${lot.closedReason}`
+      : "This parking lot is closed right now",
+    409,
+    "LOT_CLOSED"
+  );
+}
+
+// Bookings (and extensions) must fit within the lot's opening hours
+function outsideHoursError(message) {
+  return bookingError(message, 400, "OUTSIDE_OPENING_HOURS");
+}
+
+/**
+ * Offer room a booking gave back to the drivers waiting for the lot
+ */
+async function promoteWaitlistFor(parkingLotId) {
+  // Required here: waitlistService depends on this module
+  await require("./waitlistService").promoteWaitlist(parkingLotId);
+}
+
+/**
+ * Peak number of reserved bookings overlapping [start, end) for a lot,
+ * optionally only counting one vehicle type. Overstaying vehicles and walk-ins
+ * count for the whole window since nobody knows when they will leave.
+ */
+async function getPeakOccupancy(
+  parkingLotId,
+  start,
+  end,
+  excludeBookingId = null,
+  vehicleType = null
+) {
+  const query = {
+    parkingLotId,
+    startTime: { $lt: end },
+    $or: [
+      { status: { $in: RESERVED_STATUSES }, endTime: { $gt: start } },
+      ...OPEN_ENDED_FILTERS,
+    ],
+  };
+  if (excludeBookingId) query._id = { $ne: excludeBookingId };
+  if (vehicleType) query.vehicleType = vehicleType;
+  const overlapping = await Booking.find(query).select(
+    "startTime endTime status source"
+  );
+
+  // Sweep over start/end events; ends sort before starts at the same instant
+  // because intervals are half-open
+  const events = [];
+  overlapping.forEach((b) => {
+    const until = isOpenEnded(b) ? end : new Date(Math.min(b.endTime, end));
+    events.push([Math.max(b.startTime.getTime(), start.getTime()), 1]);
+    events.push([until.getTime(), -1]);
+  });
+  events.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  let current = 0;
+  let peak = 0;
+  for (const [, delta] of events) {
+    current += delta;
+    if (current > peak) peak = current;
+  }
+  return peak;
+}
+
+/**
+ * Check how many slots are free for the whole [start, end) window.
+ *
+ * With a vehicleType, `available` is also capped by that type's own capacity
+ * on lots with per-type rates, and `vehicle` describes the type's share.
+ */
+async function getWindowAvailability(
+  lot,
+  start,
+  end,
+  excludeBookingId = null,
+  vehicleType = null
+) {
+  const capacity = Number(lot.totalSlots) || 0;
+  const reserved = await getPeakOccupancy(
+    lot._id,
+    start,
+    end,
+    excludeBookingId
+  );
+  const availability = {
+    capacity,
+    reserved,
+    available: Math.max(0, capacity - reserved),
+  };
+  if (!vehicleType) return availability;
+
+  const vehicle = {
+    vehicleType,
+    accepted: acceptsVehicle(lot, vehicleType),
+    pricePerHour: getRatePerHour(lot, vehicleType),
+  };
+  const rate = getVehicleRate(lot, vehicleType);
+  if (rate) {
+    vehicle.capacity = Number(rate.capacity) || 0;
+    vehicle.reserved = await getPeakOccupancy(
+      lot._id,
+      start,
+      end,
+      excludeBookingId,
+      vehicleType
+    );
+    vehicle.available = Math.max(0, vehicle.capacity - vehicle.reserved);
+  } else {
+    vehicle.available = vehicle.accepted ? availability.available : 0;
+  }
+  availability.available = Math.min(availability.available, vehicle.available);
+  return { ...availability, vehicle };
+}
+
+/**
+ * Add live per-vehicle-type availability to lots that have per-type rates
+ * (one aggregate for the whole list, used by the lot listing endpoints) and
+ * whether each lot is open right now
+ */
+async function attachVehicleAvailability(lots) {
+  const now = new Date();
+  const plain = lots.map((lot) => ({
+    ...(lot.toObject ? lot.toObject() : lot),
+    ...getOpenState(lot, now),
+  }));
+  const rated = plain.filter((lot) => lot.vehicleRates?.length);
+  if (!rated.length) return plain;
+
+  const counts = await Booking.aggregate([
+    {
+      $match: {
+        parkingLotId: { $in: rated.map((lot) => lot._id) },
+        startTime: { $lte: now },
+        $or: [
+          { status: { $in: RESERVED_STATUSES }, endTime: { $gt: now } },
+          ...OPEN_ENDED_FILTERS,
+        ],
+      },
+    },
+    {
+      $group: {
+        _id: { lot: "$parkingLotId", vehicleType: "$vehicleType" },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+  const used = new Map(
+    counts.map((c) => [`${c._id.lot}:${c._id.vehicleType}`, c.count])
+  );
+
+  rated.forEach((lot) => {
+    lot.vehicleAvailability = lot.vehicleRates.map((rate) => ({
+      vehicleType: rate.vehicleType,
+      capacity: rate.capacity,
+      pricePerHour: rate.pricePerHour,
+      available: Math.max(
+        0,
+        Math.min(
+          rate.capacity - (used.get(`${lot._id}:${rate.vehicleType}`) || 0),
+          Number(lot.availableSlots) || 0
+        )
+      ),
+    }));
+  });
+  return plain;
+}
+
+/**
+ * Pick a free, enabled bay that fits the vehicle for [start, end).
+ * Returns null when the lot has no bay layout or every compatible bay is taken.
+ */
+async function findFreeSlot(
+  lot,
+  vehicleType,
+  start,
+  end,
+  excludeBookingId = null
+) {
+  const slots = (lot.slots || []).filter(
+    (slot) =>
+      slot.enabled &&
+      (!slot.vehicleTypes?.length || slot.vehicleTypes.includes(vehicleType))
+  );
+  if (!slots.length) return null;
+
+  const query = {
+    parkingLotId: lot._id,
+    slotCode: { $exists: true, $ne: null },
+    $or: [
+      {
+        status: { $in: RESERVED_STATUSES },
+        startTime: { $lt: end },
+        endTime: { $gt: start },
+      },
+      ...OPEN_ENDED_FILTERS, // The vehicle is still standing in its bay
+    ],
+  };
+  if (excludeBookingId) query._id = { $ne: excludeBookingId };
+  const taken = new Set(await Booking.distinct("slotCode", query));
+  return slots.find((slot) => !taken.has(slot.code)) || null;
+}
+
+/**
+ * Run a capacity-changing write against a lot atomically.
+ *
+ * `reserve(lot)` receives a fresh copy of the lot, checks capacity, performs its
+ * write and returns { result, rollback, takeLiveSlot }. The write only sticks if
+ * the lot's reservationVersion is unchanged since it was read and, when
+ * takeLiveSlot is set, a live slot can still be taken (conditional decrement).
+ * Otherwise the write is rolled back and the whole check is retried, so two
+ * requests can never both claim the last slot.
+ */
+async function reserveOnLot(parkingLotId, reserve) {
+  for (let attempt = 0; attempt < MAX_RESERVE_ATTEMPTS; attempt++) {
+    const lot = await ParkingLot.findById(parkingLotId);
+    if (!lot) throw bookingError("Parking lot not found", 404);
+    const version = lot.reservationVersion || 0;
+
+    const { result, rollback, takeLiveSlot = false } = await reserve(lot);
+
+    // Lots created before versioning have no field yet; treat that as 0
+    const filter = {
+      _id: lot._id,
+      reservationVersion: version === 0 ? { $in: [0, null] } : version,
+    };
+    const update = { $inc: { reservationVersion: 1 } };
+    if (takeLiveSlot) {
+      filter.availableSlots = { $gt: 0 };
+      update.$inc.availableSlots = -1;
+      update.$inc.carsParked = 1;
+    }
+
+    let claimed = null;
+    try {
+      claimed = await ParkingLot.findOneAndUpdate(filter, update);
+    } catch (error) {
+      await rollback();
+      throw error;
+    }
+    if (claimed) return result;
+
+    await rollback();
+    // Someone else changed the lot in between; back off briefly and re-check
+    await new Promise((r) =>
+      setTimeout(r, 10 + Math.random() * 40 * (attempt + 1))
+    );
+  }
+  throw bookingError(
+    "Parking lot is busy right now, please try again",
+    409,
+    "LOT_BUSY"
+  );
+}
+
+/**
+ * Apply an owner's capacity change (bays, per-type rates, total slots) to a
+ * lot atomically.
+ *
+ * `change(lot)` receives a fresh copy of the lot, checks the change against
+ * what is booked and parked and returns the fields to $set. They only land if
+ * neither the reservationVersion nor carsParked moved since the lot was read;
+ * otherwise the check is retried. availableSlots follows a new totalSlots and
+ * the version is bumped so in-flight reservations (see reserveOnLot) re-check.
+ * Resolves to the updated lot.
+ */
+async function updateLotCapacity(parkingLotId, change) {
+  for (let attempt = 0; attempt < MAX_RESERVE_ATTEMPTS; attempt++) {
+    const lot = await ParkingLot.findById(parkingLotId);
+    if (!lot) throw bookingError("Parking lot not found", 404);
+    const version = lot.reservationVersion || 0;
+    const parked = Number(lot.carsParked) || 0;
+
+    const fields = await change(lot);
+    if (fields.totalSlots !== undefined) {
+      fields.availableSlots = Math.max(0, fields.totalSlots - parked);
+    }
+
+    // Walk-ins and checkouts move carsParked without bumping the version
+    const updated = await ParkingLot.findOneAndUpdate(
+      {
+        _id: lot._id,
+        reservationVersion: version === 0 ? { $in: [0, null] } : version,
+        carsParked: parked === 0 ? { $in: [0, null] } : parked,
+      },
+      { $set: fields, $inc: { reservationVersion: 1 } },
+      { new: true, runValidators: true }
+    );
+    if (updated) return updated;
+
+    await new Promise((r) =>
+      setTimeout(r, 10 + Math.random() * 40 * (attempt + 1))
+    );
+  }
+  throw bookingError(
+    "Parking lot is busy right now, please try again",
+    409,
+    "LOT_BUSY"
+  );
+}
+
+/**
+ * Store a booking for data's window if the lot (and its bay layout) still has
+ * room for it. Capacity check, booking insert and live slot decrement happen
+ * as one unit: either all of them stick or the inserted booking is removed.
+ * data.status must already be "upcoming" or "active".
+ */
+async function reserveBookingWindow(parkingLotId, data) {
+  return reserveOnLot(parkingLotId, async (freshLot) => {
+    if (freshLot.isActive === false) throw lotClosedError(freshLot);
+    const isLive = data.status === "active";
+    // Capacity is checked against every reservation overlapping the window,
+    // both for the whole lot and for the vehicle type's own share
+    const { available, vehicle } = await getWindowAvailability(
+      freshLot,
+      data.startTime,
+      data.endTime,
+      null,
+      data.vehicleType
+    );
+    if (vehicle && vehicle.available < 1 && vehicle.capacity != null) {
+      throw lotFullError(
+        `No ${data.vehicleType} slots left for the selected time`
+      );
+    }
+    if (available < 1) throw lotFullError();
+    if (isLive && freshLot.availableSlots < 1) throw lotFullError();
+
+    // Lots with a bay layout hand out a specific bay for the whole window
+    const bayData = { ...data, slotCode: undefined, slotLevel: undefined };
+    if (freshLot.slots?.length) {
+      const slot = await findFreeSlot(
+        freshLot,
+        data.vehicleType,
+        data.startTime,
+        data.endTime
+      );
+      if (!slot) {
+        throw lotFullError(
+          `No free ${data.vehicleType || "vehicle"} bay for the selected time`
+        );
+      }
+      bayData.slotCode = slot.code;
+      bayData.slotLevel = slot.level;
+    }
+
+    const created = await Booking.create(bayData);
+    return {
+      result: created,
+      rollback: () => Booking.deleteOne({ _id: created._id }),
+      // Only bookings that have started occupy a slot right now
+      takeLiveSlot: isLive,
+    };
+  });
+}
 
 /**
  * Create a new booking
+ *
+ * Bookings starting in the future are stored as "upcoming" and only count
+ * against live occupancy (availableSlots/carsParked) once
+ * activateUpcomingBookings() moves them to "active".
  */
 async function createBooking(bookingData) {
   try {
     // Defensive normalization so callers can pass minimal data
     const data = { ...bookingData };
 
-    // Normalize status to lowercase and default to active
-    if (data.status) {
-      data.status = String(data.status).toLowerCase();
-    }
-    const validStatuses = [
-      "active",
-      "completed",
-      "cancelled",
-      "expired",
-      "upcoming",
-    ];
-    if (!data.status || !validStatuses.includes(data.status)) {
-      data.status = "active";
-    }
-    // Map upcoming to active
-    if (data.status === "upcoming") {
-      data.status = "active";
-    } // Ensure we have a lot and hydrate related fields
+    // Ensure we have a lot and hydrate related fields
     let lot = null;
     if (data.parkingLotId) {
       lot = await ParkingLot.findById(data.parkingLotId);
     }
     if (!lot) {
-      throw new Error("Parking lot not found");
+      throw bookingError("Parking lot not found", 404);
     }
     if (!data.parkingLotName) data.parkingLotName = lot.name;
 
@@ -67,24 +474,86 @@ async function createBooking(bookingData) {
         new Date(data.startTime).getTime() + data.duration * 3600000
       );
     }
+    data.startTime = new Date(data.startTime);
+    data.endTime = new Date(data.endTime);
+    if (!(data.endTime > data.startTime)) {
+      throw bookingError("End time must be after start time");
+    }
+    if (data.endTime <= now) {
+      throw bookingError("Booking window has already ended");
+    }
 
-    if (data.pricePerHour == null) {
-      data.pricePerHour = lot.pricePerHour || 50;
+    if (!acceptsVehicle(lot, data.vehicleType)) {
+      throw bookingError(
+        `Vehicle type "${data.vehicleType}" is not accepted at this parking lot`,
+        400,
+        "VEHICLE_TYPE_NOT_ACCEPTED"
+      );
     }
-    if (data.totalPrice == null) {
-      data.totalPrice = Number(data.pricePerHour) * Number(data.duration);
+    const closedMessage = checkOpenWindow(lot, data.startTime, data.endTime);
+    if (closedMessage) throw outsideHoursError(closedMessage);
+    // The price always comes from the lot's pricing rules, never the caller:
+    // either the signed quote the user was shown or a fresh one
+    const window = {
+      vehicleType: data.vehicleType,
+      startTime: data.startTime,
+      endTime: data.endTime,
+    };
+    let quote =
+      verifyQuote(data.quoteToken, lot, window) || quotePrice(lot, window);
+    delete data.quoteToken;
+
+    // A promo code comes off the price last; its use is taken before the
+    // booking is stored so the global cap holds under concurrent bookings
+    let promo = null;
+    if (data.promoCode) {
+      // Required here: promoService depends on this module
+      const { findApplicablePromo, applyPromo } = require("./promoService");
+      promo = await findApplicablePromo(data.promoCode, {
+        lot,
+        vehicleType: data.vehicleType,
+        userId: data.userId,
+        at: now,
+      });
+      quote = applyPromo(quote, promo);
+      data.promo = {
+        promoId: promo._id,
+        code: promo.code,
+        discount: quote.promo.discount,
+      };
     }
+    delete data.promoCode;
+    data.pricePerHour = quote.pricePerHour;
+    data.totalPrice = quote.totalPrice;
+    data.priceBreakdown = quote.breakdown;
 
-    const booking = new Booking(data);
-    await booking.save();
+    // Free stays are settled already; the rest must be paid in time
+    data.amountPaid = 0;
+    if (data.totalPrice > 0) {
+      data.paymentStatus = "pending";
+      data.paymentDueAt = new Date(
+        now.getTime() + getPaymentTimeoutMinutes() * 60000
+      );
+    } else {
+      data.paymentStatus = "paid";
+      delete data.paymentDueAt;
+    }
 
-    // Update parking lot availability
-    await ParkingLot.findByIdAndUpdate(data.parkingLotId, {
-      $inc: { availableSlots: -1, carsParked: 1 },
-    });
+    // The start time decides the lifecycle; callers can't force a status
+    data.status = data.startTime > now ? "upcoming" : "active";
 
-    return booking;
+    if (promo) await require("./promoService").redeemPromo(promo);
+
+    const reserve = reserveBookingWindow(lot._id, data);
+
+    try {
+      return await reserve;
+    } catch (reserveError) {
+      if (promo) await require("./promoService").unredeemPromo(promo._id);
+      throw reserveError;
+    }
   } catch (error) {
+    if (error.status) throw error;
     throw new Error(`Failed to create booking: ${error.message}`);
   }
 }
@@ -129,6 +598,7 @@ async function getBookingsByUser(userId, status = null) {
         "parkingLotId",
         "name address city location pricePerHour availableSlots totalSlots"
       )
+      .populate("seriesId", "days startClock endClock endDate status")
       .sort({ createdAt: -1 });
     return bookings;
   } catch (error) {
@@ -185,7 +655,9 @@ async function getBookingById(bookingId) {
 }
 
 /**
- * Update booking status
+ * Update booking status. Drivers (userId given) may only mark their active
+ * booking completed; cancelling goes through cancelBooking so the refund
+ * policy applies. Cancelled and expired bookings are final.
  */
 async function updateBookingStatus(bookingId, status, userId = null) {
   try {
@@ -195,7 +667,7 @@ async function updateBookingStatus(bookingId, status, userId = null) {
     }
     const booking = await Booking.findOne(query).populate(
       "parkingLotId",
-      "name address totalSlots availableSlots carsParked"
+      "name address totalSlots availableSlots carsParked pricePerHour vehicleRates overstayPolicy"
     );
     if (!booking) return null;
 
@@ -204,19 +676,30 @@ async function updateBookingStatus(bookingId, status, userId = null) {
     if (!["active", "completed", "cancelled", "expired"].includes(nextStatus)) {
       throw new Error("Invalid status value");
     }
+    // Their refund may already be paid out and the slot given away
+    if (["cancelled", "expired"].includes(prevStatus)) {
+      throw bookingError(`Booking is already ${prevStatus}`, 409);
+    }
+    if (userId && !(prevStatus === "active" && nextStatus === "completed")) {
+      throw bookingError("You can only mark an active booking completed", 403);
+    }
+    // A walk-in's fee is only known once it is checked out
+    if (booking.source === "walkin" && nextStatus === "completed") {
+      throw bookingError("Walk-in sessions are closed with a checkout", 409);
+    }
 
     // Determine if lot counters need adjustment
     let lotUpdate = null;
     const lotId = booking.parkingLotId?._id || booking.parkingLotId;
     if (lotId) {
-      // Transition releasing a slot (active -> terminal state)
+      // Transition releasing a slot (active/overstay -> terminal state)
       const releases =
-        prevStatus === "active" &&
+        ["active", "overstay"].includes(prevStatus) &&
         ["completed", "cancelled", "expired"].includes(nextStatus);
       // Transition occupying a slot (reactivating)
       const occupies =
         nextStatus === "active" &&
-        ["completed", "cancelled", "expired"].includes(prevStatus);
+        ["upcoming", "completed"].includes(prevStatus);
 
       if (releases) {
         lotUpdate = { $inc: { availableSlots: 1, carsParked: -1 } };
@@ -225,8 +708,33 @@ async function updateBookingStatus(bookingId, status, userId = null) {
       }
     }
 
+    // Taking a slot back must not overbook the lot
+    if (lotUpdate && lotId && lotUpdate.$inc.availableSlots < 0) {
+      const taken = await ParkingLot.findOneAndUpdate(
+        { _id: lotId, availableSlots: { $gt: 0 } },
+        lotUpdate
+      );
+      if (!taken) throw lotFullError("No slots available");
+      lotUpdate = null;
+    }
+
+    // Leaving an overstay settles its fee as of now
+    if (prevStatus === "overstay" && nextStatus !== "active") {
+      booking.extraCharges = withOverstayCharge(
+        booking,
+        computeOverstayCharge(booking.parkingLotId, booking)
+      );
+      booking.checkedOutAt = new Date();
+    }
+
     booking.status = nextStatus;
     await booking.save();
+    if (booking.extraCharges?.length) {
+      // Required here: paymentService depends on this module
+      const { markAmountDue } = require("./paymentService");
+      const due = await markAmountDue(booking._id);
+      if (due) booking.paymentStatus = due.paymentStatus;
+    }
     if (lotUpdate && lotId) {
       try {
         await ParkingLot.findByIdAndUpdate(lotId, lotUpdate);
@@ -237,14 +745,33 @@ async function updateBookingStatus(bookingId, status, userId = null) {
         );
       }
     }
+    if (lotId && ["completed", "cancelled", "expired"].includes(nextStatus)) {
+      await promoteWaitlistFor(lotId);
+    }
     return booking;
   } catch (error) {
+    if (error.status) throw error;
     throw new Error(`Failed to update booking: ${error.message}`);
   }
 }
 
 /**
- * Cancel a booking
+ * What cancelling a user's booking right now would refund (see
+ * cancellationService.quoteCancellation)
+ */
+async function getCancellationQuote(bookingId, userId) {
+  const booking = await Booking.findOne({ _id: bookingId, userId });
+  if (!booking) return null;
+  if (!RESERVED_STATUSES.includes(booking.status)) {
+    throw bookingError(`Booking is already ${booking.status}`);
+  }
+  const lot = await ParkingLot.findById(booking.parkingLotId);
+  return quoteCancellation(lot, booking);
+}
+
+/**
+ * Cancel a booking, crediting what the lot's cancellation policy refunds to
+ * the user's wallet and recording that on the booking
  */
 async function cancelBooking(bookingId, userId) {
   try {
@@ -252,18 +779,358 @@ async function cancelBooking(bookingId, userId) {
     if (!booking) {
       throw new Error("Booking not found");
     }
+    if (!RESERVED_STATUSES.includes(booking.status)) {
+      throw bookingError(`Booking is already ${booking.status}`);
+    }
+    if (booking.source === "walkin") {
+      throw bookingError("Walk-in sessions are closed with a checkout");
+    }
+    if (booking.source === "pass") {
+      throw bookingError(
+        "Days of a pass can't be cancelled one by one - turn off auto-renew instead"
+      );
+    }
 
-    booking.status = "cancelled";
-    await booking.save();
+    const lot = await ParkingLot.findById(booking.parkingLotId);
+    const now = new Date();
+    const quote = quoteCancellation(lot, booking, now);
+    const cancellation = {
+      cancelledAt: now,
+      tier: quote.tier,
+      refundPercent: quote.refundPercent,
+      refundAmount: quote.refundAmount,
+      label: quote.label,
+      refundStatus: quote.refundAmount > 0 ? "pending" : "none",
+    };
+
+    // Conditional: the refund tier depends on the status (activation cron)
+    const cancelled = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: booking.status },
+      {
+        // Cancelling drops whatever was still owed on top of what was paid
+        $set: {
+          status: "cancelled",
+          cancellation,
+          ...(booking.paymentStatus === "due" ? { paymentStatus: "paid" } : {}),
+        },
+        $unset: { paymentDueAt: 1 },
+      },
+      { new: true }
+    );
+    if (!cancelled) {
+      throw bookingError("Booking changed, please try again", 409);
+    }
+
+    // Upcoming bookings never took a live slot, so only restock active ones
+    if (booking.status === "active") {
+      await ParkingLot.findByIdAndUpdate(booking.parkingLotId, {
+        $inc: { availableSlots: 1, carsParked: -1 },
+      });
+    }
+
+    // A promo code on a booking that was never paid can be used again
+    if (cancelled.paymentStatus === "pending") {
+      await require("./promoService").releasePromo(cancelled);
+    }
+    await promoteWaitlistFor(cancelled.parkingLotId);
+
+    if (quote.refundAmount <= 0) return cancelled;
+    // Required here: paymentService depends on this module
+    const { refundBookingToWallet } = require("./paymentService");
+    let refundStatus = "refunded";
+    try {
+      await refundBookingToWallet(cancelled, quote.refundAmount, quote.label);
+    } catch (refundError) {
+      // The cancellation stands; the failed refund is left for an admin
+      console.error(
+        `❌ Refund for cancelled booking ${cancelled._id} failed:`,
+        refundError.message
+      );
+      refundStatus = "failed";
+    }
+    return Booking.findByIdAndUpdate(
+      cancelled._id,
+      { $set: { "cancellation.refundStatus": refundStatus } },
+      { new: true }
+    );
+  } catch (error) {
+    if (error.status) throw error;
+    throw new Error(`Failed to cancel booking: ${error.message}`);
+  }
+}
+
+/**
+ * Push a booking's endTime out while the lot (and its bay) still has room for
+ * the extra window. The extension is charged at the current pricing rules as
+ * the difference between pricing the whole stay to the new and the old end.
+ * The new end is `endTime`, or the current end plus `hours`.
+ */
+async function extendBooking(bookingId, userId, { endTime, hours } = {}) {
+  try {
+    const query = { _id: bookingId };
+    if (userId) query.userId = userId;
+    const existing = await Booking.findOne(query);
+    if (!existing) return null;
+    if (!RESERVED_STATUSES.includes(existing.status)) {
+      throw bookingError(`Booking is already ${existing.status}`);
+    }
+    if (existing.source === "walkin") {
+      throw bookingError("Walk-in sessions have no end time to extend");
+    }
+    let newEnd;
+    if (endTime) {
+      newEnd = new Date(endTime);
+    } else {
+      const extra = parseFloat(hours);
+      if (!(extra > 0)) {
+        throw bookingError("Provide a new endTime or hours to extend by");
+      }
+      newEnd = new Date(existing.endTime.getTime() + extra * 3600000);
+    }
+    if (Number.isNaN(newEnd.getTime())) {
+      throw bookingError("Invalid end time");
+    }
+    if (!(newEnd > existing.endTime) || newEnd <= new Date()) {
+      throw bookingError("New end time must be after the current end time");
+    }
+
+    const done = await reserveOnLot(existing.parkingLotId, async (freshLot) => {
+      const booking = await Booking.findById(existing._id);
+      if (!booking || !RESERVED_STATUSES.includes(booking.status)) {
+        throw bookingError("Booking is no longer active", 409);
+      }
+      const oldEnd = booking.endTime;
+      if (!(newEnd > oldEnd)) {
+        throw bookingError("New end time must be after the current end time");
+      }
+      const closedMessage = checkOpenWindow(freshLot, oldEnd, newEnd);
+      if (closedMessage) throw outsideHoursError(closedMessage);
+
+      // The extra window must fit next to everyone else's reservations
+      const { available } = await getWindowAvailability(
+        freshLot,
+        oldEnd,
+        newEnd,
+        booking._id,
+        booking.vehicleType
+      );
+      if (available < 1) {
+        throw lotFullError("No slots left to extend into the selected time");
+      }
+      if (booking.slotCode) {
+        const clash = await Booking.exists({
+          _id: { $ne: booking._id },
+          parkingLotId: booking.parkingLotId,
+          status: { $in: RESERVED_STATUSES },
+          slotCode: booking.slotCode,
+          startTime: { $lt: newEnd },
+          endTime: { $gt: oldEnd },
+        });
+        if (clash) {
+          throw lotFullError(
+            `Bay ${booking.slotCode} is booked by someone else after your stay`
+          );
+        }
+      }
+
+      const window = {
+        vehicleType: booking.vehicleType,
+        startTime: booking.startTime,
+      };
+      const before = quotePrice(freshLot, { ...window, endTime: oldEnd });
+      const after = quotePrice(freshLot, { ...window, endTime: newEnd });
+      const amount = roundMoney(
+        Math.max(0, after.totalPrice - before.totalPrice)
+      );
+
+      const previous = {
+        endTime: booking.endTime,
+        duration: booking.duration,
+        totalPrice: booking.totalPrice,
+        priceBreakdown: booking.priceBreakdown || [],
+        adjustments: booking.adjustments || [],
+      };
+      booking.endTime = newEnd;
+      booking.duration = roundMoney((newEnd - booking.startTime) / 3600000);
+      booking.totalPrice = roundMoney(booking.totalPrice + amount);
+      booking.priceBreakdown = [
+        ...(booking.priceBreakdown || []),
+        {
+          code: "extension",
+          label: `Extension (+${roundMoney((newEnd - oldEnd) / 3600000)} h)`,
+          amount,
+        },
+      ];
+      booking.adjustments = [
+        ...(booking.adjustments || []),
+        {
+          type: "extension",
+          amount,
+          previousEndTime: oldEnd,
+          newEndTime: newEnd,
+        },
+      ];
+      await booking.save();
+
+      return {
+        result: booking,
+        rollback: () =>
+          Booking.updateOne({ _id: booking._id }, { $set: previous }),
+      };
+    });
+
+    // A paid booking owes the extension on top; it can be paid online
+    const { markAmountDue } = require("./paymentService");
+    return (await markAmountDue(done._id)) || done;
+  } catch (error) {
+    if (error.status) throw error;
+    throw new Error(`Failed to extend booking: ${error.message}`);
+  }
+}
+
+/**
+ * Check out of an active or overstaying booking now. Leaving before endTime
+ * credits back the unused part of the price, prorated by what that time is
+ * worth under the lot's pricing rules (so unused peak hours are worth more
+ * than quiet ones); a paid booking gets that credit in the wallet. Leaving
+ * after it settles the overstay fee.
+ * Walk-in sessions are priced here for the whole time they were parked.
+ * `departedAt` is passed by the exit gate scan.
+ */
+async function checkoutBooking(bookingId, userId, { departedAt } = {}) {
+  try {
+    const query = { _id: bookingId };
+    if (userId) query.userId = userId;
+    const booking = await Booking.findOne(query);
+    if (!booking) return null;
+    if (!["active", "overstay"].includes(booking.status)) {
+      throw bookingError("Only active bookings can be checked out");
+    }
+
+    const now = new Date();
+    const oldEnd = booking.endTime;
+    const lot = await ParkingLot.findById(booking.parkingLotId);
+    const set = { status: "completed", checkedOutAt: now };
+    if (departedAt) set.departedAt = departedAt;
+    const push = {};
+    if (booking.source === "walkin") {
+      // Even a drive-through pays for the first minute
+      const end = new Date(
+        Math.max(now.getTime(), booking.startTime.getTime() + 60000)
+      );
+      const quote = quotePrice(lot, {
+        vehicleType: booking.vehicleType,
+        startTime: booking.startTime,
+        endTime: end,
+      });
+      set.endTime = now;
+      set.duration = quote.duration;
+      set.pricePerHour = quote.pricePerHour;
+      set.totalPrice = quote.totalPrice;
+      set.priceBreakdown = quote.breakdown;
+    } else if (booking.status === "overstay") {
+      set.extraCharges = withOverstayCharge(
+        booking,
+        computeOverstayCharge(lot, booking, now)
+      );
+    } else if (now < oldEnd) {
+      const window = {
+        vehicleType: booking.vehicleType,
+        startTime: booking.startTime,
+      };
+      let charged = 0;
+      if (lot && now > booking.startTime) {
+        const full = quotePrice(lot, { ...window, endTime: oldEnd });
+        const used = quotePrice(lot, { ...window, endTime: now });
+        charged =
+          full.totalPrice > 0
+            ? (booking.totalPrice * used.totalPrice) / full.totalPrice
+            : 0;
+      }
+      charged = roundMoney(Math.min(booking.totalPrice, charged));
+      const amount = roundMoney(charged - booking.totalPrice);
+
+      set.endTime = now;
+      set.duration = roundMoney(Math.max(0, now - booking.startTime) / 3600000);
+      set.totalPrice = charged;
+      push.priceBreakdown = {
+        code: "early_checkout",
+        label: `Early checkout credit (${roundMoney(
+          (oldEnd - now) / 3600000
+        )} h unused)`,
+        amount,
+      };
+      push.adjustments = {
+        type: "early_checkout",
+        amount,
+        previousEndTime: oldEnd,
+        newEndTime: now,
+      };
+    }
+
+    // Conditional so a double click or the expiry cron can't release twice
+    const update = { $set: set };
+    if (Object.keys(push).length) update.$push = push;
+    const updated = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: booking.status },
+      update,
+      { new: true }
+    );
+    if (!updated) throw bookingError("Booking is no longer active", 409);
 
-    // Restore parking lot availability
-    await ParkingLot.findByIdAndUpdate(booking.parkingLotId, {
+    await ParkingLot.findByIdAndUpdate(updated.parkingLotId, {
       $inc: { availableSlots: 1, carsParked: -1 },
     });
+    await promoteWaitlistFor(updated.parkingLotId);
 
-    return booking;
+    // Walk-ins pay at the gate; the platform's commission is still due
+    if (updated.source === "walkin") await recordWalkInCash(updated);
+
+    // Paid for more than the shortened stay costs: refund the difference
+    const extras = (updated.extraCharges || []).reduce(
+      (sum, charge) => sum + charge.amount,
+      0
+    );
+    const overpaid = roundMoney(
+      (updated.amountPaid || 0) - updated.totalPrice - extras
+    );
+    if (push.adjustments && updated.paymentStatus === "paid" && overpaid > 0) {
+      try {
+        const { refundBookingToWallet } = require("./paymentService");
+        await refundBookingToWallet(updated, overpaid, "Early checkout credit");
+        return Booking.findById(updated._id);
+      } catch (refundError) {
+        // The checkout stands; the failed refund is left for an admin
+        console.error(
+          `❌ Early checkout refund for booking ${updated._id} failed:`,
+          refundError.message
+        );
+      }
+    }
+
+    // Drivers who paid from their wallet have the overstay fee taken from it;
+    // otherwise (or when the balance is short) it is left to pay online
+    if (set.extraCharges?.length) {
+      const {
+        chargePenaltyFromWallet,
+        markAmountDue,
+      } = require("./paymentService");
+      try {
+        if (await chargePenaltyFromWallet(updated)) {
+          return Booking.findById(updated._id);
+        }
+      } catch (penaltyError) {
+        console.error(
+          `❌ Wallet penalty for booking ${updated._id} failed:`,
+          penaltyError.message
+        );
+      }
+      return (await markAmountDue(updated._id)) || updated;
+    }
+    return updated;
   } catch (error) {
-    throw new Error(`Failed to cancel booking: ${error.message}`);
+    if (error.status) throw error;
+    throw new Error(`Failed to check out booking: ${error.message}`);
   }
 }
 
@@ -284,12 +1151,13 @@ async function getActiveBookingsForLot(parkingLotId) {
 }
 
 /**
- * Get booking statistics for owner
+ * Get booking statistics for owner (walk-ins included, also split out by source)
  */
 async function getOwnerStats(lotIds) {
   try {
+    const match = { $match: { parkingLotId: { $in: lotIds } } };
     const stats = await Booking.aggregate([
-      { $match: { parkingLotId: { $in: lotIds } } },
+      match,
       {
         $group: {
           _id: "$status",
@@ -298,6 +1166,17 @@ async function getOwnerStats(lotIds) {
         },
       },
     ]);
+    // Bookings made before walk-ins existed have no source
+    const bySource = await Booking.aggregate([
+      match,
+      {
+        $group: {
+          _id: { $ifNull: ["$source", "app"] },
+          count: { $sum: 1 },
+          totalRevenue: { $sum: "$totalPrice" },
+        },
+      },
+    ]);
 
     const totalBookings = await Booking.countDocuments({
       parkingLotId: { $in: lotIds },
@@ -305,6 +1184,7 @@ async function getOwnerStats(lotIds) {
 
     return {
       stats,
+      bySource,
       totalBookings,
     };
   } catch (error) {
@@ -313,43 +1193,105 @@ async function getOwnerStats(lotIds) {
 }
 
 /**
- * Automatically marks active bookings as expired when their endTime has passed
- * and frees up parking lot slots by replenishing availability.
+ * Moves upcoming bookings whose startTime has arrived to "active" and takes
+ * their slot from the lot's live availability.
+ */
+async function activateUpcomingBookings() {
+  const now = new Date();
+  const dueBookings = await Booking.find({
+    status: "upcoming",
+    startTime: { $lte: now },
+    endTime: { $gt: now },
+  }).select("_id parkingLotId parkingLotName");
+
+  let updated = 0;
+  let errors = 0;
+
+  for (const due of dueBookings) {
+    try {
+      // Conditional update so overlapping cron runs can't activate twice
+      const booking = await Booking.findOneAndUpdate(
+        { _id: due._id, status: "upcoming" },
+        { $set: { status: "active" } },
+        { new: true }
+      );
+      if (!booking) continue;
+
+      // The window was reserved at booking time; never push the live count below 0
+      const taken = await ParkingLot.findOneAndUpdate(
+        { _id: booking.parkingLotId, availableSlots: { $gt: 0 } },
+        { $inc: { availableSlots: -1, carsParked: 1 } }
+      );
+      if (!taken) {
+        await ParkingLot.findByIdAndUpdate(booking.parkingLotId, {
+          $inc: { carsParked: 1 },
+        });
+        console.warn(
+          `⚠️ Lot ${booking.parkingLotId} had no live slots left while activating ${booking._id}`
+        );
+      }
+      console.log(
+        `🚗 Activated booking ${booking._id} for ${booking.parkingLotName}`
+      );
+      updated += 1;
+    } catch (error) {
+      console.error(`❌ Error activating booking ${due._id}:`, error.message);
+      errors += 1;
+    }
+  }
+
+  return { updated, errors };
+}
+
+/**
+ * Moves active bookings whose endTime has passed to "overstay": the vehicle is
+ * assumed to still be parked, so the slot stays taken until it checks out
+ * (fees and the maxHours cut-off are handled by processOverstays()).
+ * Upcoming bookings that were never activated expire without touching counters.
  */
 async function finalizeExpiredBookings() {
   const now = new Date();
   console.log(`🔍 Checking for expired bookings at ${now.toISOString()}`);
 
-  // Find active bookings that ended in the past
+  // Find reserved bookings that ended in the past
   const expiredBookings = await Booking.find({
-    status: "active",
+    status: { $in: RESERVED_STATUSES },
     endTime: { $lte: now },
-  }).populate("parkingLotId", "name");
+  }).select("_id status parkingLotId parkingLotName");
 
   if (!expiredBookings.length) {
     console.log("📊 No expired bookings found");
-    return { updated: 0 };
+    return { updated: 0, overstays: 0, errors: 0 };
   }
 
   console.log(`⏰ Found ${expiredBookings.length} expired bookings to process`);
   let updated = 0;
+  let overstays = 0;
   let errors = 0;
+  const freedLots = new Set();
 
   for (const booking of expiredBookings) {
     try {
-      // Mark as expired
-      booking.status = "expired";
-      await booking.save();
-
-      // Free up the parking slot by incrementing available slots and decrementing cars parked
-      await ParkingLot.findByIdAndUpdate(booking.parkingLotId, {
-        $inc: { availableSlots: 1, carsParked: -1 },
-      });
-
-      console.log(
-        `✅ Expired booking ${booking._id} for ${booking.parkingLotName} - slot freed`
+      const wasActive = booking.status === "active";
+      // Conditional so a checkout in the meantime isn't overwritten
+      const changed = await Booking.findOneAndUpdate(
+        { _id: booking._id, status: booking.status },
+        { $set: { status: wasActive ? "overstay" : "expired" } }
       );
-      updated += 1;
+      if (!changed) continue;
+
+      if (wasActive) {
+        console.log(
+          `🚨 Booking ${booking._id} at ${booking.parkingLotName} ended without checkout - now overstaying`
+        );
+        overstays += 1;
+      } else {
+        console.log(
+          `✅ Expired booking ${booking._id} for ${booking.parkingLotName}`
+        );
+        updated += 1;
+        freedLots.add(String(booking.parkingLotId));
+      }
     } catch (error) {
       console.error(
         `❌ Error processing expired booking ${booking._id}:`,
@@ -360,8 +1302,13 @@ async function finalizeExpiredBookings() {
     }
   }
 
-  console.log(`🎉 Processed ${updated} expired bookings, ${errors} errors`);
-  return { updated, errors };
+  // Overstays keep their slot; expired reservations give theirs back
+  for (const lotId of freedLots) await promoteWaitlistFor(lotId);
+
+  console.log(
+    `🎉 Processed ${updated} expired bookings, ${overstays} overstays, ${errors} errors`
+  );
+  return { updated, overstays, errors };
 }
 
 // Legacy function for compatibility (no longer needed but kept for safety)
@@ -385,6 +1332,11 @@ async function restockLotForCancelled(booking, ParkingLotModel) {
 }
 
 module.exports = {
+  bookingError,
+  lotFullError,
+  lotClosedError,
+  outsideHoursError,
+  getPaymentTimeoutMinutes,
   createBooking,
   getAllBookings,
   getBookingsByUser,
@@ -392,9 +1344,20 @@ module.exports = {
   getBookingsForLots,
   getBookingById,
   updateBookingStatus,
+  getCancellationQuote,
   cancelBooking,
+  extendBooking,
+  checkoutBooking,
   getActiveBookingsForLot,
   getOwnerStats,
+  getPeakOccupancy,
+  getWindowAvailability,
+  attachVehicleAvailability,
+  findFreeSlot,
+  reserveOnLot,
+  updateLotCapacity,
+  reserveBookingWindow,
+  activateUpcomingBookings,
   finalizeExpiredBookings,
   // Legacy exports
   addBooking,
@@ -0,0 +1,84 @@
+// services/cancellationService.js - refund tiers for cancelled bookings
+const MINUTE_MS = 60 * 1000;
+
+function roundMoney(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Validate and normalize a cancellation policy sent by an owner
+ */
+function normalizeCancellationPolicy(raw = {}) {
+  const policy = {
+    freeUntilMinutes:
+      raw.freeUntilMinutes == null ? 60 : Number(raw.freeUntilMinutes),
+    partialRefundPercent:
+      raw.partialRefundPercent == null ? 50 : Number(raw.partialRefundPercent),
+  };
+  if (!(policy.freeUntilMinutes >= 0) || policy.freeUntilMinutes > 10080) {
+    throw new Error("freeUntilMinutes must be between 0 and 10080 (a week)");
+  }
+  if (
+    !(policy.partialRefundPercent >= 0) ||
+    policy.partialRefundPercent > 100
+  ) {
+    throw new Error("partialRefundPercent must be between 0 and 100");
+  }
+  return policy;
+}
+
+/**
+ * A lot's cancellation policy with defaults filled in (older lots have none)
+ */
+function getCancellationPolicy(lot) {
+  const policy = lot?.cancellationPolicy || {};
+  return {
+    freeUntilMinutes: policy.freeUntilMinutes ?? 60,
+    partialRefundPercent: policy.partialRefundPercent ?? 50,
+  };
+}
+
+/**
+ * What cancelling a booking at `at` gives back under the lot's policy:
+ * everything paid up to freeUntilMinutes before the start, the partial
+ * percentage from then until the start, nothing once the stay has begun.
+ * Returns { tier, refundPercent, refundAmount, amountPaid, label, freeUntil }.
+ */
+function quoteCancellation(lot, booking, at = new Date()) {
+  const policy = getCancellationPolicy(lot);
+  const now = new Date(at);
+  const freeUntil = new Date(
+    booking.startTime.getTime() - policy.freeUntilMinutes * MINUTE_MS
+  );
+
+  let tier = "none";
+  let refundPercent = 0;
+  let label = "No refund once the booking has started";
+  if (booking.status === "upcoming" && now < booking.startTime) {
+    if (now <= freeUntil) {
+      tier = "full";
+      refundPercent = 100;
+      label = `Full refund (cancelled ${policy.freeUntilMinutes}+ min before start)`;
+    } else {
+      tier = "partial";
+      refundPercent = policy.partialRefundPercent;
+      label = `${refundPercent}% refund (cancelled within ${policy.freeUntilMinutes} min of start)`;
+    }
+  }
+
+  const amountPaid = Math.max(0, booking.amountPaid || 0);
+  return {
+    tier,
+    refundPercent,
+    refundAmount: roundMoney((amountPaid * refundPercent) / 100),
+    amountPaid,
+    label,
+    freeUntil,
+  };
+}
+
+module.exports = {
+  normalizeCancellationPolicy,
+  getCancellationPolicy,
+  quoteCancellation,
+};
@@ -0,0 +1,252 @@
+// services/checkinService.js - signed gate passes and entry/exit scans
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Booking = require("../models/Booking");
+const ParkingLot = require("../models/ParkingLot");
+const {
+  bookingError,
+  lotFullError,
+  checkoutBooking,
+} = require("./bookingsService");
+
+const TOKEN_PREFIX = "PE1";
+
+// Drivers may enter this long before their booking starts
+const EARLY_ENTRY_MS = 15 * 60 * 1000;
+
+// Bookings gate staff can still do something with
+const GATE_STATUSES = ["upcoming", "active", "overstay"];
+
+function sign(bookingId, parkingLotId, vehicleNumber) {
+  const secret = process.env.CHECKIN_SECRET || process.env.JWT_SECRET;
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${bookingId}:${parkingLotId}:${vehicleNumber}`)
+    .digest("base64url");
+}
+
+/**
+ * Gate pass for a booking: its id plus an HMAC binding it to the lot and the
+ * vehicle, so a pass can't be edited or made up without the server secret
+ */
+function signCheckinToken(booking) {
+  const lotId = booking.parkingLotId?._id || booking.parkingLotId;
+  return [
+    TOKEN_PREFIX,
+    booking._id,
+    sign(booking._id, lotId, booking.vehicleNumber),
+  ].join(".");
+}
+
+/**
+ * Booking a scanned pass belongs to, or null when the pass is forged,
+ * tampered with or for a booking that no longer exists
+ */
+async function resolveCheckinToken(token) {
+  const [prefix, bookingId, signature] = String(token || "")
+    .trim()
+    .split(".");
+  if (prefix !== TOKEN_PREFIX || !signature) return null;
+  if (!mongoose.isValidObjectId(bookingId)) return null;
+
+  const booking = await Booking.findById(bookingId);
+  if (!booking) return null;
+  const expected = Buffer.from(
+    sign(booking._id, booking.parkingLotId, booking.vehicleNumber)
+  );
+  const given = Buffer.from(signature);
+  if (
+    expected.length !== given.length ||
+    !crypto.timingSafeEqual(expected, given)
+  ) {
+    return null;
+  }
+  return booking;
+}
+
+/**
+ * Regex matching a vehicle number however it was typed: with or without
+ * spaces/dashes, in any case
+ */
+function platePattern(text) {
+  const pattern = String(text || "")
+    .replace(/[\s-]+/g, "")
+    .split("")
+    .map((c) => c.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    .join("[\\s-]*");
+  return new RegExp(`^${pattern}$`, "i");
+}
+
+/**
+ * Lot filter for the gates a user runs: owners their own lots, attendants the
+ * lots they are assigned to, admins every lot. Null for everyone else.
+ */
+function gateLotsFilter(user) {
+  if (user?.role === "admin") return {};
+  if (user?.role === "owner") return { owner: user.id };
+  if (user?.role === "attendant") return { attendants: user.id };
+  return null;
+}
+
+/**
+ * Whether a user may run the gates of a lot
+ */
+async function canOperateGate(user, parkingLotId) {
+  const filter = gateLotsFilter(user);
+  if (!filter) return false;
+  return Boolean(await ParkingLot.exists({ ...filter, _id: parkingLotId }));
+}
+
+/**
+ * Lots whose gates a user runs (for the attendant console)
+ */
+async function getGateLots(user) {
+  const filter = gateLotsFilter(user);
+  if (!filter) return [];
+  return ParkingLot.find(filter)
+    .select("name address totalSlots availableSlots")
+    .sort({ name: 1 });
+}
+
+/**
+ * Find bookings at the user's gates by scanned pass, booking id or vehicle
+ * number (open bookings only for vehicle numbers, soonest first)
+ */
+async function lookupBookings(user, query, lotId = null) {
+  const text = String(query || "").trim();
+  const filter = gateLotsFilter(user);
+  if (!text || !filter) return [];
+  const lots = await ParkingLot.find(
+    lotId ? { ...filter, _id: lotId } : filter
+  ).select("_id");
+  const lotIds = lots.map((lot) => lot._id);
+  if (!lotIds.length) return [];
+  const atGates = (booking) =>
+    booking && lotIds.some((id) => id.equals(booking.parkingLotId));
+
+  if (text.startsWith(`${TOKEN_PREFIX}.`)) {
+    const booking = await resolveCheckinToken(text);
+    if (!booking) {
+      throw bookingError("Invalid or tampered pass", 400, "INVALID_PASS");
+    }
+    return atGates(booking) ? [booking] : [];
+  }
+  if (mongoose.isValidObjectId(text)) {
+    const booking = await Booking.findById(text);
+    return atGates(booking) ? [booking] : [];
+  }
+
+  return Booking.find({
+    parkingLotId: { $in: lotIds },
+    status: { $in: GATE_STATUSES },
+    vehicleNumber: platePattern(text),
+  })
+    .sort({ startTime: 1 })
+    .limit(20);
+}
+
+/**
+ * Entry scan: records the arrival time. An upcoming booking scanned shortly
+ * before its start is activated early and takes its live slot right away.
+ * The booking must be paid first (passes and free stays already are).
+ */
+async function recordEntry(booking) {
+  const now = new Date();
+  if (booking.arrivedAt) {
+    throw bookingError(
+      `Already checked in at ${booking.arrivedAt.toISOString()}`,
+      409,
+      "ALREADY_CHECKED_IN"
+    );
+  }
+  // An unpaid booking is released when its payment window runs out
+  if (booking.paymentStatus === "pending") {
+    throw bookingError(
+      "This booking hasn't been paid yet - pay for it before entering",
+      409,
+      "PAYMENT_REQUIRED"
+    );
+  }
+
+  if (booking.status === "active") {
+    const updated = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: "active", arrivedAt: null },
+      { $set: { arrivedAt: now } },
+      { new: true }
+    );
+    if (!updated) throw bookingError("Booking changed, please scan again", 409);
+    return updated;
+  }
+
+  if (booking.status !== "upcoming") {
+    throw bookingError(
+      `This booking is ${booking.status} and can't be used to enter`,
+      409,
+      "NOT_ENTERABLE"
+    );
+  }
+  if (now.getTime() < booking.startTime.getTime() - EARLY_ENTRY_MS) {
+    throw bookingError(
+      `Too early - entry opens 15 minutes before ${booking.startTime.toISOString()}`,
+      409,
+      "TOO_EARLY"
+    );
+  }
+
+  // Conditional so the activation cron can't take the slot a second time
+  const updated = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: "upcoming" },
+    { $set: { status: "active", arrivedAt: now } },
+    { new: true }
+  );
+  if (!updated) throw bookingError("Booking changed, please scan again", 409);
+
+  const taken = await ParkingLot.findOneAndUpdate(
+    { _id: booking.parkingLotId, availableSlots: { $gt: 0 } },
+    { $inc: { availableSlots: -1, carsParked: 1 } }
+  );
+  if (!taken) {
+    if (now < booking.startTime) {
+      // The previous driver hasn't left yet; let them in at their start time
+      await Booking.updateOne(
+        { _id: booking._id },
+        { $set: { status: "upcoming" }, $unset: { arrivedAt: 1 } }
+      );
+      throw lotFullError("No free slot yet - please wait for your start time");
+    }
+    // The window was reserved at booking time, same as activateUpcomingBookings
+    await ParkingLot.findByIdAndUpdate(booking.parkingLotId, {
+      $inc: { carsParked: 1 },
+    });
+    console.warn(
+      `⚠️ Lot ${booking.parkingLotId} had no live slots left at entry of ${booking._id}`
+    );
+  }
+  return updated;
+}
+
+/**
+ * Exit scan: checks the booking out (crediting unused time or settling the
+ * overstay fee) and records the departure time
+ */
+async function recordExit(booking) {
+  if (!["active", "overstay"].includes(booking.status)) {
+    throw bookingError(
+      `This booking is ${booking.status} and can't be used to exit`,
+      409,
+      "NOT_EXITABLE"
+    );
+  }
+  return checkoutBooking(booking._id, null, { departedAt: new Date() });
+}
+
+module.exports = {
+  signCheckinToken,
+  resolveCheckinToken,
+  platePattern,
+  canOperateGate,
+  getGateLots,
+  lookupBookings,
+  recordEntry,
+  recordExit,
+};
@@ -0,0 +1,177 @@
+// services/demandPricingService.js - occupancy-based (surge) pricing for lots
+const ParkingLot = require("../models/ParkingLot");
+const PriceChange = require("../models/PriceChange");
+const { getWindowAvailability } = require("./bookingsService");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function roundMultiplier(n) {
+  // Whole 5% steps so the price doesn't twitch on every booking
+  return Math.round(n * 20) / 20;
+}
+
+/**
+ * Validate and normalize demand pricing settings sent by an owner
+ */
+function normalizeDemandPricing(raw = {}) {
+  const settings = {
+    enabled: Boolean(raw.enabled),
+    minMultiplier: raw.minMultiplier == null ? 0.8 : Number(raw.minMultiplier),
+    maxMultiplier: raw.maxMultiplier == null ? 1.5 : Number(raw.maxMultiplier),
+    lowOccupancy: raw.lowOccupancy == null ? 0.3 : Number(raw.lowOccupancy),
+    highOccupancy: raw.highOccupancy == null ? 0.8 : Number(raw.highOccupancy),
+    forecastHours: raw.forecastHours == null ? 2 : Number(raw.forecastHours),
+  };
+  if (!(settings.minMultiplier > 0) || settings.minMultiplier > 1) {
+    throw new Error("minMultiplier must be between 0 and 1");
+  }
+  if (!(settings.maxMultiplier >= 1) || settings.maxMultiplier > 5) {
+    throw new Error("maxMultiplier must be between 1 and 5");
+  }
+  if (
+    !(settings.lowOccupancy >= 0) ||
+    !(settings.highOccupancy <= 1) ||
+    !(settings.lowOccupancy < settings.highOccupancy)
+  ) {
+    throw new Error(
+      "Occupancy thresholds must satisfy 0 <= lowOccupancy < highOccupancy <= 1"
+    );
+  }
+  if (!(settings.forecastHours >= 0) || settings.forecastHours > 24) {
+    throw new Error("forecastHours must be between 0 and 24");
+  }
+  return settings;
+}
+
+/**
+ * Map an occupancy ratio onto the owner's bounds: the floor when empty, 1x
+ * between the low and high thresholds and the ceiling when full
+ */
+function computeDemandMultiplier(settings, occupancy) {
+  const occ = Math.max(0, Math.min(1, occupancy));
+  const { minMultiplier, maxMultiplier, lowOccupancy, highOccupancy } =
+    settings;
+  let multiplier = 1;
+  if (occ < lowOccupancy) {
+    multiplier =
+      minMultiplier + (1 - minMultiplier) * (occ / (lowOccupancy || 1));
+  } else if (occ > highOccupancy) {
+    multiplier =
+      1 +
+      (maxMultiplier - 1) * ((occ - highOccupancy) / (1 - highOccupancy || 1));
+  }
+  return roundMultiplier(
+    Math.max(minMultiplier, Math.min(maxMultiplier, multiplier))
+  );
+}
+
+/**
+ * Current and forecast occupancy ratios of a lot
+ */
+async function getDemand(lot) {
+  const total = Number(lot.totalSlots) || 0;
+  if (!total) return { occupancy: 0, forecastOccupancy: 0 };
+  const occupancy =
+    Math.max(0, total - (Number(lot.availableSlots) || 0)) / total;
+  let forecastOccupancy = occupancy;
+  const hours = lot.demandPricing?.forecastHours ?? 2;
+  if (hours > 0) {
+    const now = new Date();
+    const { reserved } = await getWindowAvailability(
+      lot,
+      now,
+      new Date(now.getTime() + hours * HOUR_MS)
+    );
+    forecastOccupancy = Math.min(1, reserved / total);
+  }
+  return { occupancy, forecastOccupancy };
+}
+
+/**
+ * Store a new multiplier on the lot and log it in the price history
+ */
+async function applyMultiplier(lot, multiplier, demand, reason) {
+  const previousMultiplier = Number(lot.demandMultiplier) || 1;
+  if (previousMultiplier === multiplier) return null;
+  await ParkingLot.updateOne(
+    { _id: lot._id },
+    { $set: { demandMultiplier: multiplier } }
+  );
+  lot.demandMultiplier = multiplier;
+  return PriceChange.create({
+    parkingLotId: lot._id,
+    previousMultiplier,
+    multiplier,
+    occupancy: demand?.occupancy,
+    forecastOccupancy: demand?.forecastOccupancy,
+    reason,
+  });
+}
+
+/**
+ * Recompute one lot's multiplier from its current and forecast occupancy
+ */
+async function updateLotDemandPricing(lot, reason = "demand") {
+  if (!lot.demandPricing?.enabled) {
+    return applyMultiplier(lot, 1, null, reason);
+  }
+  const demand = await getDemand(lot);
+  const occupancy = Math.max(demand.occupancy, demand.forecastOccupancy);
+  const multiplier = computeDemandMultiplier(lot.demandPricing, occupancy);
+  return applyMultiplier(lot, multiplier, demand, reason);
+}
+
+/**
+ * Recompute multipliers for every lot with demand pricing switched on
+ * (run from the cron in server.js)
+ */
+async function updateDemandPricing() {
+  const lots = await ParkingLot.find({ "demandPricing.enabled": true });
+  let updated = 0;
+  let errors = 0;
+  for (const lot of lots) {
+    try {
+      const change = await updateLotDemandPricing(lot);
+      if (change) {
+        console.log(
+          `📈 ${lot.name}: demand multiplier ${change.previousMultiplier}x -> ${change.multiplier}x`
+        );
+        updated += 1;
+      }
+    } catch (error) {
+      console.error(
+        `❌ Error updating demand pricing for ${lot._id}:`,
+        error.message
+      );
+      errors += 1;
+    }
+  }
+  return { updated, errors };
+}
+
+/**
+ * Save an owner's demand pricing settings and apply them right away
+ */
+async function setLotDemandPricing(lot, raw) {
+  lot.demandPricing = normalizeDemandPricing(raw);
+  await lot.save();
+  await updateLotDemandPricing(lot, "settings");
+  return lot;
+}
+
+/**
+ * Most recent multiplier changes for a lot
+ */
+async function getPriceHistory(parkingLotId, limit = 50) {
+  return PriceChange.find({ parkingLotId })
+    .sort({ createdAt: -1 })
+    .limit(limit);
+}
+
+module.exports = {
+  computeDemandMultiplier,
+  updateLotDemandPricing,
+  updateDemandPricing,
+  setLotDemandPricing,
+  getPriceHistory,
+};
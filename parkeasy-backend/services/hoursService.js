@@ -0,0 +1,226 @@
+// services/hoursService.js - lot opening hours, 24x7 lots and dated closures
+const { parseClock } = require("./pricingService");
+
+const MINUTES_PER_DAY = 24 * 60;
+const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const DEFAULT_TIMEZONE = "Asia/Kolkata";
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_CLOSURES = 100;
+
+// Like parseClock, but "24:00" is allowed as a closing time
+function parseCloseClock(value) {
+  return String(value || "").trim() === "24:00"
+    ? MINUTES_PER_DAY
+    : parseClock(value);
+}
+
+/**
+ * Validate and normalize opening hours sent by an owner
+ */
+function normalizeOpeningHours(raw = {}) {
+  const hours = {
+    alwaysOpen: raw.alwaysOpen !== false,
+    weekly: [],
+    closures: [],
+  };
+
+  (raw.weekly || []).forEach((window) => {
+    const day = Number(window?.day);
+    if (!Number.isInteger(day) || day < 0 || day > 6) {
+      throw new Error("Opening hours need a weekday from 0 (Sun) to 6 (Sat)");
+    }
+    const open = parseClock(window.open);
+    const close = parseCloseClock(window.close);
+    if (open == null || close == null) {
+      throw new Error("Opening and closing times must be given as HH:mm");
+    }
+    if (open === close) {
+      throw new Error("A lot can't open and close at the same time");
+    }
+    hours.weekly.push({
+      day,
+      open: String(window.open).trim().padStart(5, "0"),
+      close: String(window.close).trim().padStart(5, "0"),
+    });
+  });
+  hours.weekly.sort((a, b) => a.day - b.day || a.open.localeCompare(b.open));
+  if (!hours.alwaysOpen && !hours.weekly.length) {
+    throw new Error("Give at least one opening window or mark the lot 24x7");
+  }
+
+  (raw.closures || []).forEach((closure) => {
+    const from = String(closure?.from || "").trim();
+    const to = String(closure?.to || from).trim();
+    if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to)) {
+      throw new Error("Closure dates must be YYYY-MM-DD");
+    }
+    if (to < from) {
+      throw new Error("A closure must end on or after the day it starts");
+    }
+    hours.closures.push({
+      from,
+      to,
+      reason: String(closure.reason || "")
+        .trim()
+        .slice(0, 100),
+    });
+  });
+  if (hours.closures.length > MAX_CLOSURES) {
+    throw new Error(`A lot can have at most ${MAX_CLOSURES} closures`);
+  }
+  hours.closures.sort((a, b) => a.from.localeCompare(b.from));
+  return hours;
+}
+
+/**
+ * Local date ("YYYY-MM-DD"), weekday and minute-of-day of an instant
+ */
+function getLocalParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    weekday: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date);
+  const get = (type) => parts.find((p) => p.type === type)?.value;
+  return {
+    date: `${get("year")}-${get("month")}-${get("day")}`,
+    day: WEEKDAY_NAMES.indexOf(get("weekday")),
+    minutes: Number(get("hour")) * 60 + Number(get("minute")),
+  };
+}
+
+function findClosure(hours, date) {
+  return (hours.closures || []).find((c) => c.from <= date && date <= c.to);
+}
+
+/**
+ * Minute-of-day (up to 1440) until which the lot stays open from `local`,
+ * or null when it is closed then
+ */
+function openUntil(hours, local) {
+  if (findClosure(hours, local.date)) return null;
+  if (hours.alwaysOpen !== false) return MINUTES_PER_DAY;
+  let until = null;
+  const yesterday = (local.day + 6) % 7;
+  (hours.weekly || []).forEach((window) => {
+    const open = parseClock(window.open);
+    const close = parseCloseClock(window.close);
+    let end = null;
+    if (window.day === local.day && local.minutes >= open) {
+      // Closing at or before opening means it runs on past midnight
+      end = close > open ? close : MINUTES_PER_DAY;
+    } else if (window.day === yesterday && close <= open) {
+      end = close;
+    }
+    if (end != null && local.minutes < end) {
+      until = Math.max(until ?? 0, end);
+    }
+  });
+  return until;
+}
+
+// "08:00–22:00, 23:00–24:00" for a weekday, or "closed all day"
+function describeDay(hours, day) {
+  const windows = (hours.weekly || []).filter((w) => w.day === day);
+  return windows.length
+    ? windows.map((w) => `${w.open}–${w.close}`).join(", ")
+    : "closed all day";
+}
+
+function formatClock(minutes) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+function lotTimeZone(lot) {
+  return lot.pricingRules?.timezone || DEFAULT_TIMEZONE;
+}
+
+/**
+ * Why a lot can't take a car for the whole [start, end) window, or null when
+ * it is open throughout. Lots without opening hours are open 24x7.
+ */
+function checkOpenWindow(lot, start, end) {
+  const hours = lot.openingHours || {};
+  if (hours.alwaysOpen !== false && !hours.closures?.length) return null;
+  const timeZone = lotTimeZone(lot);
+  const endMs = new Date(end).getTime();
+  // Step from one opening-hours boundary to the next (at least local midnight)
+  let at = Math.floor(new Date(start).getTime() / 60000) * 60000;
+  while (at < endMs) {
+    const local = getLocalParts(new Date(at), timeZone);
+    const until = openUntil(hours, local);
+    if (until == null) {
+      const closure = findClosure(hours, local.date);
+      if (closure) {
+        return `${lot.name} is closed on ${local.date}${
+          closure.reason ? ` (${closure.reason})` : ""
+        }`;
+      }
+      return `${lot.name} is closed at ${formatClock(local.minutes)} on ${
+        WEEKDAY_NAMES[local.day]
+      } (open ${describeDay(
+        hours,
+        local.day
+      )}) - bookings must fit within its opening hours`;
+    }
+    at += (until - local.minutes) * 60000;
+  }
+  return null;
+}
+
+/**
+ * Whether a lot is open at an instant and a short label for drivers,
+ * e.g. "Open until 22:00" or "Closed - opens 08:00"
+ */
+function getOpenState(lot, at = new Date()) {
+  const hours = lot.openingHours || {};
+  const local = getLocalParts(at, lotTimeZone(lot));
+  const closure = findClosure(hours, local.date);
+  if (closure) {
+    return {
+      openNow: false,
+      openLabel: `Closed today${closure.reason ? ` (${closure.reason})` : ""}`,
+    };
+  }
+  if (hours.alwaysOpen !== false) {
+    return { openNow: true, openLabel: "Open 24 hours" };
+  }
+  const until = openUntil(hours, local);
+  if (until != null) {
+    // A window running past midnight closes at its clock time tomorrow
+    const overnight = (hours.weekly || []).find(
+      (w) =>
+        w.day === local.day &&
+        parseCloseClock(w.close) <= parseClock(w.open) &&
+        local.minutes >= parseClock(w.open)
+    );
+    return {
+      openNow: true,
+      openLabel: overnight
+        ? `Open until ${overnight.close}`
+        : until >= MINUTES_PER_DAY
+        ? "Open until midnight"
+        : `Open until ${formatClock(until)}`,
+    };
+  }
+  const later = (hours.weekly || [])
+    .filter((w) => w.day === local.day && parseClock(w.open) > local.minutes)
+    .map((w) => w.open)
+    .sort();
+  return {
+    openNow: false,
+    openLabel: later.length ? `Closed - opens ${later[0]}` : "Closed now",
+  };
+}
+
+module.exports = {
+  normalizeOpeningHours,
+  checkOpenWindow,
+  getOpenState,
+};
@@ -0,0 +1,464 @@
+// services/invoiceService.js - numbered GST invoices for settled bookings, rendered as PDF
+const PDFDocument = require("pdfkit");
+const Booking = require("../models/Booking");
+const Counter = require("../models/Counter");
+const ParkingLot = require("../models/ParkingLot");
+const { bookingError } = require("./bookingsService");
+
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || "PE";
+const DEFAULT_TIMEZONE = "Asia/Kolkata";
+const IST_OFFSET = "+05:30";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+// Bulk exports are built in memory; keep them to a sensible size
+const MAX_EXPORT = 500;
+// How long a request may take to number an invoice before another takes over
+const INVOICE_CLAIM_MS = 60 * 1000;
+
+function roundMoney(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Validate and normalize a lot's invoice details sent by an owner
+ */
+function normalizeInvoiceDetails(raw = {}) {
+  const legalName = String(raw.legalName || "").trim() || null;
+  const gstin = String(raw.gstin || "")
+    .trim()
+    .toUpperCase();
+  const gstRate = raw.gstRate == null ? 18 : Number(raw.gstRate);
+  if (gstin && !GSTIN_PATTERN.test(gstin)) {
+    throw new Error("gstin must be a 15-character GSTIN, e.g. 24ABCDE1234F1Z5");
+  }
+  if (!(gstRate >= 0) || gstRate > 28) {
+    throw new Error("gstRate must be between 0 and 28");
+  }
+  if (legalName && legalName.length > 120) {
+    throw new Error("legalName must be at most 120 characters");
+  }
+  return { legalName, gstin: gstin || null, gstRate };
+}
+
+/**
+ * Lines and total an invoice would bill for a booking, or null when the
+ * booking isn't settled yet (still running) or nothing was charged
+ */
+function getInvoiceLines(booking) {
+  if (booking.status === "cancelled") {
+    // Only what was kept after the cancellation refund is billed
+    const kept = roundMoney(booking.amountPaid || 0);
+    if (kept <= 0) return null;
+    return {
+      lines: [
+        {
+          code: "cancellation",
+          label: booking.cancellation?.label
+            ? `Cancellation charge - ${booking.cancellation.label}`
+            : "Cancellation charge",
+          amount: kept,
+        },
+      ],
+      total: kept,
+    };
+  }
+  // expired = ran its course without a checkout (no-show or closed overstay)
+  if (!["completed", "expired"].includes(booking.status)) return null;
+
+  const lines = (booking.priceBreakdown || []).map((line) => ({
+    code: line.code,
+    label: line.label,
+    hours: line.hours,
+    rate: line.rate,
+    amount: line.amount,
+  }));
+  if (!lines.length) {
+    lines.push({
+      code: "time",
+      label: "Parking",
+      hours: booking.duration,
+      rate: booking.pricePerHour,
+      amount: booking.totalPrice,
+    });
+  }
+  // Older bookings may not itemize every change to totalPrice
+  const itemized = roundMoney(lines.reduce((sum, l) => sum + l.amount, 0));
+  const gap = roundMoney((booking.totalPrice || 0) - itemized);
+  if (Math.abs(gap) >= 0.01) {
+    lines.push({ code: "adjustment", label: "Adjustment", amount: gap });
+  }
+  (booking.extraCharges || []).forEach((charge) =>
+    lines.push({
+      code: charge.type,
+      label: charge.label,
+      hours: charge.hours,
+      rate: charge.rate,
+      amount: charge.amount,
+    })
+  );
+
+  const total = roundMoney(lines.reduce((sum, l) => sum + l.amount, 0));
+  if (total <= 0) return null;
+  return { lines, total };
+}
+
+/**
+ * Split a tax-inclusive total into taxable value and CGST/SGST halves
+ * (parking is taxed where the lot is, so it is always an intra-state supply)
+ */
+function splitGst(total, gstRate) {
+  const taxableValue = roundMoney((total * 100) / (100 + gstRate));
+  const tax = roundMoney(total - taxableValue);
+  const cgst = roundMoney(tax / 2);
+  return { taxableValue, cgst, sgst: roundMoney(tax - cgst) };
+}
+
+function lotTimezone(lot) {
+  return lot?.pricingRules?.timezone || DEFAULT_TIMEZONE;
+}
+
+// Indian financial year (April-March) of an instant, e.g. "2025-26"
+function financialYear(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "numeric",
+  }).formatToParts(date);
+  const year = Number(parts.find((p) => p.type === "year").value);
+  const month = Number(parts.find((p) => p.type === "month").value);
+  const start = month >= 4 ? year : year - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, "0")}`;
+}
+
+async function nextInvoiceNumber(issuedAt, timeZone) {
+  const fy = financialYear(issuedAt, timeZone);
+  const counter = await Counter.findOneAndUpdate(
+    { _id: `invoice:${fy}` },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return `${INVOICE_PREFIX}/${fy}/${String(counter.seq).padStart(6, "0")}`;
+}
+
+function formatAddress(address = {}) {
+  return [address.line1, address.line2, address.city, address.state]
+    .filter(Boolean)
+    .join(", ")
+    .concat(address.pincode ? ` - ${address.pincode}` : "");
+}
+
+// The invoice another request is issuing for the booking, once it has one
+async function waitForInvoice(bookingId) {
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const current = await Booking.findById(bookingId).select("invoice");
+    if (current?.invoice?.number) return current.invoice;
+    await new Promise((r) => setTimeout(r, 100));
+  }
+  throw bookingError(
+    "The invoice is being issued right now, please try again",
+    409,
+    "INVOICE_BUSY"
+  );
+}
+
+/**
+ * The booking's invoice, issuing (numbering and freezing) it on first request.
+ * The booking is claimed before a number is taken, so racing requests never
+ * use up a number and leave a gap in the series.
+ */
+async function issueInvoice(booking, lot = null) {
+  if (booking.invoice?.number) return booking.invoice;
+
+  const billed = getInvoiceLines(booking);
+  if (!billed) {
+    const settled = ["completed", "cancelled", "expired"].includes(
+      booking.status
+    );
+    throw bookingError(
+      settled
+        ? "Nothing was charged for this booking"
+        : "The invoice is available once the booking is completed",
+      409,
+      "NO_INVOICE"
+    );
+  }
+  const parkingLot = lot || (await ParkingLot.findById(booking.parkingLotId));
+  const details = parkingLot?.invoiceDetails || {};
+  const gstin = details.gstin || null;
+  const gstRate = gstin ? details.gstRate ?? 18 : 0;
+  const issuedAt = new Date();
+
+  const invoice = {
+    issuedAt,
+    documentType: gstin ? "tax_invoice" : "bill_of_supply",
+    seller: {
+      name: details.legalName || parkingLot?.name || booking.parkingLotName,
+      gstin: gstin || undefined,
+      address: formatAddress(parkingLot?.address) || undefined,
+    },
+    customer: {
+      name: booking.source === "walkin" ? "Walk-in customer" : booking.userName,
+      email: booking.userEmail,
+      phone: booking.userPhone,
+    },
+    lines: billed.lines,
+    total: billed.total,
+    gstRate,
+    ...(gstin
+      ? splitGst(billed.total, gstRate)
+      : { taxableValue: billed.total, cgst: 0, sgst: 0 }),
+  };
+
+  const claimedAt = new Date();
+  const claimed = await Booking.findOneAndUpdate(
+    {
+      _id: booking._id,
+      "invoice.number": { $exists: false },
+      // A claim left by a request that died is taken over after a while
+      $or: [
+        { invoiceClaimedAt: null },
+        {
+          invoiceClaimedAt: {
+            $lt: new Date(claimedAt.getTime() - INVOICE_CLAIM_MS),
+          },
+        },
+      ],
+    },
+    { $set: { invoiceClaimedAt: claimedAt } }
+  );
+  // Issued (or being issued) by a concurrent request
+  if (!claimed) return waitForInvoice(booking._id);
+
+  try {
+    invoice.number = await nextInvoiceNumber(issuedAt, lotTimezone(parkingLot));
+  } catch (error) {
+    await Booking.updateOne(
+      { _id: booking._id, invoiceClaimedAt: claimedAt },
+      { $unset: { invoiceClaimedAt: 1 } }
+    );
+    throw error;
+  }
+  const updated = await Booking.findOneAndUpdate(
+    { _id: booking._id, invoiceClaimedAt: claimedAt },
+    { $set: { invoice }, $unset: { invoiceClaimedAt: 1 } },
+    { new: true }
+  );
+  if (updated) return updated.invoice;
+  // Took so long that another request took the claim over; its invoice stands
+  return waitForInvoice(booking._id);
+}
+
+/**
+ * Parse an export range of "YYYY-MM-DD" dates (India time, both days
+ * included) into { from, to } instants with `to` exclusive
+ */
+function parseInvoiceRange(fromDate, toDate) {
+  const pattern = /^\d{4}-\d{2}-\d{2}$/;
+  if (!pattern.test(fromDate || "") || !pattern.test(toDate || "")) {
+    throw bookingError("from and to must be dates like 2025-04-01");
+  }
+  const from = new Date(`${fromDate}T00:00:00${IST_OFFSET}`);
+  const to = new Date(
+    new Date(`${toDate}T00:00:00${IST_OFFSET}`).getTime() + DAY_MS
+  );
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    throw bookingError("from and to must be valid dates");
+  }
+  if (to <= from) throw bookingError("to must not be before from");
+  if (to - from > 366 * DAY_MS) {
+    throw bookingError("Export at most a year of invoices at a time");
+  }
+  return { from, to };
+}
+
+/**
+ * Bookings at the given lots that started in [from, to) and have (or can get)
+ * an invoice, oldest first
+ */
+async function getInvoiceableBookings(lotIds, from, to) {
+  const bookings = await Booking.find({
+    parkingLotId: { $in: lotIds },
+    startTime: { $gte: from, $lt: to },
+    $or: [
+      { status: { $in: ["completed", "expired"] } },
+      { status: "cancelled", amountPaid: { $gt: 0 } },
+    ],
+  })
+    .sort({ startTime: 1 })
+    .limit(MAX_EXPORT + 1);
+  if (bookings.length > MAX_EXPORT) {
+    throw bookingError(
+      `More than ${MAX_EXPORT} invoices in this range - please pick a shorter one`,
+      400,
+      "TOO_MANY_INVOICES"
+    );
+  }
+  return bookings.filter((b) => b.invoice?.number || getInvoiceLines(b));
+}
+
+/**
+ * Issue any missing invoices for the bookings; returns
+ * { booking, invoice, timeZone } entries ordered by invoice number
+ */
+async function issueInvoices(bookings) {
+  const lots = await ParkingLot.find({
+    _id: { $in: [...new Set(bookings.map((b) => String(b.parkingLotId)))] },
+  });
+  const lotsById = new Map(lots.map((lot) => [String(lot._id), lot]));
+  const issued = [];
+  for (const booking of bookings) {
+    const lot = lotsById.get(String(booking.parkingLotId));
+    const invoice = await issueInvoice(booking, lot);
+    issued.push({ booking, invoice, timeZone: lotTimezone(lot) });
+  }
+  return issued.sort((a, b) =>
+    a.invoice.number.localeCompare(b.invoice.number)
+  );
+}
+
+// Built-in PDF fonts have no rupee sign
+function formatInr(amount) {
+  return `INR ${Number(amount).toLocaleString("en-IN", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+}
+
+function formatDate(date, timeZone) {
+  return new Date(date).toLocaleString("en-IN", {
+    timeZone,
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+}
+
+function writeInvoicePage(doc, booking, invoice, timeZone) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const amountX = left + width - 120;
+
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(18)
+    .text(
+      invoice.documentType === "tax_invoice" ? "TAX INVOICE" : "BILL OF SUPPLY",
+      { align: "right" }
+    );
+  doc
+    .font("Helvetica")
+    .fontSize(10)
+    .text(`Invoice No: ${invoice.number}`, { align: "right" })
+    .text(`Date: ${formatDate(invoice.issuedAt, timeZone)}`, {
+      align: "right",
+    });
+  doc.moveDown();
+
+  doc.font("Helvetica-Bold").fontSize(11).text(invoice.seller.name);
+  doc.font("Helvetica").fontSize(10);
+  if (invoice.seller.address) doc.text(invoice.seller.address);
+  doc.text(
+    invoice.seller.gstin
+      ? `GSTIN: ${invoice.seller.gstin}`
+      : "Not registered under GST"
+  );
+  doc.moveDown();
+
+  doc.font("Helvetica-Bold").text("Billed to");
+  doc.font("Helvetica").text(invoice.customer?.name || "Customer");
+  if (invoice.customer?.email) doc.text(invoice.customer.email);
+  if (invoice.customer?.phone) doc.text(invoice.customer.phone);
+  doc.moveDown();
+
+  doc
+    .text(`Booking: ${booking._id}`)
+    .text(
+      `Parking at ${booking.parkingLotName} - ${booking.vehicleType} ${booking.vehicleNumber}`
+    )
+    .text(
+      `${formatDate(booking.startTime, timeZone)} to ${
+        booking.endTime ? formatDate(booking.endTime, timeZone) : "-"
+      }`
+    )
+    .text("SAC: 996743 (parking services)");
+  doc.moveDown();
+
+  const row = (label, amount, bold = false) => {
+    const y = doc.y;
+    doc
+      .font(bold ? "Helvetica-Bold" : "Helvetica")
+      .text(label, left, y, { width: width - 130 });
+    const after = doc.y;
+    doc.text(amount, amountX, y, { width: 120, align: "right" });
+    doc.y = Math.max(after, doc.y);
+    doc.x = left;
+  };
+  const rule = () => {
+    doc
+      .moveTo(left, doc.y + 2)
+      .lineTo(left + width, doc.y + 2)
+      .stroke();
+    doc.moveDown(0.5);
+  };
+
+  row("Description", "Amount", true);
+  rule();
+  invoice.lines.forEach((line) =>
+    row(
+      line.hours != null && line.rate != null
+        ? `${line.label} (${line.hours} h x ${formatInr(line.rate)})`
+        : line.label,
+      formatInr(line.amount)
+    )
+  );
+  rule();
+  if (invoice.documentType === "tax_invoice") {
+    const half = invoice.gstRate / 2;
+    row("Taxable value", formatInr(invoice.taxableValue));
+    row(`CGST @ ${half}%`, formatInr(invoice.cgst));
+    row(`SGST @ ${half}%`, formatInr(invoice.sgst));
+  }
+  row("Total", formatInr(invoice.total), true);
+  doc.moveDown(2);
+  doc
+    .fontSize(8)
+    .fillColor("#555555")
+    .text(
+      invoice.documentType === "tax_invoice"
+        ? "Prices include GST. This is a computer-generated invoice."
+        : "Supplier not registered under GST; no tax charged. This is a computer-generated bill.",
+      left
+    )
+    .fillColor("#000000");
+}
+
+/**
+ * Render invoices into a PDF (one page each) streamed to `stream`
+ */
+function writeInvoicesPdf(entries, stream) {
+  const doc = new PDFDocument({ size: "A4", margin: 50, autoFirstPage: false });
+  doc.pipe(stream);
+  entries.forEach(({ booking, invoice, timeZone }) => {
+    doc.addPage();
+    writeInvoicePage(doc, booking, invoice, timeZone);
+  });
+  doc.end();
+}
+
+/**
+ * File name for an invoice download (invoice numbers contain slashes)
+ */
+function invoiceFileName(invoice) {
+  return `invoice-${invoice.number.replace(/\//g, "-")}.pdf`;
+}
+
+module.exports = {
+  normalizeInvoiceDetails,
+  getInvoiceLines,
+  splitGst,
+  financialYear,
+  parseInvoiceRange,
+  getInvoiceableBookings,
+  issueInvoices,
+  writeInvoicesPdf,
+  invoiceFileName,
+};
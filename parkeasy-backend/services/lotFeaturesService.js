@@ -0,0 +1,91 @@
+// services/lotFeaturesService.js - lot types, amenities and the filters drivers search them by
+const { LOT_TYPES, AMENITIES } = require("../models/ParkingLot");
+
+// "Multi Storey" and "on_street" are read as "multi-storey" and "on-street"
+function toLotTypeKey(value) {
+  return String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_]+/g, "-");
+}
+
+// A comma-separated query value (or a repeated query param) as a list
+function toList(value) {
+  return (Array.isArray(value) ? value : [value])
+    .flatMap((v) => String(v ?? "").split(","))
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Validate a lot type sent by an owner or read from a CSV; blank clears it
+ */
+function normalizeLotType(value) {
+  if (value == null || String(value).trim() === "") return null;
+  const lotType = toLotTypeKey(value);
+  if (!LOT_TYPES.includes(lotType)) {
+    throw new Error(`Lot type must be one of: ${LOT_TYPES.join(", ")}`);
+  }
+  return lotType;
+}
+
+/**
+ * Validate amenities given either as { covered: true, ... } or as a list of
+ * the ones the lot has. Amenities left out of an object keep `current`.
+ */
+function normalizeAmenities(raw, current = {}) {
+  const amenities = {};
+  AMENITIES.forEach((key) => {
+    amenities[key] = Boolean(current[key]);
+  });
+  if (raw == null) return amenities;
+
+  const given = Array.isArray(raw)
+    ? Object.fromEntries(AMENITIES.map((key) => [key, raw.includes(key)]))
+    : raw;
+  if (typeof given !== "object") {
+    throw new Error("Amenities must be an object or a list");
+  }
+  const unknown = (Array.isArray(raw) ? raw : Object.keys(given)).find(
+    (key) => !AMENITIES.includes(key)
+  );
+  if (unknown) {
+    throw new Error(
+      `Unknown amenity "${unknown}" - use ${AMENITIES.join(", ")}`
+    );
+  }
+  Object.keys(given).forEach((key) => {
+    amenities[key] = given[key] === true || given[key] === "true";
+  });
+  return amenities;
+}
+
+/**
+ * Query conditions for `?type=surface,multi-storey&amenities=covered,cctv`.
+ * A lot matches any of the listed types and must have every listed amenity.
+ */
+function buildFeatureFilter(query = {}) {
+  const filter = {};
+  const types = toList(query.type).map(toLotTypeKey);
+  const badType = types.find((t) => !LOT_TYPES.includes(t));
+  if (badType) {
+    throw new Error(
+      `Unknown lot type "${badType}" - use ${LOT_TYPES.join(", ")}`
+    );
+  }
+  if (types.length) filter.lotType = { $in: [...new Set(types)] };
+
+  toList(query.amenities).forEach((key) => {
+    if (!AMENITIES.includes(key)) {
+      throw new Error(`Unknown amenity "${key}" - use ${AMENITIES.join(", ")}`);
+    }
+    filter[`amenities.${key}`] = true;
+  });
+  return filter;
+}
+
+module.exports = {
+  normalizeLotType,
+  normalizeAmenities,
+  buildFeatureFilter,
+};
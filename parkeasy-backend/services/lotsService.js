@@ -0,0 +1,195 @@
+// services/lotsService.js - owner edits, closing/reopening and deleting parking lots
+const Booking = require("../models/Booking");
+const ParkingLot = require("../models/ParkingLot");
+const Pass = require("../models/Pass");
+const {
+  bookingError,
+  getPeakOccupancy,
+  updateLotCapacity,
+} = require("./bookingsService");
+const { promoteWaitlist, cancelWaitlistForLot } = require("./waitlistService");
+const {
+  normalizeLotType,
+  normalizeAmenities,
+} = require("./lotFeaturesService");
+const { removeAllLotPhotos } = require("./photosService");
+
+// Far enough ahead to cover every booking already made
+const FAR_FUTURE = new Date("9999-12-31T00:00:00Z");
+
+function isBlank(value) {
+  return value == null || String(value).trim() === "";
+}
+
+/**
+ * Update a lot's name, location, address, base rate, capacity, type and
+ * amenities. Resolves to the updated lot.
+ * Capacity can't drop below what is already booked or parked, and a lot
+ * with a bay layout takes its capacity from the bays.
+ */
+async function updateLotDetails(lot, body = {}, now = new Date()) {
+  const {
+    name,
+    latitude,
+    longitude,
+    address,
+    pricePerHour,
+    totalSlots,
+    lotType,
+    amenities,
+  } = body;
+  const fields = {};
+
+  if (name !== undefined) {
+    if (isBlank(name)) throw bookingError("Name can't be empty");
+    fields.name = String(name).trim();
+  }
+
+  if (latitude !== undefined || longitude !== undefined) {
+    const lat = parseFloat(latitude);
+    const lng = parseFloat(longitude);
+    if (
+      Number.isNaN(lat) ||
+      Number.isNaN(lng) ||
+      Math.abs(lat) > 90 ||
+      Math.abs(lng) > 180
+    ) {
+      throw bookingError("Give a valid latitude and longitude together");
+    }
+    fields.location = { type: "Point", coordinates: [lng, lat] };
+  }
+
+  if (address !== undefined) {
+    const current = lot.address?.toObject
+      ? lot.address.toObject()
+      : lot.address || {};
+    fields.address = { ...current, ...(address || {}) };
+  }
+
+  if (pricePerHour !== undefined) {
+    const rate = Number(pricePerHour);
+    if (!Number.isFinite(rate) || rate <= 0) {
+      throw bookingError("Price per hour must be a positive number");
+    }
+    fields.pricePerHour = rate;
+  }
+
+  try {
+    if (lotType !== undefined) fields.lotType = normalizeLotType(lotType);
+    if (amenities !== undefined) {
+      const current = lot.amenities?.toObject
+        ? lot.amenities.toObject()
+        : lot.amenities || {};
+      fields.amenities = normalizeAmenities(amenities, current);
+    }
+  } catch (err) {
+    throw bookingError(err.message);
+  }
+
+  if (totalSlots === undefined || Number(totalSlots) === lot.totalSlots) {
+    return ParkingLot.findByIdAndUpdate(
+      lot._id,
+      { $set: fields },
+      { new: true, runValidators: true }
+    );
+  }
+
+  const total = Number(totalSlots);
+  if (!Number.isInteger(total) || total < 1) {
+    throw bookingError("Total slots must be a whole number of at least 1");
+  }
+  let raised = false;
+  // Checked against a fresh copy of the lot and retried if a booking, walk-in
+  // or another edit lands before the new capacity is written
+  const updated = await updateLotCapacity(lot._id, async (freshLot) => {
+    if ((freshLot.slots || []).length) {
+      throw bookingError(
+        "This lot's capacity comes from its bay layout - add or disable bays instead"
+      );
+    }
+    if (total < (freshLot.totalSlots || 0)) {
+      const booked = await getPeakOccupancy(freshLot._id, now, FAR_FUTURE);
+      const inUse = Math.max(booked, Number(freshLot.carsParked) || 0);
+      if (total < inUse) {
+        throw bookingError(
+          `Up to ${inUse} slots are booked or parked at once - capacity can't go below that`,
+          409,
+          "CAPACITY_IN_USE"
+        );
+      }
+    }
+    raised = total > (freshLot.totalSlots || 0);
+    return { ...fields, totalSlots: total };
+  });
+
+  if (raised) await promoteWaitlist(lot._id, now);
+  return updated;
+}
+
+/**
+ * Close a lot to new bookings (existing ones are kept) or reopen it.
+ * Closing takes everyone off its waitlist.
+ */
+async function setLotActive(lot, active, reason) {
+  // In-flight reservations re-read the lot and see it closed
+  const update = { $inc: { reservationVersion: 1 } };
+  if (active) {
+    update.$set = { isActive: true };
+    update.$unset = { closedReason: 1, closedAt: 1 };
+  } else {
+    update.$set = { isActive: false, closedAt: new Date() };
+    if (isBlank(reason)) update.$unset = { closedReason: 1 };
+    else update.$set.closedReason = String(reason).trim();
+  }
+  const updated = await ParkingLot.findByIdAndUpdate(lot._id, update, {
+    new: true,
+  });
+  if (!updated) throw bookingError("Parking lot not found", 404);
+
+  if (!active) await cancelWaitlistForLot(updated, "closed");
+  const upcoming = await Booking.countDocuments({
+    parkingLotId: lot._id,
+    status: "upcoming",
+  });
+  return { lot: updated, upcoming };
+}
+
+/**
+ * Delete a lot that nobody is booked into or holding a pass for. Past
+ * bookings, invoices and earnings keep the lot's name; its photos go.
+ */
+async function deleteLot(lot) {
+  const booked = await Booking.countDocuments({
+    parkingLotId: lot._id,
+    status: { $in: ["upcoming", "active", "overstay"] },
+  });
+  if (booked > 0) {
+    throw bookingError(
+      `${booked} bookings at this lot haven't finished - close it instead and delete it once they have`,
+      409,
+      "LOT_IN_USE"
+    );
+  }
+  const passes = await Pass.countDocuments({
+    parkingLotId: lot._id,
+    status: "active",
+  });
+  if (passes > 0) {
+    throw bookingError(
+      `${passes} passes for this lot are still valid - close it instead and delete it once they expire`,
+      409,
+      "LOT_IN_USE"
+    );
+  }
+
+  await cancelWaitlistForLot(lot, "no longer on ParkEasy");
+  await ParkingLot.deleteOne({ _id: lot._id });
+  await removeAllLotPhotos(lot);
+  return lot;
+}
+
+module.exports = {
+  updateLotDetails,
+  setLotActive,
+  deleteLot,
+};
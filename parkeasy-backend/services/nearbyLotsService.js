@@ -0,0 +1,211 @@
+// services/nearbyLotsService.js - nearby lot search: radius, distances, sorting and cursor pagination
+const mongoose = require("mongoose");
+const ParkingLot = require("../models/ParkingLot");
+const { VEHICLE_TYPES } = require("../models/ParkingLot");
+
+const DEFAULT_RADIUS = 5000;
+const MAX_RADIUS = 25000; // The Dashboard's radius slider goes up to 25 km
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Ascending (1) or descending (-1) per sort; ties go to the nearer lot, then
+// _id, so every lot has a fixed place to page from
+const SORT_DIRECTIONS = {
+  distance: 1,
+  price: 1,
+  availability: -1,
+  rating: -1,
+};
+const SORTS = Object.keys(SORT_DIRECTIONS);
+
+// Hourly rate a driver of the vehicle type pays right now: the type's rate
+// (or the lot rate) times the surge multiplier while demand pricing is on
+function hourlyRateExpression(vehicleType) {
+  const lotRate = { $ifNull: ["$pricePerHour", 0] };
+  const baseRate = vehicleType
+    ? {
+        $let: {
+          vars: {
+            rate: {
+              $arrayElemAt: [
+                {
+                  $filter: {
+                    input: { $ifNull: ["$vehicleRates", []] },
+                    cond: { $eq: ["$$this.vehicleType", vehicleType] },
+                  },
+                },
+                0,
+              ],
+            },
+          },
+          in: { $ifNull: ["$$rate.pricePerHour", lotRate] },
+        },
+      }
+    : lotRate;
+  return {
+    $multiply: [
+      baseRate,
+      {
+        $cond: [
+          { $eq: ["$demandPricing.enabled", true] },
+          { $ifNull: ["$demandMultiplier", 1] },
+          1,
+        ],
+      },
+    ],
+  };
+}
+
+function sortValueExpression(sort, vehicleType) {
+  if (sort === "price") return hourlyRateExpression(vehicleType);
+  if (sort === "availability") return { $ifNull: ["$availableSlots", 0] };
+  if (sort === "rating") return { $ifNull: ["$ratingAverage", 0] };
+  return "$distance";
+}
+
+// Cursors are the last lot's [sort value, distance, _id], base64url encoded
+function encodeCursor(lot) {
+  return Buffer.from(
+    JSON.stringify([lot.sortValue, lot.distance, String(lot._id)])
+  ).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  let parts;
+  try {
+    parts = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+  } catch {
+    parts = null;
+  }
+  if (
+    !Array.isArray(parts) ||
+    parts.length !== 3 ||
+    typeof parts[0] !== "number" ||
+    typeof parts[1] !== "number" ||
+    !mongoose.isValidObjectId(parts[2])
+  ) {
+    throw new Error("Invalid cursor - pass nextCursor from the last page");
+  }
+  return {
+    sortValue: parts[0],
+    distance: parts[1],
+    _id: new mongoose.Types.ObjectId(parts[2]),
+  };
+}
+
+/**
+ * Validate `?lat=&lng=&radius=&sort=&vehicleType=&limit=&cursor=`. Radius is
+ * in meters (default 5 km, at most 25 km). Throws a plain Error when invalid.
+ */
+function parseNearbyQuery(query = {}) {
+  const lat = Number(query.lat);
+  const lng = Number(query.lng);
+  if (!Number.isFinite(lat) || lat < -90 || lat > 90) {
+    throw new Error("lat must be a latitude between -90 and 90");
+  }
+  if (!Number.isFinite(lng) || lng < -180 || lng > 180) {
+    throw new Error("lng must be a longitude between -180 and 180");
+  }
+
+  let radius = parseInt(query.radius, 10);
+  if (Number.isNaN(radius) || radius <= 0) radius = DEFAULT_RADIUS;
+  radius = Math.min(radius, MAX_RADIUS);
+
+  const sort = query.sort ? String(query.sort) : "distance";
+  if (!SORTS.includes(sort)) {
+    throw new Error(`sort must be one of: ${SORTS.join(", ")}`);
+  }
+  const vehicleType = query.vehicleType ? String(query.vehicleType) : null;
+  if (vehicleType && !VEHICLE_TYPES.includes(vehicleType)) {
+    throw new Error(`vehicleType must be one of: ${VEHICLE_TYPES.join(", ")}`);
+  }
+
+  let limit = parseInt(query.limit, 10);
+  if (Number.isNaN(limit) || limit <= 0) limit = DEFAULT_LIMIT;
+  limit = Math.min(limit, MAX_LIMIT);
+
+  return {
+    point: { type: "Point", coordinates: [lng, lat] },
+    radius,
+    sort,
+    vehicleType,
+    limit,
+    after: query.cursor ? decodeCursor(query.cursor) : null,
+  };
+}
+
+/**
+ * One page of the lots matching `match` within `radius` of `point`, each
+ * with its `distance` in meters, in `sort` order. `nextCursor` is null on
+ * the last page.
+ */
+async function findNearbyLots(
+  { point, radius, sort, vehicleType, limit, after },
+  match = {}
+) {
+  const direction = SORT_DIRECTIONS[sort];
+  const pipeline = [
+    {
+      $geoNear: {
+        near: point,
+        distanceField: "distance",
+        maxDistance: radius,
+        spherical: true,
+        query: match,
+      },
+    },
+    { $addFields: { sortValue: sortValueExpression(sort, vehicleType) } },
+  ];
+  if (after) {
+    pipeline.push({
+      $match: {
+        $or: [
+          { sortValue: { [direction === 1 ? "$gt" : "$lt"]: after.sortValue } },
+          { sortValue: after.sortValue, distance: { $gt: after.distance } },
+          {
+            sortValue: after.sortValue,
+            distance: after.distance,
+            _id: { $gt: after._id },
+          },
+        ],
+      },
+    });
+  }
+  pipeline.push(
+    { $sort: { sortValue: direction, distance: 1, _id: 1 } },
+    // One extra tells us whether there's another page
+    { $limit: limit + 1 }
+  );
+
+  const found = await ParkingLot.aggregate(pipeline);
+  const lots = found.slice(0, limit);
+  const nextCursor =
+    found.length > limit ? encodeCursor(lots[lots.length - 1]) : null;
+  lots.forEach((lot) => delete lot.sortValue);
+  return { lots, nextCursor };
+}
+
+/**
+ * Every lot matching `match`, nearest first, each with its `distance` in
+ * meters from `point`
+ */
+async function findLotsByDistance(point, match = {}) {
+  return ParkingLot.aggregate([
+    {
+      $geoNear: {
+        near: point,
+        distanceField: "distance",
+        spherical: true,
+        query: match,
+      },
+    },
+  ]);
+}
+
+module.exports = {
+  SORTS,
+  MAX_RADIUS,
+  parseNearbyQuery,
+  findNearbyLots,
+  findLotsByDistance,
+};
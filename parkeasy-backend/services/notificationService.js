@@ -0,0 +1,46 @@
+// services/notificationService.js - in-app notifications for users
+const Notification = require("../models/Notification");
+
+const MAX_LIST = 50;
+
+/**
+ * Leave a notification for a user. Never throws: a lost notification must not
+ * undo the change it reports.
+ */
+async function notifyUser(userId, { type, title, message, link }) {
+  try {
+    return await Notification.create({ userId, type, title, message, link });
+  } catch (error) {
+    console.error(`❌ Failed to notify user ${userId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * A user's latest notifications and how many of them are unread
+ */
+async function getNotifications(userId, limit = MAX_LIST) {
+  const size = Math.min(Math.max(Number(limit) || MAX_LIST, 1), MAX_LIST);
+  const [notifications, unreadCount] = await Promise.all([
+    Notification.find({ userId }).sort({ createdAt: -1 }).limit(size),
+    Notification.countDocuments({ userId, readAt: null }),
+  ]);
+  return { notifications, unreadCount };
+}
+
+/**
+ * Mark every unread notification of a user as read
+ */
+async function markAllRead(userId) {
+  const { modifiedCount } = await Notification.updateMany(
+    { userId, readAt: null },
+    { $set: { readAt: new Date() } }
+  );
+  return modifiedCount || 0;
+}
+
+module.exports = {
+  notifyUser,
+  getNotifications,
+  markAllRead,
+};
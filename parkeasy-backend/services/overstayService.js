@@ -0,0 +1,196 @@
+// services/overstayService.js - grace periods and fees for vehicles parked past their booking
+const Booking = require("../models/Booking");
+const ParkingLot = require("../models/ParkingLot");
+const { getRatePerHour } = require("./vehicleRatesService");
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+function roundMoney(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Validate and normalize an overstay policy sent by an owner
+ */
+function normalizeOverstayPolicy(raw = {}) {
+  const policy = {
+    graceMinutes: raw.graceMinutes == null ? 15 : Number(raw.graceMinutes),
+    ratePerHour:
+      raw.ratePerHour == null || raw.ratePerHour === ""
+        ? null
+        : Number(raw.ratePerHour),
+    maxHours: raw.maxHours == null ? 24 : Number(raw.maxHours),
+  };
+  if (!(policy.graceMinutes >= 0) || policy.graceMinutes > 240) {
+    throw new Error("graceMinutes must be between 0 and 240");
+  }
+  if (policy.ratePerHour != null && !(policy.ratePerHour >= 0)) {
+    throw new Error("ratePerHour cannot be negative");
+  }
+  if (!(policy.maxHours >= 1) || policy.maxHours > 168) {
+    throw new Error("maxHours must be between 1 and 168");
+  }
+  return policy;
+}
+
+/**
+ * A lot's overstay policy with defaults filled in (older lots have none)
+ */
+function getOverstayPolicy(lot) {
+  const policy = lot?.overstayPolicy || {};
+  return {
+    graceMinutes: policy.graceMinutes ?? 15,
+    ratePerHour: policy.ratePerHour ?? null,
+    maxHours: policy.maxHours ?? 24,
+  };
+}
+
+/**
+ * Overstay fee owed at `at`: every started hour past endTime + grace, at the
+ * lot's overstay rate. Returns null while the vehicle is still within grace.
+ */
+function computeOverstayCharge(lot, booking, at = new Date()) {
+  const policy = getOverstayPolicy(lot);
+  const overMs =
+    new Date(at) - booking.endTime - policy.graceMinutes * MINUTE_MS;
+  if (!(overMs > 0)) return null;
+  const hours = Math.min(
+    Math.ceil(overMs / HOUR_MS),
+    Math.ceil(policy.maxHours)
+  );
+  const rate =
+    policy.ratePerHour ?? getRatePerHour(lot || {}, booking.vehicleType);
+  return {
+    type: "overstay",
+    label: `Overstay past ${policy.graceMinutes} min grace`,
+    hours,
+    rate,
+    amount: roundMoney(hours * rate),
+    updatedAt: new Date(at),
+  };
+}
+
+/**
+ * A booking's extraCharges with its overstay line replaced by `charge`
+ */
+function withOverstayCharge(booking, charge) {
+  const others = (booking.extraCharges || []).filter(
+    (c) => c.type !== "overstay"
+  );
+  return charge ? [...others, charge] : others;
+}
+
+/**
+ * Refresh the fees of every overstaying booking and close the ones that have
+ * gone past the lot's maxHours, releasing their slot (run from the cron in
+ * server.js after finalizeExpiredBookings)
+ */
+async function processOverstays() {
+  const now = new Date();
+  const overstays = await Booking.find({ status: "overstay" });
+  if (!overstays.length) return { updated: 0, closed: 0, errors: 0 };
+
+  const lots = await ParkingLot.find({
+    _id: { $in: [...new Set(overstays.map((b) => String(b.parkingLotId)))] },
+  }).select("name pricePerHour vehicleRates overstayPolicy");
+  const lotsById = new Map(lots.map((lot) => [String(lot._id), lot]));
+
+  let updated = 0;
+  let closed = 0;
+  let errors = 0;
+  for (const booking of overstays) {
+    try {
+      const lot = lotsById.get(String(booking.parkingLotId));
+      const { maxHours } = getOverstayPolicy(lot);
+      const closeAt = new Date(booking.endTime.getTime() + maxHours * HOUR_MS);
+
+      if (now >= closeAt) {
+        // Conditional so a checkout at the same moment can't release twice
+        const done = await Booking.findOneAndUpdate(
+          { _id: booking._id, status: "overstay" },
+          {
+            $set: {
+              status: "expired",
+              extraCharges: withOverstayCharge(
+                booking,
+                computeOverstayCharge(lot, booking, closeAt)
+              ),
+            },
+          }
+        );
+        if (!done) continue;
+        await ParkingLot.findByIdAndUpdate(booking.parkingLotId, {
+          $inc: { availableSlots: 1, carsParked: -1 },
+        });
+        // Required here: paymentService depends on this module (via bookings)
+        const { markAmountDue } = require("./paymentService");
+        await markAmountDue(booking._id);
+        console.log(
+          `🚨 Closed overstay ${booking._id} at ${booking.parkingLotName} after ${maxHours}h - slot freed`
+        );
+        closed += 1;
+        continue;
+      }
+
+      const charge = computeOverstayCharge(lot, booking, now);
+      const current = (booking.extraCharges || []).find(
+        (c) => c.type === "overstay"
+      );
+      if (!charge || (current && current.amount === charge.amount)) continue;
+      await Booking.updateOne(
+        { _id: booking._id, status: "overstay" },
+        { $set: { extraCharges: withOverstayCharge(booking, charge) } }
+      );
+      updated += 1;
+    } catch (error) {
+      console.error(
+        `❌ Error processing overstay ${booking._id}:`,
+        error.message
+      );
+      errors += 1;
+    }
+  }
+  return { updated, closed, errors };
+}
+
+/**
+ * Overstaying bookings at the given lots with the fee owed right now
+ * (oldest endTime first)
+ */
+async function getOverstaysForLots(lotIds) {
+  const [bookings, lots] = await Promise.all([
+    Booking.find({ parkingLotId: { $in: lotIds }, status: "overstay" }).sort({
+      endTime: 1,
+    }),
+    ParkingLot.find({ _id: { $in: lotIds } }).select(
+      "name pricePerHour vehicleRates overstayPolicy"
+    ),
+  ]);
+  const lotsById = new Map(lots.map((lot) => [String(lot._id), lot]));
+  const now = new Date();
+  return bookings.map((booking) => {
+    const lot = lotsById.get(String(booking.parkingLotId));
+    const policy = getOverstayPolicy(lot);
+    return {
+      ...booking.toObject(),
+      overstayMinutes: Math.max(
+        0,
+        Math.floor((now - booking.endTime) / MINUTE_MS)
+      ),
+      graceEndsAt: new Date(
+        booking.endTime.getTime() + policy.graceMinutes * MINUTE_MS
+      ),
+      overstayCharge: computeOverstayCharge(lot, booking, now),
+    };
+  });
+}
+
+module.exports = {
+  normalizeOverstayPolicy,
+  getOverstayPolicy,
+  computeOverstayCharge,
+  withOverstayCharge,
+  processOverstays,
+  getOverstaysForLots,
+};
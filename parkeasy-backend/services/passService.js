@@ -0,0 +1,533 @@
+// services/passService.js - weekly/monthly passes reserved as one booking per day
+const Booking = require("../models/Booking");
+const ParkingLot = require("../models/ParkingLot");
+const Pass = require("../models/Pass");
+const User = require("../models/User");
+const {
+  bookingError,
+  lotClosedError,
+  outsideHoursError,
+  reserveBookingWindow,
+  restockLotForCancelled,
+} = require("./bookingsService");
+const { parseClock, quotePrice } = require("./pricingService");
+const { acceptsVehicle } = require("./vehicleRatesService");
+const { checkOpenWindow } = require("./hoursService");
+const { debitWallet, creditWallet } = require("./walletService");
+const { recordPassPayment } = require("./settlementService");
+
+const DEFAULT_TIMEZONE = "Asia/Kolkata";
+// Discount off the lot's regular price for the same days
+const PLAN_DISCOUNTS = { weekly: 10, monthly: 20 };
+// Auto-renewing passes are renewed (and charged) this long before they end,
+// so the next period's days are reserved before anyone else takes them
+const RENEW_AHEAD_MS = 2 * 24 * 60 * 60 * 1000;
+// How far ahead a pass may start
+const MAX_START_DAYS_AHEAD = 30;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+function roundMoney(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function lotTimeZone(lot) {
+  return lot.pricingRules?.timezone || DEFAULT_TIMEZONE;
+}
+
+// "YYYY-MM-DD" of an instant in timeZone
+function localDateString(date, timeZone) {
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(date);
+}
+
+function parseDate(dateStr) {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+}
+
+function addDays(dateStr, days) {
+  const date = parseDate(dateStr);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+// Same day next month, or that month's last day (31 Jan -> 28/29 Feb)
+function addMonth(dateStr) {
+  const date = parseDate(dateStr);
+  const day = date.getUTCDate();
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + 1);
+  const lastDay = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)
+  ).getUTCDate();
+  date.setUTCDate(Math.min(day, lastDay));
+  return date.toISOString().slice(0, 10);
+}
+
+// Local time minus UTC at an instant, in ms
+function zoneOffset(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  const wall = Date.UTC(
+    get("year"),
+    get("month") - 1,
+    get("day"),
+    get("hour"),
+    get("minute")
+  );
+  return wall - Math.floor(date.getTime() / 60000) * 60000;
+}
+
+// The instant a local date's clock reads `minutes` after midnight
+function zonedTime(dateStr, minutes, timeZone) {
+  const date = parseDate(dateStr);
+  const wall = date.getTime() + minutes * 60000;
+  const guess = wall - zoneOffset(new Date(wall), timeZone);
+  // Second pass settles days where the offset changes (DST)
+  return new Date(wall - zoneOffset(new Date(guess), timeZone));
+}
+
+/**
+ * Validate and normalize what a driver asks for when buying a pass
+ */
+function normalizePassRequest(raw = {}) {
+  const plan = raw.plan;
+  if (!PLAN_DISCOUNTS[plan]) {
+    throw bookingError('plan must be "weekly" or "monthly"');
+  }
+  const days = [...new Set((raw.days || []).map(Number))].sort((a, b) => a - b);
+  if (
+    !days.length ||
+    days.some((d) => !Number.isInteger(d) || d < 0 || d > 6)
+  ) {
+    throw bookingError("Pick the weekdays the pass covers");
+  }
+  const start = parseClock(raw.startClock);
+  const end = parseClock(raw.endClock);
+  if (start == null || end == null) {
+    throw bookingError("Times must be given as HH:mm");
+  }
+  if (!(end > start)) {
+    throw bookingError("The daily window must end after it starts");
+  }
+  if (!DATE_PATTERN.test(String(raw.startDate || ""))) {
+    throw bookingError("startDate must be YYYY-MM-DD");
+  }
+  return {
+    plan,
+    days,
+    startClock: raw.startClock.trim().padStart(5, "0"),
+    endClock: raw.endClock.trim().padStart(5, "0"),
+    startDate: raw.startDate,
+    vehicleType: raw.vehicleType || "car",
+    vehicleNumber: String(raw.vehicleNumber || "")
+      .trim()
+      .toUpperCase(),
+  };
+}
+
+/**
+ * The period starting on startDate (local) and the daily windows in it that
+ * haven't ended by `now`. Today's window, if under way, starts now.
+ */
+function planPeriod(pass, startDate, timeZone, now = new Date()) {
+  const endDate =
+    pass.plan === "weekly" ? addDays(startDate, 7) : addMonth(startDate);
+  const startMinutes = parseClock(pass.startClock);
+  const endMinutes = parseClock(pass.endClock);
+
+  const windows = [];
+  for (let date = startDate; date < endDate; date = addDays(date, 1)) {
+    if (!pass.days.includes(parseDate(date).getUTCDay())) continue;
+    const startTime = zonedTime(date, startMinutes, timeZone);
+    const endTime = zonedTime(date, endMinutes, timeZone);
+    if (endTime <= now) continue;
+    windows.push({
+      date,
+      startTime: startTime < now ? now : startTime,
+      endTime,
+    });
+  }
+  return {
+    periodStart: zonedTime(startDate, 0, timeZone),
+    periodEnd: zonedTime(endDate, 0, timeZone),
+    windows,
+  };
+}
+
+/**
+ * Price each day of a period at the lot's regular rates (demand pricing
+ * doesn't apply to days booked this far ahead) less the plan's discount.
+ * Days the lot isn't open for the whole window are left out and listed in
+ * `closedDays`.
+ */
+function pricePeriod(lot, vehicleType, plan, windows) {
+  const steadyLot = { ...lot.toObject(), demandPricing: { enabled: false } };
+  const discountPercent = PLAN_DISCOUNTS[plan];
+  const closedDays = [];
+  const open = windows.filter((w) => {
+    const reason = checkOpenWindow(lot, w.startTime, w.endTime);
+    if (reason) closedDays.push({ date: w.date, reason });
+    return !reason;
+  });
+  if (windows.length && !open.length) {
+    throw outsideHoursError(closedDays[0].reason);
+  }
+  const days = open.map((w) => {
+    const quote = quotePrice(steadyLot, { vehicleType, ...w });
+    const totalPrice = roundMoney(
+      (quote.totalPrice * (100 - discountPercent)) / 100
+    );
+    return {
+      ...w,
+      duration: quote.duration,
+      pricePerHour: quote.pricePerHour,
+      totalPrice,
+      priceBreakdown: [
+        ...quote.breakdown,
+        {
+          code: "pass",
+          label: `${
+            plan === "weekly" ? "Weekly" : "Monthly"
+          } pass ${discountPercent}% off`,
+          amount: roundMoney(totalPrice - quote.totalPrice),
+        },
+      ],
+    };
+  });
+  return {
+    discountPercent,
+    days,
+    closedDays,
+    amount: roundMoney(days.reduce((sum, d) => sum + d.totalPrice, 0)),
+  };
+}
+
+async function loadPassLot(parkingLotId, vehicleType) {
+  const lot = await ParkingLot.findById(parkingLotId);
+  if (!lot) throw bookingError("Parking lot not found", 404);
+  if (lot.isActive === false) throw lotClosedError(lot);
+  if (!acceptsVehicle(lot, vehicleType)) {
+    throw bookingError(
+      `Vehicle type "${vehicleType}" is not accepted at this parking lot`,
+      400,
+      "VEHICLE_TYPE_NOT_ACCEPTED"
+    );
+  }
+  return lot;
+}
+
+function checkStartDate(startDate, timeZone, now) {
+  const today = localDateString(now, timeZone);
+  if (startDate < today) throw bookingError("A pass can't start in the past");
+  if (startDate > addDays(today, MAX_START_DAYS_AHEAD)) {
+    throw bookingError(
+      `A pass can start at most ${MAX_START_DAYS_AHEAD} days ahead`
+    );
+  }
+}
+
+/**
+ * What a pass would cost: the days it books and their total
+ */
+async function quotePass(parkingLotId, raw, now = new Date()) {
+  const request = normalizePassRequest(raw);
+  const lot = await loadPassLot(parkingLotId, request.vehicleType);
+  const timeZone = lotTimeZone(lot);
+  checkStartDate(request.startDate, timeZone, now);
+  const period = planPeriod(request, request.startDate, timeZone, now);
+  const priced = pricePeriod(
+    lot,
+    request.vehicleType,
+    request.plan,
+    period.windows
+  );
+  return {
+    ...request,
+    timeZone,
+    periodStart: period.periodStart,
+    periodEnd: period.periodEnd,
+    discountPercent: priced.discountPercent,
+    amount: priced.amount,
+    days: priced.days.map((d) => ({
+      date: d.date,
+      startTime: d.startTime,
+      endTime: d.endTime,
+      totalPrice: d.totalPrice,
+    })),
+    closedDays: priced.closedDays,
+    weekdays: request.days.map((d) => WEEKDAY_NAMES[d]),
+  };
+}
+
+// Remove the day bookings of a period that couldn't be completed
+async function rollbackDays(bookings) {
+  for (const booking of bookings) {
+    await Booking.deleteOne({ _id: booking._id });
+    if (booking.status === "active") {
+      await restockLotForCancelled(booking, ParkingLot);
+    }
+  }
+}
+
+/**
+ * Reserve every day of a period for a pass and take the payment from the
+ * driver's wallet. Nothing is kept when a day is full or the wallet is short.
+ * Returns the period as stored on the pass (`paid`) and its day `bookings`.
+ */
+async function reservePeriod(pass, user, lot, period, now = new Date()) {
+  const priced = pricePeriod(lot, pass.vehicleType, pass.plan, period.windows);
+  if (!priced.days.length) {
+    throw bookingError("No days of the pass are left in this period");
+  }
+  // Fail before reserving anything when the wallet clearly can't pay
+  if ((user.walletBalance || 0) < priced.amount) {
+    throw bookingError(
+      `Not enough money in your wallet (₹${priced.amount} needed)`,
+      402,
+      "INSUFFICIENT_FUNDS"
+    );
+  }
+
+  const created = [];
+  try {
+    for (const day of priced.days) {
+      const booking = await reserveBookingWindow(lot._id, {
+        userId: user._id,
+        userName: user.name || "Unknown",
+        userEmail: user.email || "",
+        userPhone: user.phone || "",
+        parkingLotId: lot._id,
+        parkingLotName: lot.name,
+        vehicleType: pass.vehicleType,
+        vehicleNumber: pass.vehicleNumber,
+        startTime: day.startTime,
+        endTime: day.endTime,
+        duration: day.duration,
+        pricePerHour: day.pricePerHour,
+        totalPrice: day.totalPrice,
+        priceBreakdown: day.priceBreakdown,
+        paymentStatus: "paid",
+        amountPaid: day.totalPrice,
+        paidAt: now,
+        source: "pass",
+        passId: pass._id,
+        status: day.startTime > now ? "upcoming" : "active",
+      }).catch((error) => {
+        throw error.status
+          ? bookingError(
+              `${error.message} on ${day.date}`,
+              error.status,
+              error.code
+            )
+          : error;
+      });
+      created.push(booking);
+    }
+
+    let entry = null;
+    if (priced.amount > 0) {
+      entry = await debitWallet(user._id, priced.amount, {
+        type: "pass_debit",
+        description: `${
+          pass.plan === "weekly" ? "Weekly" : "Monthly"
+        } pass at ${lot.name} (${pass.vehicleNumber}) from ${localDateString(
+          period.periodStart,
+          pass.timeZone
+        )}`,
+      });
+    }
+    const paid = {
+      start: period.periodStart,
+      end: period.periodEnd,
+      amount: priced.amount,
+      days: created.length,
+      paidAt: now,
+      walletEntryId: entry?._id,
+    };
+    return { paid, bookings: created };
+  } catch (error) {
+    await rollbackDays(created);
+    throw error;
+  }
+}
+
+/**
+ * Buy a pass: its first period is reserved day by day and paid from the
+ * wallet straight away
+ */
+async function buyPass(userId, parkingLotId, raw, now = new Date()) {
+  const request = normalizePassRequest(raw);
+  if (!request.vehicleNumber) throw bookingError("Enter the vehicle number");
+  const user = await User.findById(userId);
+  if (!user) throw bookingError("User not found", 404);
+  const lot = await loadPassLot(parkingLotId, request.vehicleType);
+  const timeZone = lotTimeZone(lot);
+  checkStartDate(request.startDate, timeZone, now);
+
+  const pass = new Pass({
+    userId,
+    parkingLotId: lot._id,
+    parkingLotName: lot.name,
+    vehicleType: request.vehicleType,
+    vehicleNumber: request.vehicleNumber,
+    plan: request.plan,
+    days: request.days,
+    startClock: request.startClock,
+    endClock: request.endClock,
+    timeZone,
+    discountPercent: PLAN_DISCOUNTS[request.plan],
+    autoRenew: raw.autoRenew !== false,
+  });
+  const period = planPeriod(pass, request.startDate, timeZone, now);
+  const { paid } = await reservePeriod(pass, user, lot, period, now);
+
+  pass.periodStart = paid.start;
+  pass.periodEnd = paid.end;
+  pass.periods.push(paid);
+  try {
+    await pass.save();
+  } catch (error) {
+    // Give the days and the money back rather than leave them orphaned
+    await rollbackDays(await Booking.find({ passId: pass._id }));
+    if (paid.amount > 0) {
+      await creditWallet(userId, paid.amount, {
+        type: "refund",
+        description: `Pass at ${lot.name} could not be saved`,
+      });
+    }
+    throw error;
+  }
+  await recordPassPayment(pass, paid);
+  return pass;
+}
+
+/**
+ * Start a pass's next period where the current one ends. Throws 409
+ * PASS_CHANGED, keeping neither the days nor the money, when the pass was
+ * renewed or changed in the meantime.
+ */
+async function renewPass(pass, now = new Date()) {
+  const user = await User.findById(pass.userId);
+  if (!user) throw bookingError("User not found", 404);
+  const lot = await loadPassLot(pass.parkingLotId, pass.vehicleType);
+  const startDate = localDateString(pass.periodEnd, pass.timeZone);
+  const period = planPeriod(pass, startDate, pass.timeZone, now);
+  const { paid, bookings } = await reservePeriod(pass, user, lot, period, now);
+
+  const renewed = await Pass.findOneAndUpdate(
+    { _id: pass._id, periodEnd: pass.periodEnd },
+    {
+      $set: { periodStart: paid.start, periodEnd: paid.end },
+      $unset: { renewalError: 1 },
+      $push: { periods: paid },
+    },
+    { new: true }
+  );
+  if (!renewed) {
+    await rollbackDays(bookings);
+    if (paid.amount > 0) {
+      await creditWallet(user._id, paid.amount, {
+        type: "refund",
+        description: `Pass at ${lot.name} was already renewed`,
+      });
+    }
+    throw bookingError(
+      "This pass was renewed or changed in the meantime",
+      409,
+      "PASS_CHANGED"
+    );
+  }
+  await recordPassPayment(renewed, paid);
+  return renewed;
+}
+
+/**
+ * Renew auto-renewing passes that end soon and expire the ones that ended.
+ * A failed renewal (lot full on a day, wallet short) is retried on later runs
+ * until the pass ends; the reason is kept on the pass for the driver.
+ */
+async function processPassRenewals(now = new Date()) {
+  const due = await Pass.find({
+    status: "active",
+    autoRenew: true,
+    periodEnd: { $lte: new Date(now.getTime() + RENEW_AHEAD_MS) },
+  });
+
+  let renewed = 0;
+  let failed = 0;
+  for (const pass of due) {
+    try {
+      await renewPass(pass, now);
+      renewed += 1;
+    } catch (error) {
+      // Another run renewed it first; this attempt kept nothing
+      if (error.code === "PASS_CHANGED") continue;
+      failed += 1;
+      await Pass.updateOne(
+        { _id: pass._id },
+        { $set: { renewalError: error.message } }
+      ).catch(() => {});
+      if (!error.status) {
+        console.error(`❌ Error renewing pass ${pass._id}:`, error.message);
+      }
+    }
+  }
+
+  const { modifiedCount } = await Pass.updateMany(
+    { status: "active", periodEnd: { $lte: now } },
+    { $set: { status: "expired" } }
+  );
+  return { renewed, failed, expired: modifiedCount || 0 };
+}
+
+/**
+ * A driver's passes, newest first
+ */
+async function getPassesForUser(userId) {
+  return Pass.find({ userId }).sort({ createdAt: -1 });
+}
+
+/**
+ * Turn a pass's auto-renewal on or off
+ */
+async function setAutoRenew(passId, userId, autoRenew) {
+  const pass = await Pass.findOneAndUpdate(
+    { _id: passId, userId, status: "active" },
+    { $set: { autoRenew: !!autoRenew } },
+    { new: true }
+  );
+  if (!pass) throw bookingError("Active pass not found", 404);
+  return pass;
+}
+
+module.exports = {
+  PLAN_DISCOUNTS,
+  // Lot-local date helpers, shared with recurring bookings (seriesService)
+  lotTimeZone,
+  localDateString,
+  parseDate,
+  addDays,
+  zonedTime,
+  normalizePassRequest,
+  planPeriod,
+  quotePass,
+  buyPass,
+  renewPass,
+  processPassRenewals,
+  getPassesForUser,
+  setAutoRenew,
+};
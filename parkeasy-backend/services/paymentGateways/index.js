@@ -0,0 +1,29 @@
+// services/paymentGateways/index.js - picks the payment gateway adapter
+//
+// An adapter is an object with:
+//   name                                            - stored on each Payment
+//   createIntent({ amount, currency, reference })   -> { gatewayRef }
+//   confirm({ gatewayRef, amount, currency, paymentMethod })
+//                                                   -> { status: "succeeded" | "failed", method?, failureReason? }
+//   refund({ gatewayRef, amount, reason })          -> { gatewayRef }
+// Amounts are in major units (rupees). A real gateway would receive a
+// client-side token as paymentMethod instead of raw card details.
+const sandboxGateway = require("./sandboxGateway");
+
+const GATEWAYS = {
+  [sandboxGateway.name]: sandboxGateway,
+};
+
+/**
+ * The adapter named by PAYMENT_GATEWAY (or a Payment's stored gateway name),
+ * defaulting to the offline sandbox
+ */
+function getGateway(name = process.env.PAYMENT_GATEWAY || "sandbox") {
+  const gateway = GATEWAYS[name];
+  if (!gateway) throw new Error(`Unknown payment gateway "${name}"`);
+  return gateway;
+}
+
+module.exports = {
+  getGateway,
+};
@@ -0,0 +1,74 @@
+// services/paymentGateways/sandboxGateway.js - offline gateway for development and demos
+const crypto = require("crypto");
+
+// Test cards, like the ones hosted gateways publish; any other valid card succeeds
+const DECLINED_CARDS = {
+  4000000000000002: "Card declined",
+  4000000000009995: "Insufficient funds",
+  4000000000000069: "Card expired",
+};
+
+function newRef(prefix) {
+  return `${prefix}_${crypto.randomBytes(8).toString("hex")}`;
+}
+
+function luhnValid(digits) {
+  let sum = 0;
+  [...digits].reverse().forEach((c, i) => {
+    let d = Number(c);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  });
+  return sum % 10 === 0;
+}
+
+function expiryValid(expiry, now = new Date()) {
+  const match = /^(\d{1,2})\s*\/\s*(\d{2}|\d{4})$/.exec(String(expiry || ""));
+  if (!match) return false;
+  const month = Number(match[1]);
+  const year = Number(match[2].length === 2 ? `20${match[2]}` : match[2]);
+  if (month < 1 || month > 12) return false;
+  // Cards are valid through the last day of their expiry month
+  return new Date(year, month, 1) > now;
+}
+
+module.exports = {
+  name: "sandbox",
+
+  async createIntent() {
+    return { gatewayRef: newRef("sbx_pi") };
+  },
+
+  /**
+   * Charge a card. Never contacts anything: the outcome depends only on the
+   * card number (see DECLINED_CARDS) and basic validity checks.
+   */
+  async confirm({ paymentMethod = {} }) {
+    const digits = String(paymentMethod.number || "").replace(/\D/g, "");
+    if (digits.length < 12 || !luhnValid(digits)) {
+      return { status: "failed", failureReason: "Invalid card number" };
+    }
+    if (!expiryValid(paymentMethod.expiry)) {
+      return { status: "failed", failureReason: "Invalid or past expiry date" };
+    }
+    if (!/^\d{3,4}$/.test(String(paymentMethod.cvc || ""))) {
+      return { status: "failed", failureReason: "Invalid CVV" };
+    }
+    const method = `card •••• ${digits.slice(-4)}`;
+    if (DECLINED_CARDS[digits]) {
+      return {
+        status: "failed",
+        method,
+        failureReason: DECLINED_CARDS[digits],
+      };
+    }
+    return { status: "succeeded", method };
+  },
+
+  async refund() {
+    return { gatewayRef: newRef("sbx_re") };
+  },
+};
@@ -0,0 +1,485 @@
+// services/paymentService.js - paying for bookings through a gateway adapter
+const Booking = require("../models/Booking");
+const ParkingLot = require("../models/ParkingLot");
+const Payment = require("../models/Payment");
+const { bookingError } = require("./bookingsService");
+const { getGateway } = require("./paymentGateways");
+const { creditWallet, debitWallet } = require("./walletService");
+const { recordPayment, recordRefund } = require("./settlementService");
+const { releasePromo } = require("./promoService");
+const { releaseHold, claimHold } = require("./waitlistService");
+
+// Payments taken from the user's wallet instead of a gateway
+const WALLET = "wallet";
+const MIN_TOPUP = 10;
+const MAX_TOPUP = 10000;
+
+// Bookings that can no longer be paid for
+const CLOSED_STATUSES = ["cancelled", "expired"];
+
+function roundMoney(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * What is still owed on a booking: its price plus extra fees (overstay),
+ * minus what was already paid
+ */
+function getAmountDue(booking) {
+  const extras = (booking.extraCharges || []).reduce(
+    (sum, charge) => sum + charge.amount,
+    0
+  );
+  return Math.max(
+    0,
+    roundMoney(booking.totalPrice + extras - (booking.amountPaid || 0))
+  );
+}
+
+/**
+ * Whether a booking can no longer be paid for. An overstay closed by the cron
+ * (expired) can still have its fee paid.
+ */
+function isClosedForPayment(booking) {
+  if (booking.paymentStatus === "expired") return true;
+  if (booking.status === "expired" && booking.paymentStatus === "due") {
+    return false;
+  }
+  return CLOSED_STATUSES.includes(booking.status);
+}
+
+/**
+ * A user's booking that can still be paid for, with the amount due on it
+ */
+async function loadPayableBooking(bookingId, userId) {
+  const booking = await Booking.findOne({ _id: bookingId, userId });
+  if (!booking) throw bookingError("Booking not found", 404);
+  if (isClosedForPayment(booking)) {
+    throw bookingError(
+      `Booking is ${booking.status} and can't be paid for`,
+      409,
+      "BOOKING_CLOSED"
+    );
+  }
+  const amount = getAmountDue(booking);
+  if (amount <= 0) {
+    throw bookingError("Nothing left to pay", 409, "NOTHING_DUE");
+  }
+  return { booking, amount };
+}
+
+/**
+ * Start paying the amount due on a user's booking. An open payment for the
+ * same amount is reused so reloading the payment page doesn't pile them up.
+ */
+async function startPayment(bookingId, userId) {
+  const { booking, amount } = await loadPayableBooking(bookingId, userId);
+
+  const open = await Payment.findOne({
+    bookingId: booking._id,
+    status: "created",
+  }).sort({ createdAt: -1 });
+  if (open && open.amount === amount) return { payment: open, booking };
+  if (open) {
+    // The amount changed since (extension, overstay fee); start over
+    open.status = "cancelled";
+    await open.save();
+  }
+
+  const gateway = getGateway();
+  const currency = "INR";
+  const { gatewayRef } = await gateway.createIntent({
+    amount,
+    currency,
+    reference: String(booking._id),
+  });
+  const payment = await Payment.create({
+    bookingId: booking._id,
+    userId,
+    amount,
+    currency,
+    gateway: gateway.name,
+    gatewayRef,
+  });
+  return { payment, booking };
+}
+
+/**
+ * Refund part or all of a succeeded payment through its gateway (or back to
+ * the wallet it came from) and take it off the booking's amountPaid
+ */
+async function refundPayment(paymentId, amount = null, reason = "") {
+  const payment = await Payment.findById(paymentId);
+  if (!payment) throw bookingError("Payment not found", 404);
+  if (payment.status !== "succeeded") {
+    throw bookingError("Only succeeded payments can be refunded", 409);
+  }
+  const refundable = roundMoney(payment.amount - payment.refundedAmount);
+  const value = amount == null ? refundable : roundMoney(Number(amount));
+  if (!(value > 0) || value > refundable) {
+    throw bookingError(`Refund must be between 0 and ₹${refundable}`);
+  }
+
+  let gatewayRef;
+  if (payment.gateway === WALLET) {
+    const entry = await creditWallet(payment.userId, value, {
+      type: "refund",
+      description: reason || "Refund",
+      bookingId: payment.bookingId,
+      paymentId: payment._id,
+    });
+    gatewayRef = String(entry._id);
+  } else {
+    ({ gatewayRef } = await getGateway(payment.gateway).refund({
+      gatewayRef: payment.gatewayRef,
+      amount: value,
+      reason,
+    }));
+  }
+  const updated = await Payment.findByIdAndUpdate(
+    payment._id,
+    {
+      $push: { refunds: { gatewayRef, amount: value, reason } },
+      $inc: { refundedAmount: value },
+    },
+    { new: true }
+  );
+  const booking = await Booking.findByIdAndUpdate(
+    payment.bookingId,
+    { $inc: { amountPaid: -value } },
+    { new: true }
+  );
+  if (booking && booking.amountPaid <= 0 && booking.paymentStatus === "paid") {
+    booking.paymentStatus = "refunded";
+    await booking.save();
+  }
+  if (payment.bookingId) {
+    await recordRefund(payment.bookingId, value, {
+      paymentId: payment._id,
+      description: reason || "Refund",
+    });
+  }
+  return updated;
+}
+
+/**
+ * Give `amount` of what was paid for a booking back as wallet credit
+ * (cancellation refunds), whatever it was paid with
+ */
+async function refundBookingToWallet(booking, amount, reason) {
+  const entry = await creditWallet(booking.userId, amount, {
+    type: "refund",
+    description: `${reason} - ${booking.parkingLotName}`,
+    bookingId: booking._id,
+  });
+  const updated = await Booking.findByIdAndUpdate(
+    booking._id,
+    { $inc: { amountPaid: -amount } },
+    { new: true }
+  );
+  if (updated && updated.amountPaid <= 0 && updated.paymentStatus === "paid") {
+    updated.paymentStatus = "refunded";
+    await updated.save();
+  }
+  await recordRefund(booking._id, amount, { description: reason });
+  return entry;
+}
+
+/**
+ * Book a payment that went through against its booking. Conditional so a
+ * booking released by the cron in the meantime stays released (returns null).
+ */
+function applyPaymentToBooking(payment) {
+  return Booking.findOneAndUpdate(
+    {
+      _id: payment.bookingId,
+      $or: [
+        { status: { $nin: CLOSED_STATUSES } },
+        { status: "expired", paymentStatus: "due" },
+      ],
+      paymentStatus: { $ne: "expired" },
+    },
+    {
+      $inc: { amountPaid: payment.amount },
+      $set: { paymentStatus: "paid", paidAt: payment.paidAt },
+      $unset: { paymentDueAt: 1 },
+    },
+    { new: true }
+  );
+}
+
+/**
+ * Pay what is due on a user's booking from their wallet balance
+ */
+async function payBookingFromWallet(bookingId, userId) {
+  const { booking, amount } = await loadPayableBooking(bookingId, userId);
+
+  const entry = await debitWallet(userId, amount, {
+    type: "booking_debit",
+    description: `Booking at ${booking.parkingLotName} (${booking.vehicleNumber})`,
+    bookingId: booking._id,
+  });
+  const payment = await Payment.create({
+    bookingId: booking._id,
+    userId,
+    amount,
+    gateway: WALLET,
+    gatewayRef: String(entry._id),
+    status: "succeeded",
+    method: "wallet",
+    paidAt: new Date(),
+  });
+  const paid = await applyPaymentToBooking(payment);
+  if (!paid) {
+    await refundPayment(
+      payment._id,
+      null,
+      "Booking was released before payment"
+    );
+    throw bookingError(
+      "This booking was released before the payment went through - the money is back in your wallet",
+      409,
+      "BOOKING_RELEASED"
+    );
+  }
+  await recordPayment(payment, paid);
+  await claimHold(paid);
+  return { payment, booking: paid };
+}
+
+/**
+ * Settle fees added after checkout (overstay) from the wallet of a driver who
+ * paid the booking with it. Returns the ledger entry, or null when there is
+ * nothing to take or the balance doesn't cover it (the fee then stays due).
+ */
+async function chargePenaltyFromWallet(booking) {
+  const amount = getAmountDue(booking);
+  if (amount <= 0 || !booking.userId) return null;
+  const paidFromWallet = await Payment.exists({
+    bookingId: booking._id,
+    gateway: WALLET,
+    status: "succeeded",
+  });
+  if (!paidFromWallet) return null;
+
+  let entry;
+  try {
+    entry = await debitWallet(booking.userId, amount, {
+      type: "penalty",
+      description: `Overstay fee at ${booking.parkingLotName} (${booking.vehicleNumber})`,
+      bookingId: booking._id,
+    });
+  } catch (error) {
+    if (error.code === "INSUFFICIENT_FUNDS") return null;
+    throw error;
+  }
+  const payment = await Payment.create({
+    bookingId: booking._id,
+    userId: booking.userId,
+    amount,
+    gateway: WALLET,
+    gatewayRef: String(entry._id),
+    status: "succeeded",
+    method: "wallet",
+    paidAt: new Date(),
+  });
+  await Booking.updateOne(
+    { _id: booking._id },
+    { $inc: { amountPaid: amount }, $set: { paidAt: payment.paidAt } }
+  );
+  await recordPayment(
+    payment,
+    booking,
+    `Overstay fee ${booking.vehicleNumber} (wallet)`
+  );
+  return entry;
+}
+
+/**
+ * Reopen payment on a paid booking that now owes more (an extension or an
+ * overstay fee) so the driver can pay the rest online
+ */
+async function markAmountDue(bookingId) {
+  const booking = await Booking.findById(bookingId);
+  if (!booking || booking.paymentStatus !== "paid") return booking;
+  if (getAmountDue(booking) <= 0) return booking;
+  return Booking.findOneAndUpdate(
+    { _id: booking._id, paymentStatus: "paid" },
+    { $set: { paymentStatus: "due" } },
+    { new: true }
+  );
+}
+
+/**
+ * Start topping up the user's wallet through the payment gateway; confirm it
+ * like any other payment
+ */
+async function startTopUp(userId, amount) {
+  const value = roundMoney(Number(amount));
+  if (!(value >= MIN_TOPUP) || value > MAX_TOPUP) {
+    throw bookingError(
+      `Top-ups must be between ₹${MIN_TOPUP} and ₹${MAX_TOPUP}`
+    );
+  }
+  const gateway = getGateway();
+  const currency = "INR";
+  const { gatewayRef } = await gateway.createIntent({
+    amount: value,
+    currency,
+    reference: `wallet:${userId}`,
+  });
+  return Payment.create({
+    purpose: "wallet_topup",
+    userId,
+    amount: value,
+    currency,
+    gateway: gateway.name,
+    gatewayRef,
+  });
+}
+
+/**
+ * Charge an open payment with the given payment method (card details for the
+ * sandbox gateway). Top-ups land in the wallet; a booking released while the
+ * charge was running gets its money back straight away.
+ */
+async function confirmPayment(paymentId, userId, paymentMethod) {
+  // Claim the payment so a double submit can't charge twice
+  const payment = await Payment.findOneAndUpdate(
+    { _id: paymentId, userId, status: "created" },
+    { $set: { status: "processing" } },
+    { new: true }
+  );
+  if (!payment) {
+    const existing = await Payment.findOne({ _id: paymentId, userId });
+    if (!existing) throw bookingError("Payment not found", 404);
+    throw bookingError(`Payment is already ${existing.status}`, 409);
+  }
+
+  let result;
+  try {
+    result = await getGateway(payment.gateway).confirm({
+      gatewayRef: payment.gatewayRef,
+      amount: payment.amount,
+      currency: payment.currency,
+      paymentMethod,
+    });
+  } catch (error) {
+    result = { status: "failed", failureReason: error.message };
+  }
+  payment.method = result.method;
+  if (result.status !== "succeeded") {
+    payment.status = "failed";
+    payment.failureReason = result.failureReason || "Payment failed";
+    await payment.save();
+    return { payment, booking: await Booking.findById(payment.bookingId) };
+  }
+
+  payment.status = "succeeded";
+  payment.paidAt = new Date();
+  await payment.save();
+
+  if (payment.purpose === "wallet_topup") {
+    await creditWallet(userId, payment.amount, {
+      type: "topup",
+      description: `Top-up (${payment.method || payment.gateway})`,
+      paymentId: payment._id,
+    });
+    return { payment, booking: null };
+  }
+
+  const booking = await applyPaymentToBooking(payment);
+  if (!booking) {
+    await refundPayment(
+      payment._id,
+      null,
+      "Booking was released before payment"
+    );
+    throw bookingError(
+      "This booking was released before the payment went through - the payment has been refunded",
+      409,
+      "BOOKING_RELEASED"
+    );
+  }
+  await recordPayment(payment, booking);
+  await claimHold(booking);
+  return { payment, booking };
+}
+
+/**
+ * Payments made for a booking, newest first
+ */
+async function getPaymentsForBooking(bookingId) {
+  return Payment.find({ bookingId }).sort({ createdAt: -1 });
+}
+
+/**
+ * Cancels bookings still unpaid past their paymentDueAt and gives their slot
+ * back (active ones held a live slot, upcoming ones only their window).
+ * A car already through the entry gate is never released from under it.
+ */
+async function releaseUnpaidBookings() {
+  const now = new Date();
+  const overdue = await Booking.find({
+    status: { $in: ["upcoming", "active"] },
+    paymentStatus: "pending",
+    paymentDueAt: { $lte: now },
+    arrivedAt: null,
+  }).select("_id status parkingLotId parkingLotName");
+
+  let released = 0;
+  let errors = 0;
+  for (const due of overdue) {
+    try {
+      // Conditional so a payment landing right now isn't overwritten
+      const booking = await Booking.findOneAndUpdate(
+        {
+          _id: due._id,
+          status: due.status,
+          paymentStatus: "pending",
+          arrivedAt: null,
+        },
+        { $set: { status: "cancelled", paymentStatus: "expired" } }
+      );
+      if (!booking) continue;
+
+      if (due.status === "active") {
+        await ParkingLot.findByIdAndUpdate(due.parkingLotId, {
+          $inc: { availableSlots: 1, carsParked: -1 },
+        });
+      }
+      await Payment.updateMany(
+        { bookingId: due._id, status: "created" },
+        { $set: { status: "cancelled" } }
+      );
+      await releasePromo(booking);
+      // A lapsed waitlist hold (or any released slot) goes to the next in line
+      await releaseHold(booking);
+      console.log(
+        `💸 Released unpaid booking ${due._id} at ${due.parkingLotName}`
+      );
+      released += 1;
+    } catch (error) {
+      console.error(
+        `❌ Error releasing unpaid booking ${due._id}:`,
+        error.message
+      );
+      errors += 1;
+    }
+  }
+  return { released, errors };
+}
+
+module.exports = {
+  getAmountDue,
+  startPayment,
+  confirmPayment,
+  refundPayment,
+  refundBookingToWallet,
+  payBookingFromWallet,
+  chargePenaltyFromWallet,
+  markAmountDue,
+  startTopUp,
+  getPaymentsForBooking,
+  releaseUnpaidBookings,
+};
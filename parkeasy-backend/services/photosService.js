@@ -0,0 +1,151 @@
+// services/photosService.js - lot photos, resized and thumbnailed on upload
+const sharp = require("sharp");
+const { bookingError } = require("./bookingsService");
+const { getStorage } = require("./storage");
+
+const MAX_PHOTOS_PER_LOT = 8;
+const MAX_PHOTO_BYTES = 8 * 1024 * 1024;
+// Longest side of the stored photo, and the size of the cropped thumbnail
+const FULL_SIZE = 1600;
+const THUMB_WIDTH = 400;
+const THUMB_HEIGHT = 300;
+const MAX_CAPTION = 100;
+
+function cleanCaption(caption) {
+  return String(caption || "")
+    .trim()
+    .slice(0, MAX_CAPTION);
+}
+
+// A web-sized WebP of an uploaded image and its thumbnail
+async function renderPhoto(buffer) {
+  // rotate() applies the camera's EXIF orientation before it is stripped
+  const image = sharp(buffer, { failOn: "error" }).rotate();
+  const full = await image
+    .clone()
+    .resize(FULL_SIZE, FULL_SIZE, { fit: "inside", withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer({ resolveWithObject: true });
+  const thumb = await image
+    .clone()
+    .resize(THUMB_WIDTH, THUMB_HEIGHT, { fit: "cover" })
+    .webp({ quality: 70 })
+    .toBuffer();
+  return {
+    full: full.data,
+    width: full.info.width,
+    height: full.info.height,
+    thumb,
+  };
+}
+
+// Delete a photo's files; a failure is logged, never thrown
+async function removePhotoFiles(photo) {
+  try {
+    const storage = getStorage(photo.storage);
+    await storage.remove(photo.key);
+    await storage.remove(photo.thumbKey);
+  } catch (error) {
+    console.error(
+      `❌ Error removing the files of photo ${photo._id}:`,
+      error.message
+    );
+  }
+}
+
+/**
+ * Resize uploaded images, store them with their thumbnails and add them to
+ * the lot. `files` are multer memory-storage files; `captions` line up with
+ * them. Nothing is added unless every file is a readable image.
+ */
+async function addLotPhotos(lot, files = [], captions = []) {
+  if (!files.length) throw bookingError("Choose at least one photo to upload");
+  const existing = (lot.photos || []).length;
+  if (existing + files.length > MAX_PHOTOS_PER_LOT) {
+    throw bookingError(
+      `A lot can have at most ${MAX_PHOTOS_PER_LOT} photos - it has ${existing}, remove some first`
+    );
+  }
+
+  const rendered = [];
+  for (const file of files) {
+    try {
+      rendered.push(await renderPhoto(file.buffer));
+    } catch {
+      throw bookingError(
+        `${file.originalname || "A file"} isn't an image we can read`,
+        400,
+        "INVALID_IMAGE"
+      );
+    }
+  }
+
+  const storage = getStorage();
+  const added = [];
+  try {
+    for (const [i, image] of rendered.entries()) {
+      const photo = lot.photos.create({
+        storage: storage.name,
+        caption: cleanCaption(captions[i]),
+        width: image.width,
+        height: image.height,
+      });
+      photo.key = `lots/${lot._id}/${photo._id}.webp`;
+      photo.thumbKey = `lots/${lot._id}/${photo._id}-thumb.webp`;
+      added.push(photo);
+      photo.url = (await storage.save(photo.key, image.full, "image/webp")).url;
+      photo.thumbUrl = (
+        await storage.save(photo.thumbKey, image.thumb, "image/webp")
+      ).url;
+    }
+    lot.photos.push(...added);
+    await lot.save();
+  } catch (error) {
+    await Promise.all(added.map(removePhotoFiles));
+    throw error;
+  }
+  return added;
+}
+
+/**
+ * Change a photo's caption, or make it the cover (the first photo drivers see)
+ */
+async function updateLotPhoto(lot, photoId, { caption, cover } = {}) {
+  const photo = lot.photos.id(photoId);
+  if (!photo) throw bookingError("Photo not found", 404);
+  if (caption !== undefined) photo.caption = cleanCaption(caption);
+  if (cover === true || cover === "true") {
+    const rest = lot.photos.filter((p) => String(p._id) !== String(photo._id));
+    lot.photos = [photo, ...rest];
+  }
+  await lot.save();
+  return lot.photos;
+}
+
+/**
+ * Take a photo off the lot and delete its files
+ */
+async function removeLotPhoto(lot, photoId) {
+  const photo = lot.photos.id(photoId);
+  if (!photo) throw bookingError("Photo not found", 404);
+  lot.photos.pull(photo._id);
+  await lot.save();
+  await removePhotoFiles(photo);
+  return lot.photos;
+}
+
+/**
+ * Delete the files of every photo of a lot that is being deleted
+ */
+async function removeAllLotPhotos(lot) {
+  await Promise.all((lot.photos || []).map(removePhotoFiles));
+}
+
+module.exports = {
+  MAX_PHOTOS_PER_LOT,
+  MAX_PHOTO_BYTES,
+  addLotPhotos,
+  updateLotPhoto,
+  removeLotPhoto,
+  removeAllLotPhotos,
+};
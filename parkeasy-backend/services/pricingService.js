@@ -0,0 +1,314 @@
+// services/pricingService.js - itemized booking prices from a lot's pricing rules
+const jwt = require("jsonwebtoken");
+const { getRatePerHour } = require("./vehicleRatesService");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const MINUTES_PER_DAY = 24 * 60;
+const WEEKEND_DAYS = [0, 6]; // Sunday, Saturday
+const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const DEFAULT_TIMEZONE = "Asia/Kolkata";
+// How long a quoted price is honoured at booking time
+const QUOTE_TTL_SECONDS = 10 * 60;
+// How far a booking's window may drift from its quote (e.g. "start now")
+const QUOTE_WINDOW_TOLERANCE_MS = 5 * 60 * 1000;
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// "HH:mm" -> minutes after midnight (null when malformed)
+function parseClock(value) {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(value || "").trim());
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/**
+ * Weekday and minute-of-day of an instant in the lot's timezone
+ */
+function getLocalParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    weekday: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date);
+  const get = (type) => parts.find((p) => p.type === type)?.value;
+  return {
+    day: WEEKDAY_NAMES.indexOf(get("weekday")),
+    minutes: Number(get("hour")) * 60 + Number(get("minute")),
+  };
+}
+
+function isInPeriod(period, local) {
+  const start = parseClock(period.start);
+  const end = parseClock(period.end);
+  if (start == null || end == null || start === end) return false;
+  if (period.days?.length && !period.days.includes(local.day)) return false;
+  return start < end
+    ? local.minutes >= start && local.minutes < end
+    : local.minutes >= start || local.minutes < end;
+}
+
+// Next minute-of-day after `minutes` where the applicable rate may change
+function nextRateChange(minutes, peakPeriods) {
+  const candidates = [MINUTES_PER_DAY];
+  peakPeriods.forEach((period) => {
+    [parseClock(period.start), parseClock(period.end)].forEach((m) => {
+      if (m != null && m > minutes) candidates.push(m);
+    });
+  });
+  return Math.min(...candidates);
+}
+
+/**
+ * Validate and normalize pricing rules sent by an owner
+ */
+function normalizePricingRules(raw = {}) {
+  const rules = {
+    timezone: String(raw.timezone || DEFAULT_TIMEZONE),
+    peakPeriods: [],
+    weekendMultiplier:
+      raw.weekendMultiplier == null ? 1 : Number(raw.weekendMultiplier),
+    dailyCap:
+      raw.dailyCap == null || raw.dailyCap === "" ? null : Number(raw.dailyCap),
+    freeMinutes: raw.freeMinutes == null ? 0 : Number(raw.freeMinutes),
+    longStayTiers: [],
+  };
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: rules.timezone });
+  } catch {
+    throw new Error(`Unknown timezone ${rules.timezone}`);
+  }
+  if (!(rules.weekendMultiplier >= 0)) {
+    throw new Error("weekendMultiplier cannot be negative");
+  }
+  if (rules.dailyCap != null && !(rules.dailyCap >= 0)) {
+    throw new Error("dailyCap cannot be negative");
+  }
+  if (!(rules.freeMinutes >= 0)) {
+    throw new Error("freeMinutes cannot be negative");
+  }
+
+  (raw.peakPeriods || []).forEach((period) => {
+    if (parseClock(period?.start) == null || parseClock(period?.end) == null) {
+      throw new Error("Peak periods need start and end times as HH:mm");
+    }
+    const multiplier =
+      period.multiplier == null ? 1.5 : Number(period.multiplier);
+    if (!(multiplier >= 0)) {
+      throw new Error("Peak multiplier cannot be negative");
+    }
+    const days = Array.isArray(period.days)
+      ? period.days.map(Number).filter((d) => d >= 0 && d <= 6)
+      : [];
+    rules.peakPeriods.push({
+      label: String(period.label || "Peak"),
+      days,
+      start: String(period.start).trim(),
+      end: String(period.end).trim(),
+      multiplier,
+    });
+  });
+
+  (raw.longStayTiers || []).forEach((tier) => {
+    const minHours = Number(tier?.minHours);
+    const discountPercent = Number(tier?.discountPercent);
+    if (!(minHours >= 0) || !(discountPercent >= 0 && discountPercent <= 100)) {
+      throw new Error(
+        "Long-stay tiers need minHours and a discountPercent between 0 and 100"
+      );
+    }
+    rules.longStayTiers.push({ minHours, discountPercent });
+  });
+  rules.longStayTiers.sort((a, b) => a.minHours - b.minHours);
+  return rules;
+}
+
+/**
+ * Price a stay of `vehicleType` at `lot` for [startTime, endTime).
+ *
+ * The window is split wherever the rate can change (peak period edges, local
+ * midnight, 24h cap blocks, end of the free minutes) and each piece is charged
+ * at the vehicle type's rate times any peak/weekend multiplier and the lot's
+ * current demand multiplier. Free minutes, the daily cap and the long-stay
+ * tier are then applied as discount lines.
+ * Returns { pricePerHour, duration, totalPrice, demandMultiplier, breakdown }.
+ */
+function quotePrice(lot, { vehicleType = "car", startTime, endTime }) {
+  const start = new Date(startTime);
+  const end = new Date(endTime);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    throw new Error("Invalid start or end time");
+  }
+  if (!(end > start)) throw new Error("End time must be after start time");
+
+  const rules = lot.pricingRules || {};
+  const timeZone = rules.timezone || DEFAULT_TIMEZONE;
+  const peakPeriods = rules.peakPeriods || [];
+  const weekendMultiplier = rules.weekendMultiplier ?? 1;
+  const baseRate = getRatePerHour(lot, vehicleType);
+  const demandMultiplier = lot.demandPricing?.enabled
+    ? Number(lot.demandMultiplier) || 1
+    : 1;
+  const freeEnd = start.getTime() + (Number(rules.freeMinutes) || 0) * 60000;
+
+  const lines = new Map(); // "label@rate" -> { label, hours, rate, amount }
+  const blockTotals = []; // charge per 24h block of the stay
+  let freeAmount = 0;
+
+  let cursor = start.getTime();
+  while (cursor < end.getTime()) {
+    const local = getLocalParts(new Date(cursor), timeZone);
+    const intoMinute = cursor % 60000;
+    const rateChange =
+      cursor +
+      (nextRateChange(local.minutes, peakPeriods) - local.minutes) * 60000 -
+      intoMinute;
+    const block = Math.floor((cursor - start.getTime()) / DAY_MS);
+    const blockEnd = start.getTime() + (block + 1) * DAY_MS;
+    const segmentEnd = Math.min(
+      end.getTime(),
+      rateChange,
+      blockEnd,
+      cursor < freeEnd ? freeEnd : Infinity
+    );
+
+    const period = peakPeriods.find((p) => isInPeriod(p, local));
+    const weekend = WEEKEND_DAYS.includes(local.day) && weekendMultiplier !== 1;
+    const rate =
+      baseRate *
+      (period ? period.multiplier : 1) *
+      (weekend ? weekendMultiplier : 1) *
+      demandMultiplier;
+    const hours = (segmentEnd - cursor) / HOUR_MS;
+    const amount = hours * rate;
+
+    const name = period
+      ? period.label || "Peak"
+      : peakPeriods.length
+      ? "Off-peak"
+      : "Parking";
+    const label =
+      `${weekend ? "Weekend " : ""}${name}` +
+      (demandMultiplier !== 1 ? ` · demand ×${demandMultiplier}` : "");
+    const key = `${label}@${rate}`;
+    const line = lines.get(key) || { label, hours: 0, rate, amount: 0 };
+    line.hours += hours;
+    line.amount += amount;
+    lines.set(key, line);
+
+    blockTotals[block] = (blockTotals[block] || 0) + amount;
+    if (cursor < freeEnd) {
+      freeAmount += amount;
+      blockTotals[block] -= amount;
+    }
+    cursor = segmentEnd;
+  }
+
+  const breakdown = [...lines.values()].map((line) => ({
+    code: "time",
+    label: line.label,
+    hours: round2(line.hours),
+    rate: round2(line.rate),
+    amount: round2(line.amount),
+  }));
+
+  if (freeAmount > 0) {
+    breakdown.push({
+      code: "free_minutes",
+      label: `First ${rules.freeMinutes} min free`,
+      amount: -round2(freeAmount),
+    });
+  }
+
+  if (rules.dailyCap != null) {
+    blockTotals.forEach((total, i) => {
+      if (total > rules.dailyCap) {
+        breakdown.push({
+          code: "daily_cap",
+          label: `Daily cap ₹${rules.dailyCap} (day ${i + 1})`,
+          amount: -round2(total - rules.dailyCap),
+        });
+      }
+    });
+  }
+
+  const duration = round2((end - start) / HOUR_MS);
+  const subtotal = breakdown.reduce((sum, line) => sum + line.amount, 0);
+  const tier = [...(rules.longStayTiers || [])]
+    .reverse()
+    .find((t) => duration >= t.minHours && t.discountPercent > 0);
+  if (tier && subtotal > 0) {
+    breakdown.push({
+      code: "long_stay",
+      label: `Long-stay discount ${tier.discountPercent}% (${tier.minHours}h+)`,
+      amount: -round2((subtotal * tier.discountPercent) / 100),
+    });
+  }
+
+  const totalPrice = Math.max(
+    0,
+    round2(breakdown.reduce((sum, line) => sum + line.amount, 0))
+  );
+  return {
+    pricePerHour: baseRate,
+    duration,
+    totalPrice,
+    demandMultiplier,
+    breakdown,
+  };
+}
+
+/**
+ * Sign a quote so the same price can be charged when the booking is made,
+ * even if demand pricing moved in between
+ */
+function signQuote(lot, { vehicleType, startTime, endTime }, quote) {
+  return jwt.sign(
+    {
+      lot: String(lot._id),
+      vehicleType,
+      start: new Date(startTime).getTime(),
+      end: new Date(endTime).getTime(),
+      quote,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: QUOTE_TTL_SECONDS }
+  );
+}
+
+/**
+ * Return the locked quote from a token if it is still valid for this lot,
+ * vehicle type and (roughly) this window; null otherwise
+ */
+function verifyQuote(token, lot, { vehicleType, startTime, endTime }) {
+  if (!token) return null;
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    const start = new Date(startTime).getTime();
+    const end = new Date(endTime).getTime();
+    const sameWindow =
+      Math.abs(payload.start - start) <= QUOTE_WINDOW_TOLERANCE_MS &&
+      Math.abs(payload.end - payload.start - (end - start)) <= 60 * 1000;
+    if (
+      payload.lot !== String(lot._id) ||
+      payload.vehicleType !== vehicleType ||
+      !sameWindow
+    ) {
+      return null;
+    }
+    return payload.quote;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  parseClock,
+  quotePrice,
+  normalizePricingRules,
+  signQuote,
+  verifyQuote,
+};
@@ -0,0 +1,334 @@
+// services/promoService.js - promo codes: discounts drivers apply when booking
+const mongoose = require("mongoose");
+const Booking = require("../models/Booking");
+const ParkingLot = require("../models/ParkingLot");
+const { VEHICLE_TYPES } = require("../models/ParkingLot");
+const PromoCode = require("../models/PromoCode");
+const { bookingError } = require("./bookingsService");
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,20}$/;
+
+function roundMoney(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function normalizeCode(code) {
+  return String(code || "")
+    .trim()
+    .toUpperCase();
+}
+
+function optionalNumber(value, field, { min = 0, integer = false } = {}) {
+  if (value == null || value === "") return undefined;
+  const n = Number(value);
+  if (!(n >= min) || (integer && !Number.isInteger(n))) {
+    throw bookingError(
+      `${field} must be ${
+        integer ? "a whole number" : "a number"
+      } of at least ${min}`
+    );
+  }
+  return n;
+}
+
+function toList(value) {
+  if (value == null || value === "") return [];
+  return Array.isArray(value) ? value : String(value).split(",");
+}
+
+/**
+ * Validate and normalize a promo code sent by an owner or admin. Owners must
+ * scope codes to lots they own; admins may leave the lot list empty (any lot).
+ */
+async function normalizePromo(raw = {}, user) {
+  const code = normalizeCode(raw.code);
+  if (!CODE_PATTERN.test(code)) {
+    throw bookingError(
+      "Code must be 3-20 letters, digits, dashes or underscores"
+    );
+  }
+  if (!["percent", "flat"].includes(raw.discountType)) {
+    throw bookingError('discountType must be "percent" or "flat"');
+  }
+  const discountValue = Number(raw.discountValue);
+  if (
+    !(discountValue > 0) ||
+    (raw.discountType === "percent" && discountValue > 100)
+  ) {
+    throw bookingError(
+      raw.discountType === "percent"
+        ? "Percent off must be between 1 and 100"
+        : "Amount off must be more than 0"
+    );
+  }
+
+  const validFrom = raw.validFrom ? new Date(raw.validFrom) : new Date();
+  const validUntil = new Date(raw.validUntil);
+  if (Number.isNaN(validFrom.getTime()) || Number.isNaN(validUntil.getTime())) {
+    throw bookingError("Enter when the code is valid from and until");
+  }
+  if (!(validUntil > validFrom)) {
+    throw bookingError("Valid until must be after valid from");
+  }
+
+  const vehicleTypes = [...new Set(toList(raw.vehicleTypes))];
+  const unknown = vehicleTypes.find((t) => !VEHICLE_TYPES.includes(t));
+  if (unknown) throw bookingError(`Unknown vehicle type "${unknown}"`);
+  const cities = [
+    ...new Set(
+      toList(raw.cities)
+        .map((c) => String(c).trim())
+        .filter(Boolean)
+    ),
+  ];
+
+  const lotIds = [...new Set(toList(raw.parkingLotIds).map(String))];
+  const badId = lotIds.find((id) => !mongoose.isValidObjectId(id));
+  if (badId) throw bookingError(`Invalid parking lot id "${badId}"`);
+  if (user.role !== "admin") {
+    if (!lotIds.length) {
+      throw bookingError("Pick at least one of your lots for the code");
+    }
+    const owned = await ParkingLot.countDocuments({
+      _id: { $in: lotIds },
+      owner: user.id,
+    });
+    if (owned !== lotIds.length) {
+      throw bookingError("You can only create codes for lots you own", 403);
+    }
+  } else if (lotIds.length) {
+    const found = await ParkingLot.countDocuments({ _id: { $in: lotIds } });
+    if (found !== lotIds.length)
+      throw bookingError("Parking lot not found", 404);
+  }
+
+  return {
+    code,
+    description: String(raw.description || "").trim() || undefined,
+    discountType: raw.discountType,
+    discountValue,
+    maxDiscount:
+      raw.discountType === "percent"
+        ? optionalNumber(raw.maxDiscount, "maxDiscount", { min: 1 })
+        : undefined,
+    minAmount: optionalNumber(raw.minAmount, "minAmount") || 0,
+    validFrom,
+    validUntil,
+    maxUses: optionalNumber(raw.maxUses, "maxUses", { min: 1, integer: true }),
+    maxUsesPerUser:
+      optionalNumber(raw.maxUsesPerUser, "maxUsesPerUser", {
+        min: 1,
+        integer: true,
+      }) || 1,
+    scope: { parkingLotIds: lotIds, cities, vehicleTypes },
+  };
+}
+
+/**
+ * Create a promo code (owner: for their lots; admin: for any)
+ */
+async function createPromo(user, raw) {
+  const fields = await normalizePromo(raw, user);
+  try {
+    return await PromoCode.create({ ...fields, createdBy: user.id });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw bookingError(`Code ${fields.code} is already taken`, 409);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Codes an owner created, newest first (admins see every code)
+ */
+async function listPromos(user) {
+  const query = user.role === "admin" ? {} : { createdBy: user.id };
+  return PromoCode.find(query)
+    .sort({ createdAt: -1 })
+    .limit(200)
+    .populate("scope.parkingLotIds", "name");
+}
+
+/**
+ * Switch a code on or off (its creator, or any admin)
+ */
+async function setPromoActive(user, promoId, active) {
+  const query = { _id: promoId };
+  if (user.role !== "admin") query.createdBy = user.id;
+  const promo = await PromoCode.findOneAndUpdate(
+    query,
+    { $set: { active: !!active } },
+    { new: true }
+  );
+  if (!promo) throw bookingError("Promo code not found", 404);
+  return promo;
+}
+
+function sameCity(a, b) {
+  return (
+    String(a || "")
+      .trim()
+      .toLowerCase() ===
+    String(b || "")
+      .trim()
+      .toLowerCase()
+  );
+}
+
+/**
+ * Look up a code and check it can be used for this booking: switched on,
+ * inside its validity window, in scope for the lot, city and vehicle type,
+ * and not used up overall or (when userId is given) by this driver
+ */
+async function findApplicablePromo(
+  rawCode,
+  { lot, vehicleType, userId = null, at = new Date() }
+) {
+  const code = normalizeCode(rawCode);
+  const promo = code ? await PromoCode.findOne({ code }) : null;
+  if (!promo || !promo.active) {
+    throw bookingError("Promo code not found", 400, "PROMO_NOT_FOUND");
+  }
+  if (at < promo.validFrom || at >= promo.validUntil) {
+    throw bookingError(
+      at < promo.validFrom ? `${code} isn't valid yet` : `${code} has expired`,
+      400,
+      "PROMO_NOT_VALID_NOW"
+    );
+  }
+
+  const { parkingLotIds, cities, vehicleTypes } = promo.scope || {};
+  const outOfScope =
+    (parkingLotIds?.length &&
+      !parkingLotIds.some((id) => String(id) === String(lot._id))) ||
+    (cities?.length && !cities.some((c) => sameCity(c, lot.address?.city))) ||
+    (vehicleTypes?.length && !vehicleTypes.includes(vehicleType));
+  if (outOfScope) {
+    throw bookingError(
+      `${code} can't be used for this lot or vehicle`,
+      400,
+      "PROMO_NOT_APPLICABLE"
+    );
+  }
+
+  if (promo.maxUses != null && promo.usedCount >= promo.maxUses) {
+    throw bookingError(`${code} has been used up`, 409, "PROMO_EXHAUSTED");
+  }
+  if (userId) {
+    const used = await Booking.countDocuments({
+      userId,
+      "promo.promoId": promo._id,
+      "promo.released": { $ne: true },
+    });
+    if (used >= promo.maxUsesPerUser) {
+      throw bookingError(
+        `You have already used ${code}`,
+        409,
+        "PROMO_USER_LIMIT"
+      );
+    }
+  }
+  return promo;
+}
+
+/**
+ * Take a promo's discount off a price quote, as a "promo" line after every
+ * other discount. Returns the new quote with promo: { code, discount }.
+ */
+function applyPromo(quote, promo) {
+  const subtotal = quote.totalPrice;
+  if (subtotal < (promo.minAmount || 0)) {
+    throw bookingError(
+      `${promo.code} needs a booking of at least ₹${promo.minAmount}`,
+      400,
+      "PROMO_NOT_APPLICABLE"
+    );
+  }
+  let discount =
+    promo.discountType === "percent"
+      ? (subtotal * promo.discountValue) / 100
+      : promo.discountValue;
+  if (promo.discountType === "percent" && promo.maxDiscount != null) {
+    discount = Math.min(discount, promo.maxDiscount);
+  }
+  discount = roundMoney(Math.min(discount, subtotal));
+
+  const label =
+    promo.discountType === "percent"
+      ? `Promo ${promo.code} (${promo.discountValue}% off)`
+      : `Promo ${promo.code}`;
+  return {
+    ...quote,
+    totalPrice: roundMoney(subtotal - discount),
+    breakdown: [
+      ...(quote.breakdown || []),
+      { code: "promo", label, amount: -discount },
+    ],
+    promo: { code: promo.code, discount },
+  };
+}
+
+/**
+ * Take one use of a code, refused once the global cap is reached
+ */
+async function redeemPromo(promo) {
+  const query = { _id: promo._id, active: true };
+  if (promo.maxUses != null) query.usedCount = { $lt: promo.maxUses };
+  const updated = await PromoCode.findOneAndUpdate(
+    query,
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+  if (!updated) {
+    throw bookingError(
+      `${promo.code} has been used up`,
+      409,
+      "PROMO_EXHAUSTED"
+    );
+  }
+  return updated;
+}
+
+/**
+ * Give back the use of a code taken by a booking that was never made
+ */
+async function unredeemPromo(promoId) {
+  await PromoCode.updateOne(
+    { _id: promoId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+}
+
+/**
+ * Give back the use held by a booking that was cancelled or released before
+ * it was paid, so the driver (and the global cap) can use it again. Safe to
+ * call more than once. Never throws.
+ */
+async function releasePromo(booking) {
+  if (!booking?.promo?.promoId) return;
+  try {
+    const released = await Booking.findOneAndUpdate(
+      { _id: booking._id, "promo.released": { $ne: true } },
+      { $set: { "promo.released": true } }
+    );
+    if (released) await unredeemPromo(booking.promo.promoId);
+  } catch (error) {
+    console.error(
+      `❌ Releasing promo on booking ${booking._id} failed:`,
+      error.message
+    );
+  }
+}
+
+module.exports = {
+  normalizePromo,
+  createPromo,
+  listPromos,
+  setPromoActive,
+  findApplicablePromo,
+  applyPromo,
+  redeemPromo,
+  unredeemPromo,
+  releasePromo,
+};
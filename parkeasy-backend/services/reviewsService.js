@@ -0,0 +1,329 @@
+// services/reviewsService.js - lot ratings and reviews, owner replies and admin moderation
+const mongoose = require("mongoose");
+const Booking = require("../models/Booking");
+const ParkingLot = require("../models/ParkingLot");
+const Review = require("../models/Review");
+const User = require("../models/User");
+const { bookingError } = require("./bookingsService");
+const { notifyUser } = require("./notificationService");
+
+// Bookings that are over (checked out or ran out) can be reviewed
+const REVIEWABLE_STATUSES = ["completed", "expired"];
+const MAX_TEXT = 1000;
+const MAX_LIST = 50;
+const MANAGE_FILTERS = ["all", "unreplied", "reported", "hidden"];
+
+function cleanText(text) {
+  return String(text || "")
+    .trim()
+    .slice(0, MAX_TEXT);
+}
+
+// Reviews are signed with the first name only
+function reviewerName(user, booking) {
+  const name = String(user?.name || booking.userName || "").trim();
+  return name.split(/\s+/)[0] || "ParkEasy driver";
+}
+
+// What anyone may see of a review; reports stay with admins
+function toPublicReview(review) {
+  const plain = review.toObject ? review.toObject() : { ...review };
+  delete plain.reports;
+  delete plain.moderation;
+  return plain;
+}
+
+/**
+ * Recompute a lot's cached average rating and review count from its
+ * published reviews
+ */
+async function refreshLotRating(parkingLotId) {
+  const [summary] = await Review.aggregate([
+    {
+      $match: {
+        parkingLotId: new mongoose.Types.ObjectId(String(parkingLotId)),
+        status: "published",
+      },
+    },
+    {
+      $group: { _id: null, average: { $avg: "$rating" }, count: { $sum: 1 } },
+    },
+  ]);
+  const ratingAverage = summary ? Math.round(summary.average * 10) / 10 : 0;
+  const ratingCount = summary ? summary.count : 0;
+  // updateOne leaves reservationVersion alone, so bookings aren't disturbed
+  await ParkingLot.updateOne(
+    { _id: parkingLotId },
+    { $set: { ratingAverage, ratingCount } }
+  );
+  return { ratingAverage, ratingCount };
+}
+
+/**
+ * Rate and review the lot of a finished booking; one review per booking
+ */
+async function createReview(userId, raw = {}) {
+  if (!mongoose.isValidObjectId(raw.bookingId)) {
+    throw bookingError("Booking not found", 404);
+  }
+  const rating = Number(raw.rating);
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    throw bookingError("Rating must be a whole number from 1 to 5");
+  }
+  const booking = await Booking.findOne({ _id: raw.bookingId, userId });
+  if (!booking) throw bookingError("Booking not found", 404);
+  if (!REVIEWABLE_STATUSES.includes(booking.status)) {
+    throw bookingError(
+      "You can review a lot once your booking there has finished",
+      400,
+      "NOT_REVIEWABLE"
+    );
+  }
+  if (await Review.exists({ bookingId: booking._id })) {
+    throw bookingError(
+      "You've already reviewed this booking",
+      409,
+      "ALREADY_REVIEWED"
+    );
+  }
+
+  const user = await User.findById(userId).select("name");
+  let review;
+  try {
+    review = await Review.create({
+      userId,
+      userName: reviewerName(user, booking),
+      bookingId: booking._id,
+      parkingLotId: booking.parkingLotId,
+      parkingLotName: booking.parkingLotName,
+      rating,
+      comment: cleanText(raw.comment),
+    });
+  } catch (error) {
+    // Two submits racing: the unique index lets only one through
+    if (error.code === 11000) {
+      throw bookingError(
+        "You've already reviewed this booking",
+        409,
+        "ALREADY_REVIEWED"
+      );
+    }
+    throw error;
+  }
+  const summary = await refreshLotRating(booking.parkingLotId);
+  return { review: toPublicReview(review), ...summary };
+}
+
+/**
+ * A lot's published reviews, newest first, with its rating summary.
+ * `before` (an ISO date) pages back through older reviews.
+ */
+async function getLotReviews(parkingLotId, { limit, before } = {}) {
+  const lot = await ParkingLot.findById(parkingLotId).select(
+    "name ratingAverage ratingCount"
+  );
+  if (!lot) throw bookingError("Parking lot not found", 404);
+  const size = Math.min(Math.max(Number(limit) || 10, 1), MAX_LIST);
+  const query = { parkingLotId: lot._id, status: "published" };
+  const cursor = before ? new Date(before) : null;
+  if (cursor && !Number.isNaN(cursor.getTime())) {
+    query.createdAt = { $lt: cursor };
+  }
+  const reviews = await Review.find(query)
+    .sort({ createdAt: -1 })
+    .limit(size)
+    .select("-reports -moderation");
+  return {
+    reviews,
+    ratingAverage: lot.ratingAverage || 0,
+    ratingCount: lot.ratingCount || 0,
+  };
+}
+
+/**
+ * A driver's own reviews, newest first (hidden ones say why)
+ */
+async function getReviewsForUser(userId) {
+  return Review.find({ userId })
+    .sort({ createdAt: -1 })
+    .limit(200)
+    .select("-reports");
+}
+
+/**
+ * Reviews of the lots a user manages (every lot for admins), for replying
+ * and moderation. Filters: all, unreplied, reported, hidden.
+ */
+async function getManagedReviews(user, filter = "all") {
+  if (!MANAGE_FILTERS.includes(filter)) {
+    throw bookingError(`filter must be one of: ${MANAGE_FILTERS.join(", ")}`);
+  }
+  const isAdmin = user.role === "admin";
+  const query = {};
+  if (!isAdmin) {
+    const lots = await ParkingLot.find({ owner: user.id }).select("_id");
+    query.parkingLotId = { $in: lots.map((l) => l._id) };
+  }
+  if (filter === "unreplied") {
+    query.status = "published";
+    query["reply.text"] = { $in: [null, ""] };
+  } else if (filter === "reported") {
+    query.status = "published";
+    query.reportCount = { $gt: 0 };
+  } else if (filter === "hidden") {
+    query.status = "hidden";
+  }
+  const reviews = await Review.find(query)
+    .sort(
+      filter === "reported"
+        ? { reportCount: -1, createdAt: -1 }
+        : { createdAt: -1 }
+    )
+    .limit(MAX_LIST);
+  return isAdmin ? reviews : reviews.map(toPublicReview);
+}
+
+/**
+ * Load a review the user may reply to: one of a lot they own, or any for
+ * admins
+ */
+async function findManagedReview(user, reviewId) {
+  if (!mongoose.isValidObjectId(reviewId)) {
+    throw bookingError("Review not found", 404);
+  }
+  const review = await Review.findById(reviewId);
+  if (!review) throw bookingError("Review not found", 404);
+  if (user.role === "admin") return review;
+  const owns =
+    user.role === "owner" &&
+    (await ParkingLot.exists({ _id: review.parkingLotId, owner: user.id }));
+  if (!owns) {
+    throw bookingError("You don't manage this parking lot", 403);
+  }
+  return review;
+}
+
+/**
+ * Reply to a review as the lot's owner (or an admin); an empty reply removes
+ * it. The reviewer is told about a new or changed reply.
+ */
+async function replyToReview(user, reviewId, text) {
+  const review = await findManagedReview(user, reviewId);
+  const reply = cleanText(text);
+  if (!reply) {
+    review.reply = undefined;
+    await review.save();
+    return toPublicReview(review);
+  }
+  const changed = reply !== review.reply?.text;
+  review.reply = { text: reply, by: user.id, at: new Date() };
+  await review.save();
+  if (changed) {
+    await notifyUser(review.userId, {
+      type: "review_reply",
+      title: `${review.parkingLotName} replied to your review`,
+      message: reply.length > 200 ? `${reply.slice(0, 197)}...` : reply,
+      link: "/booking-history",
+    });
+  }
+  return toPublicReview(review);
+}
+
+/**
+ * Flag a published review for an admin to look at; once per user
+ */
+async function reportReview(userId, reviewId, reason) {
+  if (!mongoose.isValidObjectId(reviewId)) {
+    throw bookingError("Review not found", 404);
+  }
+  const review = await Review.findOne({ _id: reviewId, status: "published" });
+  if (!review) throw bookingError("Review not found", 404);
+  if (String(review.userId) === String(userId)) {
+    throw bookingError("You can't report your own review");
+  }
+  const { modifiedCount } = await Review.updateOne(
+    { _id: review._id, "reports.userId": { $ne: userId } },
+    {
+      $push: {
+        reports: {
+          userId,
+          reason: String(reason || "")
+            .trim()
+            .slice(0, 200),
+        },
+      },
+      $inc: { reportCount: 1 },
+    }
+  );
+  if (!modifiedCount) {
+    throw bookingError("You've already reported this review", 409);
+  }
+  return review;
+}
+
+/**
+ * Hide a review (it stops counting towards the lot's rating) or publish it
+ * again. Either way the admin has dealt with its reports, so they're cleared.
+ */
+async function moderateReview(adminId, reviewId, { status, reason } = {}) {
+  if (!["published", "hidden"].includes(status)) {
+    throw bookingError('status must be "published" or "hidden"');
+  }
+  if (!mongoose.isValidObjectId(reviewId)) {
+    throw bookingError("Review not found", 404);
+  }
+  const review = await Review.findById(reviewId);
+  if (!review) throw bookingError("Review not found", 404);
+  const wasHidden = review.status === "hidden";
+  review.status = status;
+  review.moderation = {
+    reason:
+      status === "hidden"
+        ? String(reason || "")
+            .trim()
+            .slice(0, 200) || undefined
+        : undefined,
+    by: adminId,
+    at: new Date(),
+  };
+  review.reports = [];
+  review.reportCount = 0;
+  await review.save();
+  await refreshLotRating(review.parkingLotId);
+  if (status === "hidden" && !wasHidden) {
+    await notifyUser(review.userId, {
+      type: "review_hidden",
+      title: `Your review of ${review.parkingLotName} was hidden`,
+      message: review.moderation.reason
+        ? `A moderator hid it: ${review.moderation.reason}`
+        : "A moderator hid it for breaking the review guidelines.",
+      link: "/booking-history",
+    });
+  }
+  return review;
+}
+
+/**
+ * Remove a review for good (e.g. spam); the booking can be reviewed again
+ */
+async function deleteReview(reviewId) {
+  if (!mongoose.isValidObjectId(reviewId)) {
+    throw bookingError("Review not found", 404);
+  }
+  const review = await Review.findByIdAndDelete(reviewId);
+  if (!review) throw bookingError("Review not found", 404);
+  await refreshLotRating(review.parkingLotId);
+  return review;
+}
+
+module.exports = {
+  refreshLotRating,
+  createReview,
+  getLotReviews,
+  getReviewsForUser,
+  getManagedReviews,
+  replyToReview,
+  reportReview,
+  moderateReview,
+  deleteReview,
+};
@@ -0,0 +1,357 @@
+// services/seriesService.js - recurring bookings made as one booking per occurrence
+const Booking = require("../models/Booking");
+const BookingSeries = require("../models/BookingSeries");
+const ParkingLot = require("../models/ParkingLot");
+const User = require("../models/User");
+const {
+  bookingError,
+  lotClosedError,
+  outsideHoursError,
+  createBooking,
+  cancelBooking,
+  restockLotForCancelled,
+} = require("./bookingsService");
+const { parseClock, quotePrice } = require("./pricingService");
+const { acceptsVehicle } = require("./vehicleRatesService");
+const { checkOpenWindow } = require("./hoursService");
+const {
+  payBookingFromWallet,
+  refundBookingToWallet,
+} = require("./paymentService");
+const {
+  lotTimeZone,
+  localDateString,
+  parseDate,
+  addDays,
+  zonedTime,
+} = require("./passService");
+
+// How far the last occurrence may be from the first, and how many there may be
+const MAX_SERIES_DAYS = 90;
+const MAX_OCCURRENCES = 60;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function roundMoney(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Validate and normalize a recurrence rule: weekdays, a daily window and the
+ * first and last dates (inclusive, in the lot's timezone)
+ */
+function normalizeSeriesRequest(raw = {}) {
+  const days = [...new Set((raw.days || []).map(Number))].sort((a, b) => a - b);
+  if (
+    !days.length ||
+    days.some((d) => !Number.isInteger(d) || d < 0 || d > 6)
+  ) {
+    throw bookingError("Pick the weekdays the booking repeats on");
+  }
+  const start = parseClock(raw.startClock);
+  const end = parseClock(raw.endClock);
+  if (start == null || end == null) {
+    throw bookingError("Times must be given as HH:mm");
+  }
+  if (!(end > start)) {
+    throw bookingError("The daily window must end after it starts");
+  }
+  if (
+    !DATE_PATTERN.test(String(raw.startDate || "")) ||
+    !DATE_PATTERN.test(String(raw.endDate || ""))
+  ) {
+    throw bookingError("startDate and endDate must be YYYY-MM-DD");
+  }
+  if (raw.endDate < raw.startDate) {
+    throw bookingError("The series must end on or after its first day");
+  }
+  if (raw.endDate > addDays(raw.startDate, MAX_SERIES_DAYS)) {
+    throw bookingError(
+      `A series can run for at most ${MAX_SERIES_DAYS} days - buy a pass for longer`
+    );
+  }
+  return {
+    days,
+    startClock: raw.startClock.trim().padStart(5, "0"),
+    endClock: raw.endClock.trim().padStart(5, "0"),
+    startDate: raw.startDate,
+    endDate: raw.endDate,
+    vehicleType: raw.vehicleType || "car",
+    vehicleNumber: String(raw.vehicleNumber || "")
+      .trim()
+      .toUpperCase(),
+  };
+}
+
+/**
+ * The occurrences of a series that haven't ended by `now`; one under way
+ * starts now
+ */
+function planOccurrences(rule, timeZone, now = new Date()) {
+  const startMinutes = parseClock(rule.startClock);
+  const endMinutes = parseClock(rule.endClock);
+  const occurrences = [];
+  for (
+    let date = rule.startDate;
+    date <= rule.endDate;
+    date = addDays(date, 1)
+  ) {
+    if (!rule.days.includes(parseDate(date).getUTCDay())) continue;
+    const startTime = zonedTime(date, startMinutes, timeZone);
+    const endTime = zonedTime(date, endMinutes, timeZone);
+    if (endTime <= now) continue;
+    occurrences.push({
+      date,
+      startTime: startTime < now ? now : startTime,
+      endTime,
+    });
+  }
+  return occurrences;
+}
+
+async function loadSeriesLot(parkingLotId, vehicleType) {
+  const lot = await ParkingLot.findById(parkingLotId);
+  if (!lot) throw bookingError("Parking lot not found", 404);
+  if (lot.isActive === false) throw lotClosedError(lot);
+  if (!acceptsVehicle(lot, vehicleType)) {
+    throw bookingError(
+      `Vehicle type "${vehicleType}" is not accepted at this parking lot`,
+      400,
+      "VEHICLE_TYPE_NOT_ACCEPTED"
+    );
+  }
+  return lot;
+}
+
+// The lot, timezone and occurrences of a rule, checked against the limits.
+// Occurrences outside the lot's opening hours come back in `closed`.
+async function prepareSeries(parkingLotId, rule, now) {
+  const lot = await loadSeriesLot(parkingLotId, rule.vehicleType);
+  const timeZone = lotTimeZone(lot);
+  if (rule.startDate < localDateString(now, timeZone)) {
+    throw bookingError("A series can't start in the past");
+  }
+  const occurrences = planOccurrences(rule, timeZone, now);
+  if (!occurrences.length) {
+    throw bookingError("No occurrences are left between those dates");
+  }
+  if (occurrences.length > MAX_OCCURRENCES) {
+    throw bookingError(
+      `A series can have at most ${MAX_OCCURRENCES} occurrences - buy a pass instead`
+    );
+  }
+  const open = [];
+  const closed = [];
+  occurrences.forEach((o) => {
+    const reason = checkOpenWindow(lot, o.startTime, o.endTime);
+    if (reason) closed.push({ ...o, reason });
+    else open.push(o);
+  });
+  if (!open.length) throw outsideHoursError(closed[0].reason);
+  return { lot, timeZone, occurrences: open, closed };
+}
+
+// Price each occurrence at today's rates
+function priceOccurrences(lot, vehicleType, occurrences) {
+  const priced = occurrences.map((o) => ({
+    ...o,
+    totalPrice: quotePrice(lot, { vehicleType, ...o }).totalPrice,
+  }));
+  return {
+    occurrences: priced,
+    amount: roundMoney(priced.reduce((sum, o) => sum + o.totalPrice, 0)),
+  };
+}
+
+/**
+ * The occurrences a series would book and what they cost at today's prices.
+ * Each one is priced (and checked for room) again when it is booked.
+ */
+async function quoteSeries(parkingLotId, raw, now = new Date()) {
+  const rule = normalizeSeriesRequest(raw);
+  const { lot, timeZone, occurrences, closed } = await prepareSeries(
+    parkingLotId,
+    rule,
+    now
+  );
+  return {
+    ...rule,
+    timeZone,
+    ...priceOccurrences(lot, rule.vehicleType, occurrences),
+    closed,
+  };
+}
+
+// Give back an occurrence of a series that couldn't be paid for as a whole
+async function discardOccurrence(booking) {
+  if (booking.paymentStatus === "paid" && booking.amountPaid > 0) {
+    await refundBookingToWallet(
+      booking,
+      booking.amountPaid,
+      "Recurring booking not completed"
+    );
+  }
+  const { deletedCount } = await Booking.deleteOne({
+    _id: booking._id,
+    paymentStatus: { $in: ["pending", "paid", "refunded"] },
+  });
+  if (deletedCount && booking.status === "active") {
+    await restockLotForCancelled(booking, ParkingLot);
+  }
+}
+
+/**
+ * Book every occurrence of a recurring booking and pay for them from the
+ * wallet. The driver confirms the quoted total (`quotedAmount`) and the wallet
+ * must cover it before anything is booked. Occurrences that are full or fall
+ * outside the lot's opening hours are skipped and reported; the series fails
+ * when none could be booked, and nothing is kept when one can't be paid for.
+ */
+async function createSeries(userId, parkingLotId, raw, now = new Date()) {
+  const rule = normalizeSeriesRequest(raw);
+  if (!rule.vehicleNumber) throw bookingError("Enter the vehicle number");
+  const quotedAmount = Number(raw.quotedAmount);
+  if (raw.quotedAmount == null || !Number.isFinite(quotedAmount)) {
+    throw bookingError("Confirm the quoted total before booking the series");
+  }
+  const user = await User.findById(userId);
+  if (!user) throw bookingError("User not found", 404);
+  const { lot, timeZone, occurrences, closed } = await prepareSeries(
+    parkingLotId,
+    rule,
+    now
+  );
+
+  const { amount } = priceOccurrences(lot, rule.vehicleType, occurrences);
+  if (amount > quotedAmount + 0.005) {
+    throw bookingError(
+      `The series now costs ₹${amount} (quoted ₹${quotedAmount}) - check the new total and book again`,
+      409,
+      "PRICE_CHANGED"
+    );
+  }
+  // Fail before booking anything when the wallet can't pay for the series
+  if ((user.walletBalance || 0) < amount) {
+    throw bookingError(
+      `Not enough money in your wallet (₹${amount} needed for the series)`,
+      402,
+      "INSUFFICIENT_FUNDS"
+    );
+  }
+
+  const series = await BookingSeries.create({
+    userId,
+    parkingLotId: lot._id,
+    parkingLotName: lot.name,
+    vehicleType: rule.vehicleType,
+    vehicleNumber: rule.vehicleNumber,
+    days: rule.days,
+    startClock: rule.startClock,
+    endClock: rule.endClock,
+    timeZone,
+    startDate: rule.startDate,
+    endDate: rule.endDate,
+  });
+
+  const bookings = [];
+  const skipped = [...closed];
+  for (const occurrence of occurrences) {
+    try {
+      bookings.push(
+        await createBooking({
+          userId: user._id,
+          userName: user.name || "Unknown",
+          userEmail: user.email || "",
+          userPhone: user.phone || "",
+          parkingLotId: lot._id,
+          parkingLotName: lot.name,
+          vehicleType: rule.vehicleType,
+          vehicleNumber: rule.vehicleNumber,
+          startTime: occurrence.startTime,
+          endTime: occurrence.endTime,
+          seriesId: series._id,
+        })
+      );
+    } catch (error) {
+      skipped.push({ ...occurrence, reason: error.message });
+    }
+  }
+
+  if (!bookings.length) {
+    await BookingSeries.deleteOne({ _id: series._id });
+    throw bookingError(
+      `None of the ${
+        occurrences.length + closed.length
+      } occurrences could be booked: ${skipped[0].reason}`,
+      409,
+      "SERIES_NOT_BOOKED"
+    );
+  }
+
+  try {
+    for (let i = 0; i < bookings.length; i++) {
+      if (bookings[i].paymentStatus !== "pending") continue;
+      bookings[i] = (
+        await payBookingFromWallet(bookings[i]._id, user._id)
+      ).booking;
+    }
+  } catch (error) {
+    // The wallet ran short (or a payment failed) part way: undo the series
+    for (const booking of bookings) await discardOccurrence(booking);
+    await BookingSeries.deleteOne({ _id: series._id });
+    throw error;
+  }
+
+  if (skipped.length) {
+    series.skipped = skipped;
+    await series.save();
+  }
+  return { series, bookings, skipped };
+}
+
+/**
+ * Cancel a series: every occurrence that hasn't started yet is cancelled
+ * (and refunded) under the lot's cancellation policy. One under way is left
+ * to run.
+ */
+async function cancelSeries(seriesId, userId) {
+  const series = await BookingSeries.findOne({ _id: seriesId, userId });
+  if (!series) throw bookingError("Recurring booking not found", 404);
+  if (series.status === "cancelled") {
+    throw bookingError("Recurring booking is already cancelled");
+  }
+
+  const upcoming = await Booking.find({
+    seriesId: series._id,
+    userId,
+    status: "upcoming",
+  }).sort({ startTime: 1 });
+  const cancelled = [];
+  const failed = [];
+  for (const booking of upcoming) {
+    try {
+      cancelled.push(await cancelBooking(booking._id, userId));
+    } catch (error) {
+      failed.push({ bookingId: booking._id, reason: error.message });
+    }
+  }
+
+  series.status = "cancelled";
+  await series.save();
+  return { series, cancelled, failed };
+}
+
+/**
+ * A driver's recurring bookings, newest first
+ */
+async function getSeriesForUser(userId) {
+  return BookingSeries.find({ userId }).sort({ createdAt: -1 });
+}
+
+module.exports = {
+  normalizeSeriesRequest,
+  planOccurrences,
+  quoteSeries,
+  createSeries,
+  cancelSeries,
+  getSeriesForUser,
+};
@@ -0,0 +1,445 @@
+// services/settlementService.js - platform commission, owner earnings and payout statements
+const Earning = require("../models/Earning");
+const ParkingLot = require("../models/ParkingLot");
+const PayoutStatement = require("../models/PayoutStatement");
+const User = require("../models/User");
+
+const DEFAULT_COMMISSION_PERCENT = 10;
+// Statement periods follow India days; weeks run Monday to Sunday
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PAYOUT_SCHEDULES = ["daily", "weekly"];
+
+function roundMoney(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Platform commission on bookings paid, in percent (PLATFORM_COMMISSION_PERCENT)
+ */
+function getCommissionPercent() {
+  const raw = process.env.PLATFORM_COMMISSION_PERCENT;
+  const percent = Number(raw);
+  return raw != null && raw !== "" && percent >= 0 && percent <= 100
+    ? percent
+    : DEFAULT_COMMISSION_PERCENT;
+}
+
+function splitCommission(gross, percent) {
+  const commission = roundMoney((gross * percent) / 100);
+  return { commission, net: roundMoney(gross - commission) };
+}
+
+// Accrue an entry to the owner of the booking's (or pass's) lot; lots
+// without an owner (imported listings) have no one to pay out to
+async function accrue(source, fields) {
+  const lot = await ParkingLot.findById(source.parkingLotId).select(
+    "owner name"
+  );
+  if (!lot?.owner) return null;
+  return Earning.create({
+    ownerId: lot.owner,
+    parkingLotId: lot._id,
+    parkingLotName: lot.name || source.parkingLotName,
+    ...fields,
+  });
+}
+
+/**
+ * Accrue a booking payment that went through (once per payment). Never
+ * throws: a failed accrual is logged rather than failing the payment.
+ */
+async function recordPayment(payment, booking, description = null) {
+  try {
+    const percent = getCommissionPercent();
+    return await accrue(booking, {
+      bookingId: booking._id,
+      paymentId: payment._id,
+      type: "payment",
+      description:
+        description || `Booking ${booking.vehicleNumber} (${payment.method})`,
+      gross: payment.amount,
+      commissionPercent: percent,
+      ...splitCommission(payment.amount, percent),
+      occurredAt: payment.paidAt || new Date(),
+    });
+  } catch (error) {
+    if (error.code === 11000) return null; // Already accrued
+    console.error(`❌ Accruing payment ${payment._id} failed:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Accrue money given back on a booking. Only what was accrued is reversed,
+ * at the commission rate it was accrued at. Never throws.
+ */
+async function recordRefund(bookingId, amount, { paymentId, description }) {
+  try {
+    const query = { bookingId, type: "payment" };
+    if (paymentId) query.paymentId = paymentId;
+    const accrued = await Earning.findOne(query).sort({ occurredAt: 1 });
+    if (!accrued) return null;
+
+    const gross = -roundMoney(amount);
+    return await Earning.create({
+      ownerId: accrued.ownerId,
+      parkingLotId: accrued.parkingLotId,
+      parkingLotName: accrued.parkingLotName,
+      bookingId,
+      paymentId: accrued.paymentId,
+      type: "refund",
+      description: description || "Refund",
+      gross,
+      commissionPercent: accrued.commissionPercent,
+      ...splitCommission(gross, accrued.commissionPercent),
+      occurredAt: new Date(),
+    });
+  } catch (error) {
+    console.error(
+      `❌ Accruing refund on booking ${bookingId} failed:`,
+      error.message
+    );
+    return null;
+  }
+}
+
+/**
+ * Accrue a walk-in paid at the gate: the lot already holds the cash, so only
+ * the commission is owed to the platform. Never throws.
+ */
+async function recordWalkInCash(booking) {
+  try {
+    if (!(booking.totalPrice > 0)) return null;
+    const percent = getCommissionPercent();
+    const { commission } = splitCommission(booking.totalPrice, percent);
+    return await accrue(booking, {
+      bookingId: booking._id,
+      type: "walkin_cash",
+      description: `Walk-in ${booking.vehicleNumber} paid at the gate`,
+      gross: booking.totalPrice,
+      commissionPercent: percent,
+      commission,
+      net: -commission,
+      occurredAt: booking.checkedOutAt || new Date(),
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    console.error(`❌ Accruing walk-in ${booking._id} failed:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Accrue a pass period paid from the wallet. Never throws.
+ */
+async function recordPassPayment(pass, period) {
+  try {
+    const percent = getCommissionPercent();
+    return await accrue(pass, {
+      passId: pass._id,
+      type: "pass",
+      description: `${pass.plan === "weekly" ? "Weekly" : "Monthly"} pass ${
+        pass.vehicleNumber
+      } (${period.days} days)`,
+      gross: period.amount,
+      commissionPercent: percent,
+      ...splitCommission(period.amount, percent),
+      occurredAt: period.paidAt,
+    });
+  } catch (error) {
+    console.error(`❌ Accruing pass ${pass._id} failed:`, error.message);
+    return null;
+  }
+}
+
+function emptyTotals() {
+  return {
+    payments: 0,
+    refunds: 0,
+    walkinCash: 0,
+    commission: 0,
+    net: 0,
+    entries: 0,
+  };
+}
+
+function addEntry(totals, entry) {
+  if (entry.type === "refund") totals.refunds += entry.gross;
+  else if (entry.type === "walkin_cash") totals.walkinCash += entry.gross;
+  else totals.payments += entry.gross; // Bookings and passes
+  totals.commission += entry.commission;
+  totals.net += entry.net;
+  totals.entries += 1;
+}
+
+function roundTotals(totals) {
+  Object.keys(totals).forEach((key) => {
+    totals[key] = roundMoney(totals[key]);
+  });
+  return totals;
+}
+
+/**
+ * Per-lot and overall totals of earnings entries
+ */
+function summarizeEarnings(entries) {
+  const totals = emptyTotals();
+  const byLot = new Map();
+  entries.forEach((entry) => {
+    const key = String(entry.parkingLotId);
+    if (!byLot.has(key)) {
+      byLot.set(key, {
+        parkingLotId: entry.parkingLotId,
+        parkingLotName: entry.parkingLotName,
+        totals: emptyTotals(),
+      });
+    }
+    addEntry(byLot.get(key).totals, entry);
+    addEntry(totals, entry);
+  });
+  const lots = [...byLot.values()];
+  lots.forEach((lot) => roundTotals(lot.totals));
+  return { lots, totals: roundTotals(totals) };
+}
+
+// Start of the India day containing `at`
+function startOfDay(at) {
+  const local = at.getTime() + IST_OFFSET_MS;
+  return new Date(local - (local % DAY_MS) - IST_OFFSET_MS);
+}
+
+/**
+ * The last full day or week before `now`, as { start, end } (end exclusive)
+ */
+function lastPeriod(period, now = new Date()) {
+  const today = startOfDay(now);
+  if (period === "daily") {
+    return { start: new Date(today.getTime() - DAY_MS), end: today };
+  }
+  const weekday = new Date(today.getTime() + IST_OFFSET_MS).getUTCDay();
+  const monday = new Date(today.getTime() - ((weekday + 6) % 7) * DAY_MS);
+  return { start: new Date(monday.getTime() - 7 * DAY_MS), end: monday };
+}
+
+/**
+ * Close the last full period for every owner on that payout schedule: their
+ * unsettled earnings up to the period's end go into a new statement.
+ * Safe to re-run; an owner gets at most one statement per period.
+ */
+async function generateStatements(period, now = new Date()) {
+  const { start, end } = lastPeriod(period, now);
+  const ownerIds = await Earning.distinct("ownerId", {
+    statementId: null,
+    occurredAt: { $lt: end },
+  });
+  if (!ownerIds.length) return { created: 0, errors: 0 };
+
+  // Owners who never picked a schedule are paid weekly
+  const owners = await User.find({
+    _id: { $in: ownerIds },
+    payoutSchedule: period === "daily" ? "daily" : { $ne: "daily" },
+  }).select("_id");
+
+  let created = 0;
+  let errors = 0;
+  for (const owner of owners) {
+    let statement = null;
+    try {
+      try {
+        statement = await PayoutStatement.create({
+          ownerId: owner._id,
+          period,
+          periodStart: start,
+          periodEnd: end,
+        });
+      } catch (error) {
+        if (error.code === 11000) continue; // Already closed
+        throw error;
+      }
+      await Earning.updateMany(
+        { ownerId: owner._id, statementId: null, occurredAt: { $lt: end } },
+        { $set: { statementId: statement._id } }
+      );
+      const entries = await Earning.find({ statementId: statement._id });
+      const { lots, totals } = summarizeEarnings(entries);
+      statement.lots = lots;
+      statement.totals = totals;
+      await statement.save();
+      created += 1;
+    } catch (error) {
+      console.error(
+        `❌ Payout statement for owner ${owner._id} failed:`,
+        error.message
+      );
+      // Undo the half-made statement so the next run closes the period again
+      if (statement) {
+        try {
+          await Earning.updateMany(
+            { statementId: statement._id },
+            { $set: { statementId: null } }
+          );
+          await PayoutStatement.deleteOne({ _id: statement._id });
+        } catch (undoError) {
+          console.error(
+            `❌ Could not undo payout statement ${statement._id}:`,
+            undoError.message
+          );
+        }
+      }
+      errors += 1;
+    }
+  }
+  return { created, errors };
+}
+
+/**
+ * An owner's earnings not yet in a statement, per lot
+ */
+async function getUnsettledEarnings(ownerId) {
+  const entries = await Earning.find({ ownerId, statementId: null }).sort({
+    occurredAt: 1,
+  });
+  return {
+    commissionPercent: getCommissionPercent(),
+    ...summarizeEarnings(entries),
+  };
+}
+
+/**
+ * Payout statements, newest first (all owners' when ownerId is null)
+ */
+async function getStatements(ownerId, { limit = 20 } = {}) {
+  const query = ownerId ? { ownerId } : {};
+  const size = Math.min(Math.max(Number(limit) || 20, 1), 100);
+  return PayoutStatement.find(query)
+    .sort({ periodStart: -1, createdAt: -1 })
+    .limit(size);
+}
+
+/**
+ * A statement with its entries, or null when it isn't the owner's
+ */
+async function getStatement(statementId, ownerId) {
+  const query = { _id: statementId };
+  if (ownerId) query.ownerId = ownerId;
+  const statement = await PayoutStatement.findOne(query);
+  if (!statement) return null;
+  const entries = await Earning.find({ statementId: statement._id }).sort({
+    occurredAt: 1,
+  });
+  return { statement, entries };
+}
+
+function csvCell(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * A statement and its entries as CSV, ending with per-lot and overall totals
+ */
+function statementToCsv(statement, entries) {
+  const rows = [
+    [
+      "Date",
+      "Lot",
+      "Booking / pass",
+      "Type",
+      "Description",
+      "Gross",
+      "Commission %",
+      "Commission",
+      "Net",
+    ],
+    ...entries.map((e) => [
+      e.occurredAt.toISOString(),
+      e.parkingLotName,
+      e.bookingId || e.passId,
+      e.type,
+      e.description,
+      e.gross.toFixed(2),
+      e.commissionPercent,
+      e.commission.toFixed(2),
+      e.net.toFixed(2),
+    ]),
+    [],
+    ["Lot", "Payments", "Refunds", "Walk-in cash", "Commission", "Payout"],
+    ...statement.lots.map((lot) => [
+      lot.parkingLotName,
+      lot.totals.payments.toFixed(2),
+      lot.totals.refunds.toFixed(2),
+      lot.totals.walkinCash.toFixed(2),
+      lot.totals.commission.toFixed(2),
+      lot.totals.net.toFixed(2),
+    ]),
+    [
+      "Total",
+      statement.totals.payments.toFixed(2),
+      statement.totals.refunds.toFixed(2),
+      statement.totals.walkinCash.toFixed(2),
+      statement.totals.commission.toFixed(2),
+      statement.totals.net.toFixed(2),
+    ],
+  ];
+  return rows.map((row) => row.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+/**
+ * Record that a statement was paid out (admin)
+ */
+async function markStatementPaid(statementId, payoutReference = "") {
+  return PayoutStatement.findOneAndUpdate(
+    { _id: statementId, status: "pending" },
+    {
+      $set: {
+        status: "paid",
+        paidAt: new Date(),
+        payoutReference: String(payoutReference || "").trim() || undefined,
+      },
+    },
+    { new: true }
+  );
+}
+
+/**
+ * How often an owner's statements are closed
+ */
+async function getPayoutSchedule(userId) {
+  const user = await User.findById(userId).select("payoutSchedule");
+  return user?.payoutSchedule || "weekly";
+}
+
+/**
+ * Change how often an owner's statements are closed
+ */
+async function setPayoutSchedule(userId, schedule) {
+  if (!PAYOUT_SCHEDULES.includes(schedule)) {
+    throw new Error(
+      `payoutSchedule must be one of ${PAYOUT_SCHEDULES.join(", ")}`
+    );
+  }
+  return User.findByIdAndUpdate(
+    userId,
+    { $set: { payoutSchedule: schedule } },
+    { new: true }
+  ).select("payoutSchedule");
+}
+
+module.exports = {
+  getCommissionPercent,
+  recordPayment,
+  recordRefund,
+  recordWalkInCash,
+  recordPassPayment,
+  summarizeEarnings,
+  lastPeriod,
+  generateStatements,
+  getUnsettledEarnings,
+  getStatements,
+  getStatement,
+  statementToCsv,
+  markStatementPaid,
+  getPayoutSchedule,
+  setPayoutSchedule,
+};
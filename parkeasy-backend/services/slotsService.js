@@ -0,0 +1,185 @@
+// services/slotsService.js - bay layout management for parking lots
+const Booking = require("../models/Booking");
+const { VEHICLE_TYPES } = require("../models/ParkingLot");
+const {
+  bookingError,
+  getPeakOccupancy,
+  updateLotCapacity,
+} = require("./bookingsService");
+
+// Far enough ahead to cover every booking already made
+const FAR_FUTURE = new Date("9999-12-31T00:00:00Z");
+
+/**
+ * Build a bay layout such as G-001..G-020, L1-001..L1-020
+ */
+function generateSlotLayout({ levels = ["G"], perLevel = 10, vehicleTypes }) {
+  const count = Math.max(1, Math.min(1000, parseInt(perLevel, 10) || 0));
+  const slots = [];
+  levels
+    .map((level) => String(level).trim())
+    .filter(Boolean)
+    .forEach((level) => {
+      for (let i = 1; i <= count; i++) {
+        slots.push({
+          code: `${level}-${String(i).padStart(3, "0")}`,
+          level,
+          vehicleTypes: vehicleTypes?.length ? vehicleTypes : VEHICLE_TYPES,
+          enabled: true,
+        });
+      }
+    });
+  return slots;
+}
+
+/**
+ * Validate and normalize a bay list sent by an owner
+ */
+function normalizeSlots(rawSlots) {
+  if (!Array.isArray(rawSlots)) throw new Error("slots must be an array");
+  const seen = new Set();
+  return rawSlots.map((raw) => {
+    const code = String(raw?.code || "").trim();
+    if (!code) throw new Error("Every bay needs a code");
+    if (seen.has(code)) throw new Error(`Duplicate bay code ${code}`);
+    seen.add(code);
+    const vehicleTypes = Array.isArray(raw.vehicleTypes)
+      ? raw.vehicleTypes.filter((t) => VEHICLE_TYPES.includes(t))
+      : VEHICLE_TYPES;
+    return {
+      code,
+      level: String(raw.level || "G").trim(),
+      vehicleTypes: vehicleTypes.length ? vehicleTypes : VEHICLE_TYPES,
+      enabled: raw.enabled !== false,
+    };
+  });
+}
+
+/**
+ * Refuse a layout that takes a bay away from a booking holding it or leaves
+ * fewer bays than are booked or parked at once
+ */
+async function checkLayoutInUse(lot, slots, now) {
+  const held = await Booking.find({
+    parkingLotId: lot._id,
+    status: { $in: ["upcoming", "active", "overstay"] },
+    slotCode: { $exists: true, $ne: null },
+  }).select("slotCode vehicleType");
+  const byCode = new Map(slots.map((slot) => [slot.code, slot]));
+  for (const booking of held) {
+    const slot = byCode.get(booking.slotCode);
+    const fits =
+      slot?.enabled &&
+      (!slot.vehicleTypes?.length ||
+        slot.vehicleTypes.includes(booking.vehicleType));
+    if (!fits) {
+      throw bookingError(
+        `Bay ${booking.slotCode} is held by a ${booking.vehicleType} booking - keep it in service until that booking ends`,
+        409,
+        "SLOT_IN_USE"
+      );
+    }
+  }
+
+  const total = slots.filter((slot) => slot.enabled).length;
+  if (total < (lot.totalSlots || 0)) {
+    const booked = await getPeakOccupancy(lot._id, now, FAR_FUTURE);
+    const inUse = Math.max(booked, Number(lot.carsParked) || 0);
+    if (total < inUse) {
+      throw bookingError(
+        `Up to ${inUse} slots are booked or parked at once - keep at least that many bays in service`,
+        409,
+        "CAPACITY_IN_USE"
+      );
+    }
+  }
+}
+
+/**
+ * Save the layout `buildSlots(lot)` makes from a fresh copy of the lot once
+ * it is checked against current bookings, keeping the lot counters in line
+ * with its enabled bays (see updateLotCapacity). Resolves to the updated lot.
+ */
+async function saveSlotLayout(lotId, buildSlots, now = new Date()) {
+  return updateLotCapacity(lotId, async (freshLot) => {
+    const slots = buildSlots(freshLot);
+    await checkLayoutInUse(freshLot, slots, now);
+    return {
+      slots,
+      totalSlots: slots.filter((slot) => slot.enabled).length,
+    };
+  });
+}
+
+/**
+ * Replace the bay layout of a lot
+ */
+async function setLotSlots(lot, rawSlots) {
+  const slots = normalizeSlots(rawSlots);
+  return saveSlotLayout(lot._id, () => slots);
+}
+
+/**
+ * Enable/disable or re-tag a single bay. Resolves to the bay and the updated
+ * lot.
+ */
+async function updateLotSlot(lot, code, changes = {}) {
+  let slot;
+  const updated = await saveSlotLayout(lot._id, (freshLot) => {
+    const slots = (freshLot.slots || []).map((s) =>
+      s.toObject ? s.toObject() : { ...s }
+    );
+    slot = slots.find((s) => s.code === code);
+    if (!slot) throw bookingError("Bay not found", 404);
+    if (typeof changes.enabled === "boolean") slot.enabled = changes.enabled;
+    if (changes.level != null) slot.level = String(changes.level).trim();
+    if (Array.isArray(changes.vehicleTypes)) {
+      const types = changes.vehicleTypes.filter((t) =>
+        VEHICLE_TYPES.includes(t)
+      );
+      if (types.length) slot.vehicleTypes = types;
+    }
+    return slots;
+  });
+  return { slot, lot: updated };
+}
+
+/**
+ * Bays with the booking currently parked in each (for the owner view)
+ */
+async function getSlotOccupancy(lot) {
+  const now = new Date();
+  const current = await Booking.find({
+    parkingLotId: lot._id,
+    status: { $in: ["active", "overstay"] }, // Overstaying vehicles are still in their bay
+    startTime: { $lte: now },
+    slotCode: { $exists: true, $ne: null },
+  }).select("slotCode vehicleNumber vehicleType endTime status source");
+  const byCode = new Map(current.map((b) => [b.slotCode, b]));
+  return (lot.slots || []).map((slot) => {
+    const booking = byCode.get(slot.code);
+    return {
+      code: slot.code,
+      level: slot.level,
+      vehicleTypes: slot.vehicleTypes,
+      enabled: slot.enabled,
+      occupiedBy: booking
+        ? {
+            bookingId: booking._id,
+            vehicleNumber: booking.vehicleNumber,
+            vehicleType: booking.vehicleType,
+            until: booking.endTime,
+            overstay: booking.status === "overstay",
+            walkin: booking.source === "walkin",
+          }
+        : null,
+    };
+  });
+}
+
+module.exports = {
+  generateSlotLayout,
+  setLotSlots,
+  updateLotSlot,
+  getSlotOccupancy,
+};
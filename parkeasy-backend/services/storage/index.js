@@ -0,0 +1,26 @@
+// services/storage/index.js - picks the file storage adapter
+//
+// An adapter is an object with:
+//   name                           - stored on each file saved through it
+//   save(key, buffer, contentType) -> { url } public URL of the file
+//   remove(key)                    - deletes the file; a missing one is not an error
+// Keys look like "lots/<lotId>/<photoId>-thumb.webp".
+const localStorage = require("./localStorage");
+
+const ADAPTERS = {
+  [localStorage.name]: localStorage,
+};
+
+/**
+ * The adapter named by STORAGE_DRIVER (or a file's stored adapter name),
+ * defaulting to local disk
+ */
+function getStorage(name = process.env.STORAGE_DRIVER || "local") {
+  const adapter = ADAPTERS[name];
+  if (!adapter) throw new Error(`Unknown storage adapter "${name}"`);
+  return adapter;
+}
+
+module.exports = {
+  getStorage,
+};
@@ -0,0 +1,39 @@
+// services/storage/localStorage.js - keeps uploads on the server's disk (served by app.js)
+const fs = require("fs/promises");
+const path = require("path");
+
+const ROOT_DIR = path.resolve(
+  process.env.UPLOAD_DIR || path.join(__dirname, "../../uploads")
+);
+const URL_PREFIX = "/uploads";
+
+// Anything outside this shape (e.g. "../") could escape ROOT_DIR
+const KEY_PATTERN = /^[a-z0-9][a-z0-9/_-]*\.[a-z0-9]+$/i;
+
+function fullPath(key) {
+  if (!KEY_PATTERN.test(key) || key.includes("..")) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+  return path.join(ROOT_DIR, key);
+}
+
+module.exports = {
+  name: "local",
+  ROOT_DIR,
+  URL_PREFIX,
+
+  async save(key, buffer) {
+    const file = fullPath(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+    return { url: `${URL_PREFIX}/${key}` };
+  },
+
+  async remove(key) {
+    try {
+      await fs.unlink(fullPath(key));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+  },
+};
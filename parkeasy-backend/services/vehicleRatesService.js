@@ -0,0 +1,82 @@
+// services/vehicleRatesService.js - per-vehicle-type capacity and pricing for lots
+const { VEHICLE_TYPES } = require("../models/ParkingLot");
+
+// Rate used when neither the vehicle type nor the lot has one configured
+const DEFAULT_PRICE_PER_HOUR = 50;
+
+/**
+ * Capacity/rate entry for a vehicle type, or null when the lot has none
+ */
+function getVehicleRate(lot, vehicleType) {
+  return (
+    (lot?.vehicleRates || []).find(
+      (rate) => rate.vehicleType === vehicleType
+    ) || null
+  );
+}
+
+/**
+ * Whether a lot takes this vehicle type at all. Lots without per-type rates
+ * accept every type into their shared pool.
+ */
+function acceptsVehicle(lot, vehicleType) {
+  if (!lot?.vehicleRates?.length) return true;
+  const rate = getVehicleRate(lot, vehicleType);
+  return Boolean(rate && rate.capacity > 0);
+}
+
+/**
+ * Hourly rate for a vehicle type, falling back to the lot's flat rate
+ */
+function getRatePerHour(lot, vehicleType) {
+  const rate = getVehicleRate(lot, vehicleType);
+  if (rate && rate.pricePerHour != null) return Number(rate.pricePerHour);
+  return Number(lot?.pricePerHour) || DEFAULT_PRICE_PER_HOUR;
+}
+
+/**
+ * Validate and normalize per-type rates sent by an owner
+ */
+function normalizeVehicleRates(rawRates) {
+  if (!Array.isArray(rawRates))
+    throw new Error("vehicleRates must be an array");
+  const seen = new Set();
+  return rawRates.map((raw) => {
+    const vehicleType = String(raw?.vehicleType || "").trim();
+    if (!VEHICLE_TYPES.includes(vehicleType)) {
+      throw new Error(`Unknown vehicle type ${vehicleType || "(empty)"}`);
+    }
+    if (seen.has(vehicleType)) {
+      throw new Error(`Duplicate rate for ${vehicleType}`);
+    }
+    seen.add(vehicleType);
+    const capacity = Number(raw.capacity);
+    const pricePerHour = Number(raw.pricePerHour);
+    if (!Number.isInteger(capacity) || capacity < 0) {
+      throw new Error(`Capacity for ${vehicleType} must be a whole number`);
+    }
+    if (!Number.isFinite(pricePerHour) || pricePerHour < 0) {
+      throw new Error(`Rate for ${vehicleType} cannot be negative`);
+    }
+    return { vehicleType, capacity, pricePerHour };
+  });
+}
+
+/**
+ * Replace the per-type rates of a lot and tell in-flight reservations
+ * (see reserveOnLot) that capacity changed. Resolves to the updated lot.
+ */
+async function setLotVehicleRates(lot, rawRates) {
+  const vehicleRates = normalizeVehicleRates(rawRates);
+  // Required here: bookingsService depends on this module
+  const { updateLotCapacity } = require("./bookingsService");
+  return updateLotCapacity(lot._id, () => ({ vehicleRates }));
+}
+
+module.exports = {
+  getVehicleRate,
+  acceptsVehicle,
+  getRatePerHour,
+  normalizeVehicleRates,
+  setLotVehicleRates,
+};
@@ -0,0 +1,357 @@
+// services/waitlistService.js - waitlists for full lots, promoted into time-limited holds
+const ParkingLot = require("../models/ParkingLot");
+const WaitlistEntry = require("../models/WaitlistEntry");
+const {
+  bookingError,
+  lotClosedError,
+  outsideHoursError,
+  createBooking,
+  getWindowAvailability,
+} = require("./bookingsService");
+const { acceptsVehicle } = require("./vehicleRatesService");
+const { notifyUser } = require("./notificationService");
+const { checkOpenWindow } = require("./hoursService");
+
+const DEFAULT_TIMEZONE = "Asia/Kolkata";
+// Open entries (waiting or holding) a driver may have at once
+const MAX_OPEN_PER_USER = 5;
+// Entries tried per lot on one promotion run
+const MAX_PROMOTIONS_PER_RUN = 20;
+// Errors meaning "no room right now" - the entry keeps its place in line
+const RETRY_CODES = ["LOT_FULL", "LOT_BUSY"];
+
+function formatTime(date, timeZone) {
+  return new Intl.DateTimeFormat("en-IN", {
+    timeZone,
+    dateStyle: "medium",
+    timeStyle: "short",
+  }).format(date);
+}
+
+/**
+ * Put a driver in line for a lot and time window that is full right now
+ */
+async function joinWaitlist(userId, parkingLotId, raw = {}, now = new Date()) {
+  const vehicleType = raw.vehicleType || "car";
+  const vehicleNumber = String(raw.vehicleNumber || "")
+    .trim()
+    .toUpperCase();
+  if (!vehicleNumber) throw bookingError("Enter the vehicle number");
+  const startTime = new Date(raw.startTime);
+  const endTime = new Date(raw.endTime);
+  if (Number.isNaN(startTime.getTime()) || Number.isNaN(endTime.getTime())) {
+    throw bookingError("Invalid start or end time");
+  }
+  if (!(endTime > startTime)) {
+    throw bookingError("End time must be after start time");
+  }
+  if (endTime <= now) throw bookingError("That time has already passed");
+
+  const lot = await ParkingLot.findById(parkingLotId);
+  if (!lot) throw bookingError("Parking lot not found", 404);
+  if (lot.isActive === false) throw lotClosedError(lot);
+  if (!acceptsVehicle(lot, vehicleType)) {
+    throw bookingError(
+      `Vehicle type "${vehicleType}" is not accepted at this parking lot`,
+      400,
+      "VEHICLE_TYPE_NOT_ACCEPTED"
+    );
+  }
+  const closedMessage = checkOpenWindow(lot, startTime, endTime);
+  if (closedMessage) throw outsideHoursError(closedMessage);
+  const { available } = await getWindowAvailability(
+    lot,
+    startTime > now ? startTime : now,
+    endTime,
+    null,
+    vehicleType
+  );
+  if (available > 0) {
+    throw bookingError(
+      "There is room for this time - book it instead",
+      409,
+      "LOT_HAS_ROOM"
+    );
+  }
+
+  const open = await WaitlistEntry.find({
+    userId,
+    status: { $in: ["waiting", "held"] },
+  }).select("parkingLotId startTime endTime");
+  const overlapping = open.some(
+    (e) =>
+      String(e.parkingLotId) === String(lot._id) &&
+      e.startTime < endTime &&
+      e.endTime > startTime
+  );
+  if (overlapping) {
+    throw bookingError("You're already on the waitlist for this time", 409);
+  }
+  if (open.length >= MAX_OPEN_PER_USER) {
+    throw bookingError(
+      `You can wait for at most ${MAX_OPEN_PER_USER} slots at once`
+    );
+  }
+
+  const entry = await WaitlistEntry.create({
+    userId,
+    parkingLotId: lot._id,
+    parkingLotName: lot.name,
+    vehicleType,
+    vehicleNumber,
+    startTime,
+    endTime,
+  });
+  const ahead = await WaitlistEntry.countDocuments({
+    parkingLotId: lot._id,
+    status: "waiting",
+    createdAt: { $lt: entry.createdAt },
+  });
+  return { entry, position: ahead + 1 };
+}
+
+/**
+ * Try to turn a waiting entry into a hold: a pending booking for its window
+ * that the driver has until the booking's paymentDueAt to pay for.
+ * Returns true when the hold was made.
+ */
+async function offerHold(entry, lot, now) {
+  // Claim the entry first so two promotion runs can't both hold a slot for it
+  const claimed = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: "waiting" },
+    { $set: { status: "held", heldAt: now } }
+  );
+  if (!claimed) return false;
+
+  let booking;
+  try {
+    booking = await createBooking({
+      userId: entry.userId,
+      parkingLotId: lot._id,
+      parkingLotName: lot.name,
+      vehicleType: entry.vehicleType,
+      vehicleNumber: entry.vehicleNumber,
+      startTime: entry.startTime > now ? entry.startTime : now,
+      endTime: entry.endTime,
+    });
+  } catch (error) {
+    // Still full: back in line at the same place. Anything else (vehicle type
+    // no longer accepted, lot closed) means the entry can't be served.
+    const keep = !error.status || RETRY_CODES.includes(error.code);
+    await WaitlistEntry.updateOne(
+      { _id: entry._id, status: "held" },
+      keep
+        ? { $set: { status: "waiting" }, $unset: { heldAt: 1 } }
+        : { $set: { status: "expired" } }
+    );
+    if (!error.status) {
+      console.error(
+        `❌ Error holding a slot for waitlist entry ${entry._id}:`,
+        error.message
+      );
+    }
+    return false;
+  }
+
+  // Free stays need no payment, so there is nothing left to claim
+  const paid = booking.paymentStatus !== "pending";
+  await WaitlistEntry.updateOne(
+    { _id: entry._id },
+    {
+      $set: {
+        status: paid ? "claimed" : "held",
+        bookingId: booking._id,
+        holdExpiresAt: booking.paymentDueAt,
+      },
+    }
+  );
+  const timeZone = lot.pricingRules?.timezone || DEFAULT_TIMEZONE;
+  const window = `${formatTime(booking.startTime, timeZone)} to ${formatTime(
+    booking.endTime,
+    timeZone
+  )}`;
+  await notifyUser(entry.userId, {
+    type: "waitlist_hold",
+    title: `A slot opened up at ${lot.name}`,
+    message: paid
+      ? `${entry.vehicleNumber} is booked from ${window}.`
+      : `We're holding a slot for ${
+          entry.vehicleNumber
+        } from ${window}. Pay by ${formatTime(
+          booking.paymentDueAt,
+          timeZone
+        )} or it goes to the next driver in line.`,
+    link: paid
+      ? "/booking-history"
+      : `/payment?bookingId=${booking._id}&lot=${encodeURIComponent(lot.name)}`,
+  });
+  return true;
+}
+
+/**
+ * Offer room at a lot to the drivers waiting for it, first come first served.
+ * Called whenever a booking gives room back; never throws. Returns the number
+ * of holds made.
+ */
+async function promoteWaitlist(parkingLotId, now = new Date()) {
+  let held = 0;
+  try {
+    const waiting = await WaitlistEntry.find({
+      parkingLotId,
+      status: "waiting",
+      endTime: { $gt: now },
+    })
+      .sort({ createdAt: 1 })
+      .limit(MAX_PROMOTIONS_PER_RUN);
+    if (!waiting.length) return 0;
+    const lot = await ParkingLot.findById(parkingLotId);
+    if (!lot || lot.isActive === false) return 0;
+    for (const entry of waiting) {
+      if (await offerHold(entry, lot, now)) held += 1;
+    }
+  } catch (error) {
+    console.error(
+      `❌ Error promoting the waitlist of lot ${parkingLotId}:`,
+      error.message
+    );
+  }
+  return held;
+}
+
+/**
+ * A booking was released unpaid: if it was a waitlist hold, the driver lost it.
+ * Either way its room goes to whoever is next in line.
+ */
+async function releaseHold(booking) {
+  try {
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { bookingId: booking._id, status: "held" },
+      { $set: { status: "lapsed" } }
+    );
+    if (entry) {
+      await notifyUser(entry.userId, {
+        type: "waitlist_lapsed",
+        title: `Your held slot at ${entry.parkingLotName} was released`,
+        message:
+          "It wasn't paid for in time, so it went to the next driver in line. Join the waitlist again if you still need it.",
+        link: "/booking-history",
+      });
+    }
+  } catch (error) {
+    console.error(
+      `❌ Error releasing the hold for booking ${booking._id}:`,
+      error.message
+    );
+  }
+  await promoteWaitlist(booking.parkingLotId);
+}
+
+/**
+ * A booking was paid: if it was a waitlist hold, the driver claimed it
+ */
+async function claimHold(booking) {
+  try {
+    await WaitlistEntry.updateOne(
+      { bookingId: booking._id, status: "held" },
+      { $set: { status: "claimed" } }
+    );
+  } catch (error) {
+    console.error(
+      `❌ Error claiming the hold for booking ${booking._id}:`,
+      error.message
+    );
+  }
+}
+
+/**
+ * Take a driver off a waitlist they are still waiting on
+ */
+async function leaveWaitlist(entryId, userId) {
+  const entry = await WaitlistEntry.findOneAndUpdate(
+    { _id: entryId, userId, status: "waiting" },
+    { $set: { status: "cancelled" } },
+    { new: true }
+  );
+  if (!entry) throw bookingError("Waitlist entry not found", 404);
+  return entry;
+}
+
+/**
+ * Everyone waiting at a lot that closes or is deleted is told and taken out
+ * of line
+ */
+async function cancelWaitlistForLot(lot, reason) {
+  const waiting = await WaitlistEntry.find({
+    parkingLotId: lot._id,
+    status: "waiting",
+  }).select("_id userId");
+  if (!waiting.length) return 0;
+  await WaitlistEntry.updateMany(
+    { _id: { $in: waiting.map((e) => e._id) }, status: "waiting" },
+    { $set: { status: "cancelled" } }
+  );
+  for (const entry of waiting) {
+    await notifyUser(entry.userId, {
+      type: "lot_closed",
+      title: `${lot.name} is ${reason}`,
+      message:
+        "You've been taken off its waitlist. Please look for another lot nearby.",
+      link: "/dashboard",
+    });
+  }
+  return waiting.length;
+}
+
+/**
+ * A driver's waitlist entries, newest first, with their place in line
+ */
+async function getWaitlistForUser(userId) {
+  const entries = await WaitlistEntry.find({ userId })
+    .sort({ createdAt: -1 })
+    .limit(50)
+    .populate("bookingId", "status paymentStatus paymentDueAt totalPrice");
+  return Promise.all(
+    entries.map(async (entry) => {
+      const plain = entry.toObject();
+      if (entry.status === "waiting") {
+        plain.position =
+          (await WaitlistEntry.countDocuments({
+            parkingLotId: entry.parkingLotId,
+            status: "waiting",
+            createdAt: { $lt: entry.createdAt },
+          })) + 1;
+      }
+      return plain;
+    })
+  );
+}
+
+/**
+ * Expire entries whose window is over and offer any room that freed up
+ * without a booking event (checkouts at the gate, capacity raised by the owner)
+ */
+async function processWaitlists(now = new Date()) {
+  const { modifiedCount } = await WaitlistEntry.updateMany(
+    { status: "waiting", endTime: { $lte: now } },
+    { $set: { status: "expired" } }
+  );
+  const lotIds = await WaitlistEntry.distinct("parkingLotId", {
+    status: "waiting",
+  });
+  let held = 0;
+  for (const lotId of lotIds) {
+    held += await promoteWaitlist(lotId, now);
+  }
+  return { held, expired: modifiedCount || 0 };
+}
+
+module.exports = {
+  joinWaitlist,
+  promoteWaitlist,
+  releaseHold,
+  claimHold,
+  leaveWaitlist,
+  cancelWaitlistForLot,
+  getWaitlistForUser,
+  processWaitlists,
+};
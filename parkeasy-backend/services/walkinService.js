@@ -0,0 +1,116 @@
+// services/walkinService.js - drive-up sessions started at the gate without a booking
+const Booking = require("../models/Booking");
+const { VEHICLE_TYPES } = require("../models/ParkingLot");
+const {
+  bookingError,
+  lotFullError,
+  lotClosedError,
+  outsideHoursError,
+  getWindowAvailability,
+  findFreeSlot,
+  reserveOnLot,
+} = require("./bookingsService");
+const { platePattern } = require("./checkinService");
+const { acceptsVehicle, getRatePerHour } = require("./vehicleRatesService");
+const { getOpenState } = require("./hoursService");
+
+// A walk-in must not take a slot someone booked for the next hour
+const WALKIN_HOLD_MS = 60 * 60 * 1000;
+// Prefer a bay that stays free for a typical drive-up stay
+const WALKIN_BAY_MS = 4 * 60 * 60 * 1000;
+
+/**
+ * Start a walk-in session: the vehicle is parked from now until it is checked
+ * out at the exit, where checkoutBooking() prices the whole stay. It takes a
+ * live slot (and a bay on lots with a layout) like an active booking does.
+ */
+async function startWalkIn(parkingLotId, { vehicleNumber, vehicleType }, user) {
+  const plate = String(vehicleNumber || "")
+    .trim()
+    .toUpperCase();
+  if (!plate) throw bookingError("Vehicle number is required");
+  if (!VEHICLE_TYPES.includes(vehicleType)) {
+    throw bookingError("Invalid vehicle type");
+  }
+
+  const parked = await Booking.exists({
+    parkingLotId,
+    status: { $in: ["active", "overstay"] },
+    vehicleNumber: platePattern(plate),
+  });
+  if (parked) {
+    throw bookingError(
+      `${plate} is already parked here - check it out first`,
+      409,
+      "ALREADY_PARKED"
+    );
+  }
+
+  return reserveOnLot(parkingLotId, async (lot) => {
+    if (lot.isActive === false) throw lotClosedError(lot);
+    if (!acceptsVehicle(lot, vehicleType)) {
+      throw bookingError(
+        `Vehicle type "${vehicleType}" is not accepted at this parking lot`,
+        400,
+        "VEHICLE_TYPE_NOT_ACCEPTED"
+      );
+    }
+    const now = new Date();
+    // Walk-ins have no end time, so the lot only has to be open on arrival
+    const { openNow, openLabel } = getOpenState(lot, now);
+    if (!openNow) {
+      throw outsideHoursError(
+        `${lot.name} is not taking cars now: ${openLabel}`
+      );
+    }
+    const { available, vehicle } = await getWindowAvailability(
+      lot,
+      now,
+      new Date(now.getTime() + WALKIN_HOLD_MS),
+      null,
+      vehicleType
+    );
+    if (vehicle && vehicle.available < 1 && vehicle.capacity != null) {
+      throw lotFullError(`No ${vehicleType} slots free right now`);
+    }
+    if (available < 1 || lot.availableSlots < 1) {
+      throw lotFullError("Parking lot is full right now");
+    }
+
+    const data = {
+      source: "walkin",
+      recordedBy: user.id,
+      parkingLotId: lot._id,
+      parkingLotName: lot.name,
+      vehicleType,
+      vehicleNumber: plate,
+      startTime: now,
+      arrivedAt: now,
+      duration: 0,
+      pricePerHour: getRatePerHour(lot, vehicleType),
+      totalPrice: 0,
+      paymentStatus: "pending", // Paid at the exit, never auto-released
+      status: "active",
+    };
+    if (lot.slots?.length) {
+      const bayUntil = (ms) => new Date(now.getTime() + ms);
+      const slot =
+        (await findFreeSlot(lot, vehicleType, now, bayUntil(WALKIN_BAY_MS))) ||
+        (await findFreeSlot(lot, vehicleType, now, bayUntil(WALKIN_HOLD_MS)));
+      if (!slot) throw lotFullError(`No free ${vehicleType} bay right now`);
+      data.slotCode = slot.code;
+      data.slotLevel = slot.level;
+    }
+
+    const created = await Booking.create(data);
+    return {
+      result: created,
+      rollback: () => Booking.deleteOne({ _id: created._id }),
+      takeLiveSlot: true,
+    };
+  });
+}
+
+module.exports = {
+  startWalkIn,
+};
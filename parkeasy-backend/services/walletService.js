@@ -0,0 +1,104 @@
+// services/walletService.js - per-user wallet balance backed by an append-only ledger
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const WalletEntry = require("../models/WalletEntry");
+const { bookingError } = require("./bookingsService");
+
+// Balances are sums of rupee amounts; ignore float dust when checking funds
+const EPSILON = 0.005;
+
+function roundMoney(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Move a user's balance by `amount` (negative = debit, refused when the
+ * balance can't cover it) and append the matching ledger entry
+ */
+async function postEntry(
+  userId,
+  amount,
+  { type, description, bookingId, paymentId }
+) {
+  const value = roundMoney(amount);
+  if (!value) throw bookingError("Amount must not be zero");
+
+  const filter = { _id: userId };
+  if (value < 0) filter.walletBalance = { $gte: -value - EPSILON };
+  const user = await User.findOneAndUpdate(
+    filter,
+    { $inc: { walletBalance: value } },
+    { new: true, projection: { walletBalance: 1 } }
+  );
+  if (!user) {
+    if (value < 0 && (await User.exists({ _id: userId }))) {
+      throw bookingError(
+        "Not enough money in your wallet",
+        402,
+        "INSUFFICIENT_FUNDS"
+      );
+    }
+    throw bookingError("User not found", 404);
+  }
+
+  try {
+    return await WalletEntry.create({
+      userId,
+      type,
+      amount: value,
+      balanceAfter: roundMoney(user.walletBalance),
+      description,
+      bookingId,
+      paymentId,
+    });
+  } catch (error) {
+    // Keep the cached balance in step with the ledger
+    await User.updateOne({ _id: userId }, { $inc: { walletBalance: -value } });
+    throw error;
+  }
+}
+
+/**
+ * Add money to a wallet (top-ups, refunds)
+ */
+async function creditWallet(userId, amount, entry) {
+  if (!(amount > 0)) throw bookingError("Amount must be positive");
+  return postEntry(userId, amount, entry);
+}
+
+/**
+ * Take money from a wallet (booking payments, penalties)
+ */
+async function debitWallet(userId, amount, entry) {
+  if (!(amount > 0)) throw bookingError("Amount must be positive");
+  return postEntry(userId, -amount, entry);
+}
+
+/**
+ * Current balance and ledger page (newest first; pass the oldest entry's id as
+ * `before` for the next page)
+ */
+async function getWallet(userId, { limit = 50, before = null } = {}) {
+  const user = await User.findById(userId).select("walletBalance");
+  if (!user) throw bookingError("User not found", 404);
+
+  const query = { userId };
+  if (before && mongoose.isValidObjectId(before)) {
+    query._id = { $lt: before };
+  }
+  const size = Math.min(Math.max(Number(limit) || 50, 1), 100);
+  const entries = await WalletEntry.find(query)
+    .sort({ _id: -1 })
+    .limit(size + 1);
+  return {
+    balance: roundMoney(user.walletBalance || 0),
+    entries: entries.slice(0, size),
+    nextCursor: entries.length > size ? entries[size - 1]._id : null,
+  };
+}
+
+module.exports = {
+  creditWallet,
+  debitWallet,
+  getWallet,
+};
@@ -12,7 +12,9 @@ import Home from "./pages/Home/Home";
 import OwnerRegister from "./pages/OwnerRegister/OwnerRegister";
 import About from "./pages/About/About";
 import Payment from "./pages/Payment/Payment";
+import Wallet from "./pages/Wallet/Wallet";
 import OwnerDashboard from "./pages/OwnerDashboard/OwnerDashboard";
+import AttendantConsole from "./pages/Attendant/AttendantConsole";
 import ProtectedRoute from "./components/ProtectedRoute";
 import { AuthProvider } from "./context/AuthContext";
 
@@ -42,7 +44,7 @@ function App() {
           <Route
             path="/dashboard"
             element={
-              <ProtectedRoute roles={["user", "owner", "admin"]}>
+              <ProtectedRoute roles={["user", "attendant", "owner", "admin"]}>
                 <Dashboard />
               </ProtectedRoute>
             }
@@ -54,7 +56,7 @@ function App() {
           <Route
             path="/booking-history"
             element={
-              <ProtectedRoute roles={["user", "owner", "admin"]}>
+              <ProtectedRoute roles={["user", "attendant", "owner", "admin"]}>
                 <BookingHistory />
               </ProtectedRoute>
             }
@@ -75,8 +77,24 @@ function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/attendant"
+            element={
+              <ProtectedRoute roles={["attendant", "owner", "admin"]}>
+                <AttendantConsole />
+              </ProtectedRoute>
+            }
+          />
           <Route path="/about" element={<About />} />
           <Route path="/payment" element={<Payment />} />
+          <Route
+            path="/wallet"
+            element={
+              <ProtectedRoute roles={["user", "attendant", "owner", "admin"]}>
+                <Wallet />
+              </ProtectedRoute>
+            }
+          />
         </Routes>
       </Router>
     </AuthProvider>
@@ -1,13 +1,38 @@
 // Navigation bar component for ParkEasy app
 import { Link, useNavigate } from "react-router-dom";
 import { useState, useEffect } from "react";
+import axios from "axios";
+import { API_BASE } from "../config";
 import { useAuth } from "../context/AuthContext";
 import "./Navbar.css";
 
 export default function Navbar() {
   const { isAuthed, user, logout, role } = useAuth();
   const [menuOpen, setMenuOpen] = useState(false);
+  const [unread, setUnread] = useState(0); // Unread notifications (waitlist holds etc.)
   const navigate = useNavigate();
+  const isDriver = isAuthed && role !== "owner" && role !== "admin";
+
+  // Poll the unread notification count so a held waitlist slot isn't missed
+  useEffect(() => {
+    if (!isDriver) {
+      setUnread(0);
+      return undefined;
+    }
+    const fetchUnread = () => {
+      const token = localStorage.getItem("token");
+      if (!token) return;
+      axios
+        .get(`${API_BASE}/api/notifications`, {
+          headers: { Authorization: `Bearer ${token}` },
+        })
+        .then((res) => setUnread(res.data?.unreadCount || 0))
+        .catch(() => {});
+    };
+    fetchUnread();
+    const timer = setInterval(fetchUnread, 60000);
+    return () => clearInterval(timer);
+  }, [isDriver]);
 
   // Lock body scroll robustly when mobile menu is open (prevents underlay scroll/interactions)
   useEffect(() => {
@@ -106,10 +131,24 @@ export default function Navbar() {
                 <Link to="/dashboard">Dashboard</Link>
               </li>
             )}
+            {/* Gate console for attendants and the lot owners they work for */}
+            {["attendant", "owner", "admin"].includes(role) && (
+              <li>
+                <Link to="/attendant">Gate</Link>
+              </li>
+            )}
             {/* Booking History visible for regular authenticated users */}
             {isAuthed && role !== "owner" && role !== "admin" && (
               <li>
-                <Link to="/booking-history">History</Link>
+                <Link to="/booking-history">
+                  History
+                  {unread > 0 && <span className="unread-badge">{unread}</span>}
+                </Link>
+              </li>
+            )}
+            {isAuthed && role !== "owner" && role !== "admin" && (
+              <li>
+                <Link to="/wallet">Wallet</Link>
               </li>
             )}
             <li>
@@ -195,10 +234,25 @@ export default function Navbar() {
                           onClick={() => setMenuOpen(false)}
                         >
                           History
+                          {unread > 0 && (
+                            <span className="unread-badge">{unread}</span>
+                          )}
+                        </Link>
+                      </li>
+                      <li>
+                        <Link to="/wallet" onClick={() => setMenuOpen(false)}>
+                          Wallet
                         </Link>
                       </li>
                     </>
                   )}
+                  {["attendant", "owner", "admin"].includes(role) && (
+                    <li>
+                      <Link to="/attendant" onClick={() => setMenuOpen(false)}>
+                        Gate Console
+                      </Link>
+                    </li>
+                  )}
                   {(role === "owner" || role === "admin") && (
                     <li>
                       <Link
@@ -0,0 +1,36 @@
+import "./StarRating.css";
+
+const STARS = [1, 2, 3, 4, 5];
+
+// Five stars showing a rating; with onChange they become buttons to pick one
+export default function StarRating({ value = 0, onChange, label = "Rating" }) {
+  if (!onChange) {
+    const rounded = Math.round(value);
+    return (
+      <span className="star-rating" aria-label={`${value} out of 5 stars`}>
+        {STARS.map((n) => (
+          <span key={n} className={n <= rounded ? "star on" : "star"}>
+            ★
+          </span>
+        ))}
+      </span>
+    );
+  }
+  return (
+    <span className="star-rating" role="radiogroup" aria-label={label}>
+      {STARS.map((n) => (
+        <button
+          key={n}
+          type="button"
+          role="radio"
+          aria-checked={n === value}
+          aria-label={`${n} star${n === 1 ? "" : "s"}`}
+          className={n <= value ? "star on" : "star"}
+          onClick={() => onChange(n)}
+        >
+          ★
+        </button>
+      ))}
+    </span>
+  );
+}
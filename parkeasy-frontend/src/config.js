@@ -20,3 +20,10 @@ export const API_BASE = (() => {
     return "http://localhost:8080";
   }
 })();
+
+// Files the API serves itself (e.g. lot photos) come back as "/uploads/..."
+// paths; URLs from other storage are already absolute
+export function assetUrl(url) {
+  if (!url) return "";
+  return /^https?:\/\//.test(url) ? url : `${API_BASE}${url}`;
+}
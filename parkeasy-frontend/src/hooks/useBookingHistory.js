@@ -1,7 +1,11 @@
 import { useEffect, useState, useCallback } from "react";
 import axios from "axios";
 import { API_BASE } from "../config";
-import { computeStatus } from "../utils/bookingUtils";
+import {
+  computeStatus,
+  saveDownload,
+  downloadErrorMessage,
+} from "../utils/bookingUtils";
 
 export function useBookingHistory(options = {}) {
   const { autoRefreshMs = 30000, perPage = 2 } = options;
@@ -11,7 +15,11 @@ export function useBookingHistory(options = {}) {
   const [sort, setSort] = useState("desc");
   const [page, setPage] = useState(1);
   const [cancelling, setCancelling] = useState({});
+  const [cancellingSeries, setCancellingSeries] = useState({});
   const [completing, setCompleting] = useState({});
+  const [extending, setExtending] = useState({});
+  const [checkingOut, setCheckingOut] = useState({});
+  const [downloading, setDownloading] = useState({});
 
   const fetchBookings = useCallback(async () => {
     setLoading(true);
@@ -51,13 +59,30 @@ export function useBookingHistory(options = {}) {
 
   async function cancelBooking(bookingId) {
     if (!bookingId) return;
-    if (!window.confirm("Cancel this booking?")) return;
+    const token = localStorage.getItem("token");
+    const headers = token ? { Authorization: `Bearer ${token}` } : undefined;
     try {
       setCancelling((s) => ({ ...s, [bookingId]: true }));
-      const token = localStorage.getItem("token");
-      await axios.delete(`${API_BASE}/api/bookings/${bookingId}`, {
-        headers: token ? { Authorization: `Bearer ${token}` } : undefined,
+      // Show what the lot's cancellation policy gives back before confirming
+      const quoteRes = await axios.get(
+        `${API_BASE}/api/bookings/${bookingId}/cancellation-quote`,
+        { headers }
+      );
+      const quote = quoteRes.data?.quote;
+      const refundText = !quote
+        ? ""
+        : quote.amountPaid > 0
+        ? `\n\n${quote.label}: ₹${quote.refundAmount} of ₹${quote.amountPaid} paid goes back to your wallet.`
+        : `\n\n${quote.label}. Nothing has been paid yet.`;
+      if (!window.confirm(`Cancel this booking?${refundText}`)) return;
+      const res = await axios.delete(`${API_BASE}/api/bookings/${bookingId}`, {
+        headers,
       });
+      if (res.data?.booking?.cancellation?.refundStatus === "failed") {
+        alert(
+          "Booking cancelled, but the refund didn't go through - support will retry it."
+        );
+      }
       await fetchBookings();
     } catch (e) {
       console.error("Failed to cancel booking", e);
@@ -67,6 +92,37 @@ export function useBookingHistory(options = {}) {
     }
   }
 
+  // Cancel every occurrence of a recurring booking that hasn't started yet
+  async function cancelSeries(seriesId) {
+    if (!seriesId) return;
+    if (
+      !window.confirm(
+        "Cancel every upcoming booking in this series? Each one is refunded under the lot's cancellation policy."
+      )
+    )
+      return;
+    try {
+      setCancellingSeries((s) => ({ ...s, [seriesId]: true }));
+      const token = localStorage.getItem("token");
+      const res = await axios.delete(
+        `${API_BASE}/api/booking-series/${seriesId}`,
+        { headers: token ? { Authorization: `Bearer ${token}` } : undefined }
+      );
+      const failed = res.data?.failed || [];
+      if (failed.length) {
+        alert(
+          `${res.data.message}, but ${failed.length} couldn't be cancelled: ${failed[0].reason}`
+        );
+      }
+      await fetchBookings();
+    } catch (e) {
+      console.error("Failed to cancel series", e);
+      alert(e.response?.data?.message || "Failed to cancel recurring booking");
+    } finally {
+      setCancellingSeries((s) => ({ ...s, [seriesId]: false }));
+    }
+  }
+
   async function completeBooking(bookingId) {
     if (!bookingId) return;
     if (!window.confirm("Mark this booking as completed and free the slot?"))
@@ -88,6 +144,102 @@ export function useBookingHistory(options = {}) {
     }
   }
 
+  async function extendBooking(bookingId) {
+    if (!bookingId) return;
+    const input = window.prompt("Extend this booking by how many hours?", "1");
+    if (input == null) return;
+    const hours = parseFloat(input);
+    if (!(hours > 0)) {
+      alert("Please enter a positive number of hours");
+      return;
+    }
+    try {
+      setExtending((s) => ({ ...s, [bookingId]: true }));
+      const token = localStorage.getItem("token");
+      const res = await axios.post(
+        `${API_BASE}/api/bookings/${bookingId}/extend`,
+        { hours },
+        { headers: token ? { Authorization: `Bearer ${token}` } : undefined }
+      );
+      const extra = res.data?.booking?.adjustments?.slice(-1)[0]?.amount;
+      if (extra != null) alert(`Extended. Additional charge: ₹${extra}`);
+      await fetchBookings();
+    } catch (e) {
+      console.error("Failed to extend booking", e);
+      alert(e.response?.data?.message || "Failed to extend booking");
+    } finally {
+      setExtending((s) => ({ ...s, [bookingId]: false }));
+    }
+  }
+
+  async function checkoutBooking(bookingId) {
+    if (!bookingId) return;
+    if (
+      !window.confirm(
+        "Check out now? Unused time is credited back and the slot is freed."
+      )
+    )
+      return;
+    try {
+      setCheckingOut((s) => ({ ...s, [bookingId]: true }));
+      const token = localStorage.getItem("token");
+      const res = await axios.post(
+        `${API_BASE}/api/bookings/${bookingId}/checkout`,
+        {},
+        { headers: token ? { Authorization: `Bearer ${token}` } : undefined }
+      );
+      const adjustment = res.data?.booking?.adjustments?.slice(-1)[0];
+      const overstay = res.data?.booking?.extraCharges?.find(
+        (c) => c.type === "overstay"
+      );
+      if (overstay) {
+        alert(`Checked out. Overstay fee: ₹${overstay.amount}`);
+      } else if (
+        adjustment?.type === "early_checkout" &&
+        adjustment.amount < 0
+      ) {
+        // Paid bookings get it back in the wallet; unpaid ones owe less
+        const paid = ["paid", "refunded"].includes(
+          res.data.booking.paymentStatus
+        );
+        alert(
+          `Checked out. ₹${-adjustment.amount} for unused time ${
+            paid ? "is back in your wallet" : "is taken off what you owe"
+          }`
+        );
+      }
+      await fetchBookings();
+    } catch (e) {
+      console.error("Failed to check out booking", e);
+      alert(e.response?.data?.message || "Failed to check out");
+    } finally {
+      setCheckingOut((s) => ({ ...s, [bookingId]: false }));
+    }
+  }
+
+  async function downloadInvoice(bookingId) {
+    if (!bookingId) return;
+    const token = localStorage.getItem("token");
+    try {
+      setDownloading((s) => ({ ...s, [bookingId]: true }));
+      const res = await axios.get(
+        `${API_BASE}/api/bookings/${bookingId}/invoice`,
+        {
+          responseType: "blob",
+          headers: token ? { Authorization: `Bearer ${token}` } : undefined,
+        }
+      );
+      saveDownload(res, `invoice-${bookingId}.pdf`);
+      // The first download issues the invoice number
+      await fetchBookings();
+    } catch (e) {
+      console.error("Failed to download invoice", e);
+      alert(await downloadErrorMessage(e, "Failed to download invoice"));
+    } finally {
+      setDownloading((s) => ({ ...s, [bookingId]: false }));
+    }
+  }
+
   const filtered = bookings.filter((b) => {
     if (filter === "all") return true;
     const status = computeStatus(b).toLowerCase();
@@ -121,8 +273,16 @@ export function useBookingHistory(options = {}) {
     perPage,
     fetchBookings,
     cancelBooking,
+    cancelSeries,
     completeBooking,
+    extendBooking,
+    checkoutBooking,
+    downloadInvoice,
     cancelling,
+    cancellingSeries,
     completing,
+    extending,
+    checkingOut,
+    downloading,
   };
 }
@@ -0,0 +1,352 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import axios from "axios";
+import { API_BASE } from "../../config";
+import {
+  computeStatus,
+  formatDateTime,
+  getBayLabel,
+} from "../../utils/bookingUtils";
+import "./AttendantConsole.css";
+
+const LOT_KEY = "attendant:lotId";
+
+function authHeaders() {
+  const token = localStorage.getItem("token");
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+// What happened at the exit gate, for the confirmation banner
+function describeExit(booking) {
+  if (booking.source === "walkin") return ` Fee: ₹${booking.totalPrice}.`;
+  const overstay = booking.extraCharges?.find((c) => c.type === "overstay");
+  if (overstay) return ` Overstay fee: ₹${overstay.amount}.`;
+  const credit = booking.adjustments?.find((a) => a.type === "early_checkout");
+  if (credit && credit.amount < 0) return ` Credit: ₹${-credit.amount}.`;
+  return "";
+}
+
+// Gate console for attendants, owners and admins: scan a pass or look up a
+// booking, then check the vehicle in or out; drive-ups start a walk-in session
+export default function AttendantConsole() {
+  const [lots, setLots] = useState([]);
+  const [lotId, setLotId] = useState(() => localStorage.getItem(LOT_KEY) || "");
+  const [query, setQuery] = useState("");
+  const [results, setResults] = useState([]);
+  const [passToken, setPassToken] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState({});
+  const [notice, setNotice] = useState(null);
+  const [scanning, setScanning] = useState(false);
+  const [walkIn, setWalkIn] = useState({
+    vehicleNumber: "",
+    vehicleType: "car",
+  });
+  const [startingWalkIn, setStartingWalkIn] = useState(false);
+  const inputRef = useRef(null);
+  const videoRef = useRef(null);
+  const canUseCamera =
+    typeof window !== "undefined" && "BarcodeDetector" in window;
+
+  useEffect(() => {
+    async function loadLots() {
+      try {
+        const res = await axios.get(`${API_BASE}/api/gate/lots`, {
+          headers: authHeaders(),
+        });
+        const list = res.data?.lots || [];
+        setLots(list);
+        // Forget a remembered lot this user no longer runs
+        setLotId((current) =>
+          list.some((l) => l._id === current) ? current : ""
+        );
+      } catch (err) {
+        setNotice({
+          type: "error",
+          text: err.response?.data?.message || "Failed to load your lots",
+        });
+      }
+    }
+    loadLots();
+  }, []);
+
+  useEffect(() => {
+    localStorage.setItem(LOT_KEY, lotId);
+  }, [lotId]);
+
+  const lookup = useCallback(
+    async (text) => {
+      const q = String(text || "").trim();
+      if (!q) return;
+      setLoading(true);
+      setNotice(null);
+      try {
+        const res = await axios.get(`${API_BASE}/api/gate/lookup`, {
+          headers: authHeaders(),
+          params: { q, lotId: lotId || undefined },
+        });
+        const found = res.data?.bookings || [];
+        setResults(found);
+        // A scanned pass is stronger proof than the booking id; reuse it
+        setPassToken(q.startsWith("PE1.") ? q : null);
+        if (!found.length) {
+          setNotice({
+            type: "error",
+            text: "No open booking found at your gates",
+          });
+        }
+      } catch (err) {
+        setResults([]);
+        setNotice({
+          type: "error",
+          text: err.response?.data?.message || "Lookup failed",
+        });
+      } finally {
+        setLoading(false);
+        setQuery("");
+        inputRef.current?.focus();
+      }
+    },
+    [lotId]
+  );
+
+  // Camera scanning where the browser can decode QR codes itself
+  useEffect(() => {
+    if (!scanning) return undefined;
+    let stream;
+    let timer;
+    let stopped = false;
+    async function start() {
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({
+          video: { facingMode: "environment" },
+        });
+        if (stopped) return;
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+        const detector = new window.BarcodeDetector({ formats: ["qr_code"] });
+        timer = setInterval(async () => {
+          try {
+            const codes = await detector.detect(videoRef.current);
+            if (codes.length) {
+              setScanning(false);
+              lookup(codes[0].rawValue);
+            }
+          } catch {
+            // Frame not ready yet; try the next one
+          }
+        }, 300);
+      } catch {
+        setScanning(false);
+        setNotice({ type: "error", text: "Camera not available" });
+      }
+    }
+    start();
+    return () => {
+      stopped = true;
+      clearInterval(timer);
+      stream?.getTracks().forEach((t) => t.stop());
+    };
+  }, [scanning, lookup]);
+
+  async function gateAction(booking, action) {
+    const id = booking._id;
+    setBusy((s) => ({ ...s, [id]: action }));
+    setNotice(null);
+    try {
+      const body = { lotId: lotId || undefined };
+      if (passToken && results.length === 1) body.token = passToken;
+      else body.bookingId = id;
+      const res = await axios.post(`${API_BASE}/api/gate/${action}`, body, {
+        headers: authHeaders(),
+      });
+      const updated = res.data?.booking;
+      if (updated) {
+        setResults((list) => list.map((b) => (b._id === id ? updated : b)));
+      }
+      setNotice({
+        type: "success",
+        text:
+          action === "entry"
+            ? `✅ ${booking.vehicleNumber} checked in.`
+            : `✅ ${booking.vehicleNumber} checked out.${
+                updated ? describeExit(updated) : ""
+              }`,
+      });
+    } catch (err) {
+      setNotice({
+        type: "error",
+        text: err.response?.data?.message || `Gate ${action} failed`,
+      });
+    } finally {
+      setBusy((s) => ({ ...s, [id]: null }));
+      inputRef.current?.focus();
+    }
+  }
+
+  async function startWalkIn(e) {
+    e.preventDefault();
+    setStartingWalkIn(true);
+    setNotice(null);
+    try {
+      const res = await axios.post(
+        `${API_BASE}/api/gate/walkin`,
+        { lotId, ...walkIn },
+        { headers: authHeaders() }
+      );
+      const created = res.data?.booking;
+      setResults(created ? [created] : []);
+      setPassToken(null);
+      setWalkIn((w) => ({ ...w, vehicleNumber: "" }));
+      setNotice({
+        type: "success",
+        text: `✅ Walk-in ${created?.vehicleNumber || ""} checked in.`,
+      });
+    } catch (err) {
+      setNotice({
+        type: "error",
+        text: err.response?.data?.message || "Failed to start walk-in",
+      });
+    } finally {
+      setStartingWalkIn(false);
+    }
+  }
+
+  return (
+    <div className="gate-wrap">
+      <h2 className="gate-title">Gate Console</h2>
+      <div className="gate-controls">
+        <label>
+          Lot
+          <select value={lotId} onChange={(e) => setLotId(e.target.value)}>
+            <option value="">All my lots</option>
+            {lots.map((lot) => (
+              <option key={lot._id} value={lot._id}>
+                {lot.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        {lots.length === 0 && (
+          <span className="gate-hint">
+            You aren't assigned to any lot yet - ask the lot owner.
+          </span>
+        )}
+      </div>
+      <form
+        className="gate-search"
+        onSubmit={(e) => {
+          e.preventDefault();
+          lookup(query);
+        }}
+      >
+        <input
+          ref={inputRef}
+          autoFocus
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Scan a pass, or type a booking ID / vehicle number"
+        />
+        <button type="submit" className="small-button" disabled={loading}>
+          {loading ? "Searching…" : "Find"}
+        </button>
+        {canUseCamera && (
+          <button
+            type="button"
+            className="small-button"
+            onClick={() => setScanning((v) => !v)}
+          >
+            {scanning ? "Stop Camera" : "Scan with Camera"}
+          </button>
+        )}
+      </form>
+      <form className="gate-search gate-walkin" onSubmit={startWalkIn}>
+        <input
+          value={walkIn.vehicleNumber}
+          onChange={(e) =>
+            setWalkIn((w) => ({ ...w, vehicleNumber: e.target.value }))
+          }
+          placeholder="Walk-in vehicle number"
+          required
+        />
+        <select
+          value={walkIn.vehicleType}
+          onChange={(e) =>
+            setWalkIn((w) => ({ ...w, vehicleType: e.target.value }))
+          }
+        >
+          <option value="car">Car</option>
+          <option value="bike">Bike</option>
+          <option value="truck">Truck</option>
+          <option value="van">Van</option>
+        </select>
+        <button
+          type="submit"
+          className="small-button"
+          disabled={!lotId || startingWalkIn}
+          title={lotId ? "" : "Choose a lot first"}
+        >
+          {startingWalkIn ? "Starting…" : "Start Walk-in"}
+        </button>
+      </form>
+      {scanning && <video ref={videoRef} className="gate-video" muted />}
+      {notice && (
+        <div className={`gate-notice gate-${notice.type}`}>{notice.text}</div>
+      )}
+      <div className="gate-results">
+        {results.map((b) => {
+          const status = computeStatus(b);
+          const canEnter =
+            !b.arrivedAt && (status === "Upcoming" || status === "Active");
+          const canExit = status === "Active" || status === "Overstay";
+          return (
+            <div key={b._id} className="gate-card">
+              <div className="gate-card-head">
+                <span className="gate-plate">{b.vehicleNumber}</span>
+                <span className={`status-badge status-${status.toLowerCase()}`}>
+                  {status}
+                </span>
+              </div>
+              <div>
+                {b.vehicleType} · {b.parkingLotName}
+                {b.slotCode ? ` · Bay ${getBayLabel(b)}` : ""}
+              </div>
+              <div>
+                {b.source === "walkin" && !b.endTime
+                  ? `Walk-in since ${formatDateTime(b.startTime)}`
+                  : `${formatDateTime(b.startTime)} - ${formatDateTime(
+                      b.endTime
+                    )}`}
+              </div>
+              <div>
+                Customer:{" "}
+                {b.source === "walkin" ? "Walk-in" : b.userName || "N/A"}
+              </div>
+              {b.arrivedAt && <div>Arrived: {formatDateTime(b.arrivedAt)}</div>}
+              {b.departedAt && <div>Left: {formatDateTime(b.departedAt)}</div>}
+              <div className="gate-actions">
+                {canEnter && (
+                  <button
+                    className="small-button"
+                    disabled={!!busy[b._id]}
+                    onClick={() => gateAction(b, "entry")}
+                  >
+                    {busy[b._id] === "entry" ? "Checking in…" : "Check In"}
+                  </button>
+                )}
+                {canExit && (
+                  <button
+                    className="small-button"
+                    disabled={!!busy[b._id]}
+                    onClick={() => gateAction(b, "exit")}
+                  >
+                    {busy[b._id] === "exit" ? "Checking out…" : "Check Out"}
+                  </button>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
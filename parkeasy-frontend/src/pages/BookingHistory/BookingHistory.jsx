@@ -1,19 +1,35 @@
-import { useState } from "react";
+import { useCallback, useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { QRCodeCanvas } from "qrcode.react";
+import axios from "axios";
+import { API_BASE } from "../../config";
 import "./BookingHistory.css";
+import StarRating from "../../components/StarRating";
 import { useBookingHistory } from "../../hooks/useBookingHistory";
+import PassList from "./PassList";
+import WaitlistList from "./WaitlistList";
+import NotificationList from "./NotificationList";
 import {
   formatDateTime,
   computeStatus,
   getMapsLink,
   getDestinationCoords,
-  getQRCodeUrl,
+  hasUsableGatePass,
   getLotDisplayName,
   getVehicleNumber,
-  downloadReceiptAsImage,
+  getBayLabel,
+  formatPriceLine,
+  describePayment,
+  describeCancellation,
+  describeDays,
+  canPayOnline,
+  canDownloadInvoice,
+  canReview,
   openDirections,
 } from "../../utils/bookingUtils";
 
 export default function BookingHistory() {
+  const navigate = useNavigate();
   const {
     paged,
     bookings,
@@ -28,12 +44,76 @@ export default function BookingHistory() {
     fetchBookings,
     cancelBooking,
     cancelling,
-    completeBooking,
-    completing,
+    cancelSeries,
+    cancellingSeries,
+    extendBooking,
+    extending,
+    checkoutBooking,
+    checkingOut,
+    downloadInvoice,
+    downloading,
   } = useBookingHistory({ perPage: 2 });
+  // Review forms being filled in, by booking id: { rating, comment, saving, error }
   const [review, setReview] = useState({});
+  // The driver's submitted reviews, by booking id
+  const [myReviews, setMyReviews] = useState({});
+  const [passOpen, setPassOpen] = useState({});
   const [error, setError] = useState(null);
 
+  const fetchMyReviews = useCallback(async () => {
+    try {
+      const token = localStorage.getItem("token");
+      const res = await axios.get(`${API_BASE}/api/reviews/mine`, {
+        headers: token ? { Authorization: `Bearer ${token}` } : undefined,
+      });
+      setMyReviews(
+        Object.fromEntries(
+          (res.data.reviews || []).map((r) => [r.bookingId, r])
+        )
+      );
+    } catch (e) {
+      console.error("Failed to fetch reviews", e);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchMyReviews();
+  }, [fetchMyReviews]);
+
+  function updateReview(bookingId, changes) {
+    setReview((s) => ({ ...s, [bookingId]: { ...s[bookingId], ...changes } }));
+  }
+
+  function closeReview(bookingId) {
+    setReview((s) => {
+      const next = { ...s };
+      delete next[bookingId];
+      return next;
+    });
+  }
+
+  async function submitReview(e, bookingId) {
+    e.preventDefault();
+    const draft = review[bookingId];
+    if (!draft?.rating) return;
+    updateReview(bookingId, { saving: true, error: "" });
+    try {
+      const token = localStorage.getItem("token");
+      await axios.post(
+        `${API_BASE}/api/reviews`,
+        { bookingId, rating: draft.rating, comment: draft.comment },
+        { headers: token ? { Authorization: `Bearer ${token}` } : undefined }
+      );
+      await fetchMyReviews();
+      closeReview(bookingId);
+    } catch (err) {
+      updateReview(bookingId, {
+        saving: false,
+        error: err.response?.data?.message || "Failed to save review",
+      });
+    }
+  }
+
   // Wrap fetchBookings to capture and surface error state
   async function safeRefresh() {
     setError(null);
@@ -54,6 +134,9 @@ export default function BookingHistory() {
           <span style={{ fontSize: 14, color: "#666" }}>(Updating...)</span>
         )}
       </h2>
+      <NotificationList />
+      <WaitlistList />
+      <PassList />
       <div className="history-controls">
         <label>
           Filter:
@@ -61,6 +144,7 @@ export default function BookingHistory() {
             <option value="all">All</option>
             <option value="Upcoming">Upcoming</option>
             <option value="Active">Active</option>
+            <option value="Overstay">Overstay</option>
             <option value="Completed">Completed</option>
           </select>
         </label>
@@ -93,77 +177,16 @@ export default function BookingHistory() {
             const vehicleNum = getVehicleNumber(booking);
             const price = booking.totalPrice || booking.price || 0;
             const bookingTime = booking.createdAt || booking.time;
+            // Populated with its rule by GET /api/bookings
+            const series =
+              booking.seriesId && typeof booking.seriesId === "object"
+                ? booking.seriesId
+                : null;
+            const myReview = myReviews[bookingId];
+            const draft = review[bookingId];
 
             return (
               <li key={bookingId || globalIndex} className="history-item">
-                {/* Hidden offscreen receipt template for image download only */}
-                <div
-                  id={`receipt-card-${globalIndex}`}
-                  style={{
-                    position: "fixed",
-                    left: -10000,
-                    top: -10000,
-                    padding: 20,
-                    background: "#23232a",
-                    borderRadius: 10,
-                    maxWidth: 420,
-                    color: "#fff",
-                  }}
-                >
-                  <div
-                    style={{
-                      fontWeight: 700,
-                      fontSize: 20,
-                      marginBottom: 8,
-                      color: "#3b82f6",
-                    }}
-                  >
-                    ParkEasy Booking Receipt
-                  </div>
-                  <div>
-                    <b>Booking ID:</b> {bookingId}
-                  </div>
-                  <div>
-                    <b>Parking Lot:</b> {lotName}
-                  </div>
-                  <div>
-                    <b>Vehicle Type:</b> {booking.vehicleType || "N/A"}
-                  </div>
-                  <div>
-                    <b>Booked At:</b> {formatDateTime(bookingTime)}
-                  </div>
-                  {booking.startTime && booking.endTime && (
-                    <div>
-                      <b>Duration:</b> {formatDateTime(booking.startTime)} -{" "}
-                      {formatDateTime(booking.endTime)}
-                    </div>
-                  )}
-                  <div>
-                    <b>Status:</b> {status}
-                  </div>
-                  <div>
-                    <b>Price:</b> ₹{price}
-                  </div>
-                  <div>
-                    <b>Vehicle:</b> {vehicleNum}
-                  </div>
-                  {mapsLink && (
-                    <div>
-                      <a
-                        href={mapsLink}
-                        target="_blank"
-                        rel="noopener noreferrer"
-                        style={{ color: "#60a5fa" }}
-                      >
-                        View on Map
-                      </a>
-                    </div>
-                  )}
-                  <div style={{ margin: "8px 0" }}>
-                    <img src={getQRCodeUrl(booking)} alt="QR Code" />
-                  </div>
-                </div>
-
                 {/* Visible compact booking summary */}
                 <div className="booking-summary">
                   <div className="summary-header">
@@ -178,6 +201,26 @@ export default function BookingHistory() {
                     <b>Vehicle:</b> {vehicleNum} ({booking.vehicleType || "N/A"}
                     )
                   </div>
+                  {booking.source === "pass" && (
+                    <div className="summary-row">
+                      <b>Pass:</b> One day of your pass
+                    </div>
+                  )}
+                  {series && (
+                    <div className="summary-row">
+                      <b>Repeats:</b> {describeDays(series.days)},{" "}
+                      {series.startClock}–{series.endClock} until{" "}
+                      {series.endDate}
+                      {series.status === "cancelled"
+                        ? " (series cancelled)"
+                        : ""}
+                    </div>
+                  )}
+                  {booking.slotCode && (
+                    <div className="summary-row">
+                      <b>Bay:</b> {getBayLabel(booking)}
+                    </div>
+                  )}
                   <div className="summary-row">
                     <b>Booked:</b> {formatDateTime(bookingTime)}
                   </div>
@@ -193,6 +236,31 @@ export default function BookingHistory() {
                   <div className="summary-row">
                     <b>Price:</b> ₹{price}
                   </div>
+                  {(booking.extraCharges || []).map((charge, i) => (
+                    <div key={i} className="summary-row">
+                      <b>Extra:</b> {formatPriceLine(charge)}
+                    </div>
+                  ))}
+                  {describePayment(booking) && (
+                    <div className="summary-row">
+                      <b>Payment:</b> {describePayment(booking)}
+                    </div>
+                  )}
+                  {describeCancellation(booking) && (
+                    <div className="summary-row">
+                      <b>Cancellation:</b> {describeCancellation(booking)}
+                    </div>
+                  )}
+                  {passOpen[bookingId] && hasUsableGatePass(booking) && (
+                    <div className="gate-pass">
+                      <QRCodeCanvas
+                        value={booking.checkinToken}
+                        size={180}
+                        includeMargin
+                      />
+                      <div>Show this at the entry and exit gates</div>
+                    </div>
+                  )}
                   {mapsLink && (
                     <div className="summary-row">
                       <a
@@ -205,13 +273,124 @@ export default function BookingHistory() {
                       </a>
                     </div>
                   )}
+                  {myReview && (
+                    <div className="booking-review">
+                      <div className="summary-row">
+                        <b>Your review:</b>{" "}
+                        <StarRating value={myReview.rating} />
+                        {myReview.status === "hidden" && (
+                          <span className="review-hidden">
+                            {" "}
+                            Hidden by a moderator
+                            {myReview.moderation?.reason
+                              ? `: ${myReview.moderation.reason}`
+                              : ""}
+                          </span>
+                        )}
+                      </div>
+                      {myReview.comment && (
+                        <div className="summary-row review-comment">
+                          “{myReview.comment}”
+                        </div>
+                      )}
+                      {myReview.reply?.text && (
+                        <div className="summary-row review-reply">
+                          <b>Owner replied:</b> {myReview.reply.text}
+                        </div>
+                      )}
+                    </div>
+                  )}
+                  {!myReview && draft && (
+                    <form
+                      className="review-form"
+                      onSubmit={(e) => submitReview(e, bookingId)}
+                    >
+                      <StarRating
+                        value={draft.rating || 0}
+                        onChange={(n) => updateReview(bookingId, { rating: n })}
+                        label={`Rate ${lotName}`}
+                      />
+                      <textarea
+                        value={draft.comment || ""}
+                        maxLength={1000}
+                        rows={3}
+                        placeholder="How was parking here? (optional)"
+                        onChange={(e) =>
+                          updateReview(bookingId, { comment: e.target.value })
+                        }
+                      />
+                      {draft.error && (
+                        <div className="review-error">{draft.error}</div>
+                      )}
+                      <div>
+                        <button
+                          type="submit"
+                          className="receipt-btn"
+                          disabled={draft.saving || !draft.rating}
+                        >
+                          {draft.saving ? "Saving..." : "Submit Review"}
+                        </button>
+                        <button
+                          type="button"
+                          className="cancel-btn"
+                          onClick={() => closeReview(bookingId)}
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    </form>
+                  )}
                 </div>
-                <button
-                  className="receipt-btn"
-                  onClick={() => downloadReceiptAsImage(globalIndex)}
-                >
-                  Download Receipt
-                </button>
+                {canReview(booking) && !myReview && !draft && (
+                  <button
+                    className="receipt-btn"
+                    onClick={() =>
+                      updateReview(bookingId, { rating: 0, comment: "" })
+                    }
+                    title="Rate this lot and tell other drivers about it"
+                  >
+                    Rate &amp; Review
+                  </button>
+                )}
+                {canDownloadInvoice(booking) && (
+                  <button
+                    className="receipt-btn"
+                    disabled={!!downloading[bookingId]}
+                    onClick={() => downloadInvoice(bookingId)}
+                    title={
+                      booking.invoice?.number
+                        ? `Invoice ${booking.invoice.number}`
+                        : "PDF invoice with GST details"
+                    }
+                  >
+                    {downloading[bookingId] ? "Preparing..." : "Invoice (PDF)"}
+                  </button>
+                )}
+                {hasUsableGatePass(booking) && (
+                  <button
+                    className="receipt-btn"
+                    onClick={() =>
+                      setPassOpen((s) => ({ ...s, [bookingId]: !s[bookingId] }))
+                    }
+                  >
+                    {passOpen[bookingId] ? "Hide Gate Pass" : "Gate Pass"}
+                  </button>
+                )}
+                {canPayOnline(booking) && (
+                  <button
+                    className="receipt-btn"
+                    style={{ background: "#16a34a" }}
+                    onClick={() =>
+                      navigate(
+                        `/payment?bookingId=${bookingId}&lot=${encodeURIComponent(
+                          lotName
+                        )}`
+                      )
+                    }
+                  >
+                    Pay Now
+                  </button>
+                )}
                 {getDestinationCoords(booking) && (
                   <button
                     className="directions-btn"
@@ -221,23 +400,50 @@ export default function BookingHistory() {
                     Directions
                   </button>
                 )}
+                {(status === "Upcoming" || status === "Active") &&
+                  booking.source !== "pass" && (
+                    <button
+                      className="cancel-btn"
+                      disabled={!!cancelling[bookingId]}
+                      onClick={() => cancelBooking(bookingId)}
+                    >
+                      {cancelling[bookingId]
+                        ? "Cancelling..."
+                        : "Cancel Booking"}
+                    </button>
+                  )}
+                {status === "Upcoming" &&
+                  series &&
+                  series.status === "active" && (
+                    <button
+                      className="cancel-btn"
+                      disabled={!!cancellingSeries[series._id]}
+                      onClick={() => cancelSeries(series._id)}
+                    >
+                      {cancellingSeries[series._id]
+                        ? "Cancelling..."
+                        : "Cancel Series"}
+                    </button>
+                  )}
                 {(status === "Upcoming" || status === "Active") && (
                   <button
-                    className="cancel-btn"
-                    disabled={!!cancelling[bookingId]}
-                    onClick={() => cancelBooking(bookingId)}
+                    className="directions-btn"
+                    disabled={!!extending[bookingId]}
+                    onClick={() => extendBooking(bookingId)}
+                    title="Stay longer if the lot still has room"
                   >
-                    {cancelling[bookingId] ? "Cancelling..." : "Cancel Booking"}
+                    {extending[bookingId] ? "Extending..." : "Extend"}
                   </button>
                 )}
-                {status === "Active" && (
+                {(status === "Active" || status === "Overstay") && (
                   <button
                     className="receipt-btn"
                     style={{ background: "#2563eb" }}
-                    disabled={!!completing[bookingId]}
-                    onClick={() => completeBooking(bookingId)}
+                    disabled={!!checkingOut[bookingId]}
+                    onClick={() => checkoutBooking(bookingId)}
+                    title="Leave now; unused time is credited back"
                   >
-                    {completing[bookingId] ? "Completing..." : "Complete"}
+                    {checkingOut[bookingId] ? "Checking out..." : "Check Out"}
                   </button>
                 )}
               </li>
@@ -0,0 +1,88 @@
+import { useCallback, useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import axios from "axios";
+import { API_BASE } from "../../config";
+import { formatDateTime } from "../../utils/bookingUtils";
+
+// In-app notifications (waitlist holds, lots closing), newest first
+export default function NotificationList() {
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [marking, setMarking] = useState(false);
+  const navigate = useNavigate();
+
+  const fetchNotifications = useCallback(async () => {
+    try {
+      const token = localStorage.getItem("token");
+      const res = await axios.get(`${API_BASE}/api/notifications`, {
+        headers: token ? { Authorization: `Bearer ${token}` } : undefined,
+      });
+      setNotifications(res.data.notifications || []);
+      setUnreadCount(res.data.unreadCount || 0);
+    } catch (e) {
+      console.error("Failed to fetch notifications", e);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchNotifications();
+  }, [fetchNotifications]);
+
+  async function markAllRead() {
+    setMarking(true);
+    try {
+      const token = localStorage.getItem("token");
+      await axios.post(
+        `${API_BASE}/api/notifications/read`,
+        {},
+        { headers: token ? { Authorization: `Bearer ${token}` } : undefined }
+      );
+      await fetchNotifications();
+    } catch (e) {
+      alert(e.response?.data?.message || "Failed to mark notifications read");
+    } finally {
+      setMarking(false);
+    }
+  }
+
+  if (notifications.length === 0) return null;
+
+  return (
+    <div className="pass-list">
+      <h3 className="history-subtitle">
+        🔔 Notifications{unreadCount > 0 && ` (${unreadCount} new)`}
+      </h3>
+      <ul className="notification-list">
+        {notifications.slice(0, 5).map((n) => (
+          <li
+            key={n._id}
+            className={`notification-item${n.readAt ? "" : " unread"}`}
+          >
+            <div className="notification-title">{n.title}</div>
+            <div className="notification-message">{n.message}</div>
+            <div className="notification-meta">
+              {formatDateTime(n.createdAt)}
+              {n.link && (
+                <button
+                  className="notification-link"
+                  onClick={() => navigate(n.link)}
+                >
+                  Open
+                </button>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+      {unreadCount > 0 && (
+        <button
+          className="notification-link"
+          disabled={marking}
+          onClick={markAllRead}
+        >
+          Mark all as read
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,126 @@
+import { useCallback, useEffect, useState } from "react";
+import axios from "axios";
+import { API_BASE } from "../../config";
+import { describeDays, formatDateTime } from "../../utils/bookingUtils";
+
+// The driver's weekly/monthly passes; each covered day also shows up as a
+// booking in the history below
+export default function PassList() {
+  const [passes, setPasses] = useState([]);
+  const [busy, setBusy] = useState({});
+
+  const fetchPasses = useCallback(async () => {
+    try {
+      const token = localStorage.getItem("token");
+      const res = await axios.get(`${API_BASE}/api/passes`, {
+        headers: token ? { Authorization: `Bearer ${token}` } : undefined,
+      });
+      setPasses(res.data.passes || []);
+    } catch (e) {
+      console.error("Failed to fetch passes", e);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPasses();
+  }, [fetchPasses]);
+
+  async function toggleAutoRenew(pass) {
+    const turningOff = pass.autoRenew;
+    if (
+      turningOff &&
+      !window.confirm(
+        `Stop renewing this pass? It stays valid until ${formatDateTime(
+          pass.periodEnd
+        )}.`
+      )
+    ) {
+      return;
+    }
+    setBusy((s) => ({ ...s, [pass._id]: true }));
+    try {
+      const token = localStorage.getItem("token");
+      await axios.patch(
+        `${API_BASE}/api/passes/${pass._id}`,
+        { autoRenew: !turningOff },
+        { headers: token ? { Authorization: `Bearer ${token}` } : undefined }
+      );
+      await fetchPasses();
+    } catch (e) {
+      alert(e.response?.data?.message || "Failed to update pass");
+    } finally {
+      setBusy((s) => ({ ...s, [pass._id]: false }));
+    }
+  }
+
+  if (passes.length === 0) return null;
+
+  return (
+    <div className="pass-list">
+      <h3 className="history-subtitle">🎫 My Passes</h3>
+      <ul className="history-list">
+        {passes.map((pass) => {
+          const last = pass.periods[pass.periods.length - 1];
+          return (
+            <li key={pass._id} className="history-item">
+              <div className="booking-summary">
+                <div className="summary-header">
+                  <div className="summary-title">{pass.parkingLotName}</div>
+                  <div
+                    className={`summary-status status-${
+                      pass.status === "active" ? "active" : "completed"
+                    }`}
+                  >
+                    {pass.status === "active" ? "Active" : "Expired"}
+                  </div>
+                </div>
+                <div className="summary-row">
+                  <b>Plan:</b> {pass.plan === "weekly" ? "Weekly" : "Monthly"} (
+                  {pass.discountPercent}% off)
+                </div>
+                <div className="summary-row">
+                  <b>Vehicle:</b> {pass.vehicleNumber} ({pass.vehicleType})
+                </div>
+                <div className="summary-row">
+                  <b>Covers:</b> {describeDays(pass.days)}, {pass.startClock}–
+                  {pass.endClock}
+                </div>
+                <div className="summary-row">
+                  <b>Valid:</b> {formatDateTime(pass.periodStart)} -{" "}
+                  {formatDateTime(pass.periodEnd)}
+                </div>
+                {last && (
+                  <div className="summary-row">
+                    <b>Last paid:</b> ₹{last.amount} for {last.days} days
+                  </div>
+                )}
+                {pass.status === "active" && (
+                  <div className="summary-row">
+                    <b>Renewal:</b>{" "}
+                    {pass.autoRenew
+                      ? "Renews from your wallet 2 days before it ends"
+                      : "Ends without renewing"}
+                  </div>
+                )}
+                {pass.renewalError && pass.status === "active" && (
+                  <div className="summary-row" style={{ color: "#f87171" }}>
+                    <b>Renewal failed:</b> {pass.renewalError}
+                  </div>
+                )}
+              </div>
+              {pass.status === "active" && (
+                <button
+                  className="receipt-btn"
+                  disabled={!!busy[pass._id]}
+                  onClick={() => toggleAutoRenew(pass)}
+                >
+                  {pass.autoRenew ? "Stop Auto-Renew" : "Turn On Auto-Renew"}
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
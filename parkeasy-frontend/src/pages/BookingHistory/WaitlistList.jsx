@@ -0,0 +1,116 @@
+import { useCallback, useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import axios from "axios";
+import { API_BASE } from "../../config";
+import { formatDateTime } from "../../utils/bookingUtils";
+
+// The driver's open waitlist entries: their place in line, or the slot held
+// for them and how long they have to pay for it
+export default function WaitlistList() {
+  const [entries, setEntries] = useState([]);
+  const [busy, setBusy] = useState({});
+  const navigate = useNavigate();
+
+  const fetchEntries = useCallback(async () => {
+    try {
+      const token = localStorage.getItem("token");
+      const res = await axios.get(`${API_BASE}/api/waitlist`, {
+        headers: token ? { Authorization: `Bearer ${token}` } : undefined,
+      });
+      setEntries(res.data.entries || []);
+    } catch (e) {
+      console.error("Failed to fetch waitlist", e);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  async function leave(entry) {
+    if (!window.confirm(`Leave the waitlist for ${entry.parkingLotName}?`)) {
+      return;
+    }
+    setBusy((s) => ({ ...s, [entry._id]: true }));
+    try {
+      const token = localStorage.getItem("token");
+      await axios.delete(`${API_BASE}/api/waitlist/${entry._id}`, {
+        headers: token ? { Authorization: `Bearer ${token}` } : undefined,
+      });
+      await fetchEntries();
+    } catch (e) {
+      alert(e.response?.data?.message || "Failed to leave waitlist");
+    } finally {
+      setBusy((s) => ({ ...s, [entry._id]: false }));
+    }
+  }
+
+  const open = entries.filter(
+    (e) =>
+      e.status === "waiting" ||
+      (e.status === "held" && e.bookingId?.paymentStatus === "pending")
+  );
+  if (open.length === 0) return null;
+
+  return (
+    <div className="pass-list">
+      <h3 className="history-subtitle">⏳ Waitlist</h3>
+      <ul className="history-list">
+        {open.map((entry) => {
+          const held = entry.status === "held";
+          return (
+            <li key={entry._id} className="history-item">
+              <div className="booking-summary">
+                <div className="summary-header">
+                  <div className="summary-title">{entry.parkingLotName}</div>
+                  <div
+                    className={`summary-status status-${
+                      held ? "active" : "upcoming"
+                    }`}
+                  >
+                    {held ? "Slot Held" : `#${entry.position} in line`}
+                  </div>
+                </div>
+                <div className="summary-row">
+                  <b>Vehicle:</b> {entry.vehicleNumber} ({entry.vehicleType})
+                </div>
+                <div className="summary-row">
+                  <b>Wanted:</b> {formatDateTime(entry.startTime)} -{" "}
+                  {formatDateTime(entry.endTime)}
+                </div>
+                {held && (
+                  <div className="summary-row">
+                    <b>Pay by:</b> {formatDateTime(entry.holdExpiresAt)} (₹
+                    {entry.bookingId.totalPrice})
+                  </div>
+                )}
+              </div>
+              {held ? (
+                <button
+                  className="receipt-btn"
+                  onClick={() =>
+                    navigate(
+                      `/payment?bookingId=${
+                        entry.bookingId._id
+                      }&lot=${encodeURIComponent(entry.parkingLotName)}`
+                    )
+                  }
+                >
+                  Pay Now
+                </button>
+              ) : (
+                <button
+                  className="cancel-btn"
+                  disabled={!!busy[entry._id]}
+                  onClick={() => leave(entry)}
+                >
+                  Leave Waitlist
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
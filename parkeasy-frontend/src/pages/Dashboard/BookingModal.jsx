@@ -1,21 +1,109 @@
-import { useState } from "react";
+import { useEffect, useState } from "react";
 import { useNavigate } from "react-router-dom";
 import axios from "axios";
 import { API_BASE } from "../../config";
 import { useAuth } from "../../context/AuthContext";
+import { VEHICLE_TYPES, getLotVehicleInfo } from "../../utils/bookingUtils";
+import PassForm from "./PassForm";
+import SeriesForm from "./SeriesForm";
 import "./BookingModal.css";
 
-export default function BookingModal({ lot, onClose, onSuccess }) {
+// Format a Date as the local "YYYY-MM-DDTHH:mm" string datetime-local expects
+function toLocalInputValue(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return (
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}`
+  );
+}
+
+// Resolve the form's start/end into the window that will actually be booked
+function getBookingWindow(formData) {
+  const now = new Date();
+  const duration = parseFloat(formData.duration) || 1;
+  // A start time in the past (e.g. the prefilled "now") means start right away
+  const picked = new Date(formData.startTime);
+  const start = Number.isNaN(picked.getTime()) || picked < now ? now : picked;
+  const end = new Date(start.getTime() + duration * 60 * 60 * 1000);
+  return { start, end, duration };
+}
+
+export default function BookingModal({
+  lot,
+  vehicleType = "car",
+  onClose,
+  onSuccess,
+}) {
   const { user } = useAuth();
   const [formData, setFormData] = useState({
-    vehicleType: "car",
+    vehicleType,
     vehicleNumber: "",
     duration: "1",
+    startTime: toLocalInputValue(new Date()),
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
+  const [availability, setAvailability] = useState(null); // Window availability for the chosen vehicle type
+  const [quote, setQuote] = useState(null); // Server-side itemized price for the window
+  const [payWith, setPayWith] = useState("card");
+  const [promoInput, setPromoInput] = useState("");
+  const [promoCode, setPromoCode] = useState(""); // Applied code, sent with the quote
+  const [walletBalance, setWalletBalance] = useState(null);
+  const [mode, setMode] = useState("once"); // "once", "repeat" or "pass"
+  const [lotFull, setLotFull] = useState(false); // Booking was refused as full
   const navigate = useNavigate();
 
+  // Wallet balance for the "pay from wallet" option
+  useEffect(() => {
+    const token = localStorage.getItem("token");
+    if (!token) return;
+    axios
+      .get(`${API_BASE}/api/wallet`, {
+        params: { limit: 1 },
+        headers: { Authorization: `Bearer ${token}` },
+      })
+      .then((res) => setWalletBalance(res.data?.balance ?? null))
+      .catch(() => setWalletBalance(null));
+  }, []);
+
+  // Re-check the price and free slots for the chosen vehicle type and window
+  useEffect(() => {
+    let cancelled = false;
+    setQuote(null);
+    setLotFull(false);
+    const timer = setTimeout(async () => {
+      const { start, end } = getBookingWindow(formData);
+      const params = {
+        startTime: start.toISOString(),
+        endTime: end.toISOString(),
+        vehicleType: formData.vehicleType,
+      };
+      // Signed-in drivers also get their own promo usage checked
+      const token = localStorage.getItem("token");
+      const [availabilityRes, quoteRes] = await Promise.allSettled([
+        axios.get(`${API_BASE}/api/parkinglots/${lot._id}/availability`, {
+          params,
+        }),
+        axios.get(`${API_BASE}/api/parkinglots/${lot._id}/quote`, {
+          params: promoCode ? { ...params, promoCode } : params,
+          headers: token ? { Authorization: `Bearer ${token}` } : {},
+        }),
+      ]);
+      if (cancelled) return;
+      // Availability falls back to the lot's listed figures on failure
+      setAvailability(
+        availabilityRes.status === "fulfilled"
+          ? availabilityRes.value.data?.vehicle || null
+          : null
+      );
+      setQuote(quoteRes.status === "fulfilled" ? quoteRes.value.data : null);
+    }, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [lot._id, formData, promoCode]);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -29,24 +117,23 @@ export default function BookingModal({ lot, onClose, onSuccess }) {
 
     try {
       const token = localStorage.getItem("token");
-      const now = new Date();
-      const duration = parseFloat(formData.duration);
-      const endTime = new Date(now.getTime() + duration * 60 * 60 * 1000);
+      const { start, end: endTime, duration } = getBookingWindow(formData);
 
       const bookingData = {
         parkingLotId: lot._id,
         parkingLotName: lot.name,
         vehicleType: formData.vehicleType,
         vehicleNumber: formData.vehicleNumber.trim().toUpperCase(),
-        startTime: now.toISOString(),
+        startTime: start.toISOString(),
         endTime: endTime.toISOString(),
         duration,
-        pricePerHour: lot.pricePerHour,
-        totalPrice,
+        quoteToken: quote?.quoteToken,
+        // Only a code the quote accepted; it is checked again on booking
+        promoCode: quote?.promo ? promoCode : undefined,
+        payWith,
         userName: user?.name || "",
         userEmail: user?.email || "",
         userPhone: user?.phone || "",
-        status: now < new Date(startTime) ? "upcoming" : "active",
       };
 
       const res = await axios.post(`${API_BASE}/api/bookings`, bookingData, {
@@ -57,29 +144,33 @@ export default function BookingModal({ lot, onClose, onSuccess }) {
       // Set flag for cross-tab updates
       try {
         localStorage.setItem("bookings:refresh", "1");
-      } catch {}
+      } catch {
+        // ignore storage signaling errors
+      }
 
       // Notify success
       if (onSuccess) onSuccess();
       onClose();
 
-      // Redirect to mock payment page with booking context (demo only)
+      // Unpaid bookings are released after a while, so go pay right away
       try {
-        if (created?._id) {
-          navigate(
-            `/payment?bookingId=${created._id}&amount=${encodeURIComponent(
-              created.totalPrice || totalPrice
-            )}&lot=${encodeURIComponent(lot.name)}`
+        if (res.data?.walletError) {
+          window.alert(
+            `Could not pay from your wallet: ${res.data.walletError}. Please pay by card.`
           );
-        } else {
+        }
+        if (created?.paymentStatus === "pending") {
           navigate(
-            `/payment?amount=${encodeURIComponent(
-              totalPrice
-            )}&lot=${encodeURIComponent(lot.name)}`
+            `/payment?bookingId=${created._id}&lot=${encodeURIComponent(
+              lot.name
+            )}`
           );
         }
-      } catch {}
+      } catch {
+        // navigation is best-effort
+      }
     } catch (err) {
+      setLotFull(err.response?.data?.code === "LOT_FULL");
       setError(
         err.response?.data?.message || err.message || "Failed to create booking"
       );
@@ -88,7 +179,56 @@ export default function BookingModal({ lot, onClose, onSuccess }) {
     }
   };
 
-  const totalPrice = lot.pricePerHour * parseFloat(formData.duration || 1);
+  // Full for this window: get in line and be offered the first slot that frees up
+  const joinWaitlist = async () => {
+    if (!formData.vehicleNumber.trim()) {
+      setError("Please enter vehicle number");
+      return;
+    }
+
+    setLoading(true);
+    setError("");
+
+    try {
+      const token = localStorage.getItem("token");
+      const { start, end } = getBookingWindow(formData);
+      const res = await axios.post(
+        `${API_BASE}/api/waitlist`,
+        {
+          parkingLotId: lot._id,
+          vehicleType: formData.vehicleType,
+          vehicleNumber: formData.vehicleNumber.trim().toUpperCase(),
+          startTime: start.toISOString(),
+          endTime: end.toISOString(),
+        },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      onClose();
+      window.alert(
+        `${res.data.message}. When a slot frees up we'll hold it for you - pay for it from your notifications before the hold runs out.`
+      );
+      navigate("/booking-history");
+    } catch (err) {
+      setError(
+        err.response?.data?.message || err.message || "Failed to join waitlist"
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const listed = getLotVehicleInfo(lot, formData.vehicleType);
+  const vehicleInfo = availability ? { ...listed, ...availability } : listed;
+  const pricePerHour = quote
+    ? Math.round(quote.pricePerHour * (quote.demandMultiplier || 1) * 100) / 100
+    : listed.pricePerHour;
+  const totalPrice = quote?.totalPrice;
+  const isAdvance = new Date(formData.startTime) > new Date();
+  const hoursError = quote?.hoursError;
+  const canWait =
+    vehicleInfo.accepted &&
+    !hoursError &&
+    (lotFull || availability?.available === 0);
 
   return (
     <div className="booking-modal-overlay" onClick={onClose}>
@@ -100,96 +240,292 @@ export default function BookingModal({ lot, onClose, onSuccess }) {
           ×
         </button>
 
-        <h2>Book Parking Slot</h2>
+        <h2>
+          {mode === "pass"
+            ? "Get a Parking Pass"
+            : mode === "repeat"
+            ? "Book Recurring Parking"
+            : "Book Parking Slot"}
+        </h2>
         <div className="lot-summary">
           <h3>{lot.name}</h3>
           <p className="lot-address">
             {lot.address?.street}, {lot.address?.city}
           </p>
-          <p className="lot-price">₹{lot.pricePerHour}/hour</p>
+          <p className="lot-price">
+            ₹{pricePerHour}/hour for {formData.vehicleType}s
+          </p>
+          {lot.openLabel && <p className="lot-address">{lot.openLabel}</p>}
         </div>
 
-        <form onSubmit={handleSubmit} className="booking-form">
-          <div className="form-group">
-            <label>Vehicle Type</label>
-            <select
-              value={formData.vehicleType}
-              onChange={(e) =>
-                setFormData({ ...formData, vehicleType: e.target.value })
-              }
-              className="form-control"
+        {user && (
+          <div className="booking-mode">
+            <button
+              type="button"
+              className={mode === "once" ? "active" : ""}
+              onClick={() => setMode("once")}
+            >
+              Book once
+            </button>
+            <button
+              type="button"
+              className={mode === "repeat" ? "active" : ""}
+              onClick={() => setMode("repeat")}
             >
-              <option value="car">Car</option>
-              <option value="bike">Bike</option>
-              <option value="truck">Truck</option>
-              <option value="van">Van</option>
-            </select>
+              Repeat
+            </button>
+            <button
+              type="button"
+              className={mode === "pass" ? "active" : ""}
+              onClick={() => setMode("pass")}
+            >
+              Get a pass
+            </button>
           </div>
+        )}
 
-          <div className="form-group">
-            <label>Vehicle Number *</label>
-            <input
-              type="text"
-              value={formData.vehicleNumber}
-              onChange={(e) =>
-                setFormData({ ...formData, vehicleNumber: e.target.value })
-              }
-              placeholder="MH12AB1234"
-              className="form-control"
-              required
-            />
-          </div>
+        {mode === "pass" ? (
+          <PassForm
+            lot={lot}
+            vehicleType={formData.vehicleType}
+            walletBalance={walletBalance}
+            onClose={onClose}
+            onSuccess={onSuccess}
+          />
+        ) : mode === "repeat" ? (
+          <SeriesForm
+            lot={lot}
+            vehicleType={formData.vehicleType}
+            walletBalance={walletBalance}
+            onClose={onClose}
+            onSuccess={onSuccess}
+          />
+        ) : (
+          <form onSubmit={handleSubmit} className="booking-form">
+            <div className="form-group">
+              <label>Vehicle Type</label>
+              <select
+                value={formData.vehicleType}
+                onChange={(e) =>
+                  setFormData({ ...formData, vehicleType: e.target.value })
+                }
+                className="form-control"
+              >
+                {VEHICLE_TYPES.map((t) => {
+                  const accepted = getLotVehicleInfo(lot, t.value).accepted;
+                  return (
+                    <option key={t.value} value={t.value} disabled={!accepted}>
+                      {accepted ? t.label : `${t.label} (not accepted)`}
+                    </option>
+                  );
+                })}
+              </select>
+            </div>
 
-          <div className="form-group">
-            <label>Duration (hours)</label>
-            <input
-              type="number"
-              value={formData.duration}
-              onChange={(e) =>
-                setFormData({ ...formData, duration: e.target.value })
-              }
-              min="0.5"
-              step="0.5"
-              className="form-control"
-              required
-            />
-          </div>
+            <div className="form-group">
+              <label>Vehicle Number *</label>
+              <input
+                type="text"
+                value={formData.vehicleNumber}
+                onChange={(e) =>
+                  setFormData({ ...formData, vehicleNumber: e.target.value })
+                }
+                placeholder="MH12AB1234"
+                className="form-control"
+                required
+              />
+            </div>
 
-          <div className="booking-summary">
-            <div className="summary-row">
-              <span>Price per hour:</span>
-              <span>₹{lot.pricePerHour}</span>
+            <div className="form-group">
+              <label>Start Time</label>
+              <input
+                type="datetime-local"
+                value={formData.startTime}
+                min={toLocalInputValue(new Date())}
+                onChange={(e) =>
+                  setFormData({ ...formData, startTime: e.target.value })
+                }
+                className="form-control"
+                required
+              />
             </div>
-            <div className="summary-row">
-              <span>Duration:</span>
-              <span>{formData.duration} hours</span>
+
+            <div className="form-group">
+              <label>Duration (hours)</label>
+              <input
+                type="number"
+                value={formData.duration}
+                onChange={(e) =>
+                  setFormData({ ...formData, duration: e.target.value })
+                }
+                min="0.5"
+                step="0.5"
+                className="form-control"
+                required
+              />
             </div>
-            <div className="summary-row total">
-              <span>Total Price:</span>
-              <span>₹{totalPrice.toFixed(2)}</span>
+
+            <div className="form-group">
+              <label>Promo Code</label>
+              <div className="promo-row">
+                <input
+                  type="text"
+                  value={promoInput}
+                  onChange={(e) => setPromoInput(e.target.value)}
+                  placeholder="Optional"
+                  className="form-control"
+                />
+                {promoCode ? (
+                  <button
+                    type="button"
+                    className="btn btn-secondary"
+                    onClick={() => {
+                      setPromoCode("");
+                      setPromoInput("");
+                    }}
+                  >
+                    Remove
+                  </button>
+                ) : (
+                  <button
+                    type="button"
+                    className="btn btn-secondary"
+                    disabled={!promoInput.trim()}
+                    onClick={() =>
+                      setPromoCode(promoInput.trim().toUpperCase())
+                    }
+                  >
+                    Apply
+                  </button>
+                )}
+              </div>
+              {promoCode && quote?.promoError && (
+                <span className="promo-note promo-error">
+                  {quote.promoError.message}
+                </span>
+              )}
+              {quote?.promo && (
+                <span className="promo-note">
+                  {quote.promo.code} applied: −₹
+                  {quote.promo.discount.toFixed(2)}
+                </span>
+              )}
             </div>
-          </div>
 
-          {error && <div className="error-message">{error}</div>}
+            {walletBalance != null && (
+              <div className="form-group">
+                <label>Pay With</label>
+                <select
+                  value={payWith}
+                  onChange={(e) => setPayWith(e.target.value)}
+                  className="form-control"
+                >
+                  <option value="card">Card</option>
+                  <option
+                    value="wallet"
+                    disabled={totalPrice != null && walletBalance < totalPrice}
+                  >
+                    Wallet (₹{walletBalance.toFixed(2)})
+                  </option>
+                </select>
+              </div>
+            )}
 
-          <div className="modal-actions">
-            <button
-              type="button"
-              onClick={onClose}
-              className="btn btn-secondary"
-              disabled={loading}
-            >
-              Cancel
-            </button>
-            <button
-              type="submit"
-              className="btn btn-primary"
-              disabled={loading}
-            >
-              {loading ? "Booking..." : "Confirm Booking"}
-            </button>
-          </div>
-        </form>
+            <div className="booking-summary">
+              <div className="summary-row">
+                <span>Price per hour:</span>
+                <span>₹{pricePerHour}</span>
+              </div>
+              <div className="summary-row">
+                <span>Free {formData.vehicleType} slots:</span>
+                <span>
+                  {vehicleInfo.accepted
+                    ? vehicleInfo.available
+                    : "Not accepted"}
+                </span>
+              </div>
+              <div className="summary-row">
+                <span>Duration:</span>
+                <span>{formData.duration} hours</span>
+              </div>
+              {isAdvance && (
+                <div className="summary-row">
+                  <span>Reservation:</span>
+                  <span>Upcoming – slot held from start time</span>
+                </div>
+              )}
+              {quote && quote.demandMultiplier !== 1 && (
+                <div className="summary-row">
+                  <span>Demand pricing:</span>
+                  <span>
+                    ×{quote.demandMultiplier} – price locked for 10 minutes
+                  </span>
+                </div>
+              )}
+              {(quote?.breakdown || []).map((line, i) => (
+                <div className="summary-row price-line" key={i}>
+                  <span>
+                    {line.label}
+                    {line.hours != null && ` (${line.hours} h × ₹${line.rate})`}
+                  </span>
+                  <span>
+                    {line.amount < 0 ? "−" : ""}₹
+                    {Math.abs(line.amount).toFixed(2)}
+                  </span>
+                </div>
+              ))}
+              <div className="summary-row total">
+                <span>Total Price:</span>
+                <span>
+                  {totalPrice != null
+                    ? `₹${totalPrice.toFixed(2)}`
+                    : "Calculating…"}
+                </span>
+              </div>
+            </div>
+
+            {hoursError && <div className="error-message">{hoursError}</div>}
+            {error && <div className="error-message">{error}</div>}
+            {canWait && (
+              <div className="waitlist-offer">
+                <span>
+                  No {formData.vehicleType} slots are free for this time.
+                </span>
+                <button
+                  type="button"
+                  className="btn btn-secondary"
+                  onClick={joinWaitlist}
+                  disabled={loading}
+                >
+                  Join Waitlist
+                </button>
+              </div>
+            )}
+
+            <div className="modal-actions">
+              <button
+                type="button"
+                onClick={onClose}
+                className="btn btn-secondary"
+                disabled={loading}
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="btn btn-primary"
+                disabled={
+                  loading ||
+                  !vehicleInfo.accepted ||
+                  totalPrice == null ||
+                  !!hoursError
+                }
+              >
+                {loading ? "Booking..." : "Confirm Booking"}
+              </button>
+            </div>
+          </form>
+        )}
       </div>
     </div>
   );
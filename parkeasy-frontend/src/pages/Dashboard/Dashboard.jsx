@@ -7,14 +7,44 @@ import "./Dashboard.css";
 import L from "leaflet";
 import "leaflet/dist/leaflet.css";
 import markerShadow from "leaflet/dist/images/marker-shadow.png";
+import BookingModal from "./BookingModal";
+import LotGallery from "./LotGallery";
+import LotReviews from "./LotReviews";
+import StarRating from "../../components/StarRating";
+import { VEHICLE_TYPES, getLotVehicleInfo } from "../../utils/bookingUtils";
+import {
+  LOT_TYPES,
+  AMENITIES,
+  lotTypeLabel,
+  lotAmenities,
+  lotFeatureParams,
+  describeRating,
+} from "../../utils/lotFeatures";
 
 // Fallback coordinates near seeded demo data (Ahmedabad)
 const DEFAULT_COORDS = { latitude: 23.0512, longitude: 72.6677 };
+// Nearby lots load a page at a time; refreshes reload up to MAX_PAGE of them
+const PAGE_SIZE = 20;
+const MAX_PAGE = 100;
+// Orders the server can sort nearby lots in
+const SORT_OPTIONS = [
+  { value: "distance", label: "Nearest first" },
+  { value: "price", label: "Cheapest first" },
+  { value: "availability", label: "Most free slots" },
+  { value: "rating", label: "Top rated" },
+];
+
+// Search radius in meters for GET /api/parkinglots
+function radiusParam(rangeKm) {
+  return Math.max(500, Math.round((rangeKm || 5) * 1000));
+}
 
 export default function Dashboard() {
   const navigate = useNavigate();
   // State variables for parking lots, loading, errors, booking, and UI
-  const [parkingLots, setParkingLots] = useState([]); // List of nearby parking lots (5km radius)
+  const [parkingLots, setParkingLots] = useState([]); // Nearby parking lots (within the search radius), in the chosen order
+  const [nextCursor, setNextCursor] = useState(null); // Cursor for the next page of nearby lots (null = all loaded)
+  const [loadingMore, setLoadingMore] = useState(false);
   const [allParkingLots, setAllParkingLots] = useState([]); // All parking lots for map display
   const [loading, setLoading] = useState(true); // Loading state
   const [error, setError] = useState(""); // Error message
@@ -23,6 +53,7 @@ export default function Dashboard() {
   const [bookingMsg, setBookingMsg] = useState(""); // Booking status message
   const [bookingLoading, setBookingLoading] = useState(false); // Booking loading state
   const [expand, setExpand] = useState(null); // Expanding popup state
+  const [reserveLot, setReserveLot] = useState(null); // Lot open in the advance booking modal
   const [notice, setNotice] = useState(""); // Non-blocking info message
   const [query, setQuery] = useState(""); // search query text
   const [searching, setSearching] = useState(false);
@@ -60,6 +91,53 @@ export default function Dashboard() {
       return "all";
     }
   });
+  // Vehicle type drives the rate and availability shown on every lot card
+  const [vehicleType, setVehicleType] = useState(() => {
+    try {
+      return localStorage.getItem("parkingFilters:vehicleType") || "car";
+    } catch {
+      return "car";
+    }
+  });
+  // Hide lots that are outside their opening hours right now
+  const [openOnly, setOpenOnly] = useState(() => {
+    try {
+      return localStorage.getItem("parkingFilters:openOnly") === "1";
+    } catch {
+      return false;
+    }
+  });
+  // Lot type and amenity chips; the server only returns lots matching them
+  const [lotTypes, setLotTypes] = useState(() => {
+    try {
+      const saved = localStorage.getItem("parkingFilters:lotTypes");
+      return saved ? saved.split(",") : [];
+    } catch {
+      return [];
+    }
+  });
+  const [amenityFilters, setAmenityFilters] = useState(() => {
+    try {
+      const saved = localStorage.getItem("parkingFilters:amenities");
+      return saved ? saved.split(",") : [];
+    } catch {
+      return [];
+    }
+  });
+  // Server-side sort order of the nearby lots
+  const [sortBy, setSortBy] = useState(() => {
+    try {
+      return localStorage.getItem("parkingFilters:sort") || "distance";
+    } catch {
+      return "distance";
+    }
+  });
+  // Read by the fetchers so changing a chip doesn't re-run location detection
+  const featureParamsRef = useRef(lotFeatureParams(lotTypes, amenityFilters));
+  // Same for the sort order; price sorting uses the vehicle type's rate
+  const sortParamsRef = useRef({ sort: sortBy, vehicleType });
+  // How many nearby lots are loaded, so refreshes keep every loaded page
+  const loadedCountRef = useRef(0);
 
   // Cross-device precise dropdown position using visualViewport
   const computeSugPos = useCallback(() => {
@@ -138,8 +216,11 @@ export default function Dashboard() {
     if (!lot || typeof lot.availableSlots === "undefined") {
       return 0; // Default value if lot or availableSlots is undefined
     }
-    const t = Number(lot.totalSlots) || 1;
-    const a = Math.max(0, Number(lot.availableSlots) || 0);
+    // Measure against the chosen vehicle type's share of the lot
+    const info = getLotVehicleInfo(lot, vehicleType);
+    if (!info.accepted) return 1;
+    const t = Number(info.capacity) || 1;
+    const a = Math.max(0, Number(info.available) || 0);
     const used = Math.max(0, t - a);
     return used / t;
   }
@@ -173,7 +254,13 @@ export default function Dashboard() {
   const fetchAllParkingLots = useCallback(async () => {
     try {
       const token = localStorage.getItem("token");
+      // With our location the server adds each lot's distance
       const res = await axios.get(`${API_BASE}/api/parkinglots/all`, {
+        params: {
+          lat: currentCoordsRef.current.latitude,
+          lng: currentCoordsRef.current.longitude,
+          ...featureParamsRef.current,
+        },
         headers: token ? { Authorization: `Bearer ${token}` } : undefined,
       });
       setAllParkingLots(res.data.parkingLots || []);
@@ -196,13 +283,27 @@ export default function Dashboard() {
           params: {
             lat: coords.latitude,
             lng: coords.longitude,
-            radius: Math.max(500, Math.round((rangeKm || 5) * 1000)),
+            radius: radiusParam(rangeKm),
+            ...featureParamsRef.current,
+            ...sortParamsRef.current,
+            // Silent refreshes reload every page loaded so far
+            limit: silent
+              ? Math.min(MAX_PAGE, Math.max(PAGE_SIZE, loadedCountRef.current))
+              : PAGE_SIZE,
           },
           headers: token ? { Authorization: `Bearer ${token}` } : undefined,
         });
-        setParkingLots(res.data.parkingLots || []);
+        const lots = res.data.parkingLots || [];
+        setParkingLots(lots);
+        setNextCursor(res.data.nextCursor || null);
+        loadedCountRef.current = lots.length;
         setLastUpdated(new Date());
+        const moved =
+          coords.latitude !== currentCoordsRef.current.latitude ||
+          coords.longitude !== currentCoordsRef.current.longitude;
         currentCoordsRef.current = coords;
+        // Map lots carry their distance from us, so refetch them after a move
+        if (moved) fetchAllParkingLots();
         // Update the user marker position on map
         try {
           if (userMarkerRef.current) {
@@ -224,9 +325,45 @@ export default function Dashboard() {
         if (!silent) setLoading(false);
       }
     },
-    [rangeKm]
+    [rangeKm, fetchAllParkingLots]
   );
 
+  // Append the next page of nearby lots
+  const loadMoreLots = async () => {
+    if (!nextCursor) return;
+    setLoadingMore(true);
+    try {
+      const coords = currentCoordsRef.current;
+      const token = localStorage.getItem("token");
+      const res = await axios.get(`${API_BASE}/api/parkinglots`, {
+        params: {
+          lat: coords.latitude,
+          lng: coords.longitude,
+          radius: radiusParam(rangeKm),
+          ...featureParamsRef.current,
+          ...sortParamsRef.current,
+          limit: PAGE_SIZE,
+          cursor: nextCursor,
+        },
+        headers: token ? { Authorization: `Bearer ${token}` } : undefined,
+      });
+      const page = res.data.parkingLots || [];
+      setParkingLots((prev) => {
+        const seen = new Set(prev.map((l) => l._id));
+        const next = [...prev, ...page.filter((l) => !seen.has(l._id))];
+        loadedCountRef.current = next.length;
+        return next;
+      });
+      setNextCursor(res.data.nextCursor || null);
+    } catch (err) {
+      setNotice(
+        err.response?.data?.message || "Could not load more parking lots."
+      );
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
   // Ask for user's location and load parking lots
   // More robust geo acquisition: try getCurrentPosition, then fallback to watchPosition
   const getPreciseLocation = useCallback(() => {
@@ -364,31 +501,81 @@ export default function Dashboard() {
     }
   }, [selectedArea]);
 
-  // Haversine distance (in meters) for nearby area computation
-  function haversine(lat1, lon1, lat2, lon2) {
-    const toRad = (v) => (v * Math.PI) / 180;
-    const R = 6371e3;
-    const dLat = toRad(lat2 - lat1);
-    const dLon = toRad(lon2 - lon1);
-    const a =
-      Math.sin(dLat / 2) ** 2 +
-      Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    return R * c;
+  // Persist vehicle type selection
+  useEffect(() => {
+    try {
+      localStorage.setItem("parkingFilters:vehicleType", vehicleType);
+    } catch (e) {
+      void e;
+    }
+  }, [vehicleType]);
+
+  // Refetch silently when the sort order (or the vehicle type it prices by)
+  // changes
+  useEffect(() => {
+    sortParamsRef.current = { sort: sortBy, vehicleType };
+    fetchParkingLots(currentCoordsRef.current, { silent: true });
+    try {
+      localStorage.setItem("parkingFilters:sort", sortBy);
+    } catch (e) {
+      void e;
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [sortBy, vehicleType]);
+
+  // Persist the "open now" filter
+  useEffect(() => {
+    try {
+      localStorage.setItem("parkingFilters:openOnly", openOnly ? "1" : "0");
+    } catch (e) {
+      void e;
+    }
+  }, [openOnly]);
+
+  // Refetch silently when the lot type or amenity chips change
+  useEffect(() => {
+    featureParamsRef.current = lotFeatureParams(lotTypes, amenityFilters);
+    fetchParkingLots(currentCoordsRef.current, { silent: true });
+    fetchAllParkingLots();
+    // Persist chips to localStorage
+    try {
+      localStorage.setItem("parkingFilters:lotTypes", lotTypes.join(","));
+      localStorage.setItem(
+        "parkingFilters:amenities",
+        amenityFilters.join(",")
+      );
+    } catch (e) {
+      void e;
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [lotTypes, amenityFilters]);
+
+  // Add a chip's value to a filter list, or take it out if already there
+  function toggleChip(setList, value) {
+    setList((prev) =>
+      prev.includes(value) ? prev.filter((v) => v !== value) : [...prev, value]
+    );
   }
 
+  // Inline style for a filter chip, highlighted while selected
+  const chipStyle = (active) => ({
+    padding: "4px 10px",
+    borderRadius: 999,
+    border: `1px solid ${active ? "#3b82f6" : "#334155"}`,
+    background: active ? "#1d4ed8" : "#1e293b",
+    color: active ? "#f1f5f9" : "#cbd5e1",
+    fontSize: 12,
+    cursor: "pointer",
+  });
+
   // Dynamic nearby areas (by city) around current location
   const nearbyAreas = useMemo(() => {
-    const cur = currentCoordsRef.current;
     const byCity = new Map();
     allParkingLots.forEach((lot) => {
       const city = lot?.address?.city?.trim();
-      const coords = lot?.location?.coordinates;
-      if (!city || !Array.isArray(coords)) return;
-      const lat = coords[1];
-      const lon = coords[0];
-      if (lat == null || lon == null) return;
-      const d = haversine(cur.latitude, cur.longitude, lat, lon);
+      // Meters from our location, worked out by the server
+      const d = lot?.distance;
+      if (!city || typeof d !== "number") return;
       if (d <= 20000) {
         const prev = byCity.get(city);
         if (!prev || d < prev) byCity.set(city, d);
@@ -399,12 +586,14 @@ export default function Dashboard() {
       .map(([name]) => name);
   }, [allParkingLots]);
 
-  // Filtered list according to selected area
+  // Filtered list according to selected area and the "open now" filter
   const displayLots = useMemo(() => {
-    const base = parkingLots.filter(Boolean);
+    const base = parkingLots.filter(
+      (l) => l && (!openOnly || l.openNow !== false)
+    );
     if (selectedArea === "all") return base;
     return base.filter((l) => (l?.address?.city || "").trim() === selectedArea);
-  }, [parkingLots, selectedArea]);
+  }, [parkingLots, selectedArea, openOnly]);
 
   // Initialize map once
   useEffect(() => {
@@ -499,6 +688,7 @@ export default function Dashboard() {
       const lat = lot.location?.coordinates?.[1];
       const lng = lot.location?.coordinates?.[0];
       if (lat == null || lng == null) return;
+      if (openOnly && lot.openNow === false) return;
       // Use explicit pin icon for parking spots (drop marker)
       const marker = L.marker([lat, lng], {
         icon: parkingIconRef.current || undefined,
@@ -507,7 +697,12 @@ export default function Dashboard() {
       marker.bindPopup(
         `<strong>${escapeHtml(lot.name || "Unnamed")}</strong><br/>` +
           `${formatDistance(lot.distance || 0)} • ` +
-          `${lot?.availableSlots || 0}/${lot?.totalSlots || 0} slots`
+          `${lot?.availableSlots || 0}/${lot?.totalSlots || 0} slots` +
+          (lot.openLabel
+            ? `<br/><span style="color:${
+                lot.openNow === false ? "#ef4444" : "#16a34a"
+              }">${escapeHtml(lot.openLabel)}</span>`
+            : "")
       );
       marker.on("click", () => setSelectedLot(lot));
       markers.push(marker);
@@ -531,7 +726,7 @@ export default function Dashboard() {
         if (manualCenterRef.current) manualCenterRef.current = false;
       }
     }
-  }, [allParkingLots]);
+  }, [allParkingLots, openOnly]);
 
   // Search by text using OpenStreetMap Nominatim
   async function handleSearch() {
@@ -749,8 +944,10 @@ export default function Dashboard() {
   // Get availability status and color class for a parking lot
   function getAvailabilityStatus(lot) {
     if (!lot) return { label: "Unavailable", cls: "status-limited" };
-    const a = Number(lot?.availableSlots ?? 0);
-    const t = Number(lot?.totalSlots ?? 0) || 1;
+    const info = getLotVehicleInfo(lot, vehicleType);
+    if (!info.accepted) return { label: "Not accepted", cls: "status-sold" };
+    const a = Number(info.available ?? 0);
+    const t = Number(info.capacity ?? 0) || 1;
     if (a <= 0) return { label: "Sold out", cls: "status-sold" };
     const ratio = Math.max(0, Math.min(1, a / t));
     // More granular bands (7 + sold out)
@@ -773,7 +970,7 @@ export default function Dashboard() {
       const token = localStorage.getItem("token");
       await axios.post(
         `${API_BASE}/api/parkinglots/${selectedLot._id}/book`,
-        { hour: bookingHour },
+        { hour: bookingHour, vehicleType },
         { headers: token ? { Authorization: `Bearer ${token}` } : undefined }
       );
       // Signal other tabs/pages (History) to update immediately
@@ -944,6 +1141,18 @@ export default function Dashboard() {
           >
             {filtersOpen ? "Close Filters" : "Filters"}
           </button>
+          <select
+            className="vehicle-select"
+            value={vehicleType}
+            onChange={(e) => setVehicleType(e.target.value)}
+            title="Show rates and availability for this vehicle type"
+          >
+            {VEHICLE_TYPES.map((t) => (
+              <option key={t.value} value={t.value}>
+                {t.label}
+              </option>
+            ))}
+          </select>
           {searching && <span style={{ marginLeft: 8 }}>Searching…</span>}
           {/* Auto-refresh is now permanent; toggle removed */}
           <div className="last-updated">
@@ -983,7 +1192,11 @@ export default function Dashboard() {
               <button
                 onClick={() => {
                   setRangeKm(5);
+                  setSortBy("distance");
                   setSelectedArea("all");
+                  setOpenOnly(false);
+                  setLotTypes([]);
+                  setAmenityFilters([]);
                   fetchParkingLots(currentCoordsRef.current);
                 }}
                 style={{
@@ -1035,6 +1248,38 @@ export default function Dashboard() {
                 <span>25 km</span>
               </div>
             </div>
+            <div style={{ marginBottom: 16 }}>
+              <div
+                style={{
+                  fontSize: 13,
+                  fontWeight: 500,
+                  marginBottom: 8,
+                  color: "#cbd5e1",
+                }}
+              >
+                ↕️ Sort By
+              </div>
+              <select
+                value={sortBy}
+                onChange={(e) => setSortBy(e.target.value)}
+                style={{
+                  width: "100%",
+                  padding: 10,
+                  borderRadius: 8,
+                  border: "1px solid #334155",
+                  background: "#1e293b",
+                  color: "#f1f5f9",
+                  fontSize: 14,
+                  cursor: "pointer",
+                }}
+              >
+                {SORT_OPTIONS.map((o) => (
+                  <option key={o.value} value={o.value}>
+                    {o.label}
+                  </option>
+                ))}
+              </select>
+            </div>
             <div>
               <div
                 style={{
@@ -1084,6 +1329,76 @@ export default function Dashboard() {
                 </div>
               )}
             </div>
+            <div style={{ marginTop: 16 }}>
+              <div
+                style={{
+                  fontSize: 13,
+                  fontWeight: 500,
+                  marginBottom: 8,
+                  color: "#cbd5e1",
+                }}
+              >
+                🅿️ Lot Type
+              </div>
+              <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
+                {LOT_TYPES.map((t) => (
+                  <button
+                    key={t.value}
+                    type="button"
+                    aria-pressed={lotTypes.includes(t.value)}
+                    onClick={() => toggleChip(setLotTypes, t.value)}
+                    style={chipStyle(lotTypes.includes(t.value))}
+                  >
+                    {t.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <div style={{ marginTop: 16 }}>
+              <div
+                style={{
+                  fontSize: 13,
+                  fontWeight: 500,
+                  marginBottom: 8,
+                  color: "#cbd5e1",
+                }}
+              >
+                ✨ Amenities
+              </div>
+              <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
+                {AMENITIES.map((a) => (
+                  <button
+                    key={a.value}
+                    type="button"
+                    aria-pressed={amenityFilters.includes(a.value)}
+                    onClick={() => toggleChip(setAmenityFilters, a.value)}
+                    style={chipStyle(amenityFilters.includes(a.value))}
+                  >
+                    {a.icon} {a.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <label
+              style={{
+                display: "flex",
+                alignItems: "center",
+                gap: 8,
+                marginTop: 16,
+                fontSize: 13,
+                fontWeight: 500,
+                color: "#cbd5e1",
+                cursor: "pointer",
+              }}
+            >
+              <input
+                type="checkbox"
+                checked={openOnly}
+                onChange={(e) => setOpenOnly(e.target.checked)}
+                style={{ accentColor: "#3b82f6" }}
+              />
+              🕒 Open now only
+            </label>
           </div>
         )}
 
@@ -1123,6 +1438,7 @@ export default function Dashboard() {
           {displayLots.map((lot) => {
             const isFlipped = false; // flipping disabled
             const status = getAvailabilityStatus(lot);
+            const vehicleInfo = getLotVehicleInfo(lot, vehicleType);
             return (
               <div
                 id={`slot-${lot._id}`}
@@ -1144,6 +1460,44 @@ export default function Dashboard() {
                       <div className="slot-distance">
                         {formatDistance(lot.distance || 0)}
                       </div>
+                      {lot.openLabel && (
+                        <div
+                          className={`slot-hours${
+                            lot.openNow === false ? " closed" : ""
+                          }`}
+                        >
+                          {lot.openLabel}
+                        </div>
+                      )}
+                      {(lot.lotType || lotAmenities(lot).length > 0) && (
+                        <div className="slot-features">
+                          {lot.lotType && (
+                            <span>{lotTypeLabel(lot.lotType)}</span>
+                          )}
+                          {lotAmenities(lot).map((a) => (
+                            <span key={a.value} title={a.label}>
+                              {a.icon}
+                            </span>
+                          ))}
+                        </div>
+                      )}
+                      <div className="slot-rating">
+                        {lot.ratingCount > 0 && (
+                          <StarRating value={lot.ratingAverage} />
+                        )}
+                        <span>{describeRating(lot)}</span>
+                      </div>
+                      <div className="slot-rate">
+                        {vehicleInfo.accepted
+                          ? `₹${vehicleInfo.pricePerHour}/hr${
+                              vehicleInfo.demandMultiplier > 1
+                                ? " (high demand)"
+                                : vehicleInfo.demandMultiplier < 1
+                                ? " (low demand)"
+                                : ""
+                            } • ${vehicleInfo.available} ${vehicleType} slots free`
+                          : `No ${vehicleType} parking`}
+                      </div>
                       <div className="slot-progress">
                         {(() => {
                           const r = getOccupancyRatio(lot);
@@ -1171,6 +1525,17 @@ export default function Dashboard() {
             );
           })}
         </div>
+        {nextCursor && !loading && !error && (
+          <div style={{ textAlign: "center", marginTop: 12 }}>
+            <button
+              className="retry-button"
+              onClick={loadMoreLots}
+              disabled={loadingMore}
+            >
+              {loadingMore ? "Loading..." : "Show more lots"}
+            </button>
+          </div>
+        )}
       </div>
 
       {expand && (
@@ -1193,11 +1558,47 @@ export default function Dashboard() {
                     Close
                   </button>
                 </div>
+                <LotGallery
+                  key={selectedLot._id}
+                  photos={selectedLot.photos}
+                />
                 <div className="meta">
                   Distance: {formatDistance(selectedLot.distance || 0)} • Slots
                   left: {selectedLot?.availableSlots ?? 0} • Cars parked:{" "}
                   {selectedLot?.carsParked || 0}
                 </div>
+                {selectedLot.openLabel && (
+                  <div
+                    className={`meta slot-hours${
+                      selectedLot.openNow === false ? " closed" : ""
+                    }`}
+                  >
+                    {selectedLot.openLabel}
+                  </div>
+                )}
+                {(selectedLot.lotType ||
+                  lotAmenities(selectedLot).length > 0) && (
+                  <div className="meta">
+                    {[
+                      lotTypeLabel(selectedLot.lotType),
+                      ...lotAmenities(selectedLot).map(
+                        (a) => `${a.icon} ${a.label}`
+                      ),
+                    ]
+                      .filter(Boolean)
+                      .join(" • ")}
+                  </div>
+                )}
+                {(() => {
+                  const info = getLotVehicleInfo(selectedLot, vehicleType);
+                  return (
+                    <div className="meta">
+                      {info.accepted
+                        ? `Rate for ${vehicleType}s: ₹${info.pricePerHour}/hr • ${info.available} of ${info.capacity} slots free`
+                        : `This lot does not accept ${vehicleType}s`}
+                    </div>
+                  );
+                })()}
                 <div className="booking-controls" style={{ marginTop: 8 }}>
                   <label htmlFor="booking-hour">Select hour:</label>
                   <input
@@ -1216,6 +1617,13 @@ export default function Dashboard() {
                   >
                     {bookingLoading ? "Booking..." : "Book Slot"}
                   </button>
+                  <button
+                    className="retry-button"
+                    onClick={() => setReserveLot(selectedLot)}
+                    title="Pick a future start time and vehicle details"
+                  >
+                    Reserve Ahead
+                  </button>
                   <button
                     className="retry-button"
                     onClick={() => openDirections(selectedLot)}
@@ -1236,11 +1644,23 @@ export default function Dashboard() {
                     {bookingMsg}
                   </div>
                 )}
+                <LotReviews key={selectedLot._id} lot={selectedLot} />
               </div>
             )}
           </div>
         </div>
       )}
+
+      {reserveLot && (
+        <BookingModal
+          lot={reserveLot}
+          vehicleType={vehicleType}
+          onClose={() => setReserveLot(null)}
+          onSuccess={() =>
+            fetchParkingLots(currentCoordsRef.current, { silent: true })
+          }
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,44 @@
+import { useState } from "react";
+import { assetUrl } from "../../config";
+
+// Photos of a lot in the expanded popup: the picked photo large, thumbnails
+// below to switch between them. The first photo is the owner's cover.
+export default function LotGallery({ photos = [] }) {
+  const [index, setIndex] = useState(0);
+  if (!photos.length) return null;
+  const current = photos[Math.min(index, photos.length - 1)];
+
+  return (
+    <div className="lot-gallery">
+      <a href={assetUrl(current.url)} target="_blank" rel="noreferrer">
+        <img
+          className="lot-gallery-main"
+          src={assetUrl(current.url)}
+          alt={current.caption || "Parking lot photo"}
+          width={current.width}
+          height={current.height}
+        />
+      </a>
+      {current.caption && (
+        <div className="lot-gallery-caption">{current.caption}</div>
+      )}
+      {photos.length > 1 && (
+        <div className="lot-gallery-thumbs">
+          {photos.map((photo, i) => (
+            <button
+              key={photo._id}
+              type="button"
+              className={`lot-gallery-thumb${
+                photo === current ? " active" : ""
+              }`}
+              onClick={() => setIndex(i)}
+              aria-label={photo.caption || `Photo ${i + 1}`}
+            >
+              <img src={assetUrl(photo.thumbUrl)} alt="" loading="lazy" />
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
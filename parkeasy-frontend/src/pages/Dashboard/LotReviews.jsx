@@ -0,0 +1,103 @@
+import { useCallback, useEffect, useState } from "react";
+import axios from "axios";
+import { API_BASE } from "../../config";
+import StarRating from "../../components/StarRating";
+import { describeRating } from "../../utils/lotFeatures";
+
+const PAGE_SIZE = 5;
+
+// A lot's reviews in the expanded popup, newest first with the owner's
+// replies. Signed-in drivers can report a review for moderation.
+export default function LotReviews({ lot }) {
+  const [reviews, setReviews] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [reported, setReported] = useState({});
+  const [msg, setMsg] = useState("");
+  const token = localStorage.getItem("token");
+
+  const load = useCallback(
+    async (before) => {
+      setLoading(true);
+      try {
+        const res = await axios.get(`${API_BASE}/api/reviews/lot/${lot._id}`, {
+          params: { limit: PAGE_SIZE, before },
+        });
+        const page = res.data.reviews || [];
+        setReviews((prev) => (before ? [...prev, ...page] : page));
+        setHasMore(page.length === PAGE_SIZE);
+      } catch (err) {
+        setMsg(err.response?.data?.message || "Failed to load reviews");
+      } finally {
+        setLoading(false);
+      }
+    },
+    [lot._id]
+  );
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  async function report(review) {
+    const reason = window.prompt("What's wrong with this review?");
+    if (reason === null) return;
+    setMsg("");
+    try {
+      const res = await axios.post(
+        `${API_BASE}/api/reviews/${review._id}/report`,
+        { reason },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setReported((prev) => ({ ...prev, [review._id]: true }));
+      setMsg(res.data.message);
+    } catch (err) {
+      setMsg(err.response?.data?.message || "Failed to report review");
+    }
+  }
+
+  return (
+    <div className="lot-reviews">
+      <div className="lot-reviews-head">
+        <StarRating value={lot.ratingAverage || 0} />
+        <span>{describeRating(lot)}</span>
+      </div>
+      {msg && <div className="lot-reviews-msg">{msg}</div>}
+      {reviews.map((r) => (
+        <div className="lot-review" key={r._id}>
+          <div className="lot-review-meta">
+            <StarRating value={r.rating} />
+            <span>
+              {r.userName} · {new Date(r.createdAt).toLocaleDateString()}
+            </span>
+            {token && !reported[r._id] && (
+              <button
+                type="button"
+                className="lot-review-report"
+                onClick={() => report(r)}
+              >
+                Report
+              </button>
+            )}
+          </div>
+          {r.comment && <div className="lot-review-comment">{r.comment}</div>}
+          {r.reply?.text && (
+            <div className="lot-review-reply">
+              <b>Owner:</b> {r.reply.text}
+            </div>
+          )}
+        </div>
+      ))}
+      {hasMore && (
+        <button
+          type="button"
+          className="retry-button"
+          disabled={loading}
+          onClick={() => load(reviews[reviews.length - 1].createdAt)}
+        >
+          {loading ? "Loading..." : "More reviews"}
+        </button>
+      )}
+    </div>
+  );
+}
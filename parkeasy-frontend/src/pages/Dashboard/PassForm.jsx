@@ -0,0 +1,321 @@
+import { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import axios from "axios";
+import { API_BASE } from "../../config";
+import {
+  VEHICLE_TYPES,
+  WEEKDAYS,
+  formatDateTime,
+  getLotVehicleInfo,
+  toDateInputValue,
+} from "../../utils/bookingUtils";
+
+// Weekly/monthly pass for the same daily window, paid from the wallet
+export default function PassForm({
+  lot,
+  vehicleType,
+  walletBalance,
+  onClose,
+  onSuccess,
+}) {
+  const [form, setForm] = useState({
+    vehicleType,
+    vehicleNumber: "",
+    plan: "monthly",
+    days: [1, 2, 3, 4, 5],
+    startClock: "09:00",
+    endClock: "19:00",
+    startDate: toDateInputValue(),
+    autoRenew: true,
+  });
+  const [quote, setQuote] = useState(null);
+  const [quoteError, setQuoteError] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const navigate = useNavigate();
+
+  function update(field, value) {
+    setForm((prev) => ({ ...prev, [field]: value }));
+  }
+
+  function toggleDay(day) {
+    update(
+      "days",
+      form.days.includes(day)
+        ? form.days.filter((d) => d !== day)
+        : [...form.days, day]
+    );
+  }
+
+  // Price the pass whenever the plan, days or window change
+  useEffect(() => {
+    let cancelled = false;
+    setQuote(null);
+    setQuoteError("");
+    if (!form.days.length) return undefined;
+    const timer = setTimeout(async () => {
+      try {
+        const res = await axios.get(`${API_BASE}/api/passes/quote`, {
+          params: {
+            parkingLotId: lot._id,
+            vehicleType: form.vehicleType,
+            plan: form.plan,
+            days: form.days.join(","),
+            startClock: form.startClock,
+            endClock: form.endClock,
+            startDate: form.startDate,
+          },
+        });
+        if (!cancelled) setQuote(res.data);
+      } catch (err) {
+        if (!cancelled) {
+          setQuoteError(err.response?.data?.message || "Could not price pass");
+        }
+      }
+    }, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [
+    lot._id,
+    form.vehicleType,
+    form.plan,
+    form.days,
+    form.startClock,
+    form.endClock,
+    form.startDate,
+  ]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!form.vehicleNumber.trim()) {
+      setError("Please enter vehicle number");
+      return;
+    }
+
+    setLoading(true);
+    setError("");
+
+    try {
+      const token = localStorage.getItem("token");
+      await axios.post(
+        `${API_BASE}/api/passes`,
+        {
+          ...form,
+          parkingLotId: lot._id,
+          vehicleNumber: form.vehicleNumber.trim().toUpperCase(),
+        },
+        { headers: token ? { Authorization: `Bearer ${token}` } : {} }
+      );
+
+      try {
+        localStorage.setItem("bookings:refresh", "1");
+      } catch {
+        // ignore storage signaling errors
+      }
+
+      if (onSuccess) onSuccess();
+      onClose();
+      navigate("/booking-history");
+    } catch (err) {
+      setError(
+        err.response?.data?.message || err.message || "Failed to buy pass"
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const accepted = getLotVehicleInfo(lot, form.vehicleType).accepted;
+  const shortOfFunds =
+    quote != null && walletBalance != null && walletBalance < quote.amount;
+
+  return (
+    <form onSubmit={handleSubmit} className="booking-form">
+      <div className="form-group">
+        <label>Vehicle Type</label>
+        <select
+          value={form.vehicleType}
+          onChange={(e) => update("vehicleType", e.target.value)}
+          className="form-control"
+        >
+          {VEHICLE_TYPES.map((t) => {
+            const ok = getLotVehicleInfo(lot, t.value).accepted;
+            return (
+              <option key={t.value} value={t.value} disabled={!ok}>
+                {ok ? t.label : `${t.label} (not accepted)`}
+              </option>
+            );
+          })}
+        </select>
+      </div>
+
+      <div className="form-group">
+        <label>Vehicle Number *</label>
+        <input
+          type="text"
+          value={form.vehicleNumber}
+          onChange={(e) => update("vehicleNumber", e.target.value)}
+          placeholder="MH12AB1234"
+          className="form-control"
+          required
+        />
+      </div>
+
+      <div className="form-group">
+        <label>Plan</label>
+        <select
+          value={form.plan}
+          onChange={(e) => update("plan", e.target.value)}
+          className="form-control"
+        >
+          <option value="weekly">Weekly (10% off)</option>
+          <option value="monthly">Monthly (20% off)</option>
+        </select>
+      </div>
+
+      <div className="form-group">
+        <label>Days</label>
+        <div className="pass-days">
+          {WEEKDAYS.map((d) => (
+            <label key={d.value}>
+              <input
+                type="checkbox"
+                checked={form.days.includes(d.value)}
+                onChange={() => toggleDay(d.value)}
+              />
+              {d.label}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div className="form-group">
+        <label>Daily Window</label>
+        <div className="pass-window">
+          <input
+            type="time"
+            value={form.startClock}
+            onChange={(e) => update("startClock", e.target.value)}
+            className="form-control"
+            required
+          />
+          <input
+            type="time"
+            value={form.endClock}
+            onChange={(e) => update("endClock", e.target.value)}
+            className="form-control"
+            required
+          />
+        </div>
+      </div>
+
+      <div className="form-group">
+        <label>Starts On</label>
+        <input
+          type="date"
+          value={form.startDate}
+          min={toDateInputValue()}
+          onChange={(e) => update("startDate", e.target.value)}
+          className="form-control"
+          required
+        />
+      </div>
+
+      <div className="form-group">
+        <label className="pass-renew">
+          <input
+            type="checkbox"
+            checked={form.autoRenew}
+            onChange={(e) => update("autoRenew", e.target.checked)}
+          />
+          Renew from my wallet until I stop it
+        </label>
+      </div>
+
+      <div className="booking-summary">
+        {quote && (
+          <>
+            <div className="summary-row">
+              <span>Valid:</span>
+              <span>
+                {formatDateTime(quote.periodStart)} –{" "}
+                {formatDateTime(quote.periodEnd)}
+              </span>
+            </div>
+            <div className="summary-row">
+              <span>Days booked:</span>
+              <span>{quote.days.length}</span>
+            </div>
+            {quote.closedDays?.length > 0 && (
+              <div className="summary-row">
+                <span>Lot closed:</span>
+                <span>
+                  {quote.closedDays.map((d) => d.date).join(", ")} not included
+                </span>
+              </div>
+            )}
+            <div className="summary-row">
+              <span>Pass discount:</span>
+              <span>{quote.discountPercent}% off</span>
+            </div>
+          </>
+        )}
+        {quoteError && (
+          <div className="summary-row">
+            <span>{quoteError}</span>
+          </div>
+        )}
+        {walletBalance != null && (
+          <div className="summary-row">
+            <span>Wallet balance:</span>
+            <span>₹{walletBalance.toFixed(2)}</span>
+          </div>
+        )}
+        <div className="summary-row total">
+          <span>Total Price:</span>
+          <span>
+            {quote
+              ? `₹${quote.amount.toFixed(2)}`
+              : form.days.length
+              ? "Calculating…"
+              : "Pick at least one day"}
+          </span>
+        </div>
+      </div>
+
+      {shortOfFunds && (
+        <div className="error-message">
+          Top up your wallet to buy this pass.
+        </div>
+      )}
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="modal-actions">
+        <button
+          type="button"
+          onClick={onClose}
+          className="btn btn-secondary"
+          disabled={loading}
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          className="btn btn-primary"
+          disabled={
+            loading ||
+            !accepted ||
+            !quote ||
+            quote.days.length === 0 ||
+            shortOfFunds
+          }
+        >
+          {loading ? "Buying..." : "Buy Pass"}
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,330 @@
+import { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import axios from "axios";
+import { API_BASE } from "../../config";
+import {
+  VEHICLE_TYPES,
+  WEEKDAYS,
+  formatDateTime,
+  getLotVehicleInfo,
+  toDateInputValue,
+} from "../../utils/bookingUtils";
+
+// Recurring booking: the same window on chosen weekdays until an end date,
+// booked one occurrence at a time and paid from the wallet as a whole
+export default function SeriesForm({
+  lot,
+  vehicleType,
+  walletBalance,
+  onClose,
+  onSuccess,
+}) {
+  const [form, setForm] = useState(() => {
+    const today = new Date();
+    return {
+      vehicleType,
+      vehicleNumber: "",
+      days: [today.getDay()],
+      startClock: "10:00",
+      endClock: "13:00",
+      startDate: toDateInputValue(today),
+      endDate: toDateInputValue(
+        new Date(today.getTime() + 27 * 24 * 60 * 60 * 1000)
+      ),
+    };
+  });
+  const [quote, setQuote] = useState(null);
+  const [quoteError, setQuoteError] = useState("");
+  // Bumped to fetch a fresh quote when prices moved since the last one
+  const [requote, setRequote] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const navigate = useNavigate();
+
+  function update(field, value) {
+    setForm((prev) => ({ ...prev, [field]: value }));
+  }
+
+  function toggleDay(day) {
+    update(
+      "days",
+      form.days.includes(day)
+        ? form.days.filter((d) => d !== day)
+        : [...form.days, day]
+    );
+  }
+
+  // List and price the occurrences whenever the rule changes
+  useEffect(() => {
+    let cancelled = false;
+    setQuote(null);
+    setQuoteError("");
+    if (!form.days.length) return undefined;
+    const timer = setTimeout(async () => {
+      try {
+        const res = await axios.get(`${API_BASE}/api/booking-series/quote`, {
+          params: {
+            parkingLotId: lot._id,
+            vehicleType: form.vehicleType,
+            days: form.days.join(","),
+            startClock: form.startClock,
+            endClock: form.endClock,
+            startDate: form.startDate,
+            endDate: form.endDate,
+          },
+        });
+        if (!cancelled) setQuote(res.data);
+      } catch (err) {
+        if (!cancelled) {
+          setQuoteError(
+            err.response?.data?.message || "Could not price these dates"
+          );
+        }
+      }
+    }, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [
+    lot._id,
+    form.vehicleType,
+    form.days,
+    form.startClock,
+    form.endClock,
+    form.startDate,
+    form.endDate,
+    requote,
+  ]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!form.vehicleNumber.trim()) {
+      setError("Please enter vehicle number");
+      return;
+    }
+
+    setLoading(true);
+    setError("");
+
+    try {
+      const token = localStorage.getItem("token");
+      const res = await axios.post(
+        `${API_BASE}/api/booking-series`,
+        {
+          ...form,
+          parkingLotId: lot._id,
+          vehicleNumber: form.vehicleNumber.trim().toUpperCase(),
+          quotedAmount: quote.amount,
+        },
+        { headers: token ? { Authorization: `Bearer ${token}` } : {} }
+      );
+
+      try {
+        localStorage.setItem("bookings:refresh", "1");
+      } catch {
+        // ignore storage signaling errors
+      }
+
+      if (onSuccess) onSuccess();
+      onClose();
+
+      const skipped = res.data?.skipped || [];
+      if (skipped.length) {
+        window.alert(
+          `${res.data.message}. Not booked:\n\n${skipped
+            .map((s) => `${formatDateTime(s.startTime)} – ${s.reason}`)
+            .join("\n")}`
+        );
+      }
+      navigate("/booking-history");
+    } catch (err) {
+      if (err.response?.data?.code === "PRICE_CHANGED") {
+        setRequote((n) => n + 1);
+      }
+      setError(
+        err.response?.data?.message ||
+          err.message ||
+          "Failed to create recurring booking"
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const accepted = getLotVehicleInfo(lot, form.vehicleType).accepted;
+
+  return (
+    <form onSubmit={handleSubmit} className="booking-form">
+      <div className="form-group">
+        <label>Vehicle Type</label>
+        <select
+          value={form.vehicleType}
+          onChange={(e) => update("vehicleType", e.target.value)}
+          className="form-control"
+        >
+          {VEHICLE_TYPES.map((t) => {
+            const ok = getLotVehicleInfo(lot, t.value).accepted;
+            return (
+              <option key={t.value} value={t.value} disabled={!ok}>
+                {ok ? t.label : `${t.label} (not accepted)`}
+              </option>
+            );
+          })}
+        </select>
+      </div>
+
+      <div className="form-group">
+        <label>Vehicle Number *</label>
+        <input
+          type="text"
+          value={form.vehicleNumber}
+          onChange={(e) => update("vehicleNumber", e.target.value)}
+          placeholder="MH12AB1234"
+          className="form-control"
+          required
+        />
+      </div>
+
+      <div className="form-group">
+        <label>Repeat On</label>
+        <div className="pass-days">
+          {WEEKDAYS.map((d) => (
+            <label key={d.value}>
+              <input
+                type="checkbox"
+                checked={form.days.includes(d.value)}
+                onChange={() => toggleDay(d.value)}
+              />
+              {d.label}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div className="form-group">
+        <label>Time</label>
+        <div className="pass-window">
+          <input
+            type="time"
+            value={form.startClock}
+            onChange={(e) => update("startClock", e.target.value)}
+            className="form-control"
+            required
+          />
+          <input
+            type="time"
+            value={form.endClock}
+            onChange={(e) => update("endClock", e.target.value)}
+            className="form-control"
+            required
+          />
+        </div>
+      </div>
+
+      <div className="form-group">
+        <label>From – Until</label>
+        <div className="pass-window">
+          <input
+            type="date"
+            value={form.startDate}
+            min={toDateInputValue()}
+            onChange={(e) => update("startDate", e.target.value)}
+            className="form-control"
+            required
+          />
+          <input
+            type="date"
+            value={form.endDate}
+            min={form.startDate}
+            onChange={(e) => update("endDate", e.target.value)}
+            className="form-control"
+            required
+          />
+        </div>
+      </div>
+
+      <div className="booking-summary">
+        {quote && (
+          <>
+            <div className="summary-row">
+              <span>Occurrences:</span>
+              <span>{quote.occurrences.length}</span>
+            </div>
+            <div className="summary-row">
+              <span>First:</span>
+              <span>{formatDateTime(quote.occurrences[0].startTime)}</span>
+            </div>
+            <div className="summary-row">
+              <span>Last:</span>
+              <span>
+                {formatDateTime(
+                  quote.occurrences[quote.occurrences.length - 1].startTime
+                )}
+              </span>
+            </div>
+          </>
+        )}
+        {quote?.closed?.length > 0 && (
+          <div className="summary-row">
+            <span>Lot closed:</span>
+            <span>
+              {quote.closed.length} date{quote.closed.length !== 1 ? "s" : ""}{" "}
+              skipped
+            </span>
+          </div>
+        )}
+        {quoteError && (
+          <div className="summary-row">
+            <span>{quoteError}</span>
+          </div>
+        )}
+        {walletBalance != null && (
+          <div className="summary-row">
+            <span>Wallet balance:</span>
+            <span>₹{walletBalance.toFixed(2)}</span>
+          </div>
+        )}
+        <div className="summary-row">
+          <span>Payment:</span>
+          <span>Whole series from your wallet</span>
+        </div>
+        <div className="summary-row total">
+          <span>Total Price:</span>
+          <span>
+            {quote
+              ? `₹${quote.amount.toFixed(2)}`
+              : form.days.length
+              ? "Calculating…"
+              : "Pick at least one day"}
+          </span>
+        </div>
+      </div>
+
+      <p className="series-note">
+        Your wallet must cover the total. Occurrences that are full are skipped
+        (and not charged) and listed once the rest are booked.
+      </p>
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="modal-actions">
+        <button
+          type="button"
+          onClick={onClose}
+          className="btn btn-secondary"
+          disabled={loading}
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          className="btn btn-primary"
+          disabled={loading || !accepted || !quote}
+        >
+          {loading ? "Booking..." : "Book Series"}
+        </button>
+      </div>
+    </form>
+  );
+}
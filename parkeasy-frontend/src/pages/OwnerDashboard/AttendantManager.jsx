@@ -0,0 +1,133 @@
+import { useCallback, useEffect, useState } from "react";
+import axios from "axios";
+import { API_BASE } from "../../config";
+
+// Gate staff assignment shown inside an OwnerDashboard lot card
+export default function AttendantManager({ lot }) {
+  const [open, setOpen] = useState(false);
+  const [attendants, setAttendants] = useState([]);
+  const [email, setEmail] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [msg, setMsg] = useState("");
+
+  const headers = useCallback(() => {
+    const token = localStorage.getItem("token");
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  }, []);
+
+  const loadAttendants = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await axios.get(
+        `${API_BASE}/api/parkinglots/${lot._id}/attendants`,
+        { headers: headers() }
+      );
+      setAttendants(res.data?.attendants || []);
+    } catch (err) {
+      setMsg(err.response?.data?.message || "Failed to load attendants");
+    } finally {
+      setLoading(false);
+    }
+  }, [lot._id, headers]);
+
+  useEffect(() => {
+    if (open) loadAttendants();
+  }, [open, loadAttendants]);
+
+  async function addAttendant(e) {
+    e.preventDefault();
+    setMsg("");
+    try {
+      await axios.post(
+        `${API_BASE}/api/parkinglots/${lot._id}/attendants`,
+        { email },
+        { headers: headers() }
+      );
+      setEmail("");
+      setMsg("Attendant assigned");
+      await loadAttendants();
+    } catch (err) {
+      setMsg(err.response?.data?.message || "Failed to assign attendant");
+    }
+  }
+
+  async function removeAttendant(attendant) {
+    if (!window.confirm(`Remove ${attendant.name} from this lot's gates?`))
+      return;
+    setMsg("");
+    try {
+      await axios.delete(
+        `${API_BASE}/api/parkinglots/${lot._id}/attendants/${attendant._id}`,
+        { headers: headers() }
+      );
+      await loadAttendants();
+    } catch (err) {
+      setMsg(err.response?.data?.message || "Failed to remove attendant");
+    }
+  }
+
+  return (
+    <div className="bay-manager">
+      <button
+        type="button"
+        className="small-button"
+        onClick={() => setOpen((v) => !v)}
+      >
+        {open ? "Hide Attendants" : "Attendants"}
+      </button>
+      {open && (
+        <div className="bay-panel">
+          <p className="bay-note">
+            Attendants can scan passes and check vehicles in and out at this lot
+            from the Gate console. They need a ParkEasy account first.
+          </p>
+          {loading && <p className="bay-note">Loading attendants…</p>}
+          {!loading && attendants.length === 0 && (
+            <p className="bay-note">No attendants assigned.</p>
+          )}
+          {!loading && attendants.length > 0 && (
+            <ul className="attendant-list">
+              {attendants.map((a) => (
+                <li key={a._id}>
+                  <span>
+                    {a.name} <small>{a.email}</small>
+                  </span>
+                  <button
+                    type="button"
+                    className="small-button"
+                    onClick={() => removeAttendant(a)}
+                  >
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          <form className="bay-generate" onSubmit={addAttendant}>
+            <label>
+              Email
+              <input
+                type="email"
+                required
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+              />
+            </label>
+            <button type="submit" className="small-button">
+              Assign
+            </button>
+          </form>
+          {msg && (
+            <p
+              className={`bay-note${
+                msg === "Attendant assigned" ? "" : " bay-error"
+              }`}
+            >
+              {msg}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
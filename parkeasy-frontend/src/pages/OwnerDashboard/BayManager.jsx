@@ -0,0 +1,173 @@
+import { useCallback, useEffect, useState } from "react";
+import axios from "axios";
+import { API_BASE } from "../../config";
+
+// Per-lot bay layout editor shown inside an OwnerDashboard lot card
+export default function BayManager({ lot, onChanged }) {
+  const [open, setOpen] = useState(false);
+  const [slots, setSlots] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [msg, setMsg] = useState("");
+  const [levels, setLevels] = useState("G");
+  const [perLevel, setPerLevel] = useState(lot.totalSlots || 10);
+  const [busyCode, setBusyCode] = useState(null);
+
+  const headers = useCallback(() => {
+    const token = localStorage.getItem("token");
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  }, []);
+
+  const loadSlots = useCallback(async () => {
+    setLoading(true);
+    setMsg("");
+    try {
+      const res = await axios.get(
+        `${API_BASE}/api/parkinglots/${lot._id}/slots`,
+        { headers: headers() }
+      );
+      setSlots(res.data?.slots || []);
+    } catch (err) {
+      setMsg(err.response?.data?.message || "Failed to load bays");
+    } finally {
+      setLoading(false);
+    }
+  }, [lot._id, headers]);
+
+  useEffect(() => {
+    if (open) loadSlots();
+  }, [open, loadSlots]);
+
+  async function generateLayout(e) {
+    e.preventDefault();
+    const levelList = levels
+      .split(",")
+      .map((l) => l.trim())
+      .filter(Boolean);
+    if (!levelList.length) {
+      setMsg("Enter at least one level, e.g. G, L1");
+      return;
+    }
+    if (
+      slots.length &&
+      !window.confirm("Replace the existing bay layout for this lot?")
+    )
+      return;
+    setLoading(true);
+    setMsg("");
+    try {
+      await axios.put(
+        `${API_BASE}/api/parkinglots/${lot._id}/slots`,
+        { generate: { levels: levelList, perLevel: Number(perLevel) } },
+        { headers: headers() }
+      );
+      await loadSlots();
+      if (onChanged) onChanged();
+    } catch (err) {
+      setMsg(err.response?.data?.message || "Failed to save bay layout");
+      setLoading(false);
+    }
+  }
+
+  async function toggleSlot(slot) {
+    setBusyCode(slot.code);
+    setMsg("");
+    try {
+      await axios.patch(
+        `${API_BASE}/api/parkinglots/${lot._id}/slots/${encodeURIComponent(
+          slot.code
+        )}`,
+        { enabled: !slot.enabled },
+        { headers: headers() }
+      );
+      setSlots((prev) =>
+        prev.map((s) =>
+          s.code === slot.code ? { ...s, enabled: !slot.enabled } : s
+        )
+      );
+      if (onChanged) onChanged();
+    } catch (err) {
+      setMsg(err.response?.data?.message || "Failed to update bay");
+    } finally {
+      setBusyCode(null);
+    }
+  }
+
+  const enabledCount = slots.filter((s) => s.enabled).length;
+
+  return (
+    <div className="bay-manager">
+      <button
+        type="button"
+        className="small-button"
+        onClick={() => setOpen((v) => !v)}
+      >
+        {open ? "Hide Bays" : "Manage Bays"}
+      </button>
+      {open && (
+        <div className="bay-panel">
+          {loading && <p className="bay-note">Loading bays…</p>}
+          {!loading && slots.length > 0 && (
+            <>
+              <p className="bay-note">
+                {enabledCount} of {slots.length} bays in service. Click a bay to
+                take it out of (or back into) service.
+              </p>
+              <div className="bay-grid">
+                {slots.map((slot) => (
+                  <button
+                    type="button"
+                    key={slot.code}
+                    className={`bay-chip${slot.enabled ? "" : " bay-off"}${
+                      slot.occupiedBy ? " bay-occupied" : ""
+                    }`}
+                    title={
+                      slot.occupiedBy
+                        ? `Occupied by ${slot.occupiedBy.vehicleNumber}${
+                            slot.occupiedBy.overstay
+                              ? " (overstaying)"
+                              : slot.occupiedBy.walkin
+                              ? " (walk-in)"
+                              : ""
+                          }`
+                        : slot.enabled
+                        ? "Free"
+                        : "Out of service"
+                    }
+                    disabled={busyCode === slot.code}
+                    onClick={() => toggleSlot(slot)}
+                  >
+                    {slot.code}
+                  </button>
+                ))}
+              </div>
+            </>
+          )}
+          <form className="bay-generate" onSubmit={generateLayout}>
+            <label>
+              Levels
+              <input
+                value={levels}
+                onChange={(e) => setLevels(e.target.value)}
+                placeholder="G, L1, L2"
+              />
+            </label>
+            <label>
+              Bays per level
+              <input
+                type="number"
+                min="1"
+                max="1000"
+                value={perLevel}
+                onChange={(e) => setPerLevel(e.target.value)}
+              />
+            </label>
+            <button type="submit" className="small-button" disabled={loading}>
+              {slots.length ? "Regenerate Layout" : "Create Bays"}
+            </button>
+          </form>
+          {msg && <p className="bay-note bay-error">{msg}</p>}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,107 @@
+import { useState } from "react";
+import axios from "axios";
+import { API_BASE } from "../../config";
+
+// Build the form state from a lot's saved policy (older lots have none)
+function toForm(lot) {
+  const policy = lot.cancellationPolicy || {};
+  return {
+    freeUntilMinutes: policy.freeUntilMinutes ?? 60,
+    partialRefundPercent: policy.partialRefundPercent ?? 50,
+  };
+}
+
+// Cancellation refund tiers editor shown inside an OwnerDashboard lot card
+export default function CancellationPolicyManager({ lot, onChanged }) {
+  const [open, setOpen] = useState(false);
+  const [form, setForm] = useState(() => toForm(lot));
+  const [saving, setSaving] = useState(false);
+  const [msg, setMsg] = useState("");
+
+  function update(field, value) {
+    setForm((prev) => ({ ...prev, [field]: value }));
+  }
+
+  async function savePolicy(e) {
+    e.preventDefault();
+    setSaving(true);
+    setMsg("");
+    try {
+      const token = localStorage.getItem("token");
+      await axios.put(
+        `${API_BASE}/api/parkinglots/${lot._id}/cancellation-policy`,
+        {
+          freeUntilMinutes: Number(form.freeUntilMinutes),
+          partialRefundPercent: Number(form.partialRefundPercent),
+        },
+        { headers: token ? { Authorization: `Bearer ${token}` } : {} }
+      );
+      setMsg("Cancellation policy saved");
+      if (onChanged) onChanged();
+    } catch (err) {
+      setMsg(
+        err.response?.data?.message || "Failed to save cancellation policy"
+      );
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className="bay-manager">
+      <button
+        type="button"
+        className="small-button"
+        onClick={() => {
+          if (!open) setForm(toForm(lot));
+          setOpen((v) => !v);
+        }}
+      >
+        {open ? "Hide Cancellation Policy" : "Cancellation Policy"}
+      </button>
+      {open && (
+        <div className="bay-panel">
+          <p className="bay-note">
+            Drivers get everything back when they cancel early enough, the
+            partial refund when they cancel later but before the start, and
+            nothing once the booking has started.
+          </p>
+          <form className="bay-generate" onSubmit={savePolicy}>
+            <label>
+              Free until (min before)
+              <input
+                type="number"
+                min="0"
+                max="10080"
+                value={form.freeUntilMinutes}
+                onChange={(e) => update("freeUntilMinutes", e.target.value)}
+              />
+            </label>
+            <label>
+              Late refund %
+              <input
+                type="number"
+                min="0"
+                max="100"
+                value={form.partialRefundPercent}
+                onChange={(e) => update("partialRefundPercent", e.target.value)}
+              />
+            </label>
+            <button type="submit" className="small-button" disabled={saving}>
+              {saving ? "Saving…" : "Save"}
+            </button>
+          </form>
+          {msg && (
+            <p
+              className={`bay-note${
+                msg === "Cancellation policy saved" ? "" : " bay-error"
+              }`}
+            >
+              {msg}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
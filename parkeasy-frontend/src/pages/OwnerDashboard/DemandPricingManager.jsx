@@ -0,0 +1,210 @@
+import { useCallback, useEffect, useState } from "react";
+import axios from "axios";
+import { API_BASE } from "../../config";
+import { formatDateTime } from "../../utils/bookingUtils";
+
+const DEFAULTS = {
+  enabled: false,
+  minMultiplier: 0.8,
+  maxMultiplier: 1.5,
+  lowOccupancy: 0.3,
+  highOccupancy: 0.8,
+  forecastHours: 2,
+};
+
+// Demand (surge) pricing settings and price history shown inside an OwnerDashboard lot card
+export default function DemandPricingManager({ lot, onChanged }) {
+  const [open, setOpen] = useState(false);
+  const [settings, setSettings] = useState({
+    ...DEFAULTS,
+    ...(lot.demandPricing || {}),
+  });
+  const [multiplier, setMultiplier] = useState(lot.demandMultiplier || 1);
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [msg, setMsg] = useState("");
+
+  const headers = useCallback(() => {
+    const token = localStorage.getItem("token");
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  }, []);
+
+  const loadHistory = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await axios.get(
+        `${API_BASE}/api/parkinglots/${lot._id}/price-history`,
+        { headers: headers() }
+      );
+      setHistory(res.data?.history || []);
+      if (res.data?.demandMultiplier) setMultiplier(res.data.demandMultiplier);
+    } catch (err) {
+      setMsg(err.response?.data?.message || "Failed to load price history");
+    } finally {
+      setLoading(false);
+    }
+  }, [lot._id, headers]);
+
+  useEffect(() => {
+    if (open) loadHistory();
+  }, [open, loadHistory]);
+
+  function update(field, value) {
+    setSettings((prev) => ({ ...prev, [field]: value }));
+  }
+
+  async function saveSettings(e) {
+    e.preventDefault();
+    setMsg("");
+    try {
+      const body = {
+        enabled: settings.enabled,
+        minMultiplier: Number(settings.minMultiplier),
+        maxMultiplier: Number(settings.maxMultiplier),
+        lowOccupancy: Number(settings.lowOccupancy),
+        highOccupancy: Number(settings.highOccupancy),
+        forecastHours: Number(settings.forecastHours),
+      };
+      const res = await axios.put(
+        `${API_BASE}/api/parkinglots/${lot._id}/demand-pricing`,
+        body,
+        { headers: headers() }
+      );
+      setMultiplier(res.data?.demandMultiplier || 1);
+      setMsg("Demand pricing saved");
+      await loadHistory();
+      if (onChanged) onChanged();
+    } catch (err) {
+      setMsg(err.response?.data?.message || "Failed to save demand pricing");
+    }
+  }
+
+  const percentInput = (field) => (
+    <input
+      type="number"
+      min="0"
+      max="100"
+      value={Math.round(Number(settings[field]) * 100)}
+      disabled={!settings.enabled}
+      onChange={(e) => update(field, Number(e.target.value) / 100)}
+    />
+  );
+
+  return (
+    <div className="bay-manager">
+      <button
+        type="button"
+        className="small-button"
+        onClick={() => setOpen((v) => !v)}
+      >
+        {open ? "Hide Demand Pricing" : "Demand Pricing"}
+      </button>
+      {open && (
+        <div className="bay-panel">
+          <p className="bay-note">
+            Current multiplier: <b>×{multiplier}</b>. The hourly rate drops
+            towards the floor when the lot is quiet and rises towards the
+            ceiling when it is filling up, now or within the forecast window.
+          </p>
+          <form className="bay-generate" onSubmit={saveSettings}>
+            <label className="rate-toggle">
+              <input
+                type="checkbox"
+                checked={settings.enabled}
+                onChange={(e) => update("enabled", e.target.checked)}
+              />
+              Enabled
+            </label>
+            <label>
+              Floor ×
+              <input
+                type="number"
+                min="0.1"
+                max="1"
+                step="0.05"
+                value={settings.minMultiplier}
+                disabled={!settings.enabled}
+                onChange={(e) => update("minMultiplier", e.target.value)}
+              />
+            </label>
+            <label>
+              Ceiling ×
+              <input
+                type="number"
+                min="1"
+                max="5"
+                step="0.05"
+                value={settings.maxMultiplier}
+                disabled={!settings.enabled}
+                onChange={(e) => update("maxMultiplier", e.target.value)}
+              />
+            </label>
+            <label>Quiet below %{percentInput("lowOccupancy")}</label>
+            <label>Busy above %{percentInput("highOccupancy")}</label>
+            <label>
+              Forecast hours
+              <input
+                type="number"
+                min="0"
+                max="24"
+                value={settings.forecastHours}
+                disabled={!settings.enabled}
+                onChange={(e) => update("forecastHours", e.target.value)}
+              />
+            </label>
+            <button type="submit" className="small-button">
+              Save
+            </button>
+          </form>
+          {msg && (
+            <p
+              className={`bay-note${
+                msg === "Demand pricing saved" ? "" : " bay-error"
+              }`}
+            >
+              {msg}
+            </p>
+          )}
+          {loading && <p className="bay-note">Loading price history…</p>}
+          {!loading && history.length === 0 && (
+            <p className="bay-note">No price changes yet.</p>
+          )}
+          {!loading && history.length > 0 && (
+            <table className="price-history">
+              <thead>
+                <tr>
+                  <th>When</th>
+                  <th>Change</th>
+                  <th>Occupancy</th>
+                  <th>Forecast</th>
+                  <th>Reason</th>
+                </tr>
+              </thead>
+              <tbody>
+                {history.map((h) => (
+                  <tr key={h._id}>
+                    <td>{formatDateTime(h.createdAt)}</td>
+                    <td>
+                      ×{h.previousMultiplier} → ×{h.multiplier}
+                    </td>
+                    <td>
+                      {h.occupancy != null
+                        ? `${Math.round(h.occupancy * 100)}%`
+                        : "-"}
+                    </td>
+                    <td>
+                      {h.forecastOccupancy != null
+                        ? `${Math.round(h.forecastOccupancy * 100)}%`
+                        : "-"}
+                    </td>
+                    <td>{h.reason === "settings" ? "Settings" : "Demand"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
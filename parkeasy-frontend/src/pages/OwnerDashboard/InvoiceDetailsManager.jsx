@@ -0,0 +1,117 @@
+import { useState } from "react";
+import axios from "axios";
+import { API_BASE } from "../../config";
+
+// Build the form state from a lot's saved invoice details (older lots have none)
+function toForm(lot) {
+  const details = lot.invoiceDetails || {};
+  return {
+    legalName: details.legalName || "",
+    gstin: details.gstin || "",
+    gstRate: details.gstRate ?? 18,
+  };
+}
+
+// Business name and GST registration printed on the lot's invoices
+export default function InvoiceDetailsManager({ lot, onChanged }) {
+  const [open, setOpen] = useState(false);
+  const [form, setForm] = useState(() => toForm(lot));
+  const [saving, setSaving] = useState(false);
+  const [msg, setMsg] = useState("");
+
+  function update(field, value) {
+    setForm((prev) => ({ ...prev, [field]: value }));
+  }
+
+  async function saveDetails(e) {
+    e.preventDefault();
+    setSaving(true);
+    setMsg("");
+    try {
+      const token = localStorage.getItem("token");
+      await axios.put(
+        `${API_BASE}/api/parkinglots/${lot._id}/invoice-details`,
+        {
+          legalName: form.legalName,
+          gstin: form.gstin,
+          gstRate: Number(form.gstRate),
+        },
+        { headers: token ? { Authorization: `Bearer ${token}` } : {} }
+      );
+      setMsg("Invoice details saved");
+      if (onChanged) onChanged();
+    } catch (err) {
+      setMsg(err.response?.data?.message || "Failed to save invoice details");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className="bay-manager">
+      <button
+        type="button"
+        className="small-button"
+        onClick={() => {
+          if (!open) setForm(toForm(lot));
+          setOpen((v) => !v);
+        }}
+      >
+        {open ? "Hide Invoice Details" : "Invoice Details"}
+      </button>
+      {open && (
+        <div className="bay-panel">
+          <p className="bay-note">
+            With a GSTIN, invoices are tax invoices showing CGST and SGST
+            included in the price. Without one they are bills of supply.
+            Invoices already issued keep the details they were issued with.
+          </p>
+          <form className="bay-generate" onSubmit={saveDetails}>
+            <label>
+              Business name
+              <input
+                className="invoice-wide"
+                value={form.legalName}
+                placeholder={lot.name}
+                onChange={(e) => update("legalName", e.target.value)}
+              />
+            </label>
+            <label>
+              GSTIN
+              <input
+                className="invoice-wide"
+                value={form.gstin}
+                maxLength={15}
+                placeholder="24ABCDE1234F1Z5"
+                onChange={(e) => update("gstin", e.target.value.toUpperCase())}
+              />
+            </label>
+            <label>
+              GST %
+              <input
+                type="number"
+                min="0"
+                max="28"
+                step="0.5"
+                value={form.gstRate}
+                onChange={(e) => update("gstRate", e.target.value)}
+              />
+            </label>
+            <button type="submit" className="small-button" disabled={saving}>
+              {saving ? "Saving…" : "Save"}
+            </button>
+          </form>
+          {msg && (
+            <p
+              className={`bay-note${
+                msg === "Invoice details saved" ? "" : " bay-error"
+              }`}
+            >
+              {msg}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
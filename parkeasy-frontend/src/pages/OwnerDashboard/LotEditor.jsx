@@ -0,0 +1,295 @@
+import { useState } from "react";
+import axios from "axios";
+import { API_BASE } from "../../config";
+import { LOT_TYPES, AMENITIES } from "../../utils/lotFeatures";
+
+// Build the form state from a lot's current details
+function toForm(lot) {
+  const [lng, lat] = lot.location?.coordinates || [];
+  return {
+    name: lot.name || "",
+    pricePerHour: lot.pricePerHour ?? "",
+    totalSlots: lot.totalSlots ?? "",
+    line1: lot.address?.line1 || "",
+    city: lot.address?.city || "",
+    pincode: lot.address?.pincode || "",
+    latitude: lat ?? "",
+    longitude: lng ?? "",
+    lotType: lot.lotType || "",
+    amenities: AMENITIES.filter((a) => lot.amenities?.[a.value]).map(
+      (a) => a.value
+    ),
+  };
+}
+
+// Edit a lot's details, close it to new bookings or reopen it, or delete it
+export default function LotEditor({ lot, onChanged }) {
+  const [open, setOpen] = useState(false);
+  const [form, setForm] = useState(() => toForm(lot));
+  const [saving, setSaving] = useState(false);
+  const [msg, setMsg] = useState("");
+  const hasBays = (lot.slots || []).length > 0;
+  const closed = lot.isActive === false;
+  const headers = () => {
+    const token = localStorage.getItem("token");
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  };
+
+  function update(field, value) {
+    setForm((prev) => ({ ...prev, [field]: value }));
+  }
+
+  function toggleAmenity(value, checked) {
+    setForm((prev) => ({
+      ...prev,
+      amenities: checked
+        ? [...prev.amenities, value]
+        : prev.amenities.filter((a) => a !== value),
+    }));
+  }
+
+  async function saveDetails(e) {
+    e.preventDefault();
+    setSaving(true);
+    setMsg("");
+    try {
+      await axios.put(
+        `${API_BASE}/api/parkinglots/${lot._id}`,
+        {
+          name: form.name,
+          pricePerHour: Number(form.pricePerHour),
+          ...(hasBays ? {} : { totalSlots: Number(form.totalSlots) }),
+          address: {
+            line1: form.line1,
+            city: form.city,
+            pincode: form.pincode,
+          },
+          latitude: form.latitude,
+          longitude: form.longitude,
+          lotType: form.lotType,
+          amenities: form.amenities,
+        },
+        { headers: headers() }
+      );
+      setMsg("Lot details saved");
+      if (onChanged) onChanged();
+    } catch (err) {
+      setMsg(err.response?.data?.message || "Failed to save lot details");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function toggleClosed() {
+    let reason;
+    if (!closed) {
+      reason = window.prompt(
+        "Close this lot to new bookings? Drivers already booked keep their bookings and everyone on the waitlist is told.\n\nReason shown to drivers (optional):",
+        ""
+      );
+      if (reason === null) return;
+    }
+    setSaving(true);
+    setMsg("");
+    try {
+      const res = await axios.patch(
+        `${API_BASE}/api/parkinglots/${lot._id}/status`,
+        { isActive: closed, reason },
+        { headers: headers() }
+      );
+      if (!closed && res.data?.upcoming > 0) {
+        window.alert(
+          `Lot closed. ${res.data.upcoming} upcoming bookings are still on - cancel them from the bookings list if you can't honour them.`
+        );
+      }
+      if (onChanged) onChanged();
+    } catch (err) {
+      setMsg(err.response?.data?.message || "Failed to update lot");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function deleteLot() {
+    if (
+      !window.confirm(
+        `Delete ${lot.name}? Past bookings and invoices are kept, but the lot can't be restored.`
+      )
+    ) {
+      return;
+    }
+    setSaving(true);
+    setMsg("");
+    try {
+      await axios.delete(`${API_BASE}/api/parkinglots/${lot._id}`, {
+        headers: headers(),
+      });
+      if (onChanged) onChanged();
+    } catch (err) {
+      setMsg(err.response?.data?.message || "Failed to delete lot");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className="bay-manager">
+      {closed && (
+        <p className="bay-note bay-error">
+          Closed to new bookings
+          {lot.closedReason ? ` – ${lot.closedReason}` : ""}
+        </p>
+      )}
+      <button
+        type="button"
+        className="small-button"
+        onClick={() => {
+          if (!open) setForm(toForm(lot));
+          setOpen((v) => !v);
+        }}
+      >
+        {open ? "Hide Lot Details" : "Edit Lot"}
+      </button>
+      {open && (
+        <div className="bay-panel">
+          <form className="bay-generate" onSubmit={saveDetails}>
+            <label>
+              Name
+              <input
+                className="invoice-wide"
+                value={form.name}
+                onChange={(e) => update("name", e.target.value)}
+                required
+              />
+            </label>
+            <label>
+              ₹/hour
+              <input
+                type="number"
+                min="1"
+                step="0.5"
+                value={form.pricePerHour}
+                onChange={(e) => update("pricePerHour", e.target.value)}
+                required
+              />
+            </label>
+            <label>
+              Slots
+              <input
+                type="number"
+                min="1"
+                value={form.totalSlots}
+                disabled={hasBays}
+                onChange={(e) => update("totalSlots", e.target.value)}
+                required
+              />
+            </label>
+            <label>
+              Address
+              <input
+                className="invoice-wide"
+                value={form.line1}
+                onChange={(e) => update("line1", e.target.value)}
+              />
+            </label>
+            <label>
+              City
+              <input
+                value={form.city}
+                onChange={(e) => update("city", e.target.value)}
+              />
+            </label>
+            <label>
+              Pincode
+              <input
+                value={form.pincode}
+                maxLength={6}
+                onChange={(e) => update("pincode", e.target.value)}
+              />
+            </label>
+            <label>
+              Latitude
+              <input
+                type="number"
+                step="any"
+                value={form.latitude}
+                onChange={(e) => update("latitude", e.target.value)}
+                required
+              />
+            </label>
+            <label>
+              Longitude
+              <input
+                type="number"
+                step="any"
+                value={form.longitude}
+                onChange={(e) => update("longitude", e.target.value)}
+                required
+              />
+            </label>
+            <label>
+              Type
+              <select
+                value={form.lotType}
+                onChange={(e) => update("lotType", e.target.value)}
+              >
+                <option value="">Not set</option>
+                {LOT_TYPES.map((t) => (
+                  <option key={t.value} value={t.value}>
+                    {t.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            {AMENITIES.map((a) => (
+              <label className="rate-toggle" key={a.value}>
+                <input
+                  type="checkbox"
+                  checked={form.amenities.includes(a.value)}
+                  onChange={(e) => toggleAmenity(a.value, e.target.checked)}
+                />
+                {a.icon} {a.label}
+              </label>
+            ))}
+            <button type="submit" className="small-button" disabled={saving}>
+              {saving ? "Saving…" : "Save"}
+            </button>
+          </form>
+          {hasBays && (
+            <p className="bay-note">
+              Capacity follows the bay layout – add or disable bays to change
+              it.
+            </p>
+          )}
+          <div className="bay-generate">
+            <button
+              type="button"
+              className="small-button"
+              disabled={saving}
+              onClick={toggleClosed}
+            >
+              {closed ? "Reopen Lot" : "Close Lot"}
+            </button>
+            <button
+              type="button"
+              className="small-button"
+              disabled={saving}
+              onClick={deleteLot}
+            >
+              Delete Lot
+            </button>
+          </div>
+        </div>
+      )}
+      {msg && (
+        <p
+          className={`bay-note${
+            msg === "Lot details saved" ? "" : " bay-error"
+          }`}
+        >
+          {msg}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,230 @@
+import { useState } from "react";
+import axios from "axios";
+import { API_BASE } from "../../config";
+import { WEEKDAYS } from "../../utils/bookingUtils";
+
+// Build the form state from a lot's saved opening hours (older lots are 24x7)
+function toForm(lot) {
+  const hours = lot.openingHours || {};
+  const weekly = hours.weekly || [];
+  return {
+    alwaysOpen: hours.alwaysOpen !== false,
+    days: WEEKDAYS.map((d) => {
+      const window = weekly.find((w) => w.day === d.value);
+      return {
+        day: d.value,
+        label: d.label,
+        enabled: Boolean(window),
+        open: window?.open || "08:00",
+        close: window?.close || "22:00",
+      };
+    }),
+    closures: (hours.closures || []).map((c) => ({ ...c })),
+  };
+}
+
+// Weekly opening hours (or 24x7) and dated holiday closures; new bookings and
+// extensions must fit inside them
+export default function OpeningHoursManager({ lot, onChanged }) {
+  const [open, setOpen] = useState(false);
+  const [form, setForm] = useState(() => toForm(lot));
+  const [closure, setClosure] = useState({ from: "", to: "", reason: "" });
+  const [saving, setSaving] = useState(false);
+  const [msg, setMsg] = useState("");
+
+  function updateDay(day, changes) {
+    setForm((prev) => ({
+      ...prev,
+      days: prev.days.map((d) => (d.day === day ? { ...d, ...changes } : d)),
+    }));
+  }
+
+  function addClosure() {
+    if (!closure.from) return;
+    setForm((prev) => ({
+      ...prev,
+      closures: [
+        ...prev.closures,
+        { ...closure, to: closure.to || closure.from },
+      ],
+    }));
+    setClosure({ from: "", to: "", reason: "" });
+  }
+
+  function removeClosure(index) {
+    setForm((prev) => ({
+      ...prev,
+      closures: prev.closures.filter((_, i) => i !== index),
+    }));
+  }
+
+  async function saveHours(e) {
+    e.preventDefault();
+    setSaving(true);
+    setMsg("");
+    try {
+      const token = localStorage.getItem("token");
+      await axios.put(
+        `${API_BASE}/api/parkinglots/${lot._id}/opening-hours`,
+        {
+          alwaysOpen: form.alwaysOpen,
+          weekly: form.days
+            .filter((d) => d.enabled)
+            .map((d) => ({ day: d.day, open: d.open, close: d.close })),
+          closures: form.closures,
+        },
+        { headers: token ? { Authorization: `Bearer ${token}` } : {} }
+      );
+      setMsg("Opening hours saved");
+      if (onChanged) onChanged();
+    } catch (err) {
+      setMsg(err.response?.data?.message || "Failed to save opening hours");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className="bay-manager">
+      <button
+        type="button"
+        className="small-button"
+        onClick={() => {
+          if (!open) setForm(toForm(lot));
+          setOpen((v) => !v);
+        }}
+      >
+        {open ? "Hide Opening Hours" : "Opening Hours"}
+      </button>
+      {open && (
+        <form className="bay-panel" onSubmit={saveHours}>
+          <p className="bay-note">
+            Times are lot-local. A closing time earlier than the opening time
+            runs past midnight; use 24:00 to close at midnight. Bookings already
+            made are kept when the hours change.
+          </p>
+          <div className="bay-generate">
+            <label className="rate-toggle">
+              <input
+                type="checkbox"
+                checked={form.alwaysOpen}
+                onChange={(e) =>
+                  setForm((prev) => ({ ...prev, alwaysOpen: e.target.checked }))
+                }
+              />
+              Open 24x7
+            </label>
+          </div>
+          {!form.alwaysOpen &&
+            form.days.map((d) => (
+              <div className="bay-generate" key={d.day}>
+                <label className="rate-toggle">
+                  <input
+                    type="checkbox"
+                    checked={d.enabled}
+                    onChange={(e) =>
+                      updateDay(d.day, { enabled: e.target.checked })
+                    }
+                  />
+                  {d.label}
+                </label>
+                <label>
+                  Opens
+                  <input
+                    value={d.open}
+                    placeholder="08:00"
+                    disabled={!d.enabled}
+                    required={d.enabled}
+                    onChange={(e) => updateDay(d.day, { open: e.target.value })}
+                  />
+                </label>
+                <label>
+                  Closes
+                  <input
+                    value={d.close}
+                    placeholder="22:00"
+                    disabled={!d.enabled}
+                    required={d.enabled}
+                    onChange={(e) =>
+                      updateDay(d.day, { close: e.target.value })
+                    }
+                  />
+                </label>
+              </div>
+            ))}
+          <p className="bay-note">Closed on (holidays, maintenance):</p>
+          {form.closures.map((c, i) => (
+            <div className="bay-generate" key={`${c.from}-${i}`}>
+              <span className="bay-note">
+                {c.from === c.to ? c.from : `${c.from} – ${c.to}`}
+                {c.reason ? ` · ${c.reason}` : ""}
+              </span>
+              <button
+                type="button"
+                className="small-button"
+                onClick={() => removeClosure(i)}
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+          <div className="bay-generate">
+            <label>
+              From
+              <input
+                type="date"
+                value={closure.from}
+                onChange={(e) =>
+                  setClosure((prev) => ({ ...prev, from: e.target.value }))
+                }
+              />
+            </label>
+            <label>
+              To
+              <input
+                type="date"
+                value={closure.to}
+                min={closure.from || undefined}
+                onChange={(e) =>
+                  setClosure((prev) => ({ ...prev, to: e.target.value }))
+                }
+              />
+            </label>
+            <label>
+              Reason
+              <input
+                value={closure.reason}
+                placeholder="Diwali"
+                onChange={(e) =>
+                  setClosure((prev) => ({ ...prev, reason: e.target.value }))
+                }
+              />
+            </label>
+            <button
+              type="button"
+              className="small-button"
+              disabled={!closure.from}
+              onClick={addClosure}
+            >
+              Add Closure
+            </button>
+          </div>
+          <div>
+            <button type="submit" className="small-button" disabled={saving}>
+              {saving ? "Saving…" : "Save Hours"}
+            </button>
+          </div>
+          {msg && (
+            <p
+              className={`bay-note${
+                msg === "Opening hours saved" ? "" : " bay-error"
+              }`}
+            >
+              {msg}
+            </p>
+          )}
+        </form>
+      )}
+    </div>
+  );
+}
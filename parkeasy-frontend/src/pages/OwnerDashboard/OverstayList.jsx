@@ -0,0 +1,132 @@
+import { useState } from "react";
+import axios from "axios";
+import { API_BASE } from "../../config";
+import { formatDateTime } from "../../utils/bookingUtils";
+
+function formatOverstay(minutes) {
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  return h ? `${h} h ${m} min` : `${m} min`;
+}
+
+function feeLabel(b) {
+  return b.overstayCharge
+    ? `₹${b.overstayCharge.amount}`
+    : `In grace until ${formatDateTime(b.graceEndsAt)}`;
+}
+
+// Vehicles still parked past their booking at the owner's lots
+export default function OverstayList({ overstays, lots, onChanged }) {
+  const [busy, setBusy] = useState({});
+
+  async function checkOut(b) {
+    const fee = b.overstayCharge
+      ? ` and charge ₹${b.overstayCharge.amount}`
+      : "";
+    if (!window.confirm(`Check out ${b.vehicleNumber}${fee}?`)) return;
+    setBusy((s) => ({ ...s, [b._id]: true }));
+    try {
+      const token = localStorage.getItem("token");
+      await axios.post(
+        `${API_BASE}/api/bookings/${b._id}/checkout`,
+        {},
+        { headers: token ? { Authorization: `Bearer ${token}` } : {} }
+      );
+      if (onChanged) onChanged();
+    } catch (err) {
+      alert(err.response?.data?.message || "Failed to check out vehicle");
+    } finally {
+      setBusy((s) => ({ ...s, [b._id]: false }));
+    }
+  }
+
+  const lotName = (b) =>
+    lots.find((l) => l._id === b.parkingLotId)?.name || b.parkingLotName;
+
+  const checkOutButton = (b) => (
+    <button
+      className="small-button"
+      disabled={!!busy[b._id]}
+      onClick={() => checkOut(b)}
+    >
+      {busy[b._id] ? "Checking out…" : "Check Out"}
+    </button>
+  );
+
+  return (
+    <section className="owner-overstays">
+      <h3>Overstaying Vehicles ({overstays.length})</h3>
+      {overstays.length === 0 && <p>No vehicles past their booking.</p>}
+      {overstays.length > 0 && (
+        <div className="booking-group">
+          {/* Desktop table view */}
+          <table className="booking-table">
+            <thead>
+              <tr>
+                <th>Lot</th>
+                <th>Customer</th>
+                <th>Vehicle</th>
+                <th>Bay</th>
+                <th>Booked Until</th>
+                <th>Over By</th>
+                <th>Fee</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {overstays.map((b) => (
+                <tr key={b._id}>
+                  <td>{lotName(b)}</td>
+                  <td>{b.userName || "N/A"}</td>
+                  <td>
+                    {b.vehicleNumber} ({b.vehicleType})
+                  </td>
+                  <td>{b.slotCode || "—"}</td>
+                  <td>{formatDateTime(b.endTime)}</td>
+                  <td>{formatOverstay(b.overstayMinutes)}</td>
+                  <td>{feeLabel(b)}</td>
+                  <td>{checkOutButton(b)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {/* Mobile card view */}
+          <div className="booking-cards">
+            {overstays.map((b) => (
+              <div key={b._id} className="booking-card">
+                <div className="booking-card-row">
+                  <span className="booking-card-label">Lot</span>
+                  <span className="booking-card-value">{lotName(b)}</span>
+                </div>
+                <div className="booking-card-row">
+                  <span className="booking-card-label">Vehicle</span>
+                  <span className="booking-card-value">
+                    {b.vehicleNumber} ({b.vehicleType})
+                    {b.slotCode ? ` · Bay ${b.slotCode}` : ""}
+                  </span>
+                </div>
+                <div className="booking-card-row">
+                  <span className="booking-card-label">Booked Until</span>
+                  <span className="booking-card-value">
+                    {formatDateTime(b.endTime)}
+                  </span>
+                </div>
+                <div className="booking-card-row">
+                  <span className="booking-card-label">Over By</span>
+                  <span className="booking-card-value">
+                    {formatOverstay(b.overstayMinutes)}
+                  </span>
+                </div>
+                <div className="booking-card-row">
+                  <span className="booking-card-label">Fee</span>
+                  <span className="booking-card-value">{feeLabel(b)}</span>
+                </div>
+                {checkOutButton(b)}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,118 @@
+import { useState } from "react";
+import axios from "axios";
+import { API_BASE } from "../../config";
+
+// Build the form state from a lot's saved policy (older lots have none)
+function toForm(lot) {
+  const policy = lot.overstayPolicy || {};
+  return {
+    graceMinutes: policy.graceMinutes ?? 15,
+    ratePerHour: policy.ratePerHour ?? "",
+    maxHours: policy.maxHours ?? 24,
+  };
+}
+
+// Overstay grace period and fee editor shown inside an OwnerDashboard lot card
+export default function OverstayPolicyManager({ lot, onChanged }) {
+  const [open, setOpen] = useState(false);
+  const [form, setForm] = useState(() => toForm(lot));
+  const [saving, setSaving] = useState(false);
+  const [msg, setMsg] = useState("");
+
+  function update(field, value) {
+    setForm((prev) => ({ ...prev, [field]: value }));
+  }
+
+  async function savePolicy(e) {
+    e.preventDefault();
+    setSaving(true);
+    setMsg("");
+    try {
+      const token = localStorage.getItem("token");
+      await axios.put(
+        `${API_BASE}/api/parkinglots/${lot._id}/overstay-policy`,
+        {
+          graceMinutes: Number(form.graceMinutes),
+          ratePerHour:
+            form.ratePerHour === "" ? null : Number(form.ratePerHour),
+          maxHours: Number(form.maxHours),
+        },
+        { headers: token ? { Authorization: `Bearer ${token}` } : {} }
+      );
+      setMsg("Overstay policy saved");
+      if (onChanged) onChanged();
+    } catch (err) {
+      setMsg(err.response?.data?.message || "Failed to save overstay policy");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className="bay-manager">
+      <button
+        type="button"
+        className="small-button"
+        onClick={() => {
+          if (!open) setForm(toForm(lot));
+          setOpen((v) => !v);
+        }}
+      >
+        {open ? "Hide Overstay Policy" : "Overstay Policy"}
+      </button>
+      {open && (
+        <div className="bay-panel">
+          <p className="bay-note">
+            Vehicles still parked after their booking keep their bay and are
+            charged for every started hour once the grace period is over.
+            Overstays are closed automatically after the cut-off.
+          </p>
+          <form className="bay-generate" onSubmit={savePolicy}>
+            <label>
+              Grace (min)
+              <input
+                type="number"
+                min="0"
+                max="240"
+                value={form.graceMinutes}
+                onChange={(e) => update("graceMinutes", e.target.value)}
+              />
+            </label>
+            <label>
+              Fee ₹/hr
+              <input
+                type="number"
+                min="0"
+                placeholder="Vehicle rate"
+                value={form.ratePerHour}
+                onChange={(e) => update("ratePerHour", e.target.value)}
+              />
+            </label>
+            <label>
+              Cut-off (h)
+              <input
+                type="number"
+                min="1"
+                max="168"
+                value={form.maxHours}
+                onChange={(e) => update("maxHours", e.target.value)}
+              />
+            </label>
+            <button type="submit" className="small-button" disabled={saving}>
+              {saving ? "Saving…" : "Save"}
+            </button>
+          </form>
+          {msg && (
+            <p
+              className={`bay-note${
+                msg === "Overstay policy saved" ? "" : " bay-error"
+              }`}
+            >
+              {msg}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -2,12 +2,28 @@ import { useEffect, useState } from "react";
 import axios from "axios";
 import { API_BASE } from "../../config";
 import { useAuth } from "../../context/AuthContext";
+import BayManager from "./BayManager";
+import VehicleRatesManager from "./VehicleRatesManager";
+import DemandPricingManager from "./DemandPricingManager";
+import OverstayPolicyManager from "./OverstayPolicyManager";
+import CancellationPolicyManager from "./CancellationPolicyManager";
+import InvoiceDetailsManager from "./InvoiceDetailsManager";
+import InvoiceExport from "./InvoiceExport";
+import PayoutStatements from "./PayoutStatements";
+import PromoCodeManager from "./PromoCodeManager";
+import ReviewManager from "./ReviewManager";
+import OverstayList from "./OverstayList";
+import AttendantManager from "./AttendantManager";
+import LotEditor from "./LotEditor";
+import OpeningHoursManager from "./OpeningHoursManager";
+import PhotoManager from "./PhotoManager";
 import "./OwnerDashboard.css";
 
 export default function OwnerDashboard() {
   const { role } = useAuth();
   const [lots, setLots] = useState([]);
   const [bookings, setBookings] = useState([]);
+  const [overstays, setOverstays] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
   const [refreshing, setRefreshing] = useState(false);
@@ -20,12 +36,14 @@ export default function OwnerDashboard() {
       try {
         const token = localStorage.getItem("token");
         const headers = token ? { Authorization: `Bearer ${token}` } : {};
-        const [lotsRes, bookingsRes] = await Promise.all([
+        const [lotsRes, bookingsRes, overstaysRes] = await Promise.all([
           axios.get(`${API_BASE}/api/parkinglots/owner`, { headers }),
           axios.get(`${API_BASE}/api/bookings/owner-lots`, { headers }),
+          axios.get(`${API_BASE}/api/bookings/overstays`, { headers }),
         ]);
         setLots(lotsRes.data?.parkingLots || []);
         setBookings(bookingsRes.data?.bookings || []);
+        setOverstays(overstaysRes.data?.overstays || []);
         setLastUpdated(new Date());
       } catch (err) {
         setError(err.response?.data?.message || "Failed to load owner data");
@@ -43,12 +61,14 @@ export default function OwnerDashboard() {
       try {
         const token = localStorage.getItem("token");
         const headers = token ? { Authorization: `Bearer ${token}` } : {};
-        const [lotsRes, bookingsRes] = await Promise.all([
+        const [lotsRes, bookingsRes, overstaysRes] = await Promise.all([
           axios.get(`${API_BASE}/api/parkinglots/owner`, { headers }),
           axios.get(`${API_BASE}/api/bookings/owner-lots`, { headers }),
+          axios.get(`${API_BASE}/api/bookings/overstays`, { headers }),
         ]);
         setLots(lotsRes.data?.parkingLots || []);
         setBookings(bookingsRes.data?.bookings || []);
+        setOverstays(overstaysRes.data?.overstays || []);
         setLastUpdated(new Date());
       } catch (err) {
         // Silent fail for auto refresh
@@ -64,12 +84,14 @@ export default function OwnerDashboard() {
     try {
       const token = localStorage.getItem("token");
       const headers = token ? { Authorization: `Bearer ${token}` } : {};
-      const [lotsRes, bookingsRes] = await Promise.all([
+      const [lotsRes, bookingsRes, overstaysRes] = await Promise.all([
         axios.get(`${API_BASE}/api/parkinglots/owner`, { headers }),
         axios.get(`${API_BASE}/api/bookings/owner-lots`, { headers }),
+        axios.get(`${API_BASE}/api/bookings/overstays`, { headers }),
       ]);
       setLots(lotsRes.data?.parkingLots || []);
       setBookings(bookingsRes.data?.bookings || []);
+      setOverstays(overstaysRes.data?.overstays || []);
       setLastUpdated(new Date());
     } catch (err) {
       setError(err.response?.data?.message || "Refresh failed");
@@ -122,6 +144,17 @@ export default function OwnerDashboard() {
               Active bookings:{" "}
               {bookings.filter((b) => b.status === "active").length}
             </span>
+            <span style={{ marginLeft: 16, fontSize: "0.75rem" }}>
+              Overstaying: {overstays.length}
+            </span>
+            <span style={{ marginLeft: 16, fontSize: "0.75rem" }}>
+              Walk-ins parked:{" "}
+              {
+                bookings.filter(
+                  (b) => b.source === "walkin" && b.status === "active"
+                ).length
+              }
+            </span>
           </div>
           <section className="owner-lots">
             <h3>Your Lots ({lots.length})</h3>
@@ -136,10 +169,32 @@ export default function OwnerDashboard() {
                   <div className="lot-address">
                     {lot.address?.line1} {lot.address?.city}
                   </div>
+                  <LotEditor lot={lot} onChanged={manualRefresh} />
+                  <OpeningHoursManager lot={lot} onChanged={manualRefresh} />
+                  <PhotoManager lot={lot} onChanged={manualRefresh} />
+                  <VehicleRatesManager lot={lot} onChanged={manualRefresh} />
+                  <DemandPricingManager lot={lot} onChanged={manualRefresh} />
+                  <OverstayPolicyManager lot={lot} onChanged={manualRefresh} />
+                  <CancellationPolicyManager
+                    lot={lot}
+                    onChanged={manualRefresh}
+                  />
+                  <InvoiceDetailsManager lot={lot} onChanged={manualRefresh} />
+                  <BayManager lot={lot} onChanged={manualRefresh} />
+                  <AttendantManager lot={lot} />
                 </div>
               ))}
             </div>
           </section>
+          <OverstayList
+            overstays={overstays}
+            lots={lots}
+            onChanged={manualRefresh}
+          />
+          <PromoCodeManager lots={lots} isAdmin={role === "admin"} />
+          <ReviewManager isAdmin={role === "admin"} />
+          <InvoiceExport lots={lots} />
+          <PayoutStatements />
           <section className="owner-bookings">
             <h3>Customer Bookings ({bookings.length})</h3>
             {bookings.length === 0 && <p>No bookings yet.</p>}
@@ -156,6 +211,7 @@ export default function OwnerDashboard() {
                       <tr>
                         <th>Customer</th>
                         <th>Vehicle</th>
+                        <th>Bay</th>
                         <th>Status</th>
                         <th>Start</th>
                         <th>End</th>
@@ -165,18 +221,27 @@ export default function OwnerDashboard() {
                     <tbody>
                       {list.map((b) => (
                         <tr key={b._id || b.id}>
-                          <td>{b.userName || b.userId?.name || "N/A"}</td>
+                          <td>
+                            {b.source === "walkin"
+                              ? "Walk-in"
+                              : b.userName || b.userId?.name || "N/A"}
+                          </td>
                           <td>
                             {b.vehicleNumber || b.vehicle || "N/A"} (
                             {b.vehicleType || "N/A"})
                           </td>
+                          <td>{b.slotCode || "—"}</td>
                           <td>
                             <span className={`status-badge status-${b.status}`}>
                               {b.status}
                             </span>
                           </td>
                           <td>{new Date(b.startTime).toLocaleString()}</td>
-                          <td>{new Date(b.endTime).toLocaleString()}</td>
+                          <td>
+                            {b.endTime
+                              ? new Date(b.endTime).toLocaleString()
+                              : "—"}
+                          </td>
                           <td>₹{b.totalPrice || b.price || 0}</td>
                         </tr>
                       ))}
@@ -189,7 +254,9 @@ export default function OwnerDashboard() {
                         <div className="booking-card-row">
                           <span className="booking-card-label">Customer</span>
                           <span className="booking-card-value">
-                            {b.userName || b.userId?.name || "N/A"}
+                            {b.source === "walkin"
+                              ? "Walk-in"
+                              : b.userName || b.userId?.name || "N/A"}
                           </span>
                         </div>
                         <div className="booking-card-row">
@@ -199,6 +266,12 @@ export default function OwnerDashboard() {
                             {b.vehicleType || "N/A"})
                           </span>
                         </div>
+                        <div className="booking-card-row">
+                          <span className="booking-card-label">Bay</span>
+                          <span className="booking-card-value">
+                            {b.slotCode || "—"}
+                          </span>
+                        </div>
                         <div className="booking-card-row">
                           <span className="booking-card-label">Status</span>
                           <span className={`status-badge status-${b.status}`}>
@@ -214,7 +287,9 @@ export default function OwnerDashboard() {
                         <div className="booking-card-row">
                           <span className="booking-card-label">End</span>
                           <span className="booking-card-value">
-                            {new Date(b.endTime).toLocaleString()}
+                            {b.endTime
+                              ? new Date(b.endTime).toLocaleString()
+                              : "—"}
                           </span>
                         </div>
                         <div className="booking-card-row">
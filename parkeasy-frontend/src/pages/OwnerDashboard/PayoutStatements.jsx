@@ -0,0 +1,293 @@
+import { useCallback, useEffect, useState } from "react";
+import axios from "axios";
+import { API_BASE } from "../../config";
+import {
+  formatDateTime,
+  saveDownload,
+  downloadErrorMessage,
+} from "../../utils/bookingUtils";
+
+const ENTRY_TYPES = {
+  payment: "Booking",
+  refund: "Refund",
+  walkin_cash: "Walk-in (cash)",
+};
+
+function money(n) {
+  return `₹${(n || 0).toFixed(2)}`;
+}
+
+// Statement periods are India days; the end is exclusive
+function formatPeriod(s) {
+  const opts = { timeZone: "Asia/Kolkata", day: "numeric", month: "short" };
+  const start = new Date(s.periodStart).toLocaleDateString("en-IN", opts);
+  if (s.period === "daily") return start;
+  const last = new Date(new Date(s.periodEnd).getTime() - 1);
+  return `${start} – ${last.toLocaleDateString("en-IN", opts)}`;
+}
+
+function authHeaders() {
+  const token = localStorage.getItem("token");
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+// Owner's unsettled earnings, payout schedule and payout statements
+export default function PayoutStatements() {
+  const [summary, setSummary] = useState(null);
+  const [statements, setStatements] = useState([]);
+  const [open, setOpen] = useState(null); // { statement, entries }
+  const [busy, setBusy] = useState(false);
+  const [msg, setMsg] = useState("");
+
+  const load = useCallback(async () => {
+    try {
+      const headers = authHeaders();
+      const [summaryRes, statementsRes] = await Promise.all([
+        axios.get(`${API_BASE}/api/settlements/summary`, { headers }),
+        axios.get(`${API_BASE}/api/settlements/statements`, { headers }),
+      ]);
+      setSummary(summaryRes.data);
+      setStatements(statementsRes.data.statements || []);
+    } catch (err) {
+      setMsg(err.response?.data?.message || "Failed to load payouts");
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  async function changeSchedule(payoutSchedule) {
+    setBusy(true);
+    setMsg("");
+    try {
+      const res = await axios.put(
+        `${API_BASE}/api/settlements/schedule`,
+        { payoutSchedule },
+        { headers: authHeaders() }
+      );
+      setSummary((prev) => ({
+        ...prev,
+        payoutSchedule: res.data.payoutSchedule,
+      }));
+      setMsg("Payout schedule saved");
+    } catch (err) {
+      setMsg(err.response?.data?.message || "Failed to save payout schedule");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function toggleStatement(s) {
+    if (open?.statement._id === s._id) {
+      setOpen(null);
+      return;
+    }
+    setMsg("");
+    try {
+      const res = await axios.get(
+        `${API_BASE}/api/settlements/statements/${s._id}`,
+        { headers: authHeaders() }
+      );
+      setOpen(res.data);
+    } catch (err) {
+      setMsg(err.response?.data?.message || "Failed to load statement");
+    }
+  }
+
+  async function downloadCsv(s) {
+    setMsg("");
+    try {
+      const res = await axios.get(
+        `${API_BASE}/api/settlements/statements/${s._id}/csv`,
+        { responseType: "blob", headers: authHeaders() }
+      );
+      saveDownload(res, `payout-${s.period}.csv`);
+    } catch (err) {
+      setMsg(await downloadErrorMessage(err, "Failed to download statement"));
+    }
+  }
+
+  const statementActions = (s) => (
+    <>
+      <button className="small-button" onClick={() => toggleStatement(s)}>
+        {open?.statement._id === s._id ? "Hide" : "View"}
+      </button>{" "}
+      <button className="small-button" onClick={() => downloadCsv(s)}>
+        CSV
+      </button>
+    </>
+  );
+
+  return (
+    <section className="owner-payouts">
+      <h3>Payouts</h3>
+      {summary && (
+        <>
+          <p className="bay-note">
+            The platform keeps {summary.commissionPercent}% of what drivers pay
+            online, gives it back on refunds, and charges it on walk-in cash
+            your gate collects. Earnings are closed into a statement after each{" "}
+            {summary.payoutSchedule === "daily" ? "day" : "week"}.
+          </p>
+          <div className="bay-generate">
+            <label>
+              Payout schedule
+              <select
+                value={summary.payoutSchedule}
+                disabled={busy}
+                onChange={(e) => changeSchedule(e.target.value)}
+              >
+                <option value="daily">Daily</option>
+                <option value="weekly">Weekly (Mon–Sun)</option>
+              </select>
+            </label>
+          </div>
+          <h4>Not yet in a statement: {money(summary.totals.net)}</h4>
+          {summary.lots.length === 0 && (
+            <p className="bay-note">No earnings since your last statement.</p>
+          )}
+          {summary.lots.length > 0 && (
+            <table className="price-history">
+              <thead>
+                <tr>
+                  <th>Lot</th>
+                  <th>Online</th>
+                  <th>Refunds</th>
+                  <th>Walk-in cash</th>
+                  <th>Commission</th>
+                  <th>Payout</th>
+                </tr>
+              </thead>
+              <tbody>
+                {summary.lots.map((lot) => (
+                  <tr key={lot.parkingLotId}>
+                    <td>{lot.parkingLotName}</td>
+                    <td>{money(lot.totals.payments)}</td>
+                    <td>{money(lot.totals.refunds)}</td>
+                    <td>{money(lot.totals.walkinCash)}</td>
+                    <td>{money(lot.totals.commission)}</td>
+                    <td>{money(lot.totals.net)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+      {msg && (
+        <p
+          className={`bay-note${
+            msg === "Payout schedule saved" ? "" : " bay-error"
+          }`}
+        >
+          {msg}
+        </p>
+      )}
+
+      <div className="booking-group">
+        <h4>Statements ({statements.length})</h4>
+        {statements.length === 0 && <p>No statements yet.</p>}
+        {statements.length > 0 && (
+          <>
+            {/* Desktop table view */}
+            <table className="booking-table">
+              <thead>
+                <tr>
+                  <th>Period</th>
+                  <th>Online</th>
+                  <th>Refunds</th>
+                  <th>Commission</th>
+                  <th>Payout</th>
+                  <th>Status</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {statements.map((s) => (
+                  <tr key={s._id}>
+                    <td>{formatPeriod(s)}</td>
+                    <td>{money(s.totals.payments)}</td>
+                    <td>{money(s.totals.refunds)}</td>
+                    <td>{money(s.totals.commission)}</td>
+                    <td>{money(s.totals.net)}</td>
+                    <td>{s.status === "paid" ? "Paid" : "Pending"}</td>
+                    <td>{statementActions(s)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {/* Mobile card view */}
+            <div className="booking-cards">
+              {statements.map((s) => (
+                <div key={s._id} className="booking-card">
+                  <div className="booking-card-row">
+                    <span className="booking-card-label">Period</span>
+                    <span className="booking-card-value">
+                      {formatPeriod(s)}
+                    </span>
+                  </div>
+                  <div className="booking-card-row">
+                    <span className="booking-card-label">Commission</span>
+                    <span className="booking-card-value">
+                      {money(s.totals.commission)}
+                    </span>
+                  </div>
+                  <div className="booking-card-row">
+                    <span className="booking-card-label">Payout</span>
+                    <span className="booking-card-value">
+                      {money(s.totals.net)} (
+                      {s.status === "paid" ? "paid" : "pending"})
+                    </span>
+                  </div>
+                  <div>{statementActions(s)}</div>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+        {open && (
+          <div className="bay-panel">
+            <h4>Statement for {formatPeriod(open.statement)}</h4>
+            {open.statement.status === "paid" && (
+              <p className="bay-note">
+                Paid {formatDateTime(open.statement.paidAt)}
+                {open.statement.payoutReference
+                  ? ` · Ref ${open.statement.payoutReference}`
+                  : ""}
+              </p>
+            )}
+            <table className="price-history">
+              <thead>
+                <tr>
+                  <th>When</th>
+                  <th>Lot</th>
+                  <th>Type</th>
+                  <th>Description</th>
+                  <th>Amount</th>
+                  <th>Fee</th>
+                  <th>Net</th>
+                </tr>
+              </thead>
+              <tbody>
+                {open.entries.map((e) => (
+                  <tr key={e._id}>
+                    <td>{formatDateTime(e.occurredAt)}</td>
+                    <td>{e.parkingLotName}</td>
+                    <td>{ENTRY_TYPES[e.type] || e.type}</td>
+                    <td>{e.description}</td>
+                    <td>{money(e.gross)}</td>
+                    <td>
+                      {money(e.commission)} ({e.commissionPercent}%)
+                    </td>
+                    <td>{money(e.net)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </section>
+  );
+}
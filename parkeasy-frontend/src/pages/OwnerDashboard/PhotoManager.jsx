@@ -0,0 +1,184 @@
+import { useState } from "react";
+import axios from "axios";
+import { API_BASE, assetUrl } from "../../config";
+
+const MAX_PHOTOS = 8;
+
+// Upload photos drivers see in the lot popup (entrance, bays, signage), pick
+// the cover and caption or remove them
+export default function PhotoManager({ lot, onChanged }) {
+  const [open, setOpen] = useState(false);
+  const [files, setFiles] = useState([]);
+  const [inputKey, setInputKey] = useState(0);
+  const [captions, setCaptions] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [msg, setMsg] = useState("");
+  const photos = lot.photos || [];
+  const headers = () => {
+    const token = localStorage.getItem("token");
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  };
+
+  async function uploadPhotos(e) {
+    e.preventDefault();
+    if (!files.length) return;
+    setSaving(true);
+    setMsg("");
+    try {
+      const body = new FormData();
+      files.forEach((file) => body.append("photos", file));
+      await axios.post(`${API_BASE}/api/parkinglots/${lot._id}/photos`, body, {
+        headers: headers(),
+      });
+      setFiles([]);
+      setInputKey((k) => k + 1);
+      setMsg("Photos uploaded");
+      if (onChanged) onChanged();
+    } catch (err) {
+      setMsg(err.response?.data?.message || "Failed to upload photos");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function updatePhoto(photo, changes) {
+    setSaving(true);
+    setMsg("");
+    try {
+      await axios.patch(
+        `${API_BASE}/api/parkinglots/${lot._id}/photos/${photo._id}`,
+        changes,
+        { headers: headers() }
+      );
+      if (onChanged) onChanged();
+    } catch (err) {
+      setMsg(err.response?.data?.message || "Failed to update photo");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function removePhoto(photo) {
+    if (!window.confirm("Remove this photo?")) return;
+    setSaving(true);
+    setMsg("");
+    try {
+      await axios.delete(
+        `${API_BASE}/api/parkinglots/${lot._id}/photos/${photo._id}`,
+        { headers: headers() }
+      );
+      if (onChanged) onChanged();
+    } catch (err) {
+      setMsg(err.response?.data?.message || "Failed to remove photo");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  function saveCaption(photo) {
+    const caption = captions[photo._id];
+    if (caption === undefined || caption === (photo.caption || "")) return;
+    updatePhoto(photo, { caption });
+  }
+
+  return (
+    <div className="bay-manager">
+      <button
+        type="button"
+        className="small-button"
+        onClick={() => setOpen((v) => !v)}
+      >
+        {open ? "Hide Photos" : `Photos (${photos.length})`}
+      </button>
+      {open && (
+        <div className="bay-panel">
+          <p className="bay-note">
+            Up to {MAX_PHOTOS} JPEG, PNG or WebP photos. The first one is the
+            cover drivers see first – a clear shot of the entrance helps them
+            find you.
+          </p>
+          {photos.length > 0 && (
+            <div className="photo-grid">
+              {photos.map((photo, i) => (
+                <div className="photo-tile" key={photo._id}>
+                  <img src={assetUrl(photo.thumbUrl)} alt={photo.caption} />
+                  <input
+                    value={captions[photo._id] ?? photo.caption ?? ""}
+                    placeholder="Caption"
+                    maxLength={100}
+                    onChange={(e) =>
+                      setCaptions((prev) => ({
+                        ...prev,
+                        [photo._id]: e.target.value,
+                      }))
+                    }
+                    onBlur={() => saveCaption(photo)}
+                  />
+                  <div className="photo-actions">
+                    {i === 0 ? (
+                      <span className="bay-note">Cover</span>
+                    ) : (
+                      <button
+                        type="button"
+                        className="small-button"
+                        disabled={saving}
+                        onClick={() => updatePhoto(photo, { cover: true })}
+                      >
+                        Make Cover
+                      </button>
+                    )}
+                    <button
+                      type="button"
+                      className="small-button"
+                      disabled={saving}
+                      onClick={() => removePhoto(photo)}
+                    >
+                      Remove
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+          {photos.length < MAX_PHOTOS && (
+            <form className="bay-generate" onSubmit={uploadPhotos}>
+              <label>
+                Add photos
+                <input
+                  key={inputKey}
+                  type="file"
+                  accept="image/jpeg,image/png,image/webp"
+                  multiple
+                  onChange={(e) =>
+                    setFiles(
+                      Array.from(e.target.files || []).slice(
+                        0,
+                        MAX_PHOTOS - photos.length
+                      )
+                    )
+                  }
+                />
+              </label>
+              <button
+                type="submit"
+                className="small-button"
+                disabled={saving || !files.length}
+              >
+                {saving ? "Uploading…" : "Upload"}
+              </button>
+            </form>
+          )}
+          {msg && (
+            <p
+              className={`bay-note${
+                msg === "Photos uploaded" ? "" : " bay-error"
+              }`}
+            >
+              {msg}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
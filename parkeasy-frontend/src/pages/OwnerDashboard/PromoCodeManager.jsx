@@ -0,0 +1,349 @@
+import { useCallback, useEffect, useState } from "react";
+import axios from "axios";
+import { API_BASE } from "../../config";
+import { VEHICLE_TYPES, formatDateTime } from "../../utils/bookingUtils";
+
+// "YYYY-MM-DDTHH:mm" of a local date, for datetime-local inputs
+function toLocalInput(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return (
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}`
+  );
+}
+
+function emptyForm() {
+  const now = new Date();
+  return {
+    code: "",
+    description: "",
+    discountType: "percent",
+    discountValue: "10",
+    maxDiscount: "",
+    minAmount: "",
+    validFrom: toLocalInput(now),
+    validUntil: toLocalInput(new Date(now.getTime() + 30 * 24 * 3600000)),
+    maxUses: "",
+    maxUsesPerUser: "1",
+    parkingLotIds: [],
+    cities: "",
+    vehicleTypes: [],
+  };
+}
+
+function describeDiscount(p) {
+  if (p.discountType === "flat") return `₹${p.discountValue} off`;
+  return `${p.discountValue}% off${
+    p.maxDiscount ? ` (max ₹${p.maxDiscount})` : ""
+  }`;
+}
+
+function describeScope(p) {
+  const parts = [];
+  const lots = p.scope?.parkingLotIds || [];
+  parts.push(lots.length ? lots.map((l) => l.name || l).join(", ") : "Any lot");
+  if (p.scope?.cities?.length) parts.push(p.scope.cities.join(", "));
+  if (p.scope?.vehicleTypes?.length) parts.push(p.scope.vehicleTypes.join("/"));
+  return parts.join(" · ");
+}
+
+function toggleIn(list, value) {
+  return list.includes(value)
+    ? list.filter((v) => v !== value)
+    : [...list, value];
+}
+
+// Promo codes the owner runs on their lots (admins: on any lot or city)
+export default function PromoCodeManager({ lots, isAdmin }) {
+  const [promos, setPromos] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [msg, setMsg] = useState("");
+
+  const load = useCallback(async () => {
+    try {
+      const token = localStorage.getItem("token");
+      const res = await axios.get(`${API_BASE}/api/promos`, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+      });
+      setPromos(res.data.promos || []);
+    } catch (err) {
+      setMsg(err.response?.data?.message || "Failed to load promo codes");
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  function update(field, value) {
+    setForm((prev) => ({ ...prev, [field]: value }));
+  }
+
+  async function createPromo(e) {
+    e.preventDefault();
+    setSaving(true);
+    setMsg("");
+    try {
+      const token = localStorage.getItem("token");
+      await axios.post(
+        `${API_BASE}/api/promos`,
+        {
+          ...form,
+          validFrom: new Date(form.validFrom).toISOString(),
+          validUntil: new Date(form.validUntil).toISOString(),
+          cities: form.cities
+            .split(",")
+            .map((c) => c.trim())
+            .filter(Boolean),
+        },
+        { headers: token ? { Authorization: `Bearer ${token}` } : {} }
+      );
+      setMsg("Promo code created");
+      setForm(emptyForm());
+      load();
+    } catch (err) {
+      setMsg(err.response?.data?.message || "Failed to create promo code");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function setActive(promo, active) {
+    setMsg("");
+    try {
+      const token = localStorage.getItem("token");
+      await axios.patch(
+        `${API_BASE}/api/promos/${promo._id}`,
+        { active },
+        { headers: token ? { Authorization: `Bearer ${token}` } : {} }
+      );
+      load();
+    } catch (err) {
+      setMsg(err.response?.data?.message || "Failed to update promo code");
+    }
+  }
+
+  return (
+    <section className="owner-promos">
+      <h3>Promo Codes ({promos.length})</h3>
+      <button
+        type="button"
+        className="small-button"
+        onClick={() => setOpen((v) => !v)}
+      >
+        {open ? "Hide New Code" : "New Promo Code"}
+      </button>
+      {open && (
+        <div className="bay-panel">
+          <p className="bay-note">
+            Drivers enter the code when booking. It comes off the price after
+            every other discount, and a use is given back if the booking is
+            never paid.
+            {isAdmin ? " Leave the lots unticked for any lot." : ""}
+          </p>
+          <form className="bay-generate" onSubmit={createPromo}>
+            <label>
+              Code
+              <input
+                type="text"
+                value={form.code}
+                maxLength={20}
+                onChange={(e) => update("code", e.target.value.toUpperCase())}
+                required
+              />
+            </label>
+            <label>
+              Description
+              <input
+                type="text"
+                className="invoice-wide"
+                value={form.description}
+                onChange={(e) => update("description", e.target.value)}
+                placeholder="Student rate"
+              />
+            </label>
+            <label>
+              Discount
+              <select
+                value={form.discountType}
+                onChange={(e) => update("discountType", e.target.value)}
+              >
+                <option value="percent">Percent off</option>
+                <option value="flat">₹ off</option>
+              </select>
+            </label>
+            <label>
+              {form.discountType === "percent" ? "Percent" : "Amount (₹)"}
+              <input
+                type="number"
+                min="1"
+                max={form.discountType === "percent" ? "100" : undefined}
+                value={form.discountValue}
+                onChange={(e) => update("discountValue", e.target.value)}
+                required
+              />
+            </label>
+            {form.discountType === "percent" && (
+              <label>
+                Max off (₹)
+                <input
+                  type="number"
+                  min="1"
+                  value={form.maxDiscount}
+                  onChange={(e) => update("maxDiscount", e.target.value)}
+                  placeholder="No cap"
+                />
+              </label>
+            )}
+            <label>
+              Min booking (₹)
+              <input
+                type="number"
+                min="0"
+                value={form.minAmount}
+                onChange={(e) => update("minAmount", e.target.value)}
+                placeholder="0"
+              />
+            </label>
+            <label>
+              Valid from
+              <input
+                type="datetime-local"
+                className="invoice-wide"
+                value={form.validFrom}
+                onChange={(e) => update("validFrom", e.target.value)}
+                required
+              />
+            </label>
+            <label>
+              Valid until
+              <input
+                type="datetime-local"
+                className="invoice-wide"
+                value={form.validUntil}
+                min={form.validFrom}
+                onChange={(e) => update("validUntil", e.target.value)}
+                required
+              />
+            </label>
+            <label>
+              Total uses
+              <input
+                type="number"
+                min="1"
+                value={form.maxUses}
+                onChange={(e) => update("maxUses", e.target.value)}
+                placeholder="Unlimited"
+              />
+            </label>
+            <label>
+              Uses per driver
+              <input
+                type="number"
+                min="1"
+                value={form.maxUsesPerUser}
+                onChange={(e) => update("maxUsesPerUser", e.target.value)}
+                required
+              />
+            </label>
+            <label>
+              Cities
+              <input
+                type="text"
+                className="invoice-wide"
+                value={form.cities}
+                onChange={(e) => update("cities", e.target.value)}
+                placeholder="Any city"
+              />
+            </label>
+            {lots.map((lot) => (
+              <label key={lot._id} className="rate-toggle">
+                <input
+                  type="checkbox"
+                  checked={form.parkingLotIds.includes(lot._id)}
+                  onChange={() =>
+                    update(
+                      "parkingLotIds",
+                      toggleIn(form.parkingLotIds, lot._id)
+                    )
+                  }
+                />
+                {lot.name}
+              </label>
+            ))}
+            {VEHICLE_TYPES.map((t) => (
+              <label key={t.value} className="rate-toggle">
+                <input
+                  type="checkbox"
+                  checked={form.vehicleTypes.includes(t.value)}
+                  onChange={() =>
+                    update("vehicleTypes", toggleIn(form.vehicleTypes, t.value))
+                  }
+                />
+                {t.label}
+              </label>
+            ))}
+            <button type="submit" className="small-button" disabled={saving}>
+              {saving ? "Creating…" : "Create Code"}
+            </button>
+          </form>
+          <p className="bay-note">
+            No vehicle types ticked means every vehicle type.
+          </p>
+        </div>
+      )}
+      {msg && (
+        <p
+          className={`bay-note${
+            msg === "Promo code created" ? "" : " bay-error"
+          }`}
+        >
+          {msg}
+        </p>
+      )}
+      {promos.length > 0 && (
+        <table className="price-history">
+          <thead>
+            <tr>
+              <th>Code</th>
+              <th>Discount</th>
+              <th>Valid</th>
+              <th>Applies to</th>
+              <th>Used</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {promos.map((p) => (
+              <tr key={p._id}>
+                <td>
+                  {p.code}
+                  {p.description ? ` – ${p.description}` : ""}
+                </td>
+                <td>{describeDiscount(p)}</td>
+                <td>
+                  {formatDateTime(p.validFrom)} – {formatDateTime(p.validUntil)}
+                </td>
+                <td>{describeScope(p)}</td>
+                <td>
+                  {p.usedCount}
+                  {p.maxUses ? ` / ${p.maxUses}` : ""}
+                </td>
+                <td>
+                  <button
+                    className="small-button"
+                    onClick={() => setActive(p, !p.active)}
+                  >
+                    {p.active ? "Disable" : "Enable"}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </section>
+  );
+}
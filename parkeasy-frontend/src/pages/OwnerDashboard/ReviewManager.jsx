@@ -0,0 +1,218 @@
+import { useCallback, useEffect, useState } from "react";
+import axios from "axios";
+import { API_BASE } from "../../config";
+import StarRating from "../../components/StarRating";
+import { formatDateTime } from "../../utils/bookingUtils";
+
+const FILTERS = [
+  { value: "all", label: "All" },
+  { value: "unreplied", label: "Awaiting reply" },
+  { value: "reported", label: "Reported" },
+  { value: "hidden", label: "Hidden" },
+];
+
+// Messages the review endpoints answer with on success
+const DONE = [
+  "Reply posted",
+  "Reply removed",
+  "Review hidden",
+  "Review published",
+  "Review deleted",
+];
+
+function authHeaders() {
+  const token = localStorage.getItem("token");
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+// Reviews of the owner's lots to reply to (admins: every lot, and they can
+// hide, restore or delete reviews)
+export default function ReviewManager({ isAdmin }) {
+  const [reviews, setReviews] = useState([]);
+  const [filter, setFilter] = useState("all");
+  const [replies, setReplies] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [msg, setMsg] = useState("");
+
+  const load = useCallback(async () => {
+    try {
+      const res = await axios.get(`${API_BASE}/api/reviews/manage`, {
+        params: { filter },
+        headers: authHeaders(),
+      });
+      setReviews(res.data.reviews || []);
+    } catch (err) {
+      setMsg(err.response?.data?.message || "Failed to load reviews");
+    }
+  }, [filter]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  async function run(request, failure) {
+    setSaving(true);
+    setMsg("");
+    try {
+      const res = await request();
+      setMsg(res.data.message);
+      load();
+    } catch (err) {
+      setMsg(err.response?.data?.message || failure);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  function saveReply(e, review) {
+    e.preventDefault();
+    run(
+      () =>
+        axios.put(
+          `${API_BASE}/api/reviews/${review._id}/reply`,
+          { text: replies[review._id] ?? review.reply?.text ?? "" },
+          { headers: authHeaders() }
+        ),
+      "Failed to save reply"
+    );
+  }
+
+  function moderate(review, status) {
+    let reason;
+    if (status === "hidden") {
+      reason = window.prompt("Why is this review being hidden?");
+      if (reason === null) return;
+    }
+    run(
+      () =>
+        axios.patch(
+          `${API_BASE}/api/reviews/${review._id}/moderation`,
+          { status, reason },
+          { headers: authHeaders() }
+        ),
+      "Failed to moderate review"
+    );
+  }
+
+  function remove(review) {
+    if (!window.confirm("Delete this review for good?")) return;
+    run(
+      () =>
+        axios.delete(`${API_BASE}/api/reviews/${review._id}`, {
+          headers: authHeaders(),
+        }),
+      "Failed to delete review"
+    );
+  }
+
+  return (
+    <section className="owner-reviews">
+      <h3>Reviews ({reviews.length})</h3>
+      <div className="bay-generate">
+        <label>
+          Show
+          <select value={filter} onChange={(e) => setFilter(e.target.value)}>
+            {FILTERS.map((f) => (
+              <option key={f.value} value={f.value}>
+                {f.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      {msg && (
+        <p className={`bay-note${DONE.includes(msg) ? "" : " bay-error"}`}>
+          {msg}
+        </p>
+      )}
+      {reviews.length === 0 && <p className="bay-note">No reviews here.</p>}
+      <div className="review-list">
+        {reviews.map((r) => (
+          <div className="review-item" key={r._id}>
+            <div className="review-head">
+              <StarRating value={r.rating} />
+              <b>{r.parkingLotName}</b>
+              <span className="bay-note">
+                {r.userName} · {formatDateTime(r.createdAt)}
+              </span>
+              {r.status === "hidden" && (
+                <span className="bay-note bay-error">
+                  Hidden
+                  {r.moderation?.reason ? `: ${r.moderation.reason}` : ""}
+                </span>
+              )}
+              {isAdmin && r.reportCount > 0 && (
+                <span className="bay-note bay-error">
+                  Reported {r.reportCount}×
+                  {r.reports?.some((p) => p.reason)
+                    ? ` – ${r.reports
+                        .map((p) => p.reason)
+                        .filter(Boolean)
+                        .join("; ")}`
+                    : ""}
+                </span>
+              )}
+            </div>
+            {r.comment && <p className="review-comment">“{r.comment}”</p>}
+            <form className="bay-generate" onSubmit={(e) => saveReply(e, r)}>
+              <label>
+                Your reply
+                <input
+                  type="text"
+                  className="review-reply-input"
+                  maxLength={1000}
+                  value={replies[r._id] ?? r.reply?.text ?? ""}
+                  onChange={(e) =>
+                    setReplies((prev) => ({
+                      ...prev,
+                      [r._id]: e.target.value,
+                    }))
+                  }
+                  placeholder="Thank the driver or respond to feedback"
+                />
+              </label>
+              <button type="submit" className="small-button" disabled={saving}>
+                {r.reply?.text ? "Update Reply" : "Reply"}
+              </button>
+              {isAdmin && (
+                <>
+                  <button
+                    type="button"
+                    className="small-button"
+                    disabled={saving}
+                    onClick={() =>
+                      moderate(
+                        r,
+                        r.status === "hidden" ? "published" : "hidden"
+                      )
+                    }
+                  >
+                    {r.status === "hidden" ? "Restore" : "Hide"}
+                  </button>
+                  {r.status !== "hidden" && r.reportCount > 0 && (
+                    <button
+                      type="button"
+                      className="small-button"
+                      disabled={saving}
+                      onClick={() => moderate(r, "published")}
+                    >
+                      Dismiss Reports
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    className="small-button"
+                    disabled={saving}
+                    onClick={() => remove(r)}
+                  >
+                    Delete
+                  </button>
+                </>
+              )}
+            </form>
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,140 @@
+import { useState } from "react";
+import axios from "axios";
+import { API_BASE } from "../../config";
+import { VEHICLE_TYPES } from "../../utils/bookingUtils";
+
+// Build one editable row per vehicle type from a lot's saved rates
+function toRows(lot) {
+  return VEHICLE_TYPES.map((t) => {
+    const saved = (lot.vehicleRates || []).find(
+      (r) => r.vehicleType === t.value
+    );
+    return {
+      vehicleType: t.value,
+      label: t.label,
+      enabled: Boolean(saved),
+      capacity: saved ? saved.capacity : "",
+      pricePerHour: saved ? saved.pricePerHour : lot.pricePerHour ?? "",
+    };
+  });
+}
+
+// Per-vehicle-type capacity and rate editor shown inside an OwnerDashboard lot card
+export default function VehicleRatesManager({ lot, onChanged }) {
+  const [open, setOpen] = useState(false);
+  const [rows, setRows] = useState(() => toRows(lot));
+  const [saving, setSaving] = useState(false);
+  const [msg, setMsg] = useState("");
+
+  function updateRow(vehicleType, changes) {
+    setRows((prev) =>
+      prev.map((r) =>
+        r.vehicleType === vehicleType ? { ...r, ...changes } : r
+      )
+    );
+  }
+
+  async function saveRates(e) {
+    e.preventDefault();
+    setSaving(true);
+    setMsg("");
+    try {
+      const token = localStorage.getItem("token");
+      const vehicleRates = rows
+        .filter((r) => r.enabled)
+        .map((r) => ({
+          vehicleType: r.vehicleType,
+          capacity: Number(r.capacity),
+          pricePerHour: Number(r.pricePerHour),
+        }));
+      await axios.put(
+        `${API_BASE}/api/parkinglots/${lot._id}/vehicle-rates`,
+        { vehicleRates },
+        { headers: token ? { Authorization: `Bearer ${token}` } : {} }
+      );
+      setMsg("Rates saved");
+      if (onChanged) onChanged();
+    } catch (err) {
+      setMsg(err.response?.data?.message || "Failed to save rates");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className="bay-manager">
+      <button
+        type="button"
+        className="small-button"
+        onClick={() => {
+          if (!open) setRows(toRows(lot));
+          setOpen((v) => !v);
+        }}
+      >
+        {open ? "Hide Vehicle Rates" : "Vehicle Rates"}
+      </button>
+      {open && (
+        <form className="bay-panel" onSubmit={saveRates}>
+          <p className="bay-note">
+            Tick the vehicle types this lot takes. Leave all unticked to share
+            every slot at ₹{lot.pricePerHour}/hr.
+          </p>
+          {rows.map((r) => (
+            <div className="bay-generate" key={r.vehicleType}>
+              <label className="rate-toggle">
+                <input
+                  type="checkbox"
+                  checked={r.enabled}
+                  onChange={(e) =>
+                    updateRow(r.vehicleType, { enabled: e.target.checked })
+                  }
+                />
+                {r.label}
+              </label>
+              <label>
+                Slots
+                <input
+                  type="number"
+                  min="0"
+                  max={lot.totalSlots || undefined}
+                  value={r.capacity}
+                  disabled={!r.enabled}
+                  required={r.enabled}
+                  onChange={(e) =>
+                    updateRow(r.vehicleType, { capacity: e.target.value })
+                  }
+                />
+              </label>
+              <label>
+                ₹ per hour
+                <input
+                  type="number"
+                  min="0"
+                  step="0.5"
+                  value={r.pricePerHour}
+                  disabled={!r.enabled}
+                  required={r.enabled}
+                  onChange={(e) =>
+                    updateRow(r.vehicleType, { pricePerHour: e.target.value })
+                  }
+                />
+              </label>
+            </div>
+          ))}
+          <div>
+            <button type="submit" className="small-button" disabled={saving}>
+              {saving ? "Saving…" : "Save Rates"}
+            </button>
+          </div>
+          {msg && (
+            <p
+              className={`bay-note${msg === "Rates saved" ? "" : " bay-error"}`}
+            >
+              {msg}
+            </p>
+          )}
+        </form>
+      )}
+    </div>
+  );
+}
@@ -26,6 +26,8 @@ export default function OwnerRegister() {
   const [city, setCity] = useState("");
   const [stateName, setStateName] = useState("");
   const [pincode, setPincode] = useState("");
+  const [photos, setPhotos] = useState([]); // Photos uploaded once the lot exists
+  const [photoInputKey, setPhotoInputKey] = useState(0); // Bumped to clear the file input
   const [loading, setLoading] = useState(false); // Loading state
   const [msg, setMsg] = useState(""); // Status message
   const token = localStorage.getItem("token"); // Auth token
@@ -49,7 +51,7 @@ export default function OwnerRegister() {
     setLoading(true);
     try {
       if (!position) throw new Error("Please select a location on the map");
-      await axios.post(
+      const res = await axios.post(
         `${API_BASE}/api/parkinglots`,
         {
           name,
@@ -67,7 +69,25 @@ export default function OwnerRegister() {
         },
         { headers: token ? { Authorization: `Bearer ${token}` } : undefined }
       );
-      setMsg("Parking lot registered successfully!");
+      let registered = "Parking lot registered successfully!";
+      if (photos.length) {
+        try {
+          const body = new FormData();
+          photos.forEach((file) => body.append("photos", file));
+          await axios.post(
+            `${API_BASE}/api/parkinglots/${res.data.lot._id}/photos`,
+            body,
+            {
+              headers: token ? { Authorization: `Bearer ${token}` } : undefined,
+            }
+          );
+        } catch (uploadErr) {
+          registered += ` Photos weren't uploaded (${
+            uploadErr.response?.data?.message || uploadErr.message
+          }) - add them from the Owner Dashboard.`;
+        }
+      }
+      setMsg(registered);
       setName("");
       setTotalSlots("");
       setLine1("");
@@ -76,6 +96,8 @@ export default function OwnerRegister() {
       setCity("");
       setStateName("");
       setPincode("");
+      setPhotos([]);
+      setPhotoInputKey((k) => k + 1);
     } catch (err) {
       setMsg(err.response?.data?.message || "Could not register parking lot");
     } finally {
@@ -496,6 +518,18 @@ export default function OwnerRegister() {
             required
           />
         </label>
+        <label>
+          Photos (optional, up to 8)
+          <input
+            key={photoInputKey}
+            type="file"
+            accept="image/jpeg,image/png,image/webp"
+            multiple
+            onChange={(e) =>
+              setPhotos(Array.from(e.target.files || []).slice(0, 8))
+            }
+          />
+        </label>
 
         <button
           className="owner-submit"
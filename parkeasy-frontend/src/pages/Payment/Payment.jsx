@@ -1,22 +1,31 @@
-import { useState, useEffect } from "react";
-import { useSearchParams } from "react-router-dom";
+import { useState, useEffect, useCallback } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import axios from "axios";
+import { API_BASE } from "../../config";
+import {
+  canPayOnline,
+  formatDateTime,
+  getAmountDue,
+} from "../../utils/bookingUtils";
 import "./Payment.css";
 
+function authHeaders() {
+  const token = localStorage.getItem("token");
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
 export default function Payment() {
   const [searchParams] = useSearchParams();
   const bookingId = searchParams.get("bookingId");
-  const passedAmount = searchParams.get("amount");
   const lotName = searchParams.get("lot");
   const [form, setForm] = useState({
     name: "",
     card: "",
     expiry: "",
     cvv: "",
-    amount: passedAmount || "5.00",
-    email: "",
   });
   const [cardError, setCardError] = useState("");
-  // Simple Luhn check for realism (still mock)
+  // Quick client-side check; the gateway validates the card again
   function luhnValid(num) {
     const digits = (num || "").replace(/\D/g, "").split("").reverse();
     if (digits.length < 12) return false;
@@ -45,138 +54,295 @@ export default function Payment() {
   }, [form.card]);
   const [submitting, setSubmitting] = useState(false);
   const [result, setResult] = useState(null);
+  const [payment, setPayment] = useState(null);
+  const [booking, setBooking] = useState(null);
+  const [error, setError] = useState("");
+  const [unpaid, setUnpaid] = useState([]);
+  const [walletBalance, setWalletBalance] = useState(null);
+
+  // Opens (or reuses) a payment for what is due on the booking
+  const startPayment = useCallback(async () => {
+    if (!bookingId) return;
+    try {
+      const res = await axios.post(
+        `${API_BASE}/api/payments`,
+        { bookingId },
+        { headers: authHeaders() }
+      );
+      setPayment(res.data?.payment || null);
+      setBooking(res.data?.booking || null);
+    } catch (err) {
+      setPayment(null);
+      setError(
+        err.response?.data?.code === "NOTHING_DUE"
+          ? "This booking is already paid"
+          : err.response?.data?.message || "Failed to start payment"
+      );
+    }
+  }, [bookingId]);
+
+  useEffect(() => {
+    startPayment();
+  }, [startPayment]);
+
+  useEffect(() => {
+    if (!bookingId) return;
+    axios
+      .get(`${API_BASE}/api/wallet`, {
+        params: { limit: 1 },
+        headers: authHeaders(),
+      })
+      .then((res) => setWalletBalance(res.data?.balance ?? null))
+      .catch(() => setWalletBalance(null));
+  }, [bookingId]);
+
+  // Without a booking to pay for, offer the ones still waiting for payment
+  useEffect(() => {
+    if (bookingId) return;
+    async function loadUnpaid() {
+      try {
+        const res = await axios.get(`${API_BASE}/api/bookings`, {
+          headers: authHeaders(),
+        });
+        setUnpaid((res.data?.bookings || []).filter(canPayOnline));
+      } catch {
+        setUnpaid([]);
+      }
+    }
+    loadUnpaid();
+  }, [bookingId]);
+
+  function markBookingsChanged() {
+    try {
+      localStorage.setItem("bookings:refresh", "1");
+    } catch {
+      // ignore storage signaling errors
+    }
+  }
+
+  async function payFromWallet() {
+    setSubmitting(true);
+    setResult(null);
+    setError("");
+    try {
+      const res = await axios.post(
+        `${API_BASE}/api/payments/wallet`,
+        { bookingId },
+        { headers: authHeaders() }
+      );
+      setResult(res.data?.payment);
+      setPayment(null);
+      setWalletBalance((b) => (b == null ? b : b - res.data.payment.amount));
+      markBookingsChanged();
+    } catch (err) {
+      setError(err.response?.data?.message || "Wallet payment failed");
+    } finally {
+      setSubmitting(false);
+    }
+  }
 
   function handleChange(e) {
     const { name, value } = e.target;
     setForm((prev) => ({ ...prev, [name]: value }));
   }
 
-  function fakePay(e) {
+  async function pay(e) {
     e.preventDefault();
+    if (!payment) return;
     setSubmitting(true);
     setResult(null);
-    // Simulate network delay
-    setTimeout(() => {
+    setError("");
+    try {
+      const res = await axios.post(
+        `${API_BASE}/api/payments/${payment._id}/confirm`,
+        {
+          paymentMethod: {
+            name: form.name,
+            number: form.card,
+            expiry: form.expiry,
+            cvc: form.cvv,
+          },
+        },
+        { headers: authHeaders() }
+      );
+      setResult(res.data?.payment);
+      setPayment(null);
+      markBookingsChanged();
+    } catch (err) {
+      setError(err.response?.data?.message || "Payment failed");
+      // A failed payment is closed; retrying needs a fresh one
+      if (err.response?.data?.code === "PAYMENT_FAILED") await startPayment();
+    } finally {
       setSubmitting(false);
-      setResult({
-        status: "success",
-        id: "TXN-" + Math.random().toString(36).slice(2, 10).toUpperCase(),
-        amount: form.amount,
-      });
-    }, 1200);
+    }
+  }
+
+  if (!bookingId) {
+    return (
+      <div className="payment-page">
+        <div className="payment-card">
+          <h2 className="payment-title">💳 Payment</h2>
+          {unpaid.length === 0 ? (
+            <p className="payment-note">
+              You have no bookings waiting for payment.
+            </p>
+          ) : (
+            <ul className="payment-list">
+              {unpaid.map((b) => (
+                <li key={b._id}>
+                  <span>
+                    {b.parkingLotName} · {b.vehicleNumber}
+                    <small>Pay by {formatDateTime(b.paymentDueAt)}</small>
+                  </span>
+                  <Link
+                    className="pay-btn"
+                    to={`/payment?bookingId=${b._id}&lot=${encodeURIComponent(
+                      b.parkingLotName
+                    )}`}
+                  >
+                    Pay ₹{getAmountDue(b)}
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    );
   }
 
   return (
     <div className="payment-page">
       <div className="payment-card">
-        <h2 className="payment-title">💳 Mock Payment</h2>
+        <h2 className="payment-title">💳 Payment</h2>
         <p className="payment-note">
-          This is a <strong>demo-only</strong> payment screen. No real charges
-          are made. Enter any card details to simulate a successful payment.
+          Payments run through the <strong>sandbox gateway</strong>: no real
+          charges are made. Use 4242 4242 4242 4242 for a successful payment or
+          4000 0000 0000 0002 to see a decline, with any future expiry and CVV.
         </p>
-        <form className="payment-form" onSubmit={fakePay}>
-          <div className="form-row">
-            <label>
-              Name on Card
-              <input
-                required
-                name="name"
-                value={form.name}
-                onChange={handleChange}
-                placeholder="John Doe"
-                autoComplete="cc-name"
-              />
-            </label>
-          </div>
-          <div className="form-row two">
-            <label>
-              Card Number
-              <input
-                required
-                name="card"
-                value={form.card}
-                onChange={handleChange}
-                placeholder="4242 4242 4242 4242"
-                inputMode="numeric"
-                autoComplete="cc-number"
-              />
-            </label>
-            <label>
-              Expiry (MM/YY)
-              <input
-                required
-                name="expiry"
-                value={form.expiry}
-                onChange={handleChange}
-                placeholder="12/30"
-                autoComplete="cc-exp"
-              />
-            </label>
+        {booking && (
+          <p className="payment-note">
+            {booking.parkingLotName || lotName} · {booking.vehicleNumber}
+            <br />
+            {formatDateTime(booking.startTime)} -{" "}
+            {formatDateTime(booking.endTime)}
+            {booking.paymentDueAt && (
+              <>
+                <br />
+                Pay by {formatDateTime(booking.paymentDueAt)} or the slot is
+                released.
+              </>
+            )}
+          </p>
+        )}
+        {payment && walletBalance != null && (
+          <div className="payment-wallet">
+            <button
+              type="button"
+              className="pay-btn"
+              onClick={payFromWallet}
+              disabled={submitting || walletBalance < payment.amount}
+            >
+              Pay ₹{payment.amount} from wallet
+            </button>
+            <small>
+              Wallet balance ₹{walletBalance.toFixed(2)}
+              {walletBalance < payment.amount && (
+                <>
+                  {" "}
+                  · <Link to="/wallet">Top up</Link>
+                </>
+              )}
+            </small>
           </div>
-          {cardError && (
-            <div style={{ color: "#f87171", fontSize: "0.75rem" }}>
-              {cardError}
+        )}
+        {payment && (
+          <form className="payment-form" onSubmit={pay}>
+            <div className="form-row">
+              <label>
+                Name on Card
+                <input
+                  required
+                  name="name"
+                  value={form.name}
+                  onChange={handleChange}
+                  placeholder="John Doe"
+                  autoComplete="cc-name"
+                />
+              </label>
             </div>
-          )}
-          <div className="form-row two">
-            <label>
-              CVV
-              <input
-                required
-                name="cvv"
-                value={form.cvv}
-                onChange={handleChange}
-                placeholder="123"
-                inputMode="numeric"
-                autoComplete="cc-csc"
-              />
-            </label>
-            <label>
-              Amount (USD)
-              <input
-                required
-                name="amount"
-                value={form.amount}
-                onChange={handleChange}
-                placeholder="5.00"
-              />
-            </label>
-          </div>
-          <div className="form-row">
-            <label>
-              Email for receipt
-              <input
-                type="email"
-                required
-                name="email"
-                value={form.email}
-                onChange={handleChange}
-                placeholder="you@example.com"
-                autoComplete="email"
-              />
-            </label>
+            <div className="form-row two">
+              <label>
+                Card Number
+                <input
+                  required
+                  name="card"
+                  value={form.card}
+                  onChange={handleChange}
+                  placeholder="4242 4242 4242 4242"
+                  inputMode="numeric"
+                  autoComplete="cc-number"
+                />
+              </label>
+              <label>
+                Expiry (MM/YY)
+                <input
+                  required
+                  name="expiry"
+                  value={form.expiry}
+                  onChange={handleChange}
+                  placeholder="12/30"
+                  autoComplete="cc-exp"
+                />
+              </label>
+            </div>
+            {cardError && (
+              <div style={{ color: "#f87171", fontSize: "0.75rem" }}>
+                {cardError}
+              </div>
+            )}
+            <div className="form-row two">
+              <label>
+                CVV
+                <input
+                  required
+                  name="cvv"
+                  value={form.cvv}
+                  onChange={handleChange}
+                  placeholder="123"
+                  inputMode="numeric"
+                  autoComplete="cc-csc"
+                />
+              </label>
+              <label>
+                Amount (INR)
+                <input readOnly name="amount" value={`₹${payment.amount}`} />
+              </label>
+            </div>
+            <button className="pay-btn" disabled={submitting || !!cardError}>
+              {submitting ? "Processing…" : `Pay ₹${payment.amount}`}
+            </button>
+          </form>
+        )}
+        {error && (
+          <div className="payment-result payment-failed">
+            <h4>❌ {error}</h4>
           </div>
-          <button className="pay-btn" disabled={submitting || !!cardError}>
-            {submitting ? "Processing…" : "Pay Now"}
-          </button>
-        </form>
+        )}
         {result && (
           <div className="payment-result">
             <h4>✅ Payment Success</h4>
             <p>
-              Transaction ID: <code>{result.id}</code>
+              {result.gateway === "wallet" ? "Wallet entry" : "Transaction ID"}:{" "}
+              <code>{result.gatewayRef}</code>
             </p>
-            <p>Amount Charged: ${result.amount}</p>
-            {bookingId && (
-              <p style={{ fontSize: "0.75rem" }}>
-                Related Booking: {bookingId}
-              </p>
-            )}
-            {lotName && (
-              <p style={{ fontSize: "0.75rem" }}>Parking Lot: {lotName}</p>
-            )}
-            <p style={{ fontSize: "0.75rem", opacity: 0.8 }}>
-              (Not a real charge. Demo environment.)
+            <p>
+              Amount Charged: ₹{result.amount}
+              {result.method ? ` (${result.method})` : ""}
+            </p>
+            <p style={{ fontSize: "0.75rem" }}>Related Booking: {bookingId}</p>
+            <p style={{ fontSize: "0.75rem" }}>
+              <Link to="/booking-history">View your bookings</Link>
             </p>
           </div>
         )}
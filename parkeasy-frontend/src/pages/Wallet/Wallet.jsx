@@ -0,0 +1,245 @@
+import { useState, useEffect, useCallback } from "react";
+import axios from "axios";
+import { API_BASE } from "../../config";
+import { formatDateTime } from "../../utils/bookingUtils";
+import "../Payment/Payment.css";
+import "./Wallet.css";
+
+function authHeaders() {
+  const token = localStorage.getItem("token");
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+const ENTRY_LABELS = {
+  topup: "Top-up",
+  booking_debit: "Booking payment",
+  refund: "Refund",
+  penalty: "Penalty",
+};
+
+function formatAmount(amount) {
+  const sign = amount < 0 ? "−" : "+";
+  return `${sign}₹${Math.abs(amount).toFixed(2)}`;
+}
+
+export default function Wallet() {
+  const [balance, setBalance] = useState(null);
+  const [entries, setEntries] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [form, setForm] = useState({
+    amount: "500",
+    name: "",
+    card: "",
+    expiry: "",
+    cvv: "",
+  });
+  const [submitting, setSubmitting] = useState(false);
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+
+  // Latest balance and the first page of the ledger
+  const loadWallet = useCallback(async () => {
+    try {
+      const res = await axios.get(`${API_BASE}/api/wallet`, {
+        headers: authHeaders(),
+      });
+      setBalance(res.data?.balance ?? 0);
+      setEntries(res.data?.entries || []);
+      setNextCursor(res.data?.nextCursor || null);
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to load wallet");
+    }
+  }, []);
+
+  useEffect(() => {
+    loadWallet();
+  }, [loadWallet]);
+
+  async function loadMore() {
+    if (!nextCursor) return;
+    setLoadingMore(true);
+    try {
+      const res = await axios.get(`${API_BASE}/api/wallet`, {
+        params: { before: nextCursor },
+        headers: authHeaders(),
+      });
+      setEntries((prev) => [...prev, ...(res.data?.entries || [])]);
+      setNextCursor(res.data?.nextCursor || null);
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to load more entries");
+    } finally {
+      setLoadingMore(false);
+    }
+  }
+
+  function handleChange(e) {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  }
+
+  async function topUp(e) {
+    e.preventDefault();
+    setSubmitting(true);
+    setMessage("");
+    setError("");
+    try {
+      const started = await axios.post(
+        `${API_BASE}/api/wallet/topups`,
+        { amount: Number(form.amount) },
+        { headers: authHeaders() }
+      );
+      const payment = started.data?.payment;
+      await axios.post(
+        `${API_BASE}/api/payments/${payment._id}/confirm`,
+        {
+          paymentMethod: {
+            name: form.name,
+            number: form.card,
+            expiry: form.expiry,
+            cvc: form.cvv,
+          },
+        },
+        { headers: authHeaders() }
+      );
+      setMessage(`₹${payment.amount} added to your wallet`);
+      await loadWallet();
+    } catch (err) {
+      setError(err.response?.data?.message || "Top-up failed");
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  return (
+    <div className="payment-page">
+      <div className="payment-card">
+        <h2 className="payment-title">👛 Wallet</h2>
+        <div className="wallet-balance">
+          <span>Balance</span>
+          <strong>{balance == null ? "…" : `₹${balance.toFixed(2)}`}</strong>
+        </div>
+        <p className="payment-note">
+          Pay for bookings from your wallet in one tap. Cancellation refunds are
+          credited here automatically. Top-ups run through the{" "}
+          <strong>sandbox gateway</strong>: use 4242 4242 4242 4242 with any
+          future expiry and CVV.
+        </p>
+        <form className="payment-form" onSubmit={topUp}>
+          <div className="form-row two">
+            <label>
+              Amount (INR)
+              <input
+                required
+                type="number"
+                min="10"
+                max="10000"
+                name="amount"
+                value={form.amount}
+                onChange={handleChange}
+              />
+            </label>
+            <label>
+              Name on Card
+              <input
+                required
+                name="name"
+                value={form.name}
+                onChange={handleChange}
+                placeholder="John Doe"
+                autoComplete="cc-name"
+              />
+            </label>
+          </div>
+          <div className="form-row">
+            <label>
+              Card Number
+              <input
+                required
+                name="card"
+                value={form.card}
+                onChange={handleChange}
+                placeholder="4242 4242 4242 4242"
+                inputMode="numeric"
+                autoComplete="cc-number"
+              />
+            </label>
+          </div>
+          <div className="form-row two">
+            <label>
+              Expiry (MM/YY)
+              <input
+                required
+                name="expiry"
+                value={form.expiry}
+                onChange={handleChange}
+                placeholder="12/30"
+                autoComplete="cc-exp"
+              />
+            </label>
+            <label>
+              CVV
+              <input
+                required
+                name="cvv"
+                value={form.cvv}
+                onChange={handleChange}
+                placeholder="123"
+                inputMode="numeric"
+                autoComplete="cc-csc"
+              />
+            </label>
+          </div>
+          <button className="pay-btn" disabled={submitting}>
+            {submitting ? "Processing…" : `Add ₹${form.amount || 0}`}
+          </button>
+        </form>
+        {message && (
+          <div className="payment-result">
+            <h4>✅ {message}</h4>
+          </div>
+        )}
+        {error && (
+          <div className="payment-result payment-failed">
+            <h4>❌ {error}</h4>
+          </div>
+        )}
+
+        <h3 className="wallet-heading">History</h3>
+        {entries.length === 0 ? (
+          <p className="payment-note">No wallet activity yet.</p>
+        ) : (
+          <ul className="payment-list wallet-ledger">
+            {entries.map((entry) => (
+              <li key={entry._id}>
+                <span>
+                  {ENTRY_LABELS[entry.type] || entry.type}
+                  <small>{entry.description}</small>
+                  <small>{formatDateTime(entry.createdAt)}</small>
+                </span>
+                <span
+                  className={`wallet-amount${
+                    entry.amount < 0 ? " wallet-debit" : ""
+                  }`}
+                >
+                  {formatAmount(entry.amount)}
+                  <small>Balance ₹{entry.balanceAfter.toFixed(2)}</small>
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+        {nextCursor && (
+          <button
+            type="button"
+            className="pay-btn wallet-more"
+            onClick={loadMore}
+            disabled={loadingMore}
+          >
+            {loadingMore ? "Loading…" : "Load more"}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,5 +1,3 @@
-import html2canvas from "html2canvas";
-
 export function formatDateTime(dt) {
   if (!dt) return "-";
   try {
@@ -13,7 +11,11 @@ export function computeStatus(booking) {
   const raw = booking.status;
   if (raw && typeof raw === "string") {
     const normalized = raw.trim().toLowerCase();
-    if (["active", "upcoming", "completed", "cancelled"].includes(normalized)) {
+    if (
+      ["active", "upcoming", "completed", "cancelled", "overstay"].includes(
+        normalized
+      )
+    ) {
       return normalized.charAt(0).toUpperCase() + normalized.slice(1);
     }
   }
@@ -62,26 +64,203 @@ export function getVehicleNumber(booking) {
   return booking.vehicleNumber || booking.vehicle || "-";
 }
 
-export function getQRCodeUrl(booking) {
-  const lotName = getLotDisplayName(booking);
-  const qrData = `Booking ID: ${
-    booking._id || booking.id
-  }\nLot: ${lotName}\nVehicle: ${getVehicleNumber(
-    booking
-  )}\nTime: ${formatDateTime(booking.createdAt || booking.time)}`;
-  const encodedData = encodeURIComponent(qrData);
-  return `https://api.qrserver.com/v1/create-qr-code/?size=120x120&data=${encodedData}&bgcolor=23232a&color=ffffff`;
+export function getBayLabel(booking) {
+  if (!booking.slotCode) return "-";
+  return booking.slotLevel
+    ? `${booking.slotCode} (Level ${booking.slotLevel})`
+    : booking.slotCode;
+}
+
+// "Peak (3 h × ₹60): ₹180.00" / "First 15 min free: −₹10.00"
+export function formatPriceLine(line) {
+  const qty =
+    line.hours != null && line.rate != null
+      ? ` (${line.hours} h × ₹${line.rate})`
+      : "";
+  const sign = line.amount < 0 ? "−" : "";
+  return `${line.label}${qty}: ${sign}₹${Math.abs(line.amount).toFixed(2)}`;
+}
+
+export const VEHICLE_TYPES = [
+  { value: "car", label: "Car" },
+  { value: "bike", label: "Bike" },
+  { value: "truck", label: "Truck" },
+  { value: "van", label: "Van" },
+];
+
+// Weekday checkboxes for passes and recurring bookings, Monday first
+// (values follow Date#getDay, 0 = Sunday)
+export const WEEKDAYS = [
+  { value: 1, label: "Mon" },
+  { value: 2, label: "Tue" },
+  { value: 3, label: "Wed" },
+  { value: 4, label: "Thu" },
+  { value: 5, label: "Fri" },
+  { value: 6, label: "Sat" },
+  { value: 0, label: "Sun" },
+];
+
+// "Weekdays", "Every day" or a list like "Tue, Thu"
+export function describeDays(days = []) {
+  const sorted = [...days].sort((a, b) => a - b);
+  if (sorted.join() === "1,2,3,4,5") return "Weekdays";
+  if (sorted.length === 7) return "Every day";
+  return WEEKDAYS.filter((d) => sorted.includes(d.value))
+    .map((d) => d.label)
+    .join(", ");
+}
+
+// Local "YYYY-MM-DD" of a date, for date inputs
+export function toDateInputValue(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}`;
+}
+
+// Current demand (surge) multiplier of a lot; 1 when demand pricing is off
+export function getDemandMultiplier(lot) {
+  return lot?.demandPricing?.enabled ? Number(lot.demandMultiplier) || 1 : 1;
+}
+
+// Rate and live availability of a lot for one vehicle type. Lots without
+// per-type rates share every slot between all vehicle types. The rate
+// includes the lot's current demand multiplier.
+export function getLotVehicleInfo(lot, vehicleType) {
+  const rates = lot?.vehicleAvailability || lot?.vehicleRates || [];
+  const lotAvailable = Math.max(0, Number(lot?.availableSlots ?? 0));
+  const demandMultiplier = getDemandMultiplier(lot);
+  const withDemand = (rate) => Math.round(rate * demandMultiplier * 100) / 100;
+  if (!rates.length) {
+    return {
+      accepted: true,
+      pricePerHour: withDemand(lot?.pricePerHour ?? 50),
+      available: lotAvailable,
+      capacity: Number(lot?.totalSlots ?? 0),
+      demandMultiplier,
+    };
+  }
+  const entry = rates.find((r) => r.vehicleType === vehicleType);
+  if (!entry || !entry.capacity) {
+    return {
+      accepted: false,
+      pricePerHour: withDemand(entry?.pricePerHour ?? lot?.pricePerHour ?? 50),
+      available: 0,
+      capacity: 0,
+      demandMultiplier,
+    };
+  }
+  return {
+    accepted: true,
+    pricePerHour: withDemand(entry.pricePerHour),
+    available: entry.available ?? Math.min(entry.capacity, lotAvailable),
+    capacity: entry.capacity,
+    demandMultiplier,
+  };
+}
+
+// Bookings whose signed gate pass can still be scanned at the entry/exit gate
+export function hasUsableGatePass(booking) {
+  return (
+    Boolean(booking.checkinToken) &&
+    ["Upcoming", "Active", "Overstay"].includes(computeStatus(booking))
+  );
+}
+
+// One-line payment state of a booking (null for bookings made before payments)
+export function describePayment(booking) {
+  switch (booking.paymentStatus) {
+    case "pending":
+      return booking.paymentDueAt
+        ? `Pending - pay by ${formatDateTime(booking.paymentDueAt)}`
+        : "Pending";
+    case "paid":
+      return `Paid ₹${booking.amountPaid ?? booking.totalPrice}`;
+    case "due":
+      return `Paid ₹${booking.amountPaid} - ₹${getAmountDue(
+        booking
+      )} more due (extension or overstay fee)`;
+    case "refunded":
+      return "Refunded";
+    case "expired":
+      return "Not paid in time - slot released";
+    default:
+      return null;
+  }
 }
 
-export async function downloadReceiptAsImage(globalIndex) {
-  const node = document.getElementById(`receipt-card-${globalIndex}`);
-  if (!node) return;
-  const canvas = await html2canvas(node, { backgroundColor: null });
-  const url = canvas.toDataURL("image/png");
+// How a cancelled booking was refunded (null when it wasn't cancelled by the driver)
+export function describeCancellation(booking) {
+  const c = booking.cancellation;
+  if (!c) return null;
+  if (!(c.refundAmount > 0)) return c.label;
+  const state =
+    c.refundStatus === "failed"
+      ? " - refund failed, support will retry"
+      : c.refundStatus === "pending"
+      ? " - refund in progress"
+      : " - credited to your wallet";
+  return `${c.label}: ₹${c.refundAmount}${state}`;
+}
+
+// What is still owed on a booking: its price plus extra fees, minus what was
+// already paid (same sum as getAmountDue in the backend's paymentService)
+export function getAmountDue(booking) {
+  const extras = (booking.extraCharges || []).reduce(
+    (sum, charge) => sum + charge.amount,
+    0
+  );
+  const due = booking.totalPrice + extras - (booking.amountPaid || 0);
+  return Math.max(0, Math.round(due * 100) / 100);
+}
+
+// Bookings the driver can still pay for online, including an extension or
+// overstay fee owed on a paid one (an overstay the lot closed is expired, but
+// its fee can still be paid)
+export function canPayOnline(booking) {
+  if (booking.source === "walkin") return false;
+  if (booking.paymentStatus === "due") return booking.status !== "cancelled";
+  return (
+    booking.paymentStatus === "pending" &&
+    !["cancelled", "expired"].includes(booking.status)
+  );
+}
+
+// Settled bookings that were charged something get a PDF invoice
+export function canDownloadInvoice(booking) {
+  if (booking.invoice?.number) return true;
+  if (booking.status === "cancelled") return booking.amountPaid > 0;
+  return (
+    ["completed", "expired"].includes(booking.status) && booking.totalPrice > 0
+  );
+}
+
+// Finished bookings can be rated and reviewed, once each
+export function canReview(booking) {
+  return ["completed", "expired"].includes(booking.status);
+}
+
+// Save a file fetched with responseType "blob", named as the server suggests
+export function saveDownload(res, fallbackName) {
+  const match = /filename="([^"]+)"/.exec(
+    res.headers?.["content-disposition"] || ""
+  );
+  const url = URL.createObjectURL(res.data);
   const a = document.createElement("a");
   a.href = url;
-  a.download = `booking-receipt-${globalIndex + 1}.png`;
+  a.download = match ? match[1] : fallbackName;
   a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Message of a failed blob download (its JSON error body arrives as a Blob)
+export async function downloadErrorMessage(err, fallback) {
+  try {
+    const body = JSON.parse(await err.response.data.text());
+    return body.message || fallback;
+  } catch {
+    return fallback;
+  }
 }
 
 export function openDirections(booking) {
@@ -0,0 +1,43 @@
+// Lot types and amenities, in the order the filter chips show them
+export const LOT_TYPES = [
+  { value: "surface", label: "Surface" },
+  { value: "multi-storey", label: "Multi-storey" },
+  { value: "underground", label: "Underground" },
+  { value: "on-street", label: "On-street" },
+  { value: "campus", label: "Campus" },
+  { value: "hostel", label: "Hostel" },
+];
+
+export const AMENITIES = [
+  { value: "covered", label: "Covered", icon: "🏠" },
+  { value: "evCharging", label: "EV charging", icon: "⚡" },
+  { value: "cctv", label: "CCTV", icon: "📹" },
+  { value: "wheelchairAccessible", label: "Wheelchair bays", icon: "♿" },
+  { value: "valet", label: "Valet", icon: "🤵" },
+  { value: "security24x7", label: "24x7 security", icon: "🛡️" },
+];
+
+export function lotTypeLabel(value) {
+  return LOT_TYPES.find((t) => t.value === value)?.label || "";
+}
+
+export function lotAmenities(lot) {
+  return AMENITIES.filter((a) => lot?.amenities?.[a.value]);
+}
+
+// "4.3 (12 reviews)" from a lot's cached rating summary
+export function describeRating(lot) {
+  const count = lot?.ratingCount || 0;
+  if (!count) return "No reviews yet";
+  return `${Number(lot.ratingAverage || 0).toFixed(1)} (${count} review${
+    count === 1 ? "" : "s"
+  })`;
+}
+
+// Query params for GET /api/parkinglots (and /all, /search)
+export function lotFeatureParams(lotTypes, amenities) {
+  return {
+    type: lotTypes.length ? lotTypes.join(",") : undefined,
+    amenities: amenities.length ? amenities.join(",") : undefined,
+  };
+}